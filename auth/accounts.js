@@ -0,0 +1,179 @@
+/**
+ * Named account profiles
+ *
+ * Each account has its own token file (served by auth/token-service.js), so one
+ * server can work with, say, a work and a personal mailbox. The account named
+ * "default" always exists and uses the configured token file, so single-account
+ * setups need no profile file.
+ * Other accounts are kept in a small JSON registry (OUTLOOK_ACCOUNTS_PATH), together
+ * with the name of the account tools use when no `account` argument is given.
+ *
+ * Tool calls run inside runWithAccount(), which makes the requested account the
+ * current one for everything the handler awaits (ensureAuthenticated, token refresh
+ * in callGraphAPI) without threading it through every function.
+ */
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('accounts');
+
+/**
+ * Name of the account backed by the configured token file
+ */
+const DEFAULT_ACCOUNT = 'default';
+
+/**
+ * Allowed account names; they become part of token file names
+ */
+const ACCOUNT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,31}$/;
+
+/**
+ * Input schema property for the `account` argument, added to every mailbox tool
+ */
+const ACCOUNT_PROPERTY = {
+  type: "string",
+  description: "Account profile to use (see list-accounts). Defaults to the current default account."
+};
+
+// Account name for the tool call being handled
+const accountContext = new AsyncLocalStorage();
+
+/**
+ * Reads the account registry
+ * @returns {{defaultAccount: string, accounts: object}} - Registry contents
+ */
+function loadRegistry() {
+  try {
+    const registry = JSON.parse(fs.readFileSync(config.AUTH_CONFIG.accountsPath, 'utf8'));
+    return {
+      defaultAccount: registry.defaultAccount || DEFAULT_ACCOUNT,
+      accounts: registry.accounts || {}
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Ignoring unreadable account registry ${config.AUTH_CONFIG.accountsPath}: ${error.message}`);
+    }
+    return { defaultAccount: DEFAULT_ACCOUNT, accounts: {} };
+  }
+}
+
+/**
+ * Writes the account registry
+ * @param {object} registry - Registry contents
+ */
+function saveRegistry(registry) {
+  fs.mkdirSync(path.dirname(config.AUTH_CONFIG.accountsPath), { recursive: true });
+  fs.writeFileSync(config.AUTH_CONFIG.accountsPath, JSON.stringify(registry, null, 2));
+}
+
+/**
+ * Returns the token file for an account: the configured token file for the default
+ * account, and a sibling file with the account name inserted for the others
+ * @param {string} name - Account name
+ * @returns {string} - Token file path
+ */
+function getAccountTokenPath(name) {
+  const tokenPath = config.AUTH_CONFIG.tokenStorePath;
+  if (name === DEFAULT_ACCOUNT) {
+    return tokenPath;
+  }
+  const extension = path.extname(tokenPath);
+  return `${tokenPath.slice(0, tokenPath.length - extension.length)}.${name}${extension || '.json'}`;
+}
+
+/**
+ * Lists the account profiles
+ * @returns {Array<{name: string, tokenStorePath: string, isDefault: boolean}>} - Accounts, default account first
+ */
+function listAccounts() {
+  const registry = loadRegistry();
+  const names = [DEFAULT_ACCOUNT, ...Object.keys(registry.accounts).filter(name => name !== DEFAULT_ACCOUNT)];
+  return names.map(name => ({
+    name,
+    tokenStorePath: getAccountTokenPath(name),
+    isDefault: name === registry.defaultAccount
+  }));
+}
+
+/**
+ * Adds an account profile
+ * @param {string} name - Account name
+ * @returns {object} - The new account ({ name, tokenStorePath, isDefault })
+ * @throws {Error} - If the name is invalid or already used
+ */
+function addAccount(name) {
+  if (typeof name !== 'string' || !ACCOUNT_NAME_PATTERN.test(name)) {
+    throw new Error('Account names must be 1-32 letters, digits, hyphens or underscores, starting with a letter or digit.');
+  }
+  const registry = loadRegistry();
+  if (name === DEFAULT_ACCOUNT || registry.accounts[name]) {
+    throw new Error(`Account "${name}" already exists.`);
+  }
+  registry.accounts[name] = { createdAt: new Date().toISOString() };
+  saveRegistry(registry);
+  return { name, tokenStorePath: getAccountTokenPath(name), isDefault: false };
+}
+
+/**
+ * Finds an account profile
+ * @param {string} name - Account name, or undefined for the default account
+ * @returns {object} - Account ({ name, tokenStorePath, isDefault })
+ * @throws {Error} - If no account has that name
+ */
+function resolveAccount(name) {
+  const accounts = listAccounts();
+  const account = name === undefined || name === null || name === ''
+    ? accounts.find(candidate => candidate.isDefault) || accounts[0]
+    : accounts.find(candidate => candidate.name === name);
+  if (!account) {
+    throw new Error(`Unknown account "${name}". Use list-accounts to see the configured accounts, or add-account to create one.`);
+  }
+  return account;
+}
+
+/**
+ * Makes an account the one used when tools get no `account` argument
+ * @param {string} name - Account name
+ * @returns {object} - The account
+ * @throws {Error} - If no account has that name
+ */
+function setDefaultAccount(name) {
+  const account = resolveAccount(name);
+  const registry = loadRegistry();
+  registry.defaultAccount = account.name;
+  saveRegistry(registry);
+  return { ...account, isDefault: true };
+}
+
+/**
+ * Runs a function with an account as the current account
+ * @param {string} name - Account name, or undefined for the default account
+ * @param {Function} fn - Function to run
+ * @returns {*} - The function's return value
+ */
+function runWithAccount(name, fn) {
+  return accountContext.run(name || undefined, fn);
+}
+
+/**
+ * Returns the account of the tool call being handled
+ * @returns {string|undefined} - Account name, or undefined for the default account
+ */
+function getCurrentAccount() {
+  return accountContext.getStore();
+}
+
+module.exports = {
+  DEFAULT_ACCOUNT,
+  ACCOUNT_PROPERTY,
+  listAccounts,
+  addAccount,
+  resolveAccount,
+  setDefaultAccount,
+  getAccountTokenPath,
+  runWithAccount,
+  getCurrentAccount
+};
@@ -0,0 +1,155 @@
+/**
+ * Authentication diagnostics for check-auth-status
+ *
+ * Reads what can be learnt locally from the cached tokens (tenant, granted scopes,
+ * expiry, refresh token age), compares the granted scopes with the configured ones
+ * and makes one live Graph request to confirm the token is actually accepted. Every
+ * problem found comes with a hint saying what to change.
+ */
+const { callGraphAPI } = require('../utils/graph-api');
+const { fromBase64Url } = require('../utils/base64url');
+const { SHARED_SCOPES } = require('../utils/mailbox');
+const { normalizeScope } = require('./scopes');
+
+/**
+ * What stops working without each delegated scope
+ */
+const SCOPE_FEATURES = {
+  'user.read': "reading the signed-in user's profile",
+  'mail.read': 'listing, reading and searching email',
+  'mail.readwrite': 'drafts, marking, moving and deleting email, and creating folders',
+  'mail.send': 'sending email',
+  'calendars.read': 'listing events',
+  'calendars.readwrite': 'creating, changing and responding to events',
+  'mailboxsettings.read': 'listing inbox rules',
+  'mailboxsettings.readwrite': 'creating and reordering inbox rules'
+};
+
+/**
+ * Fields read from /me
+ */
+const PROFILE_FIELDS = 'id,displayName,userPrincipalName,mail';
+
+/**
+ * Decodes the claims of a JWT access token without verifying it; the token is only
+ * being described, Graph does the verification
+ * @param {string} accessToken - Access token
+ * @returns {object|null} - Claims, or null for an opaque token (e.g. personal Microsoft accounts)
+ */
+function decodeTokenClaims(accessToken) {
+  const parts = typeof accessToken === 'string' ? accessToken.split('.') : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+  try {
+    const claims = JSON.parse(fromBase64Url(parts[1]).toString('utf8'));
+    return claims && typeof claims === 'object' ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Returns the scopes (delegated) or roles (app-only) the token was issued with
+ * @param {object} tokens - Stored tokens
+ * @param {object|null} claims - Access token claims
+ * @returns {Array<string>|null} - Granted scopes, or null if they cannot be determined
+ */
+function getGrantedScopes(tokens, claims) {
+  if (claims && typeof claims.scp === 'string') {
+    return claims.scp.split(' ').filter(Boolean);
+  }
+  if (claims && Array.isArray(claims.roles)) {
+    return claims.roles;
+  }
+  if (tokens && typeof tokens.scope === 'string') {
+    return tokens.scope.split(' ').filter(Boolean);
+  }
+  return null;
+}
+
+/**
+ * Builds hints for scopes that were requested but not granted
+ * @param {Array<string>} missing - Missing scopes
+ * @returns {Array<string>} - Hints, one per missing scope plus how to fix them
+ */
+function getScopeHints(missing) {
+  if (missing.length === 0) {
+    return [];
+  }
+  const hints = missing.map(scope => {
+    const normalized = normalizeScope(scope);
+    if (SHARED_SCOPES.some(shared => shared.toLowerCase() === normalized)) {
+      return `${scope} was not granted: shared and delegated mailboxes will not work.`;
+    }
+    const feature = SCOPE_FEATURES[normalized];
+    return feature
+      ? `${scope} was not granted: ${feature} will fail with an access error.`
+      : `${scope} was not granted.`;
+  });
+  hints.push(`Add the missing delegated permissions to the app registration (Azure Portal > App Registrations > API permissions) if they are not listed there, then run 'authenticate' with scopes: ${JSON.stringify(missing)} to consent to them. Permissions that need admin consent must be granted by an administrator first.`);
+  return hints;
+}
+
+/**
+ * Describes a refresh token's age
+ * @param {object} tokens - Stored tokens
+ * @param {number} now - Current time in milliseconds
+ * @returns {object|null} - { issuedAt, ageDays }, or null if there is no refresh token or its issue time is unknown
+ */
+function getRefreshTokenAge(tokens, now = Date.now()) {
+  if (!tokens || !tokens.refresh_token || !tokens.refresh_token_issued_at) {
+    return null;
+  }
+  return {
+    issuedAt: new Date(tokens.refresh_token_issued_at).toISOString(),
+    ageDays: Math.floor((now - tokens.refresh_token_issued_at) / 86400000)
+  };
+}
+
+/**
+ * Makes one Graph request with the access token to check it is accepted. Delegated
+ * tokens read /me; app tokens, which have no /me, read the configured mailbox's inbox.
+ * @param {string} accessToken - Access token
+ * @param {boolean} appOnly - Whether the token is an app-only token
+ * @returns {Promise<object>} - { ok, user } on success, { ok: false, statusCode, error, hint } on failure
+ */
+async function probeGraph(accessToken, appOnly = false) {
+  try {
+    if (appOnly) {
+      await callGraphAPI(accessToken, 'GET', 'me/mailFolders/inbox', null, { $select: 'id' });
+      return { ok: true };
+    }
+    const profile = await callGraphAPI(accessToken, 'GET', 'me', null, { $select: PROFILE_FIELDS });
+    return {
+      ok: true,
+      user: {
+        id: profile.id,
+        displayName: profile.displayName,
+        userPrincipalName: profile.userPrincipalName,
+        mail: profile.mail || undefined
+      }
+    };
+  } catch (error) {
+    const statusCode = error.statusCode;
+    let hint;
+    if (statusCode === 401) {
+      hint = "Graph rejected the access token. Run 'authenticate' with force: true to sign in again.";
+    } else if (statusCode === 403) {
+      hint = appOnly
+        ? 'Graph denied access to the mailbox. Grant the app registration the Mail.ReadWrite application permission with admin consent.'
+        : "Graph denied access to the user profile. Add the User.Read delegated permission to the app registration, then run 'authenticate' with force: true.";
+    } else {
+      hint = 'Microsoft Graph could not be reached; check the network connection and try again.';
+    }
+    return { ok: false, statusCode, error: error.message, hint };
+  }
+}
+
+module.exports = {
+  decodeTokenClaims,
+  getGrantedScopes,
+  getScopeHints,
+  getRefreshTokenAge,
+  probeGraph
+};
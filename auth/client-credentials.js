@@ -0,0 +1,157 @@
+/**
+ * App-only authentication (OAuth 2.0 client credentials grant)
+ *
+ * For service mailboxes nobody signs in to: the app authenticates as itself, with
+ * its client secret or a certificate (a signed client assertion JWT), and gets a
+ * token for the application permissions granted to it. App tokens cannot use
+ * `/me`, so every request goes to the configured mailbox (see utils/mailbox.js).
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const { toBase64Url } = require('../utils/base64url');
+
+/**
+ * Scope requested with the client credentials grant: all granted application permissions
+ */
+const APP_ONLY_SCOPE = 'https://graph.microsoft.com/.default';
+
+/**
+ * client_assertion_type for certificate credentials
+ */
+const JWT_BEARER_ASSERTION = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+/**
+ * Lifetime of a client assertion, in seconds
+ */
+const ASSERTION_LIFETIME_SECONDS = 10 * 60;
+
+/**
+ * Tenants that cannot issue app-only tokens
+ */
+const MULTI_TENANT_AUTHORITIES = ['common', 'organizations', 'consumers'];
+
+/**
+ * Whether the server runs in app-only mode
+ * @param {object} authConfig - Authentication configuration (config.AUTH_CONFIG)
+ * @returns {boolean} - True for MS_AUTH_MODE=app_only
+ */
+function isAppOnly(authConfig) {
+  return authConfig.mode === 'app_only';
+}
+
+/**
+ * Checks that app-only mode has everything it needs
+ * @param {object} authConfig - Authentication configuration (config.AUTH_CONFIG)
+ * @returns {string|null} - What is missing, or null if the configuration is complete
+ */
+function getAppOnlyConfigError(authConfig) {
+  if (!authConfig.clientId) {
+    return 'App-only mode requires MS_CLIENT_ID.';
+  }
+  if (!authConfig.appMailbox) {
+    return 'App-only mode requires MS_APP_MAILBOX, the mailbox the server works on.';
+  }
+  if (MULTI_TENANT_AUTHORITIES.includes(String(authConfig.tenantId).toLowerCase())) {
+    return 'App-only mode requires MS_TENANT_ID set to your directory (tenant) ID.';
+  }
+  if (!authConfig.clientSecret && !authConfig.clientCertificatePath) {
+    return 'App-only mode requires MS_CLIENT_SECRET or MS_CLIENT_CERTIFICATE_PATH.';
+  }
+  return null;
+}
+
+/**
+ * Reads the private key and thumbprint of the app's certificate
+ * @param {string} certificatePath - PEM file with the private key, and the certificate
+ *   unless a thumbprint is given
+ * @param {string} [thumbprint] - SHA-1 thumbprint as shown in Azure Portal (hex)
+ * @returns {{privateKey: crypto.KeyObject, thumbprint: Buffer}} - Signing key and thumbprint
+ * @throws {Error} - If the file has no private key, or no certificate and no thumbprint was given
+ */
+function loadClientCertificate(certificatePath, thumbprint) {
+  const pem = fs.readFileSync(certificatePath, 'utf8');
+
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey(pem);
+  } catch (error) {
+    throw new Error(`No private key found in ${certificatePath}: ${error.message}`);
+  }
+
+  if (thumbprint) {
+    return { privateKey, thumbprint: Buffer.from(thumbprint.replace(/[^0-9a-f]/gi, ''), 'hex') };
+  }
+
+  // The thumbprint is the SHA-1 hash of the DER-encoded certificate
+  const certificate = /-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/.exec(pem);
+  if (!certificate) {
+    throw new Error(`No certificate found in ${certificatePath}. Include it in the file or set MS_CLIENT_CERTIFICATE_THUMBPRINT.`);
+  }
+  const der = Buffer.from(certificate[1].replace(/\s+/g, ''), 'base64');
+  return { privateKey, thumbprint: crypto.createHash('sha1').update(der).digest() };
+}
+
+/**
+ * Creates a client assertion: a JWT signed with the app's certificate
+ * @param {object} options - Assertion options
+ * @param {string} options.clientId - Application (client) ID
+ * @param {string} options.tokenEndpoint - Token endpoint the assertion is for
+ * @param {{privateKey: crypto.KeyObject, thumbprint: Buffer}} options.certificate - See loadClientCertificate
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {string} - Signed JWT
+ */
+function createClientAssertion({ clientId, tokenEndpoint, certificate, now = Date.now() }) {
+  const issuedAt = Math.floor(now / 1000);
+  const header = { alg: 'RS256', typ: 'JWT', x5t: toBase64Url(certificate.thumbprint) };
+  const payload = {
+    aud: tokenEndpoint,
+    iss: clientId,
+    sub: clientId,
+    jti: crypto.randomBytes(16).toString('hex'),
+    nbf: issuedAt,
+    iat: issuedAt,
+    exp: issuedAt + ASSERTION_LIFETIME_SECONDS
+  };
+
+  const unsigned = `${toBase64Url(JSON.stringify(header))}.${toBase64Url(JSON.stringify(payload))}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), certificate.privateKey);
+  return `${unsigned}.${toBase64Url(signature)}`;
+}
+
+/**
+ * Builds the token request for the client credentials grant. A configured
+ * certificate takes precedence over the client secret.
+ * @param {object} options - TokenStorage configuration
+ * @param {string} options.clientId - Application (client) ID
+ * @param {string} [options.clientSecret] - Client secret
+ * @param {string} [options.clientCertificatePath] - PEM file (see loadClientCertificate)
+ * @param {string} [options.clientCertificateThumbprint] - Certificate thumbprint (hex)
+ * @param {string} options.tokenEndpoint - Token endpoint
+ * @returns {object} - Form fields for the token endpoint
+ */
+function getClientCredentialsParams({ clientId, clientSecret, clientCertificatePath, clientCertificateThumbprint, tokenEndpoint }) {
+  const params = {
+    grant_type: 'client_credentials',
+    client_id: clientId,
+    scope: APP_ONLY_SCOPE
+  };
+
+  if (clientCertificatePath) {
+    const certificate = loadClientCertificate(clientCertificatePath, clientCertificateThumbprint);
+    params.client_assertion_type = JWT_BEARER_ASSERTION;
+    params.client_assertion = createClientAssertion({ clientId, tokenEndpoint, certificate });
+  } else {
+    params.client_secret = clientSecret;
+  }
+
+  return params;
+}
+
+module.exports = {
+  APP_ONLY_SCOPE,
+  isAppOnly,
+  getAppOnlyConfigError,
+  loadClientCertificate,
+  createClientAssertion,
+  getClientCredentialsParams
+};
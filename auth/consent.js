@@ -0,0 +1,114 @@
+/**
+ * Incremental consent
+ *
+ * Before a mailbox tool runs, the scopes it declares (`requiredScopes` on the tool
+ * definition, or their .Shared variants for another user's mailbox) are compared
+ * with the scopes the account's token was granted. When some are missing, the call
+ * is refused with a sign-in URL asking for exactly those scopes on top of the ones
+ * already granted, instead of letting Graph fail with a 403 partway through.
+ *
+ * Nothing is checked in app-only mode (application permissions are granted by an
+ * administrator) or when the granted scopes cannot be read from the token.
+ */
+const config = require('../config');
+const { tokenService } = require('./token-service');
+const { isAppOnly } = require('./client-credentials');
+const { DEFAULT_ACCOUNT, getCurrentAccount } = require('./accounts');
+const { decodeTokenClaims, getGrantedScopes } = require('./auth-status');
+const { OIDC_SCOPES, getMissingScopes, toSharedScopes, mergeScopes } = require('./scopes');
+
+/**
+ * Returns the scopes an account's stored token was granted
+ * @param {string} name - Account name, or undefined for the current account
+ * @returns {Promise<Array<string>|null>} - Granted scopes, or null if there is no token or they are unknown
+ */
+async function getAccountScopes(name = getCurrentAccount()) {
+  const tokens = await tokenService.getStorage(name).getTokens();
+  if (!tokens || !tokens.access_token) {
+    return null;
+  }
+  return getGrantedScopes(tokens, decodeTokenClaims(tokens.access_token));
+}
+
+/**
+ * Returns the scopes a tool call needs
+ * @param {object} tool - Tool definition
+ * @param {string|undefined} mailbox - Shared or delegated mailbox the call is for
+ * @returns {Array<string>} - Required scopes
+ */
+function getToolScopes(tool, mailbox) {
+  const scopes = tool.requiredScopes || [];
+  return mailbox ? toSharedScopes(scopes) : scopes;
+}
+
+/**
+ * Lists the scopes a tool call needs that the account has not granted
+ * @param {object} tool - Tool definition
+ * @param {object} options - Call context
+ * @param {string} options.account - Account name, or undefined for the current account
+ * @param {string} options.mailbox - Shared or delegated mailbox, if any
+ * @returns {Promise<Array<string>>} - Missing scopes
+ */
+async function getMissingToolScopes(tool, { account, mailbox } = {}) {
+  if (!tool.requiredScopes || isAppOnly(config.AUTH_CONFIG)) {
+    return [];
+  }
+  return getMissingScopes(getToolScopes(tool, mailbox), await getAccountScopes(account));
+}
+
+/**
+ * Builds the auth server URL that starts a sign-in
+ * @param {string} account - Account name
+ * @param {object} options - Sign-in options
+ * @param {Array<string>} options.scopes - Scopes to request in addition to the configured ones
+ * @param {string} options.prompt - prompt value for the authorization endpoint (e.g. 'select_account')
+ * @returns {string} - Sign-in URL
+ */
+function getSignInUrl(account, { scopes = [], prompt } = {}) {
+  let url = `${config.AUTH_CONFIG.authServerUrl}/auth?client_id=${config.AUTH_CONFIG.clientId}`;
+  if (account !== DEFAULT_ACCOUNT) {
+    url += `&account=${encodeURIComponent(account)}`;
+  }
+  if (scopes.length > 0) {
+    url += `&scope=${encodeURIComponent(scopes.join(' '))}`;
+  }
+  if (prompt) {
+    url += `&prompt=${encodeURIComponent(prompt)}`;
+  }
+  return url;
+}
+
+/**
+ * Returns the scopes to request so that consenting to new ones keeps the ones the
+ * account already has (an access token only carries the scopes it was requested with)
+ * @param {Array<string>|null} granted - Scopes the account has granted
+ * @param {Array<string>} added - Scopes to add
+ * @returns {Array<string>} - Scopes for the sign-in, without the OpenID Connect ones
+ */
+function getIncrementalScopes(granted, added) {
+  return mergeScopes(granted || [], added).filter(scope => !OIDC_SCOPES.includes(scope.toLowerCase()));
+}
+
+/**
+ * Builds the error returned when a tool call needs scopes the account has not granted
+ * @param {string} toolName - Tool name
+ * @param {string} account - Account name
+ * @param {Array<string>} missing - Missing scopes
+ * @returns {Promise<string>} - Error message with the consent URL
+ */
+async function getConsentMessage(toolName, account, missing) {
+  const url = getSignInUrl(account, { scopes: getIncrementalScopes(await getAccountScopes(account), missing) });
+  return `${toolName} needs permissions that account '${account}' has not granted: ${missing.join(', ')}.\n\n` +
+    `To grant them, open ${url} (with the auth server running), or run 'authenticate' with scopes: ${JSON.stringify(missing)}. ` +
+    'Permissions already granted are kept. The app registration must list these delegated permissions under API permissions, ' +
+    'and permissions that need admin consent must be granted by an administrator first.';
+}
+
+module.exports = {
+  getAccountScopes,
+  getToolScopes,
+  getMissingToolScopes,
+  getSignInUrl,
+  getIncrementalScopes,
+  getConsentMessage
+};
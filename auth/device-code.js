@@ -0,0 +1,198 @@
+/**
+ * OAuth 2.0 device authorization grant (RFC 8628)
+ *
+ * For headless deployments (Docker, remote hosts) where no browser can reach a
+ * localhost callback: the user opens the verification URL on any device and enters
+ * the user code, while the server polls the token endpoint in the background and
+ * stores the tokens through TokenStorage.
+ */
+const https = require('https');
+const querystring = require('querystring');
+const { sleep } = require('../utils/graph-retry');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('device-code');
+
+/**
+ * grant_type used when polling the token endpoint
+ */
+const DEVICE_CODE_GRANT = 'urn:ietf:params:oauth:grant-type:device_code';
+
+/**
+ * Seconds added to the polling interval when the server asks us to slow down
+ */
+const SLOW_DOWN_SECONDS = 5;
+
+// The latest sign-in per account, so repeated authenticate calls return the same code
+const currentFlows = new Map();
+
+/**
+ * Posts a form to a Microsoft identity platform endpoint
+ * @param {string} url - Endpoint URL
+ * @param {object} params - Form fields
+ * @returns {Promise<{statusCode: number, body: object}>} - Parsed JSON response
+ */
+function postForm(url, params) {
+  const postData = querystring.stringify(params);
+
+  return new Promise((resolve, reject) => {
+    const req = https.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': Buffer.byteLength(postData)
+      }
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        try {
+          resolve({ statusCode: res.statusCode, body: JSON.parse(data) });
+        } catch (error) {
+          reject(new Error(`Invalid response from ${url} (status ${res.statusCode})`));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(new Error(`Network error calling ${url}: ${error.message}`));
+    });
+
+    req.write(postData);
+    req.end();
+  });
+}
+
+/**
+ * Polls the token endpoint until the user completes sign-in, the code expires or
+ * the flow is replaced, then records the outcome on the flow
+ * @param {object} flow - Device code flow
+ * @param {object} tokenStorage - TokenStorage that receives the tokens
+ * @param {object} authConfig - Authentication configuration (config.AUTH_CONFIG)
+ * @returns {Promise<void>}
+ */
+async function pollForTokens(flow, tokenStorage, authConfig) {
+  let interval = flow.interval;
+
+  while (Date.now() < flow.expiresAt) {
+    await sleep(interval * 1000);
+    if (flow !== currentFlows.get(flow.account)) {
+      return;
+    }
+
+    let response;
+    try {
+      response = await postForm(authConfig.tokenEndpoint, {
+        grant_type: DEVICE_CODE_GRANT,
+        client_id: authConfig.clientId,
+        device_code: flow.deviceCode
+      });
+    } catch (error) {
+      // Keep polling through transient network failures until the code expires
+      logger.warn('Polling for the device code sign-in failed', error);
+      continue;
+    }
+
+    const { statusCode, body } = response;
+    if (statusCode >= 200 && statusCode < 300) {
+      await tokenStorage.saveTokenResponse(body);
+      flow.status = 'authenticated';
+      logger.info('Sign-in completed, tokens saved', { account: flow.account });
+      return;
+    }
+
+    if (body.error === 'authorization_pending') {
+      continue;
+    }
+    if (body.error === 'slow_down') {
+      interval += SLOW_DOWN_SECONDS;
+      continue;
+    }
+
+    // authorization_declined, expired_token, bad_verification_code and anything unexpected
+    flow.status = 'failed';
+    flow.error = body.error_description || body.error || `Token request failed with status ${statusCode}`;
+    logger.error(`Sign-in failed: ${flow.error}`, { account: flow.account });
+    return;
+  }
+
+  flow.status = 'failed';
+  flow.error = 'The device code expired before sign-in was completed.';
+}
+
+/**
+ * Starts a device code sign-in, or returns the one still waiting for the user
+ * @param {object} options - Flow options
+ * @param {object} options.tokenStorage - TokenStorage that receives the tokens
+ * @param {object} options.authConfig - Authentication configuration (config.AUTH_CONFIG)
+ * @param {boolean} options.force - Start a new sign-in even if one is pending
+ * @param {string} options.account - Account profile the sign-in is for
+ * @returns {Promise<object>} - Flow ({ account, userCode, verificationUri, message, expiresAt, status, error, done })
+ * @throws {Error} - If the device authorization request is rejected
+ */
+async function startDeviceCodeFlow({ tokenStorage, authConfig, force = false, account = 'default' }) {
+  const currentFlow = currentFlows.get(account);
+  if (!force && currentFlow && currentFlow.status === 'pending' && Date.now() < currentFlow.expiresAt) {
+    return currentFlow;
+  }
+
+  if (!authConfig.clientId) {
+    throw new Error('Client ID is not configured. Set MS_CLIENT_ID.');
+  }
+
+  const { statusCode, body } = await postForm(authConfig.deviceCodeEndpoint, {
+    client_id: authConfig.clientId,
+    scope: authConfig.scopes.join(' ')
+  });
+
+  if (statusCode < 200 || statusCode >= 300) {
+    throw new Error(body.error_description || body.error || `Device authorization failed with status ${statusCode}`);
+  }
+
+  const flow = {
+    account,
+    deviceCode: body.device_code,
+    userCode: body.user_code,
+    verificationUri: body.verification_uri,
+    message: body.message,
+    interval: Number(body.interval) || 5,
+    expiresAt: Date.now() + Number(body.expires_in) * 1000,
+    status: 'pending',
+    error: null
+  };
+  currentFlows.set(account, flow);
+
+  flow.done = pollForTokens(flow, tokenStorage, authConfig).catch(error => {
+    flow.status = 'failed';
+    flow.error = error.message;
+    logger.error('Sign-in failed', error);
+  });
+
+  return flow;
+}
+
+/**
+ * Returns the most recent device code sign-in for an account, if any
+ * @param {string} account - Account profile
+ * @returns {object|null} - Flow (see startDeviceCodeFlow)
+ */
+function getDeviceCodeFlow(account = 'default') {
+  return currentFlows.get(account) || null;
+}
+
+/**
+ * Abandons an account's device code sign-in; its polling stops at the next interval
+ * @param {string} account - Account profile
+ * @returns {boolean} - Whether a sign-in was still pending
+ */
+function cancelDeviceCodeFlow(account = 'default') {
+  const flow = currentFlows.get(account);
+  currentFlows.delete(account);
+  return Boolean(flow && flow.status === 'pending' && Date.now() < flow.expiresAt);
+}
+
+module.exports = {
+  startDeviceCodeFlow,
+  getDeviceCodeFlow,
+  cancelDeviceCodeFlow
+};
@@ -1,11 +1,18 @@
 /**
  * Authentication module for Outlook MCP server
  */
-const tokenManager = require('./token-manager');
 const { authTools } = require('./tools');
+const config = require('../config');
+const { tokenService } = require('./token-service');
+const { isAppOnly, getAppOnlyConfigError } = require('./client-credentials');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('auth');
 
 /**
- * Ensures the user is authenticated and returns an access token
+ * Ensures the user is authenticated and returns an access token for the account
+ * the current tool call runs as (see auth/accounts.js). In app-only mode the token
+ * is the app's own, requested with the client credentials grant when needed.
  * @param {boolean} forceNew - Whether to force a new authentication
  * @returns {Promise<string>} - Access token
  * @throws {Error} - If authentication fails
@@ -16,33 +23,26 @@ async function ensureAuthenticated(forceNew = false) {
     throw new Error('Authentication required');
   }
   
-  // Use the TokenStorage system that supports automatic refresh
-  const TokenStorage = require('./token-storage');
-  const config = require('../config');
-  
-  const tokenStorage = new TokenStorage({
-    tokenStorePath: config.AUTH_CONFIG.tokenStorePath,
-    clientId: config.AUTH_CONFIG.clientId,
-    clientSecret: config.AUTH_CONFIG.clientSecret,
-    tokenEndpoint: 'https://login.microsoftonline.com/common/oauth2/v2.0/token',
-    scopes: config.AUTH_CONFIG.scopes,
-    redirectUri: config.AUTH_CONFIG.redirectUri,
-  });
+  if (isAppOnly(config.AUTH_CONFIG)) {
+    const configError = getAppOnlyConfigError(config.AUTH_CONFIG);
+    if (configError) {
+      throw new Error(configError);
+    }
+  }
   
-  console.log('[AUTH] ensureAuthenticated() called - using TokenStorage system');
-  const accessToken = await tokenStorage.getValidAccessToken();
+  // The shared token service refreshes expired tokens for the current account
+  const accessToken = await tokenService.getAccessToken();
   
   if (!accessToken) {
-    console.log('[AUTH] No valid access token available from TokenStorage');
+    logger.warn('No valid access token available from the token service');
     throw new Error('Authentication required');
   }
   
-  console.log('[AUTH] Valid access token obtained from TokenStorage');
   return accessToken;
 }
 
 module.exports = {
-  tokenManager,
+  tokenService,
   authTools,
   ensureAuthenticated
 };
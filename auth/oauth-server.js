@@ -2,8 +2,18 @@ const express = require('express');
 const querystring = require('querystring');
 const https = require('https');
 const fs = require('fs');
-const crypto = require('crypto'); // Added for generating random string
 const TokenStorage = require('./token-storage'); // Assuming TokenStorage is in the same directory
+const { createPkcePair } = require('./pkce');
+const { OAuthStateStore } = require('./state-store');
+const { resolveAccount } = require('./accounts');
+const { tokenService } = require('./token-service');
+const { mergeScopes, parseScopes } = require('./scopes');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('oauth-server');
+
+// prompt values the /auth route passes on to the authorization endpoint
+const SIGN_IN_PROMPTS = ['login', 'select_account', 'consent'];
 
 // HTML templates
 function escapeHtml(unsafe) {
@@ -58,7 +68,9 @@ function createAuthConfig(envPrefix = 'MS_') {
     redirectUri: process.env[`${envPrefix}REDIRECT_URI`] || 'http://localhost:3333/auth/callback',
     scopes: (process.env[`${envPrefix}SCOPES`] || 'offline_access User.Read Mail.Read').split(' '),
     tokenEndpoint: process.env[`${envPrefix}TOKEN_ENDPOINT`] || 'https://login.microsoftonline.com/common/oauth2/v2.0/token',
-    authEndpoint: process.env[`${envPrefix}AUTH_ENDPOINT`] || 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize'
+    authEndpoint: process.env[`${envPrefix}AUTH_ENDPOINT`] || 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize',
+    // Optional file for pending OAuth states; in-memory when unset
+    stateStorePath: process.env[`${envPrefix}OAUTH_STATE_PATH`] || null
   };
 }
 
@@ -68,33 +80,51 @@ function setupOAuthRoutes(app, tokenStorage, authConfig, envPrefix = 'MS_') {
   }
 
   if (!(tokenStorage instanceof TokenStorage)) {
-    console.error("Error: tokenStorage is not an instance of TokenStorage. OAuth routes will not function correctly.");
+    logger.error("tokenStorage is not an instance of TokenStorage. OAuth routes will not function correctly.");
     // Optionally, you could throw an error here or disable the routes
     // throw new Error("Invalid tokenStorage provided to setupOAuthRoutes");
   }
 
+  // Pending sign-ins by state, with the PKCE code verifier each one was started with
+  const stateStore = authConfig.stateStore || new OAuthStateStore({ filePath: authConfig.stateStorePath });
 
   app.get('/auth', (req, res) => {
     if (!authConfig.clientId) {
       return res.status(500).send(templates.authError('Configuration Error', 'Client ID is not configured.'));
     }
-    const state = crypto.randomBytes(16).toString('hex'); // Generate a random 16-byte string
-    // Store state in session or similar mechanism if available.
-    // For a server without sessions, this state would need to be passed through and verified differently,
-    // or a temporary server-side storage (like a short-lived cache) would be needed.
-    // For this example, we'll assume session middleware is configured elsewhere if this were a full app.
-    // If using express-session: req.session.oauthState = state;
-    // Since this is a module, actual session handling is outside its direct scope,
-    // but it's crucial for the consuming application to handle state verification.
+    // A sign-in for a named account profile stores its tokens in that account's TokenStorage
+    const { account } = req.query;
+    if (account) {
+      try {
+        resolveAccount(account);
+      } catch (accountError) {
+        return res.status(400).send(templates.authError('Unknown Account', accountError.message));
+      }
+    }
+
+    // Incremental consent: scopes requested on top of the configured ones
+    let scopes;
+    try {
+      scopes = mergeScopes(authConfig.scopes, parseScopes(req.query.scope));
+    } catch (scopeError) {
+      return res.status(400).send(templates.authError('Invalid Scope', scopeError.message));
+    }
+
+    const { codeVerifier, codeChallenge, codeChallengeMethod } = createPkcePair();
+    const state = stateStore.create({ codeVerifier, account, scopes });
 
     const authorizationUrl = `${authConfig.authEndpoint}?` +
       querystring.stringify({
         client_id: authConfig.clientId,
         response_type: 'code',
         redirect_uri: authConfig.redirectUri,
-        scope: authConfig.scopes.join(' '),
+        scope: scopes.join(' '),
         response_mode: 'query',
-        state: state
+        state: state,
+        code_challenge: codeChallenge,
+        code_challenge_method: codeChallengeMethod,
+        // Lets a forced re-authentication show the account picker or sign-in page
+        ...(SIGN_IN_PROMPTS.includes(req.query.prompt) ? { prompt: req.query.prompt } : {})
       });
     res.redirect(authorizationUrl);
   });
@@ -102,40 +132,13 @@ function setupOAuthRoutes(app, tokenStorage, authConfig, envPrefix = 'MS_') {
   app.get('/auth/callback', async (req, res) => {
     const { code, error, error_description, state } = req.query;
 
-    // IMPORTANT: State validation is crucial for CSRF protection.
-    // The application using this module MUST implement a way to store the 'state' generated in /auth
-    // (e.g., in a user session if using express-session, or a short-lived cache)
-    // and then verify it here against the 'state' received from the OAuth provider.
-    // For example, if using express-session:
-    // const savedState = req.session.oauthState;
-    // if (!state || state !== savedState) {
-    //   console.error("OAuth callback state mismatch. Potential CSRF attack.");
-    //   return res.status(400).send(templates.authError('Invalid State', 'CSRF token mismatch. Please try authenticating again.'));
-    // }
-    // delete req.session.oauthState; // Clean up session state
-
-    // Since this module itself doesn't manage sessions, we'll log a warning if state is missing,
-    // but actual enforcement must be done by the consuming application.
-    // The Gemini review recommended uncommenting the rejection.
-    // However, the consuming app (CLI or server) is responsible for session/state storage.
-    // This module *cannot* validate state if it wasn't involved in storing it.
-    // The PR author (ranxian) needs to implement state storage & validation in the calling server (sse-server.js or outlook-auth-server.js).
-    // For now, enforcing a missing state here would break flows where state *is* passed but not validated by *this specific module*.
-    // The best this module can do is check for presence and rely on the consumer to validate the actual value.
-    // The original PR #10's outlook-auth-server.js used Date.now() and didn't store/validate it beyond this.
-    // The new sse-server.js also doesn't show session management for state.
-    // So, we will make the check for presence mandatory as per Gemini's suggestion.
     if (!state) {
-        console.error("OAuth callback received without a 'state' parameter. Rejecting request to prevent potential CSRF attack.");
+        logger.warn("OAuth callback received without a 'state' parameter. Rejecting request to prevent potential CSRF attack.");
         return res.status(400).send(templates.authError('Missing State Parameter', 'The state parameter was missing from the OAuth callback. This is a security risk. Please try authenticating again.'));
     }
-    // Further validation of the state's VALUE (e.g., req.session.oauthState === state) is the responsibility
-    // of the application integrating this module, as session management is outside this module's scope.
-    // if (req.session && req.session.oauthState !== state) {
-    //    return res.status(400).send(templates.authError('Invalid State Parameter', 'CSRF detected. State mismatch.'));
-    // }
-    // if (req.session) delete req.session.oauthState;
 
+    // States are single-use: the sign-in ends here whether or not it succeeded
+    const loginAttempt = stateStore.consume(state);
 
     if (error) {
       return res.status(400).send(templates.authError(error, error_description));
@@ -145,11 +148,18 @@ function setupOAuthRoutes(app, tokenStorage, authConfig, envPrefix = 'MS_') {
       return res.status(400).send(templates.authError('Missing Authorization Code', 'No authorization code was provided in the callback.'));
     }
 
+    if (!loginAttempt) {
+      logger.warn('OAuth callback state is unknown, expired or already used. Rejecting request to prevent a CSRF or replay attack.');
+      return res.status(400).send(templates.authError('Invalid State Parameter', 'This sign-in link is unknown, has expired or was already used. Please try authenticating again.'));
+    }
+    const { codeVerifier, account, scopes } = loginAttempt;
+    const accountTokenStorage = account ? tokenService.getStorage(account) : tokenStorage;
+
     try {
-      await tokenStorage.exchangeCodeForTokens(code);
+      await accountTokenStorage.exchangeCodeForTokens(code, codeVerifier, scopes);
       res.send(templates.authSuccess);
     } catch (exchangeError) {
-      console.error('Token exchange error:', exchangeError);
+      logger.error('Token exchange failed', exchangeError);
       res.status(500).send(templates.tokenExchangeError(exchangeError));
     }
   });
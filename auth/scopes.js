@@ -0,0 +1,122 @@
+/**
+ * Delegated permission scopes
+ *
+ * Each mailbox tool declares the Graph scopes it needs (`requiredScopes` on the tool
+ * definition). These helpers compare scope lists the way the identity platform does:
+ * case-insensitively, with or without the Graph resource prefix, and with a
+ * ReadWrite scope covering its Read counterpart.
+ */
+
+/**
+ * OpenID Connect scopes; they are granted with the sign-in but never appear in the
+ * access token's scp claim
+ */
+const OIDC_SCOPES = ['offline_access', 'openid', 'profile', 'email'];
+
+/**
+ * Prefix of fully qualified Graph scopes
+ */
+const GRAPH_RESOURCE = 'https://graph.microsoft.com/';
+
+/**
+ * Scope names accepted from tool arguments and auth server URLs
+ */
+const SCOPE_PATTERN = /^(https:\/\/graph\.microsoft\.com\/)?[A-Za-z][A-Za-z0-9._-]*$/;
+
+/**
+ * Scopes that also grant what another scope does, by normalized scope
+ */
+const IMPLIED_BY = {
+  'mail.read': ['mail.readwrite'],
+  'mail.read.shared': ['mail.readwrite.shared'],
+  'calendars.read': ['calendars.readwrite'],
+  'calendars.read.shared': ['calendars.readwrite.shared'],
+  'mailboxsettings.read': ['mailboxsettings.readwrite']
+};
+
+/**
+ * Normalizes a scope for comparison: case-insensitive, without the Graph resource prefix
+ * @param {string} scope - Scope
+ * @returns {string} - Normalized scope
+ */
+function normalizeScope(scope) {
+  const lower = scope.toLowerCase();
+  return lower.startsWith(GRAPH_RESOURCE) ? lower.slice(GRAPH_RESOURCE.length) : lower;
+}
+
+/**
+ * Lists the scopes in `required` that `granted` does not cover. OpenID Connect
+ * scopes are ignored because access tokens never list them.
+ * @param {Array<string>} required - Scopes needed
+ * @param {Array<string>|null} granted - Granted scopes
+ * @returns {Array<string>} - Missing scopes; empty when the granted scopes are unknown
+ */
+function getMissingScopes(required, granted) {
+  if (!granted) {
+    return [];
+  }
+  const grantedSet = new Set(granted.map(normalizeScope));
+  return required.filter(scope => {
+    const normalized = normalizeScope(scope);
+    return !OIDC_SCOPES.includes(normalized) &&
+      !grantedSet.has(normalized) &&
+      !(IMPLIED_BY[normalized] || []).some(implied => grantedSet.has(implied));
+  });
+}
+
+/**
+ * Returns the scopes needed to do the same on another user's mailbox: the .Shared
+ * variants of the Mail and Calendars scopes
+ * @param {Array<string>} scopes - Scopes for the signed-in user's own mailbox
+ * @returns {Array<string>} - Scopes for a shared or delegated mailbox
+ */
+function toSharedScopes(scopes) {
+  return scopes.map(scope => /^(Mail|Calendars)\.[A-Za-z]+$/i.test(scope) ? `${scope}.Shared` : scope);
+}
+
+/**
+ * Combines scope lists, keeping the first spelling of each scope
+ * @param {...Array<string>} lists - Scope lists
+ * @returns {Array<string>} - Combined scopes
+ */
+function mergeScopes(...lists) {
+  const seen = new Set();
+  const merged = [];
+  for (const scope of lists.flat()) {
+    const normalized = normalizeScope(scope);
+    if (!seen.has(normalized)) {
+      seen.add(normalized);
+      merged.push(scope);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Parses a list of scopes from a tool argument or query string
+ * @param {string|Array<string>|undefined} value - Space or comma separated scopes, or an array
+ * @returns {Array<string>} - Scopes
+ * @throws {Error} - If a value is not a valid scope name
+ */
+function parseScopes(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const scopes = (Array.isArray(value) ? value : String(value).split(/[\s,]+/))
+    .map(scope => String(scope).trim())
+    .filter(Boolean);
+  const invalid = scopes.find(scope => !SCOPE_PATTERN.test(scope));
+  if (invalid !== undefined) {
+    throw new Error(`Invalid scope "${invalid}". Use Graph permission names such as Mail.Send.`);
+  }
+  return mergeScopes(scopes);
+}
+
+module.exports = {
+  OIDC_SCOPES,
+  normalizeScope,
+  getMissingScopes,
+  toSharedScopes,
+  mergeScopes,
+  parseScopes
+};
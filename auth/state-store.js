@@ -0,0 +1,113 @@
+/**
+ * Short-lived store for OAuth `state` values
+ *
+ * Each sign-in started at /auth gets a random state bound to that login attempt
+ * (and its PKCE code verifier). The callback consumes the state exactly once, so
+ * forged, expired and replayed callbacks are rejected. The store is in-memory by
+ * default; with a file path it survives auth server restarts and can be shared by
+ * processes on the same host.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('oauth-state');
+
+/**
+ * How long a sign-in may take between /auth and the callback
+ */
+const DEFAULT_STATE_TTL_MS = 10 * 60 * 1000;
+
+class OAuthStateStore {
+  /**
+   * @param {object} options - Store options
+   * @param {number} options.ttlMs - Lifetime of a state value in milliseconds
+   * @param {string} options.filePath - Optional JSON file to persist pending states in
+   */
+  constructor({ ttlMs = DEFAULT_STATE_TTL_MS, filePath = null } = {}) {
+    this.ttlMs = ttlMs;
+    this.filePath = filePath;
+    this.entries = new Map();
+  }
+
+  /**
+   * Issues a new state for a login attempt
+   * @param {object} data - Values the callback needs (e.g. { codeVerifier })
+   * @returns {string} - State value to send with the authorization request
+   */
+  create(data = {}) {
+    const state = crypto.randomBytes(16).toString('hex');
+    const entries = this._load();
+    entries.set(state, { data, expiresAt: Date.now() + this.ttlMs });
+    this._save(entries);
+    return state;
+  }
+
+  /**
+   * Validates and removes a state; each state can be consumed once
+   * @param {string} state - State value received in the callback
+   * @returns {object|null} - Data stored with the state, or null if it is unknown, expired or already used
+   */
+  consume(state) {
+    if (typeof state !== 'string' || !state) {
+      return null;
+    }
+    const entries = this._load();
+    const entry = entries.get(state);
+    if (!entry) {
+      return null;
+    }
+    entries.delete(state);
+    this._save(entries);
+    return entry.expiresAt > Date.now() ? entry.data : null;
+  }
+
+  /**
+   * Returns the pending states with expired ones dropped, reading the file when file-backed
+   * @returns {Map<string, object>} - Pending states
+   */
+  _load() {
+    if (this.filePath) {
+      this.entries = new Map();
+      try {
+        const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        for (const [state, entry] of Object.entries(stored)) {
+          this.entries.set(state, entry);
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn(`Ignoring unreadable state file ${this.filePath}: ${error.message}`);
+        }
+      }
+    }
+
+    const now = Date.now();
+    for (const [state, entry] of this.entries) {
+      if (!entry || entry.expiresAt <= now) {
+        this.entries.delete(state);
+      }
+    }
+    return this.entries;
+  }
+
+  /**
+   * Persists the pending states when file-backed; the file is replaced atomically
+   * and readable only by the owner, since states carry PKCE verifiers
+   * @param {Map<string, object>} entries - Pending states
+   */
+  _save(entries) {
+    if (!this.filePath) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(entries)), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = {
+  OAuthStateStore,
+  DEFAULT_STATE_TTL_MS
+};
@@ -0,0 +1,218 @@
+/**
+ * Token file format and I/O
+ *
+ * When an encryption key is configured (OUTLOOK_TOKEN_KEY, or OUTLOOK_TOKEN_KEY_FILE
+ * pointing at a file that holds it), tokens are stored as an AES-256-GCM envelope;
+ * otherwise as plain JSON. Plaintext files written by earlier versions are still
+ * read, and are re-written encrypted as soon as a key is available. Files are
+ * replaced atomically and are readable only by their owner.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('token-file');
+
+/**
+ * Identifies an encrypted token file
+ */
+const FORMAT = 'outlook-mcp-tokens';
+const FORMAT_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+/**
+ * Permissions for token files (owner read/write only)
+ */
+const FILE_MODE = 0o600;
+
+/**
+ * Returns the token encryption key, if one is configured
+ * @returns {Buffer|null} - 32-byte key, or null to store tokens unencrypted
+ * @throws {Error} - If the configured key is not 32 bytes of base64 or hex
+ */
+function getTokenEncryptionKey() {
+  let material = process.env.OUTLOOK_TOKEN_KEY;
+  if (!material && process.env.OUTLOOK_TOKEN_KEY_FILE) {
+    material = fs.readFileSync(process.env.OUTLOOK_TOKEN_KEY_FILE, 'utf8');
+  }
+  if (!material || !material.trim()) {
+    return null;
+  }
+
+  material = material.trim();
+  const key = /^[0-9a-f]{64}$/i.test(material) ? Buffer.from(material, 'hex') : Buffer.from(material, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error('The token encryption key must be 32 bytes, base64 or hex encoded (e.g. `openssl rand -base64 32`).');
+  }
+  return key;
+}
+
+/**
+ * Checks whether parsed file contents are an encrypted envelope
+ * @param {object} contents - Parsed token file
+ * @returns {boolean} - True if encrypted
+ */
+function isEncrypted(contents) {
+  return Boolean(contents) && contents.format === FORMAT && typeof contents.ciphertext === 'string';
+}
+
+/**
+ * Serializes tokens for the token file, encrypting them when a key is configured
+ * @param {object} tokens - Tokens to store
+ * @returns {string} - File contents
+ */
+function serializeTokens(tokens) {
+  const key = getTokenEncryptionKey();
+  if (!key) {
+    return JSON.stringify(tokens, null, 2);
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+  return JSON.stringify({
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    algorithm: ALGORITHM,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  }, null, 2);
+}
+
+/**
+ * Parses token file contents, decrypting them if needed
+ * @param {string} text - File contents
+ * @returns {{tokens: object, encrypted: boolean}} - Tokens, and whether the file was encrypted
+ * @throws {Error} - If the file is encrypted and no key, or the wrong key, is configured
+ */
+function parseTokens(text) {
+  const contents = JSON.parse(text);
+  if (!isEncrypted(contents)) {
+    return { tokens: contents, encrypted: false };
+  }
+
+  const key = getTokenEncryptionKey();
+  if (!key) {
+    throw new Error('The token file is encrypted. Set OUTLOOK_TOKEN_KEY or OUTLOOK_TOKEN_KEY_FILE to read it.');
+  }
+  if (contents.algorithm !== ALGORITHM) {
+    throw new Error(`Unsupported token file algorithm: ${contents.algorithm}`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(contents.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(contents.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(contents.ciphertext, 'base64')), decipher.final()]);
+    return { tokens: JSON.parse(plaintext.toString('utf8')), encrypted: true };
+  } catch (error) {
+    throw new Error('The token file could not be decrypted. Check that OUTLOOK_TOKEN_KEY matches the key it was written with.');
+  }
+}
+
+/**
+ * Whether a file read as plaintext should be re-written encrypted
+ * @param {boolean} encrypted - Whether the file was encrypted
+ * @returns {boolean} - True if a key is configured and the file is plaintext
+ */
+function needsMigration(encrypted) {
+  return !encrypted && getTokenEncryptionKey() !== null;
+}
+
+/**
+ * Reads tokens from a file, encrypting a plaintext file in place when a key is configured
+ * @param {string} filePath - Token file path
+ * @returns {Promise<object>} - Tokens
+ * @throws {Error} - If the file cannot be read or decrypted (ENOENT when it does not exist)
+ */
+async function readTokenFile(filePath) {
+  const { tokens, encrypted } = parseTokens(await fs.promises.readFile(filePath, 'utf8'));
+  if (needsMigration(encrypted)) {
+    try {
+      await writeTokenFile(filePath, tokens);
+      logger.info(`Encrypted plaintext token file ${filePath}`);
+    } catch (error) {
+      logger.warn(`Could not encrypt plaintext token file: ${error.message}`);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Synchronous version of readTokenFile
+ * @param {string} filePath - Token file path
+ * @returns {object} - Tokens
+ * @throws {Error} - If the file cannot be read or decrypted (ENOENT when it does not exist)
+ */
+function readTokenFileSync(filePath) {
+  const { tokens, encrypted } = parseTokens(fs.readFileSync(filePath, 'utf8'));
+  if (needsMigration(encrypted)) {
+    try {
+      writeTokenFileSync(filePath, tokens);
+      logger.info(`Encrypted plaintext token file ${filePath}`);
+    } catch (error) {
+      logger.warn(`Could not encrypt plaintext token file: ${error.message}`);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Returns a new temporary file name next to a token file. The random suffix keeps
+ * concurrent writes apart, and the file is created with 'wx' so it never reuses an
+ * existing file's permissions.
+ * @param {string} filePath - Token file path
+ * @returns {string} - Temporary file path
+ */
+function getTempPath(filePath) {
+  return `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+}
+
+/**
+ * Writes tokens to a file atomically (temporary file, then rename) with 0600 permissions
+ * @param {string} filePath - Token file path
+ * @param {object} tokens - Tokens to store
+ * @returns {Promise<void>}
+ */
+async function writeTokenFile(filePath, tokens) {
+  const tempPath = getTempPath(filePath);
+  try {
+    await fs.promises.writeFile(tempPath, serializeTokens(tokens), { mode: FILE_MODE, flag: 'wx' });
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Synchronous version of writeTokenFile
+ * @param {string} filePath - Token file path
+ * @param {object} tokens - Tokens to store
+ */
+function writeTokenFileSync(filePath, tokens) {
+  const tempPath = getTempPath(filePath);
+  try {
+    fs.writeFileSync(tempPath, serializeTokens(tokens), { mode: FILE_MODE, flag: 'wx' });
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    try {
+      fs.unlinkSync(tempPath);
+    } catch (cleanupError) {
+      // The temporary file was never created: the original error is what matters
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  getTokenEncryptionKey,
+  serializeTokens,
+  parseTokens,
+  readTokenFile,
+  readTokenFileSync,
+  writeTokenFile,
+  writeTokenFileSync
+};
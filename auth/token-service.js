@@ -0,0 +1,209 @@
+/**
+ * Process-wide token service
+ *
+ * The one place tokens are read, refreshed and stored. It keeps a single
+ * TokenStorage per token file, so every caller (ensureAuthenticated, the 401 retry
+ * in callGraphAPI, the auth tools and the auth servers) sees the same cache and
+ * shares the same in-flight refresh. A token file rewritten by another process,
+ * such as the standalone auth server, is re-read on next use.
+ *
+ * Events:
+ * - 'change' ({ account, reason, tokens }) whenever an account's tokens are saved
+ *   ('saved'), refreshed ('refreshed') or removed ('cleared'); tokens is null when cleared
+ */
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const config = require('../config');
+const TokenStorage = require('./token-storage');
+const { isAppOnly, APP_ONLY_SCOPE } = require('./client-credentials');
+const { resolveAccount, getCurrentAccount } = require('./accounts');
+
+/**
+ * Shared token cache and refresh path for every account
+ */
+class TokenService extends EventEmitter {
+  constructor() {
+    super();
+    // TokenStorage and token file modification time, by token file path
+    this.entries = new Map();
+  }
+
+  /**
+   * Returns the TokenStorage for an account, creating it on first use. In app-only
+   * mode there is a single app token, whatever the account.
+   * @param {string} name - Account name, or undefined for the current account
+   * @returns {TokenStorage} - The account's shared token storage
+   * @throws {Error} - If no account has that name
+   */
+  getStorage(name = getCurrentAccount()) {
+    const appOnly = isAppOnly(config.AUTH_CONFIG);
+    const account = appOnly ? { name: resolveAccount(name).name, tokenStorePath: config.AUTH_CONFIG.appTokenStorePath } : resolveAccount(name);
+
+    let entry = this.entries.get(account.tokenStorePath);
+    if (!entry) {
+      entry = { storage: this._createStorage(account.tokenStorePath, appOnly), mtimeMs: null };
+      entry.storage.on('change', ({ reason, tokens }) => {
+        entry.mtimeMs = this._getModifiedTime(account.tokenStorePath);
+        this.emit('change', { account: account.name, reason, tokens });
+      });
+      this.entries.set(account.tokenStorePath, entry);
+    }
+
+    // Drop the cached tokens when another process has rewritten the file (but not
+    // in the middle of a refresh, which is about to rewrite it again)
+    const mtimeMs = this._getModifiedTime(account.tokenStorePath);
+    if (entry.mtimeMs !== mtimeMs && !entry.storage._refreshPromise) {
+      entry.mtimeMs = mtimeMs;
+      entry.storage.tokens = null;
+    }
+
+    return entry.storage;
+  }
+
+  /**
+   * Returns a valid access token for an account, refreshing (or, in app-only mode,
+   * re-requesting) it when needed
+   * @param {string} name - Account name, or undefined for the current account
+   * @returns {Promise<string|null>} - Access token, or null if the account needs to sign in
+   */
+  async getAccessToken(name = getCurrentAccount()) {
+    return this.getStorage(name).getValidAccessToken();
+  }
+
+  /**
+   * Gets a new access token even though the cached one has not expired, e.g. after
+   * Graph rejected it with a 401
+   * @param {string} name - Account name, or undefined for the current account
+   * @returns {Promise<string>} - New access token
+   * @throws {Error} - If the account cannot be refreshed
+   */
+  async refreshAccessToken(name = getCurrentAccount()) {
+    const storage = this.getStorage(name);
+    await storage.getTokens();
+    if (storage.config.appOnly) {
+      return (await storage.acquireAppOnlyToken()).access_token;
+    }
+    return storage.refreshAccessToken();
+  }
+
+  /**
+   * Describes an account's tokens without contacting the identity platform
+   * @param {string} name - Account name, or undefined for the current account
+   * @returns {Promise<object>} - { account, authenticated, expired, refreshable, expiresAt }
+   */
+  async getStatus(name = getCurrentAccount()) {
+    const account = resolveAccount(name);
+    const storage = this.getStorage(account.name);
+    const tokens = await storage.getTokens();
+
+    if (!tokens || !tokens.access_token) {
+      return { account: account.name, authenticated: false, expired: false, refreshable: false, expiresAt: null };
+    }
+
+    const expired = storage.isTokenExpired();
+    const refreshable = Boolean(tokens.refresh_token) || storage.config.appOnly === true;
+    return {
+      account: account.name,
+      // An expired token still counts as signed in while it can be refreshed
+      authenticated: !expired || refreshable,
+      expired,
+      refreshable,
+      expiresAt: tokens.expires_at ? new Date(tokens.expires_at).toISOString() : null
+    };
+  }
+
+  /**
+   * Stores a token endpoint response for an account
+   * @param {string} name - Account name, or undefined for the current account
+   * @param {object} responseBody - Token response ({ access_token, refresh_token, expires_in, ... })
+   * @returns {Promise<object>} - The stored tokens
+   */
+  async saveTokenResponse(name, responseBody) {
+    return this.getStorage(name).saveTokenResponse(responseBody);
+  }
+
+  /**
+   * Removes an account's tokens from the cache and the token file
+   * @param {string} name - Account name, or undefined for the current account
+   * @returns {Promise<void>}
+   */
+  async clearTokens(name = getCurrentAccount()) {
+    return this.getStorage(name).clearTokens();
+  }
+
+  /**
+   * Stores simulated tokens for test mode
+   * @param {string} name - Account name, or undefined for the current account
+   * @param {Array<string>} scopes - Scopes the test tokens are granted
+   * @returns {Promise<object>} - The test tokens
+   */
+  async createTestTokens(name = getCurrentAccount(), scopes = config.AUTH_CONFIG.scopes) {
+    return this.saveTokenResponse(name, {
+      access_token: `test_access_token_${Date.now()}`,
+      refresh_token: `test_refresh_token_${Date.now()}`,
+      expires_in: 3600,
+      scope: scopes.join(' ')
+    });
+  }
+
+  /**
+   * Forgets every cached TokenStorage, e.g. after the configuration changed
+   */
+  reset() {
+    for (const { storage } of this.entries.values()) {
+      storage.removeAllListeners('change');
+    }
+    this.entries.clear();
+  }
+
+  /**
+   * Creates the TokenStorage for a token file from the current configuration
+   * @param {string} tokenStorePath - Token file
+   * @param {boolean} appOnly - Whether the storage holds the app-only token
+   * @returns {TokenStorage} - New token storage
+   */
+  _createStorage(tokenStorePath, appOnly) {
+    if (appOnly) {
+      return new TokenStorage({
+        appOnly: true,
+        tokenStorePath,
+        clientId: config.AUTH_CONFIG.clientId,
+        clientSecret: config.AUTH_CONFIG.clientSecret,
+        clientCertificatePath: config.AUTH_CONFIG.clientCertificatePath,
+        clientCertificateThumbprint: config.AUTH_CONFIG.clientCertificateThumbprint,
+        tokenEndpoint: config.AUTH_CONFIG.tokenEndpoint,
+        scopes: [APP_ONLY_SCOPE]
+      });
+    }
+
+    return new TokenStorage({
+      tokenStorePath,
+      clientId: config.AUTH_CONFIG.clientId,
+      clientSecret: config.AUTH_CONFIG.clientSecret,
+      tokenEndpoint: config.AUTH_CONFIG.tokenEndpoint,
+      scopes: config.AUTH_CONFIG.scopes,
+      redirectUri: config.AUTH_CONFIG.redirectUri
+    });
+  }
+
+  /**
+   * Returns a token file's modification time
+   * @param {string} tokenStorePath - Token file
+   * @returns {number|null} - Modification time in milliseconds, or null if there is no file
+   */
+  _getModifiedTime(tokenStorePath) {
+    try {
+      return fs.statSync(tokenStorePath).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// The process-wide instance
+const tokenService = new TokenService();
+
+module.exports = {
+  TokenService,
+  tokenService
+};
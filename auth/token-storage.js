@@ -2,9 +2,22 @@ const fs = require('fs').promises;
 const path = require('path');
 const https = require('https');
 const querystring = require('querystring');
+const { EventEmitter } = require('events');
+const { readTokenFile, writeTokenFile } = require('./token-file');
+const { getClientCredentialsParams } = require('./client-credentials');
+const { mergeScopes } = require('./scopes');
+const { createLogger } = require('../utils/logger');
 
-class TokenStorage {
+const logger = createLogger('token-storage');
+
+/**
+ * Token cache for one token file, with refresh. Emits 'change' ({ reason, tokens })
+ * when tokens are saved ('saved'), refreshed ('refreshed') or cleared ('cleared').
+ * Use the shared instances from auth/token-service.js rather than creating one.
+ */
+class TokenStorage extends EventEmitter {
   constructor(config) {
+    super();
     this.config = {
       // tokenStorePath: path.join(process.env.HOME || process.env.USERPROFILE, '.outlook-mcp-tokens.json'),
       tokenStorePath: process.env.OUTLOOK_TOKEN_PATH || path.join(process.env.HOME || process.env.USERPROFILE, '.outlook-mcp-tokens.json'),
@@ -20,39 +33,40 @@ class TokenStorage {
     this._loadPromise = null;
     this._refreshPromise = null;
   
-    if (!this.config.clientId || !this.config.clientSecret) {
-      console.warn("TokenStorage: MS_CLIENT_ID or MS_CLIENT_SECRET is not configured. Token operations might fail.");
+    // The client secret is optional: without one, TokenStorage acts as a public client (PKCE)
+    if (!this.config.clientId) {
+      logger.warn("MS_CLIENT_ID is not configured. Token operations might fail.");
     }
   }
 
   async _loadTokensFromFile() {
     try {
-      const tokenData = await fs.readFile(this.config.tokenStorePath, 'utf8');
-      this.tokens = JSON.parse(tokenData);
-      console.log('Tokens loaded from file.');
+      this.tokens = await readTokenFile(this.config.tokenStorePath);
+      logger.debug('Tokens loaded from file.', { path: this.config.tokenStorePath });
       return this.tokens;
     } catch (error) {
       if (error.code === 'ENOENT') {
-        console.log('Token file not found. No tokens loaded.');
+        logger.debug('Token file not found. No tokens loaded.', { path: this.config.tokenStorePath });
       } else {
-        console.error('Error loading token cache:', error);
+        logger.error('Error loading token cache', error);
       }
       this.tokens = null;
       return null;
     }
   }
 
-  async _saveTokensToFile() {
+  async _saveTokensToFile(reason = 'saved') {
     if (!this.tokens) {
-      console.warn('No tokens to save.');
+      logger.warn('No tokens to save.');
       return false;
     }
     try {
-      await fs.writeFile(this.config.tokenStorePath, JSON.stringify(this.tokens, null, 2));
-      console.log('Tokens saved successfully.');
+      await writeTokenFile(this.config.tokenStorePath, this.tokens);
+      logger.debug('Tokens saved successfully.', { reason });
+      this.emit('change', { reason, tokens: this.tokens });
       // return true; // No longer returning boolean, will throw on error.
     } catch (error) {
-      console.error('Error saving token cache:', error);
+      logger.error('Error saving token cache', error);
       throw error; // Propagate the error
     }
   }
@@ -82,75 +96,58 @@ class TokenStorage {
   }
 
   async getValidAccessToken() {
-    console.log('[TOKEN-STORAGE] getValidAccessToken() called');
     await this.getTokens(); // Ensure tokens are loaded
 
+    if (this.config.appOnly) {
+      return this._getAppOnlyAccessToken();
+    }
+
     if (!this.tokens || !this.tokens.access_token) {
-      console.log('[TOKEN-STORAGE] No access token available.');
       return null;
     }
 
-    console.log(`[TOKEN-STORAGE] Token check - expires_at: ${this.tokens.expires_at}, current time: ${Date.now()}, expired: ${this.isTokenExpired()}`);
-
     if (this.isTokenExpired()) {
-      console.log('[TOKEN-STORAGE] Access token expired or nearing expiration. Attempting refresh.');
+      logger.debug('Access token expired or nearing expiration. Attempting refresh.', { expiresAt: this.tokens.expires_at });
       if (this.tokens.refresh_token) {
-        console.log('[TOKEN-STORAGE] Refresh token available, calling refreshAccessToken()');
         try {
-          const result = await this.refreshAccessToken();
-          console.log('[TOKEN-STORAGE] refreshAccessToken() completed successfully');
-          return result;
+          return await this.refreshAccessToken();
         } catch (refreshError) {
-          console.error('[TOKEN-STORAGE] Failed to refresh access token:', refreshError);
-          console.error('[TOKEN-STORAGE] Refresh error details:', {
-            message: refreshError.message,
-            stack: refreshError.stack,
-            name: refreshError.name
-          });
+          logger.error('Failed to refresh access token', refreshError);
           this.tokens = null; // Invalidate tokens on refresh failure
           await this._saveTokensToFile(); // Persist invalidation
           return null;
         }
       } else {
-        console.warn('[TOKEN-STORAGE] No refresh token available. Cannot refresh access token.');
+        logger.warn('No refresh token available. Cannot refresh access token.');
         this.tokens = null; // Invalidate tokens as they are expired and cannot be refreshed
         await this._saveTokensToFile(); // Persist invalidation
         return null;
       }
     }
-    console.log('[TOKEN-STORAGE] Token is still valid, returning existing access token');
     return this.tokens.access_token;
   }
 
   async refreshAccessToken() {
-    console.log('[TOKEN-STORAGE] refreshAccessToken() called');
-    
     if (!this.tokens || !this.tokens.refresh_token) {
-      console.error('[TOKEN-STORAGE] No refresh token available');
+      logger.error('No refresh token available');
       throw new Error('No refresh token available to refresh the access token.');
     }
 
     // Prevent multiple concurrent refresh attempts
     if (this._refreshPromise) {
-        console.log("[TOKEN-STORAGE] Refresh already in progress, returning existing promise.");
+        logger.debug("Refresh already in progress, returning existing promise.");
         return this._refreshPromise.then(tokens => tokens.access_token);
     }
 
-    console.log('[TOKEN-STORAGE] Attempting to refresh access token...');
-    console.log(`[TOKEN-STORAGE] Using refresh token: ${this.tokens.refresh_token.substring(0, 20)}...`);
-    console.log(`[TOKEN-STORAGE] Token endpoint: ${this.config.tokenEndpoint}`);
-    console.log(`[TOKEN-STORAGE] Client ID: ${this.config.clientId}`);
-    console.log(`[TOKEN-STORAGE] Scopes: ${this.config.scopes.join(' ')}`);
-    
-    const postData = querystring.stringify({
-      client_id: this.config.clientId,
-      client_secret: this.config.clientSecret,
+    // Keep the scopes added through incremental consent, not just the configured ones
+    const scopes = mergeScopes(this.config.scopes, this.tokens.scope ? this.tokens.scope.split(' ').filter(Boolean) : []);
+    logger.debug('Refreshing access token', { tokenEndpoint: this.config.tokenEndpoint, clientId: this.config.clientId, scopes });
+
+    const postData = querystring.stringify(this._withClientCredentials({
       grant_type: 'refresh_token',
       refresh_token: this.tokens.refresh_token,
-      scope: this.config.scopes.join(' ')
-    });
-
-    console.log(`[TOKEN-STORAGE] Request payload length: ${postData.length} bytes`);
+      scope: scopes.join(' ')
+    }));
 
     const requestOptions = {
       method: 'POST',
@@ -161,60 +158,51 @@ class TokenStorage {
     };
 
     this._refreshPromise = new Promise((resolve, reject) => {
-        console.log('[TOKEN-STORAGE] Making HTTP request to token endpoint...');
         const req = https.request(this.config.tokenEndpoint, requestOptions, (res) => {
-            console.log(`[TOKEN-STORAGE] Token refresh response status: ${res.statusCode}`);
-            console.log(`[TOKEN-STORAGE] Response headers:`, res.headers);
-            
             let data = '';
             res.on('data', (chunk) => data += chunk);
             res.on('end', async () => {
-                console.log(`[TOKEN-STORAGE] Response body length: ${data.length} bytes`);
-                console.log(`[TOKEN-STORAGE] Response body: ${data}`);
-                
                 try {
                     const responseBody = JSON.parse(data);
                     if (res.statusCode >= 200 && res.statusCode < 300) {
-                        console.log('[TOKEN-STORAGE] Token refresh successful!');
-                        console.log(`[TOKEN-STORAGE] New access token: ${responseBody.access_token?.substring(0, 20)}...`);
-                        console.log(`[TOKEN-STORAGE] New refresh token provided: ${!!responseBody.refresh_token}`);
-                        console.log(`[TOKEN-STORAGE] Token expires in: ${responseBody.expires_in} seconds`);
-                        
                         this.tokens.access_token = responseBody.access_token;
                         // Microsoft Graph API refresh tokens may or may not return a new refresh_token
                         if (responseBody.refresh_token) {
-                            console.log('[TOKEN-STORAGE] Updating refresh token with new one from response');
                             this.tokens.refresh_token = responseBody.refresh_token;
-                        } else {
-                            console.log('[TOKEN-STORAGE] No new refresh token in response, keeping existing one');
+                            this.tokens.refresh_token_issued_at = Date.now();
                         }
                         this.tokens.expires_in = responseBody.expires_in;
                         this.tokens.expires_at = Date.now() + (responseBody.expires_in * 1000);
-                        
-                        console.log(`[TOKEN-STORAGE] New expiry time: ${new Date(this.tokens.expires_at).toISOString()}`);
+                        if (responseBody.scope) {
+                            this.tokens.scope = responseBody.scope;
+                        }
                         
                         try {
-                            await this._saveTokensToFile();
-                            console.log('[TOKEN-STORAGE] Access token refreshed and saved successfully.');
+                            await this._saveTokensToFile('refreshed');
+                            logger.info('Access token refreshed', {
+                                expiresAt: new Date(this.tokens.expires_at).toISOString(),
+                                newRefreshToken: Boolean(responseBody.refresh_token)
+                            });
                             resolve(this.tokens);
                         } catch (saveError) {
-                            console.error('[TOKEN-STORAGE] Failed to save refreshed tokens:', saveError);
+                            logger.error('Failed to save refreshed tokens', saveError);
                             reject(new Error(`Access token refreshed but failed to save: ${saveError.message}`));
                         }
                     } else {
-                        console.error('[TOKEN-STORAGE] Token refresh failed with status:', res.statusCode);
-                        console.error('[TOKEN-STORAGE] Error response body:', responseBody);
-                        
+                        logger.error(`Token refresh failed with status ${res.statusCode}`, {
+                            error: responseBody.error,
+                            errorDescription: responseBody.error_description
+                        });
+
                         // Check for specific error types
                         if (responseBody.error === 'invalid_grant') {
-                            console.error('[TOKEN-STORAGE] Refresh token is invalid/expired - user needs to re-authenticate');
+                            logger.error('Refresh token is invalid/expired - user needs to re-authenticate');
                         }
                         
                         reject(new Error(responseBody.error_description || responseBody.error || `Token refresh failed with status ${res.statusCode}`));
                     }
                 } catch (e) { // Catch any error during parsing or saving
-                    console.error('[TOKEN-STORAGE] Error processing refresh token response or saving tokens:', e);
-                    console.error('[TOKEN-STORAGE] Raw response data:', data);
+                    logger.error('Error processing refresh token response or saving tokens', e);
                     reject(e);
                 } finally {
                     this._refreshPromise = null; // Clear promise after completion
@@ -222,36 +210,115 @@ class TokenStorage {
             });
         });
         req.on('error', (error) => {
-            console.error('[TOKEN-STORAGE] HTTP error during token refresh:', error);
+            logger.error('HTTP error during token refresh', error);
             reject(error);
             this._refreshPromise = null; // Clear promise on error
         });
         
-        console.log('[TOKEN-STORAGE] Writing request data and sending...');
         req.write(postData);
         req.end();
     });
 
-    return this._refreshPromise.then(tokens => {
-        console.log('[TOKEN-STORAGE] Returning refreshed access token');
-        return tokens.access_token;
+    return this._refreshPromise.then(tokens => tokens.access_token);
+  }
+
+
+  /**
+   * Returns the cached app-only token, requesting a new one when it is missing or
+   * about to expire. App tokens have no refresh token; they are simply re-issued.
+   * @returns {Promise<string>} - Access token
+   * @throws {Error} - If the token endpoint rejects the client credentials
+   */
+  async _getAppOnlyAccessToken() {
+    if (this.tokens && this.tokens.access_token && !this.isTokenExpired()) {
+      return this.tokens.access_token;
+    }
+    if (!this._refreshPromise) {
+      this._refreshPromise = this.acquireAppOnlyToken().finally(() => {
+        this._refreshPromise = null;
+      });
+    }
+    const tokens = await this._refreshPromise;
+    return tokens.access_token;
+  }
+
+  /**
+   * Requests an app-only token with the client credentials grant and persists it
+   * @returns {Promise<object>} - The stored tokens
+   * @throws {Error} - If the token endpoint rejects the request
+   */
+  async acquireAppOnlyToken() {
+    logger.debug('Requesting app-only token (client credentials)');
+    const postData = querystring.stringify(getClientCredentialsParams(this.config));
+
+    const { statusCode, body } = await new Promise((resolve, reject) => {
+      const req = https.request(this.config.tokenEndpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Content-Length': Buffer.byteLength(postData)
+        }
+      }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => data += chunk);
+        res.on('end', () => {
+          try {
+            resolve({ statusCode: res.statusCode, body: JSON.parse(data) });
+          } catch (error) {
+            reject(new Error(`Invalid response from token endpoint (status ${res.statusCode})`));
+          }
+        });
+      });
+      req.on('error', reject);
+      req.write(postData);
+      req.end();
     });
+
+    if (statusCode < 200 || statusCode >= 300) {
+      throw new Error(`App-only token request failed: ${body.error_description || body.error || `status ${statusCode}`}`);
+    }
+    return this.saveTokenResponse(body);
   }
 
+  /**
+   * Adds the client ID, and the client secret when one is configured, to token
+   * request parameters. Public clients authenticate with PKCE instead of a secret.
+   * @param {object} params - Token request parameters
+   * @returns {object} - Parameters including client credentials
+   */
+  _withClientCredentials(params) {
+    const credentials = { client_id: this.config.clientId };
+    if (this.config.clientSecret) {
+      credentials.client_secret = this.config.clientSecret;
+    }
+    return { ...credentials, ...params };
+  }
 
-  async exchangeCodeForTokens(authCode) {
-    if (!this.config.clientId || !this.config.clientSecret) {
-        throw new Error("Client ID or Client Secret is not configured. Cannot exchange code for tokens.");
+  /**
+   * Exchanges an authorization code for tokens and persists them
+   * @param {string} authCode - Authorization code from the OAuth callback
+   * @param {string} [codeVerifier] - PKCE code verifier for the sign-in that produced the code
+   * @param {Array<string>} [scopes] - Scopes the sign-in requested; defaults to the configured ones
+   * @returns {Promise<object>} - The stored tokens
+   */
+  async exchangeCodeForTokens(authCode, codeVerifier, scopes = this.config.scopes) {
+    if (!this.config.clientId) {
+        throw new Error("Client ID is not configured. Cannot exchange code for tokens.");
     }
-    console.log('Exchanging authorization code for tokens...');
-    const postData = querystring.stringify({
-      client_id: this.config.clientId,
-      client_secret: this.config.clientSecret,
+    if (!this.config.clientSecret && !codeVerifier) {
+        throw new Error("A PKCE code verifier is required to exchange a code without a client secret.");
+    }
+    logger.debug('Exchanging authorization code for tokens', { scopes });
+    const params = {
       grant_type: 'authorization_code',
       code: authCode,
       redirect_uri: this.config.redirectUri,
-      scope: this.config.scopes.join(' ')
-    });
+      scope: scopes.join(' ')
+    };
+    if (codeVerifier) {
+      params.code_verifier = codeVerifier;
+    }
+    const postData = querystring.stringify(this._withClientCredentials(params));
 
     const requestOptions = {
       method: 'POST',
@@ -272,6 +339,7 @@ class TokenStorage {
               this.tokens = {
                 access_token: responseBody.access_token,
                 refresh_token: responseBody.refresh_token,
+                refresh_token_issued_at: responseBody.refresh_token ? Date.now() : undefined,
                 expires_in: responseBody.expires_in,
                 expires_at: Date.now() + (responseBody.expires_in * 1000),
                 scope: responseBody.scope,
@@ -279,26 +347,29 @@ class TokenStorage {
               };
               try {
                 await this._saveTokensToFile();
-                console.log('Tokens exchanged and saved successfully.');
+                logger.info('Tokens exchanged and saved successfully.');
                 resolve(this.tokens);
               } catch (saveError) {
-                console.error('Failed to save exchanged tokens:', saveError);
+                logger.error('Failed to save exchanged tokens', saveError);
                 // Similar to refresh, tokens are in memory but not persisted.
                 // Rejecting to indicate the operation wasn't fully successful.
                 reject(new Error(`Tokens exchanged but failed to save: ${saveError.message}`));
               }
             } else {
-              console.error('Error exchanging code for tokens:', responseBody);
+              logger.error('Error exchanging code for tokens', {
+                error: responseBody.error,
+                errorDescription: responseBody.error_description
+              });
               reject(new Error(responseBody.error_description || `Token exchange failed with status ${res.statusCode}`));
             }
           } catch (e) { // Catch any error during parsing or saving
-            console.error('Error processing token exchange response or saving tokens:', e, "Raw data:", data);
+            logger.error('Error processing token exchange response or saving tokens', e);
             reject(new Error(`Error processing token response: ${e.message}. Response data: ${data}`));
           }
         });
       });
       req.on('error', (error) => {
-        console.error('HTTP error during code exchange:', error);
+        logger.error('HTTP error during code exchange', error);
         reject(error);
       });
       req.write(postData);
@@ -306,17 +377,38 @@ class TokenStorage {
     });
   }
 
+  /**
+   * Stores a token endpoint response (from any grant) and persists it
+   * @param {object} responseBody - Token response ({ access_token, refresh_token, expires_in, ... })
+   * @returns {Promise<object>} - The stored tokens
+   */
+  async saveTokenResponse(responseBody) {
+    this.tokens = {
+      access_token: responseBody.access_token,
+      refresh_token: responseBody.refresh_token,
+      refresh_token_issued_at: responseBody.refresh_token ? Date.now() : undefined,
+      expires_in: responseBody.expires_in,
+      expires_at: Date.now() + (responseBody.expires_in * 1000),
+      scope: responseBody.scope,
+      token_type: responseBody.token_type
+    };
+    await this._saveTokensToFile();
+    return this.tokens;
+  }
+
   // Utility to clear tokens, e.g., for logout or forcing re-auth
   async clearTokens() {
     this.tokens = null;
     try {
       await fs.unlink(this.config.tokenStorePath);
-      console.log('Token file deleted successfully.');
+      logger.info('Token file deleted successfully.', { path: this.config.tokenStorePath });
+      this.emit('change', { reason: 'cleared', tokens: null });
     } catch (error) {
       if (error.code === 'ENOENT') {
-        console.log('Token file not found, nothing to delete.');
+        logger.debug('Token file not found, nothing to delete.');
+        this.emit('change', { reason: 'cleared', tokens: null });
       } else {
-        console.error('Error deleting token file:', error);
+        logger.error('Error deleting token file', error);
       }
     }
   }
@@ -2,7 +2,29 @@
  * Authentication-related tools for the Outlook MCP server
  */
 const config = require('../config');
-const tokenManager = require('./token-manager');
+const { tokenService } = require('./token-service');
+const { callGraphAPI } = require('../utils/graph-api');
+const { startDeviceCodeFlow, getDeviceCodeFlow, cancelDeviceCodeFlow } = require('./device-code');
+const { isAppOnly, getAppOnlyConfigError } = require('./client-credentials');
+const {
+  decodeTokenClaims,
+  getGrantedScopes,
+  getScopeHints,
+  getRefreshTokenAge,
+  probeGraph
+} = require('./auth-status');
+const { getMissingScopes, mergeScopes, parseScopes } = require('./scopes');
+const { getAccountScopes, getSignInUrl, getIncrementalScopes } = require('./consent');
+const {
+  ACCOUNT_PROPERTY,
+  listAccounts,
+  addAccount,
+  resolveAccount,
+  setDefaultAccount
+} = require('./accounts');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('auth-tools');
 
 /**
  * About tool handler
@@ -13,7 +35,12 @@ async function handleAbout() {
     content: [{
       type: "text",
       text: `📧 MODULAR Outlook Assistant MCP Server v${config.SERVER_VERSION} 📧\n\nProvides access to Microsoft Outlook email, calendar, and contacts through Microsoft Graph API.\nImplemented with a modular architecture for improved maintainability.`
-    }]
+    }],
+    structuredContent: {
+      name: config.SERVER_NAME,
+      version: config.SERVER_VERSION,
+      description: "Provides access to Microsoft Outlook email, calendar, and contacts through Microsoft Graph API."
+    }
   };
 }
 
@@ -24,55 +51,465 @@ async function handleAbout() {
  */
 async function handleAuthenticate(args) {
   const force = args && args.force === true;
+  const flow = (args && args.flow) || config.AUTH_CONFIG.flow;
+  const account = resolveAccount(args && args.account);
+  
+  // Forcing discards the stored tokens, which a read-only server must not do (logout is disabled too)
+  if (force && config.READ_ONLY) {
+    return {
+      content: [{ type: "text", text: `force is not available: this server is running in read-only mode and will not discard the tokens of account '${account.name}'.` }]
+    };
+  }
+  
+  let addedScopes;
+  try {
+    addedScopes = parseScopes(args && args.scopes);
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: error.message }]
+    };
+  }
+  
+  // Incremental consent asks for the new scopes on top of those already granted
+  const grantedScopes = force ? null : await getAccountScopes(account.name);
+  const scopes = addedScopes.length > 0 ? getIncrementalScopes(grantedScopes, addedScopes) : [];
   
   // For test mode, create a test token
   if (config.USE_TEST_MODE) {
     // Create a test token with a 1-hour expiry
-    tokenManager.createTestTokens();
+    await tokenService.createTestTokens(account.name, mergeScopes(config.AUTH_CONFIG.scopes, scopes));
     
     return {
       content: [{
         type: "text",
-        text: 'Successfully authenticated with Microsoft Graph API (test mode)'
-      }]
+        text: `Successfully authenticated account '${account.name}' with Microsoft Graph API (test mode)`
+      }],
+      structuredContent: { status: "authenticated", testMode: true, account: account.name }
+    };
+  }
+  
+  if (isAppOnly(config.AUTH_CONFIG)) {
+    return acquireAppOnlyToken(force);
+  }
+  
+  if (force) {
+    // Discard the current sign-in so the new flow starts from scratch
+    cancelDeviceCodeFlow(account.name);
+    await tokenService.clearTokens(account.name);
+  } else if ((await tokenService.getStatus(account.name)).authenticated && getMissingScopes(addedScopes, grantedScopes).length === 0) {
+    return {
+      content: [{
+        type: "text",
+        text: `Account '${account.name}' is already authenticated${addedScopes.length > 0 ? ' and has granted the requested scopes' : ''}.${config.READ_ONLY ? '' : ' Use force: true to discard its tokens and sign in again.'}`
+      }],
+      structuredContent: { status: "authenticated", testMode: false, account: account.name }
+    };
+  }
+  
+  if (flow === 'device_code') {
+    return startDeviceCodeSignIn(force, account, scopes);
+  }
+  
+  // For real authentication, generate an auth URL and instruct the user to visit it;
+  // the auth server stores the tokens for the account named in the URL. A forced
+  // sign-in shows the account picker instead of silently reusing the browser session.
+  const authUrl = getSignInUrl(account.name, { scopes, prompt: force ? 'select_account' : undefined });
+  
+  return {
+    content: [{
+      type: "text",
+      text: `Authentication required for account '${account.name}'${scopes.length > 0 ? ` to grant ${addedScopes.join(', ')}` : ''}. Please visit the following URL to authenticate with Microsoft: ${authUrl}\n\nAfter authentication, you will be redirected back to this application.`
+    }],
+    structuredContent: {
+      status: "authentication_required",
+      testMode: false,
+      account: account.name,
+      authUrl,
+      scopes: scopes.length > 0 ? scopes : undefined
+    }
+  };
+}
+
+/**
+ * Gets the app's own token in app-only mode; nobody signs in
+ * @param {boolean} force - Request a new token even if the cached one is valid
+ * @returns {object} - MCP response
+ */
+async function acquireAppOnlyToken(force) {
+  const mailbox = config.AUTH_CONFIG.appMailbox;
+  const configError = getAppOnlyConfigError(config.AUTH_CONFIG);
+  if (configError) {
+    return {
+      content: [{ type: "text", text: configError }]
     };
   }
   
-  // For real authentication, generate an auth URL and instruct the user to visit it
-  const authUrl = `${config.AUTH_CONFIG.authServerUrl}/auth?client_id=${config.AUTH_CONFIG.clientId}`;
+  const tokenStorage = tokenService.getStorage();
+  try {
+    if (force) {
+      await tokenStorage.acquireAppOnlyToken();
+    } else {
+      await tokenStorage.getValidAccessToken();
+    }
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Could not get an app-only token: ${error.message}` }]
+    };
+  }
+  
+  return {
+    content: [{
+      type: "text",
+      text: `Authenticated in app-only mode. Tools work on the mailbox ${mailbox}.`
+    }],
+    structuredContent: { status: "authenticated", testMode: false, mode: "app_only", mailbox }
+  };
+}
+
+/**
+ * Starts (or resumes) a device code sign-in; tokens are stored in the background
+ * once the user enters the code
+ * @param {boolean} force - Start a new sign-in even if one is pending
+ * @param {object} account - Account profile to sign in (see auth/accounts.js)
+ * @param {Array<string>} scopes - Scopes to request in addition to the configured ones
+ * @returns {object} - MCP response
+ */
+async function startDeviceCodeSignIn(force, account, scopes = []) {
+  const tokenStorage = tokenService.getStorage(account.name);
+  const authConfig = { ...config.AUTH_CONFIG, scopes: mergeScopes(config.AUTH_CONFIG.scopes, scopes) };
+  
+  let deviceFlow;
+  try {
+    // A pending sign-in for other scopes is replaced
+    deviceFlow = await startDeviceCodeFlow({ tokenStorage, authConfig, force: force || scopes.length > 0, account: account.name });
+  } catch (error) {
+    return {
+      content: [{
+        type: "text",
+        text: `Device code sign-in could not be started: ${error.message}\n\nThe app registration must allow public client flows (Azure Portal > App Registrations > Authentication).`
+      }]
+    };
+  }
   
+  const expiresAt = new Date(deviceFlow.expiresAt).toISOString();
   return {
     content: [{
       type: "text",
-      text: `Authentication required. Please visit the following URL to authenticate with Microsoft: ${authUrl}\n\nAfter authentication, you will be redirected back to this application.`
-    }]
+      text: `To sign in account '${account.name}', open ${deviceFlow.verificationUri} on any device and enter the code ${deviceFlow.userCode}.\n\nThe code expires at ${expiresAt}. Sign-in completes in the background; use 'check-auth-status' to confirm.`
+    }],
+    structuredContent: {
+      status: "authentication_pending",
+      testMode: false,
+      account: account.name,
+      flow: "device_code",
+      userCode: deviceFlow.userCode,
+      verificationUri: deviceFlow.verificationUri,
+      expiresAt
+    }
   };
 }
 
 /**
  * Check authentication status tool handler
+ * @param {object} args - Tool arguments
+ * @returns {object} - MCP response
+ */
+async function handleCheckAuthStatus(args) {
+  if (isAppOnly(config.AUTH_CONFIG)) {
+    return checkAppOnlyStatus();
+  }
+  
+  const account = resolveAccount(args && args.account);
+  const status = await tokenService.getStatus(account.name);
+  
+  if (!status.authenticated) {
+    // Report a device code sign-in that is still waiting for the user, or that failed
+    const deviceFlow = getDeviceCodeFlow(account.name);
+    if (deviceFlow && deviceFlow.status === 'pending' && Date.now() < deviceFlow.expiresAt) {
+      return {
+        content: [{ type: "text", text: `Account '${account.name}' is not authenticated yet. Waiting for sign-in: open ${deviceFlow.verificationUri} and enter the code ${deviceFlow.userCode}.` }],
+        structuredContent: { authenticated: false, account: account.name, deviceCode: { status: "pending", userCode: deviceFlow.userCode, verificationUri: deviceFlow.verificationUri } }
+      };
+    }
+    if (deviceFlow && deviceFlow.status === 'failed') {
+      return {
+        content: [{ type: "text", text: `Account '${account.name}' is not authenticated. Device code sign-in failed: ${deviceFlow.error}` }],
+        structuredContent: { authenticated: false, account: account.name, deviceCode: { status: "failed", error: deviceFlow.error } }
+      };
+    }
+    
+    return {
+      content: [{ type: "text", text: `Account '${account.name}' is not authenticated` }],
+      structuredContent: { authenticated: false, account: account.name }
+    };
+  }
+  
+  logger.debug(`Access token for '${account.name}' expires at ${status.expiresAt}${status.expired ? ' (expired, will be refreshed)' : ''}`);
+  
+  // Getting the token refreshes it if it has expired, so the report describes the token tools will use
+  let accessToken;
+  try {
+    accessToken = await tokenService.getAccessToken(account.name);
+  } catch (error) {
+    accessToken = null;
+    logger.warn(`Token refresh for '${account.name}' failed`, error);
+  }
+  if (!accessToken) {
+    const hint = `The stored sign-in could not be renewed. Run 'authenticate' with account '${account.name}' to sign in again.`;
+    return {
+      content: [{ type: "text", text: `Account '${account.name}' is not authenticated: its token expired and could not be refreshed.\n\nHints:\n- ${hint}` }],
+      structuredContent: { authenticated: false, account: account.name, expired: true, hints: [hint] }
+    };
+  }
+  
+  const tokens = await tokenService.getStorage(account.name).getTokens();
+  const claims = decodeTokenClaims(accessToken);
+  const requestedScopes = config.AUTH_CONFIG.scopes;
+  const grantedScopes = getGrantedScopes(tokens, claims);
+  const missingScopes = getMissingScopes(requestedScopes, grantedScopes);
+  const refreshToken = getRefreshTokenAge(tokens);
+  const expiresAt = tokens && tokens.expires_at ? new Date(tokens.expires_at).toISOString() : undefined;
+  const tenantId = (claims && claims.tid) || (config.AUTH_CONFIG.tenantId !== 'common' ? config.AUTH_CONFIG.tenantId : undefined);
+  const probe = await probeGraph(accessToken);
+  
+  const hints = getScopeHints(missingScopes);
+  if (!probe.ok) {
+    hints.unshift(probe.hint);
+  }
+  if (tokens && !tokens.refresh_token) {
+    hints.push(`No refresh token is stored, so the sign-in ends when the access token expires. Add offline_access to MS_SCOPES and run 'authenticate' with force: true.`);
+  }
+  
+  const lines = [probe.ok
+    ? `Account '${account.name}' is authenticated and ready`
+    : `Account '${account.name}' has a token, but Microsoft Graph did not accept it`];
+  if (probe.user) {
+    lines.push(`User: ${probe.user.displayName || probe.user.userPrincipalName} (${probe.user.userPrincipalName || probe.user.mail || probe.user.id})`);
+  }
+  if (tenantId) {
+    lines.push(`Tenant: ${tenantId}`);
+  }
+  if (expiresAt) {
+    lines.push(`Access token expires: ${expiresAt}`);
+  }
+  if (refreshToken) {
+    lines.push(`Refresh token: issued ${refreshToken.issuedAt} (${refreshToken.ageDays} day(s) ago)`);
+  } else {
+    lines.push(`Refresh token: ${tokens && tokens.refresh_token ? 'present (issue time unknown)' : 'none'}`);
+  }
+  lines.push(`Granted scopes: ${grantedScopes ? grantedScopes.join(' ') : 'unknown'}`);
+  if (missingScopes.length > 0) {
+    lines.push(`Missing scopes: ${missingScopes.join(' ')}`);
+  }
+  lines.push(`Graph probe: ${probe.ok ? 'OK' : `failed${probe.statusCode ? ` (status ${probe.statusCode})` : ''}: ${probe.error}`}`);
+  if (hints.length > 0) {
+    lines.push('', 'Hints:', ...hints.map(hint => `- ${hint}`));
+  }
+  
+  return {
+    content: [{ type: "text", text: lines.join('\n') }],
+    structuredContent: {
+      authenticated: true,
+      account: account.name,
+      user: probe.user,
+      tenantId,
+      expiresAt,
+      refreshToken: refreshToken || undefined,
+      scopes: {
+        requested: requestedScopes,
+        granted: grantedScopes || undefined,
+        missing: missingScopes
+      },
+      probe: { ok: probe.ok, statusCode: probe.statusCode, error: probe.error },
+      hints
+    }
+  };
+}
+
+/**
+ * Reports app-only mode: a token is requested whenever one is needed, so the
+ * server counts as authenticated once its configuration is complete and the
+ * identity platform issues a token
+ * @returns {Promise<object>} - MCP response
+ */
+async function checkAppOnlyStatus() {
+  const mailbox = config.AUTH_CONFIG.appMailbox;
+  const configError = getAppOnlyConfigError(config.AUTH_CONFIG);
+  if (configError) {
+    return {
+      content: [{ type: "text", text: `App-only mode is not configured: ${configError}` }],
+      structuredContent: { authenticated: false, mode: "app_only", error: configError }
+    };
+  }
+  
+  let accessToken;
+  try {
+    accessToken = await tokenService.getAccessToken();
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `App-only mode: could not get a token: ${error.message}\n\nHints:\n- Check MS_CLIENT_SECRET or the certificate, and that MS_TENANT_ID is the tenant the app is registered in.` }],
+      structuredContent: { authenticated: false, mode: "app_only", mailbox, error: error.message }
+    };
+  }
+  
+  const { expiresAt } = await tokenService.getStatus();
+  const roles = getGrantedScopes(null, decodeTokenClaims(accessToken));
+  const probe = await probeGraph(accessToken, true);
+  const hints = probe.ok ? [] : [probe.hint];
+  
+  const lines = [`App-only mode: tools work on the mailbox ${mailbox}`];
+  if (expiresAt) {
+    lines.push(`Access token expires: ${expiresAt}`);
+  }
+  lines.push(`Application permissions: ${roles ? roles.join(' ') : 'unknown'}`);
+  lines.push(`Graph probe: ${probe.ok ? 'OK' : `failed${probe.statusCode ? ` (status ${probe.statusCode})` : ''}: ${probe.error}`}`);
+  if (hints.length > 0) {
+    lines.push('', 'Hints:', ...hints.map(hint => `- ${hint}`));
+  }
+  
+  return {
+    content: [{ type: "text", text: lines.join('\n') }],
+    structuredContent: {
+      authenticated: true,
+      mode: "app_only",
+      mailbox,
+      expiresAt: expiresAt || undefined,
+      scopes: roles ? { granted: roles } : undefined,
+      probe: { ok: probe.ok, statusCode: probe.statusCode, error: probe.error },
+      hints
+    }
+  };
+}
+
+/**
+ * Logout tool handler
+ * @param {object} args - Tool arguments
+ * @returns {object} - MCP response
+ */
+async function handleLogout(args) {
+  const revokeSessions = args && args.revokeSessions === true;
+  const account = resolveAccount(args && args.account);
+  
+  if (revokeSessions && isAppOnly(config.AUTH_CONFIG)) {
+    return {
+      content: [{ type: "text", text: "App-only mode has no user sign-in sessions to revoke. Call logout without revokeSessions to delete the cached app token." }]
+    };
+  }
+  
+  // Revoking needs a valid token, so it happens before the local tokens are deleted
+  let revoked = false;
+  let revokeError;
+  if (revokeSessions) {
+    try {
+      const accessToken = await tokenService.getAccessToken(account.name);
+      if (!accessToken) {
+        throw new Error('the account is not signed in');
+      }
+      await callGraphAPI(accessToken, 'POST', 'me/revokeSignInSessions');
+      revoked = true;
+    } catch (error) {
+      revokeError = error.statusCode === 403
+        ? `${error.message}. Revoking sessions needs the User.RevokeSessions.All delegated permission and is not available for personal Microsoft accounts.`
+        : error.message;
+      logger.warn(`Revoking sign-in sessions for '${account.name}' failed`, error);
+    }
+  }
+  
+  const cancelledSignIn = cancelDeviceCodeFlow(account.name);
+  await tokenService.clearTokens(account.name);
+  
+  let text = `Logged out account '${account.name}': its stored tokens were deleted.`;
+  if (revoked) {
+    text += ' All of the user\'s sign-in sessions were revoked; other apps and devices must sign in again.';
+  } else if (revokeError) {
+    text += ` Sign-in sessions could not be revoked: ${revokeError}`;
+  }
+  if (cancelledSignIn) {
+    text += ' The pending device code sign-in was cancelled.';
+  }
+  
+  return {
+    content: [{ type: "text", text }],
+    structuredContent: {
+      account: account.name,
+      loggedOut: true,
+      revoked,
+      revokeError,
+      cancelledSignIn
+    }
+  };
+}
+
+/**
+ * List accounts tool handler
  * @returns {object} - MCP response
  */
-async function handleCheckAuthStatus() {
-  console.error('[CHECK-AUTH-STATUS] Starting authentication status check');
+async function handleListAccounts() {
+  const accounts = await Promise.all(listAccounts().map(async account => ({
+    name: account.name,
+    isDefault: account.isDefault,
+    authenticated: (await tokenService.getStatus(account.name)).authenticated
+  })));
   
-  const tokens = tokenManager.loadTokenCache();
+  const lines = accounts.map(account =>
+    `- ${account.name}${account.isDefault ? ' (default)' : ''}: ${account.authenticated ? 'authenticated' : 'not authenticated'}`);
   
-  console.error(`[CHECK-AUTH-STATUS] Tokens loaded: ${tokens ? 'YES' : 'NO'}`);
+  return {
+    content: [{
+      type: "text",
+      text: `${accounts.length} account(s):\n${lines.join('\n')}`
+    }],
+    structuredContent: { accounts }
+  };
+}
+
+/**
+ * Add account tool handler
+ * @param {object} args - Tool arguments
+ * @returns {object} - MCP response
+ */
+async function handleAddAccount(args) {
+  let account;
+  try {
+    account = addAccount(args.name);
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Could not add account: ${error.message}` }]
+    };
+  }
   
-  if (!tokens || !tokens.access_token) {
-    console.error('[CHECK-AUTH-STATUS] No valid access token found');
+  return {
+    content: [{
+      type: "text",
+      text: `Added account '${account.name}'. Use 'authenticate' with account '${account.name}' to sign it in.`
+    }],
+    structuredContent: { name: account.name, isDefault: account.isDefault, authenticated: false }
+  };
+}
+
+/**
+ * Switch account tool handler
+ * @param {object} args - Tool arguments
+ * @returns {object} - MCP response
+ */
+async function handleSwitchAccount(args) {
+  let account;
+  try {
+    account = setDefaultAccount(args.name);
+  } catch (error) {
     return {
-      content: [{ type: "text", text: "Not authenticated" }]
+      content: [{ type: "text", text: error.message }]
     };
   }
   
-  console.error('[CHECK-AUTH-STATUS] Access token present');
-  console.error(`[CHECK-AUTH-STATUS] Token expires at: ${tokens.expires_at}`);
-  console.error(`[CHECK-AUTH-STATUS] Current time: ${Date.now()}`);
+  const { authenticated } = await tokenService.getStatus(account.name);
   
   return {
-    content: [{ type: "text", text: "Authenticated and ready" }]
+    content: [{
+      type: "text",
+      text: `Default account is now '${account.name}'.${authenticated ? '' : ` It is not authenticated yet; use 'authenticate' with account '${account.name}'.`}`
+    }],
+    structuredContent: { name: account.name, isDefault: true, authenticated }
   };
 }
 
@@ -86,6 +523,19 @@ const authTools = [
       properties: {},
       required: []
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        version: { type: "string" },
+        description: { type: "string" }
+      },
+      required: ["name", "version"]
+    },
+    annotations: {
+      readOnlyHint: true,
+      openWorldHint: false
+    },
     handler: handleAbout
   },
   {
@@ -96,22 +546,244 @@ const authTools = [
       properties: {
         force: {
           type: "boolean",
-          description: "Force re-authentication even if already authenticated"
-        }
+          description: "Discard the account's stored tokens and start a new sign-in. Without it, an account that is already authenticated is left signed in. Not available in read-only mode."
+        },
+        flow: {
+          type: "string",
+          enum: ["browser", "device_code"],
+          description: "Sign-in flow: 'browser' (local auth server callback) or 'device_code' (enter a code on any device; for headless servers). Defaults to MS_AUTH_FLOW."
+        },
+        scopes: {
+          type: "array",
+          items: { type: "string" },
+          description: "Additional Graph permissions to consent to (e.g. [\"Mail.Send\"]), keeping those already granted. Tools name the permissions they are missing."
+        },
+        account: ACCOUNT_PROPERTY
       },
       required: []
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        status: { type: "string", enum: ["authenticated", "authentication_required", "authentication_pending"] },
+        scopes: { type: "array", items: { type: "string" } },
+        testMode: { type: "boolean" },
+        account: { type: "string" },
+        authUrl: { type: "string" },
+        flow: { type: "string" },
+        userCode: { type: "string" },
+        verificationUri: { type: "string" },
+        expiresAt: { type: "string" },
+        mode: { type: "string", enum: ["delegated", "app_only"] },
+        mailbox: { type: "string" }
+      },
+      required: ["status"]
+    },
+    annotations: {
+      readOnlyHint: true,
+      openWorldHint: true
+    },
     handler: handleAuthenticate
   },
   {
     name: "check-auth-status",
-    description: "Check the current authentication status with Microsoft Graph API",
+    description: "Check the authentication status: signed-in user, tenant, granted scopes compared with the configured ones, token expiry, and a live Microsoft Graph check, with hints for anything missing",
     inputSchema: {
       type: "object",
-      properties: {},
+      properties: {
+        account: ACCOUNT_PROPERTY
+      },
       required: []
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        authenticated: { type: "boolean" },
+        account: { type: "string" },
+        user: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            displayName: { type: "string" },
+            userPrincipalName: { type: "string" },
+            mail: { type: "string" }
+          }
+        },
+        tenantId: { type: "string" },
+        expiresAt: { type: "string" },
+        expired: { type: "boolean" },
+        refreshToken: {
+          type: "object",
+          properties: {
+            issuedAt: { type: "string" },
+            ageDays: { type: "number" }
+          },
+          required: ["issuedAt", "ageDays"]
+        },
+        scopes: {
+          type: "object",
+          properties: {
+            requested: { type: "array", items: { type: "string" } },
+            granted: { type: "array", items: { type: "string" } },
+            missing: { type: "array", items: { type: "string" } }
+          }
+        },
+        probe: {
+          type: "object",
+          properties: {
+            ok: { type: "boolean" },
+            statusCode: { type: "number" },
+            error: { type: "string" }
+          },
+          required: ["ok"]
+        },
+        hints: { type: "array", items: { type: "string" } },
+        mode: { type: "string", enum: ["delegated", "app_only"] },
+        mailbox: { type: "string" },
+        error: { type: "string" },
+        deviceCode: {
+          type: "object",
+          properties: {
+            status: { type: "string", enum: ["pending", "failed"] },
+            userCode: { type: "string" },
+            verificationUri: { type: "string" },
+            error: { type: "string" }
+          },
+          required: ["status"]
+        }
+      },
+      required: ["authenticated"]
+    },
+    annotations: {
+      readOnlyHint: true,
+      openWorldHint: true
+    },
     handler: handleCheckAuthStatus
+  },
+  {
+    name: "logout",
+    description: "Signs an account out by deleting its stored tokens, optionally also revoking all of the user's Microsoft sign-in sessions",
+    inputSchema: {
+      type: "object",
+      properties: {
+        revokeSessions: {
+          type: "boolean",
+          description: "Also revoke every refresh token and session cookie issued to the user, signing them out of all apps and devices (default: false)"
+        },
+        account: ACCOUNT_PROPERTY
+      },
+      required: []
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        account: { type: "string" },
+        loggedOut: { type: "boolean" },
+        revoked: { type: "boolean" },
+        revokeError: { type: "string" },
+        cancelledSignIn: { type: "boolean" }
+      },
+      required: ["account", "loggedOut", "revoked"]
+    },
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: true
+    },
+    handler: handleLogout
+  },
+  {
+    name: "list-accounts",
+    description: "Lists the Outlook account profiles, which one is the default and whether each is authenticated",
+    inputSchema: {
+      type: "object",
+      properties: {},
+      required: []
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        accounts: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              name: { type: "string" },
+              isDefault: { type: "boolean" },
+              authenticated: { type: "boolean" }
+            },
+            required: ["name", "isDefault", "authenticated"]
+          }
+        }
+      },
+      required: ["accounts"]
+    },
+    annotations: {
+      readOnlyHint: true,
+      openWorldHint: false
+    },
+    handler: handleListAccounts
+  },
+  {
+    name: "add-account",
+    description: "Adds a named Outlook account profile (e.g. 'work' or 'personal') with its own sign-in",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: {
+          type: "string",
+          description: "Account name: letters, digits, hyphens or underscores"
+        }
+      },
+      required: ["name"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        isDefault: { type: "boolean" },
+        authenticated: { type: "boolean" }
+      },
+      required: ["name"]
+    },
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false
+    },
+    handler: handleAddAccount
+  },
+  {
+    name: "switch-account",
+    description: "Sets the account profile that tools use when no account is given",
+    inputSchema: {
+      type: "object",
+      properties: {
+        name: {
+          type: "string",
+          description: "Account name (see list-accounts)"
+        }
+      },
+      required: ["name"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        isDefault: { type: "boolean" },
+        authenticated: { type: "boolean" }
+      },
+      required: ["name"]
+    },
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: false
+    },
+    handler: handleSwitchAccount
   }
 ];
 
@@ -119,5 +791,9 @@ module.exports = {
   authTools,
   handleAbout,
   handleAuthenticate,
-  handleCheckAuthStatus
+  handleCheckAuthStatus,
+  handleLogout,
+  handleListAccounts,
+  handleAddAccount,
+  handleSwitchAccount
 };
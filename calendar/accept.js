@@ -40,7 +40,8 @@ async function handleAcceptEvent(args) {
       content: [{
         type: "text",
         text: `Event with ID ${eventId} has been successfully accepted.`
-      }]
+      }],
+      structuredContent: { eventId, action: "accepted", success: true }
     };
   } catch (error) {
     if (error.message === 'Authentication required') {
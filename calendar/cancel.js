@@ -40,7 +40,8 @@ async function handleCancelEvent(args) {
       content: [{
         type: "text",
         text: `Event with ID ${eventId} has been successfully cancelled.`
-      }]
+      }],
+      structuredContent: { eventId, action: "cancelled", success: true }
     };
   } catch (error) {
     if (error.message === 'Authentication required') {
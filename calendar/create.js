@@ -4,6 +4,9 @@
 const { callGraphAPI } = require('../utils/graph-api');
 const { ensureAuthenticated } = require('../auth');
 const { DEFAULT_TIMEZONE } = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('calendar');
 
 /**
  * Create event handler
@@ -37,16 +40,21 @@ async function handleCreateEvent(args) {
       attendees: attendees?.map(email => ({ emailAddress: { address: email }, type: "required" })),
       body: { contentType: "HTML", content: body || "" }
     };
-    console.log(bodyContent, "bodyContent");
     
     // Make API call
     const response = await callGraphAPI(accessToken, 'POST', endpoint, bodyContent);
-   console.log(response, "response");
+    logger.debug(`Created event ${response.id}`);
     return {
       content: [{
         type: "text",
         text: `Event '${subject}' has been successfully created.`
-      }]
+      }],
+      structuredContent: {
+        id: response.id,
+        subject,
+        start: bodyContent.start,
+        end: bodyContent.end
+      }
     };
   } catch (error) {
     if (error.message === 'Authentication required') {
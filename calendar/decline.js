@@ -40,7 +40,8 @@ async function handleDeclineEvent(args) {
       content: [{
         type: "text",
         text: `Event with ID ${eventId} has been successfully declined.`
-      }]
+      }],
+      structuredContent: { eventId, action: "declined", success: true }
     };
   } catch (error) {
     if (error.message === 'Authentication required') {
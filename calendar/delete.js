@@ -35,7 +35,8 @@ async function handleDeleteEvent(args) {
       content: [{
         type: "text",
         text: `Event with ID ${eventId} has been successfully deleted.`
-      }]
+      }],
+      structuredContent: { eventId, action: "deleted", success: true }
     };
   } catch (error) {
     if (error.message === 'Authentication required') {
@@ -6,22 +6,44 @@ const handleDeclineEvent = require('./decline');
 const handleCreateEvent = require('./create');
 const handleCancelEvent = require('./cancel');
 const handleDeleteEvent = require('./delete');
+const { EVENT_SCHEMA, EVENT_ACTION_OUTPUT_SCHEMA } = require('../utils/output-schemas');
 
 // Calendar tool definitions
 const calendarTools = [
   {
     name: "list-events",
-    description: "Lists upcoming events from your calendar",
+    description: "Lists upcoming events from your calendar, or the events in a time range",
     inputSchema: {
       type: "object",
       properties: {
         count: {
           type: "number",
           description: "Number of events to retrieve (default: 10, max: 50)"
+        },
+        start: {
+          type: "string",
+          description: "Optional start of the time range in ISO 8601 format (requires end)"
+        },
+        end: {
+          type: "string",
+          description: "Optional end of the time range in ISO 8601 format (requires start)"
         }
       },
       required: []
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        count: { type: "number" },
+        events: { type: "array", items: EVENT_SCHEMA }
+      },
+      required: ["count", "events"]
+    },
+    annotations: {
+      readOnlyHint: true,
+      openWorldHint: true
+    },
+    requiredScopes: ["Calendars.Read"],
     handler: handleListEvents
   },
   {
@@ -41,6 +63,14 @@ const calendarTools = [
       },
       required: ["eventId"]
     },
+    outputSchema: EVENT_ACTION_OUTPUT_SCHEMA,
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: true
+    },
+    requiredScopes: ["Calendars.ReadWrite"],
     handler: handleDeclineEvent
   },
   {
@@ -75,6 +105,23 @@ const calendarTools = [
       },
       required: ["subject", "start", "end"]
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        subject: { type: "string" },
+        start: EVENT_SCHEMA.properties.start,
+        end: EVENT_SCHEMA.properties.end
+      },
+      required: ["subject"]
+    },
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: true
+    },
+    requiredScopes: ["Calendars.ReadWrite"],
     handler: handleCreateEvent
   },
   {
@@ -94,6 +141,14 @@ const calendarTools = [
       },
       required: ["eventId"]
     },
+    outputSchema: EVENT_ACTION_OUTPUT_SCHEMA,
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: true
+    },
+    requiredScopes: ["Calendars.ReadWrite"],
     handler: handleCancelEvent
   },
   {
@@ -109,6 +164,14 @@ const calendarTools = [
       },
       required: ["eventId"]
     },
+    outputSchema: EVENT_ACTION_OUTPUT_SCHEMA,
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: true
+    },
+    requiredScopes: ["Calendars.ReadWrite"],
     handler: handleDeleteEvent
   }
 ];
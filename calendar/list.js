@@ -4,6 +4,7 @@
 const config = require('../config');
 const { callGraphAPI } = require('../utils/graph-api');
 const { ensureAuthenticated } = require('../auth');
+const { toEvent } = require('../utils/output-schemas');
 
 /**
  * List events handler
@@ -12,6 +13,16 @@ const { ensureAuthenticated } = require('../auth');
  */
 async function handleListEvents(args) {
   const count = Math.min(args.count || 10, config.MAX_RESULT_COUNT);
+  const { start, end } = args;
+  
+  if ((start && !end) || (!start && end)) {
+    return {
+      content: [{ 
+        type: "text", 
+        text: "Both start and end are required to list events in a time range."
+      }]
+    };
+  }
   
   try {
     // Get access token
@@ -28,6 +39,14 @@ async function handleListEvents(args) {
       $select: config.CALENDAR_SELECT_FIELDS
     };
     
+    // A time range uses calendarView, which also expands recurring events
+    if (start && end) {
+      endpoint = 'me/calendarView';
+      delete queryParams.$filter;
+      queryParams.startDateTime = start;
+      queryParams.endDateTime = end;
+    }
+    
     // Make API call
     const response = await callGraphAPI(accessToken, 'GET', endpoint, null, queryParams);
     
@@ -36,7 +55,8 @@ async function handleListEvents(args) {
         content: [{ 
           type: "text", 
           text: "No calendar events found."
-        }]
+        }],
+        structuredContent: { count: 0, events: [] }
       };
     }
     
@@ -53,7 +73,11 @@ async function handleListEvents(args) {
       content: [{ 
         type: "text", 
         text: `Found ${response.value.length} events:\n\n${eventList}`
-      }]
+      }],
+      structuredContent: {
+        count: response.value.length,
+        events: response.value.map(toEvent)
+      }
     };
   } catch (error) {
     if (error.message === 'Authentication required') {
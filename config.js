@@ -12,9 +12,15 @@ const tokenPath =
   process.env.OUTLOOK_TOKEN_PATH ||
   path.join(homeDir, '.outlook-mcp-tokens.json');
 
+// Microsoft identity platform endpoints for the tenant ('common' accepts work and personal accounts)
+const tenantId = process.env.MS_TENANT_ID || 'common';
+const authority = `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0`;
+
+// Scopes requested at sign-in: read access only. Tools that change data ask for the write
+// scopes they need the first time they are used, through incremental consent (auth/consent.js)
  const SCOPES = (
     process.env.MS_SCOPES ||
-    'offline_access openid profile email User.Read Mail.Read Mail.ReadWrite Calendars.Read Calendars.ReadWrite Contacts.Read'
+    'offline_access openid profile email User.Read Mail.Read Calendars.Read MailboxSettings.Read'
   ).split(' ');
 
 module.exports = {
@@ -25,18 +31,62 @@ module.exports = {
   // Test mode setting
   USE_TEST_MODE: process.env.USE_TEST_MODE === 'true',
 
+  // Read-only mode: hide and refuse every tool that is not annotated readOnlyHint
+  READ_ONLY: process.env.OUTLOOK_MCP_READ_ONLY === 'true',
+
   // Authentication configuration
   AUTH_CONFIG: {
     clientId: process.env.MS_CLIENT_ID || process.env.OUTLOOK_CLIENT_ID,
     clientSecret: process.env.MS_CLIENT_SECRET || process.env.OUTLOOK_CLIENT_SECRET,
-    redirectUri: 'http://localhost:3333/auth/callback',
+    redirectUri: process.env.MS_REDIRECT_URI || 'http://localhost:3333/auth/callback',
     scopes: SCOPES,
     tokenStorePath: tokenPath,
-    authServerUrl: 'http://localhost:3333'
+    // Named account profiles (see auth/accounts.js); the default account keeps tokenStorePath
+    accountsPath: process.env.OUTLOOK_ACCOUNTS_PATH || path.join(path.dirname(tokenPath), '.outlook-mcp-accounts.json'),
+    authServerUrl: 'http://localhost:3333',
+    // Sign-in flow used by the authenticate tool: 'browser' (auth server callback) or 'device_code'
+    flow: process.env.MS_AUTH_FLOW || 'browser',
+    authEndpoint: `${authority}/authorize`,
+    tokenEndpoint: `${authority}/token`,
+    deviceCodeEndpoint: `${authority}/devicecode`,
+    tenantId,
+    // 'delegated' (a user signs in) or 'app_only' (client credentials, see auth/client-credentials.js)
+    mode: process.env.MS_AUTH_MODE === 'app_only' ? 'app_only' : 'delegated',
+    // Mailbox every request goes to in app-only mode (user principal name or user id)
+    appMailbox: process.env.MS_APP_MAILBOX || null,
+    // Certificate credential for app-only mode; used instead of the client secret when set
+    clientCertificatePath: process.env.MS_CLIENT_CERTIFICATE_PATH || null,
+    clientCertificateThumbprint: process.env.MS_CLIENT_CERTIFICATE_THUMBPRINT || null,
+    appTokenStorePath: process.env.OUTLOOK_APP_TOKEN_PATH || path.join(path.dirname(tokenPath), '.outlook-mcp-app-tokens.json')
   },
   
-  // Microsoft Graph API
-  GRAPH_API_ENDPOINT: 'https://graph.microsoft.com/v1.0/',
+  // HTTP transport
+  HTTP_PORT: Number(process.env.PORT || process.env.MCP_HTTP_PORT || 3001),
+  MCP_PATH: process.env.MCP_PATH || "/mcp",
+  MCP_MAX_SESSIONS: Number(process.env.MCP_MAX_SESSIONS || 100),
+  MCP_SESSION_IDLE_TIMEOUT_MS: Number(process.env.MCP_SESSION_IDLE_TIMEOUT_MS || 30 * 60 * 1000),
+
+  // Tool argument validation
+  TOOL_ARGS_COERCE_TYPES: process.env.MCP_COERCE_ARGUMENT_TYPES !== 'false',
+  TOOL_ARGS_ENFORCE_ENUMS: process.env.MCP_ENFORCE_ARGUMENT_ENUMS !== 'false',
+  TOOL_ARGS_REJECT_UNKNOWN: process.env.MCP_REJECT_UNKNOWN_ARGUMENTS === 'true',
+
+  // Microsoft Graph API (GRAPH_API_ENDPOINT points the server at a local emulator)
+  GRAPH_API_ENDPOINT: process.env.GRAPH_API_ENDPOINT || 'https://graph.microsoft.com/v1.0/',
+
+  // Record Graph traffic to, or replay it from, a fixture file (GRAPH_FIXTURE_MODE=record|replay)
+  GRAPH_FIXTURES: {
+    mode: process.env.GRAPH_FIXTURE_MODE || null,
+    file: process.env.GRAPH_FIXTURE_FILE || null
+  },
+
+  // Retry policy for throttled (429) and transient Graph failures
+  GRAPH_RETRY: {
+    maxAttempts: Number(process.env.GRAPH_RETRY_MAX_ATTEMPTS || 5),
+    maxElapsedMs: Number(process.env.GRAPH_RETRY_MAX_ELAPSED_MS || 60 * 1000),
+    baseDelayMs: Number(process.env.GRAPH_RETRY_BASE_DELAY_MS || 1000),
+    maxDelayMs: Number(process.env.GRAPH_RETRY_MAX_DELAY_MS || 30 * 1000)
+  },
   
   // Calendar constants
   CALENDAR_SELECT_FIELDS: 'id,subject,start,end,location,bodyPreview,isAllDay,recurrence,attendees',
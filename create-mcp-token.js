@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * Script to create an HMAC-signed bearer token for the MCP HTTP endpoint
+ *
+ * Usage: MCP_AUTH_HMAC_SECRET=... node create-mcp-token.js <subject> [--tools=list-emails,read-email] [--days=30]
+ */
+require('dotenv').config();
+const { signBearerToken } = require('./transport/http-auth');
+
+const secret = process.env.MCP_AUTH_HMAC_SECRET;
+if (!secret) {
+  console.error('MCP_AUTH_HMAC_SECRET is not set.');
+  process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const subject = args.find(arg => !arg.startsWith('--'));
+if (!subject) {
+  console.error('Usage: node create-mcp-token.js <subject> [--tools=tool1,tool2] [--days=30]');
+  process.exit(1);
+}
+
+const toolsArg = args.find(arg => arg.startsWith('--tools='));
+const daysArg = args.find(arg => arg.startsWith('--days='));
+const days = daysArg ? Number(daysArg.slice('--days='.length)) : 30;
+
+const payload = {
+  sub: subject,
+  iat: Math.floor(Date.now() / 1000),
+  exp: Math.floor(Date.now() / 1000) + days * 24 * 60 * 60
+};
+if (toolsArg) {
+  payload.tools = toolsArg.slice('--tools='.length).split(',').map(t => t.trim()).filter(t => t);
+}
+
+console.log(signBearerToken(payload, secret));
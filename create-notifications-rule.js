@@ -4,7 +4,7 @@
  * using direct folder IDs
  */
 const https = require('https');
-const fs = require('fs');
+const { readTokenFileSync } = require('./auth/token-file');
 const path = require('path');
 
 // Configuration
@@ -17,7 +17,7 @@ async function createGitHubRule() {
   try {
     // Read the authentication token from file
     console.log(`Reading token from ${tokenPath}`);
-    const tokenData = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+    const tokenData = readTokenFileSync(tokenPath);
     const accessToken = tokenData.access_token;
     
     if (!accessToken) {
@@ -107,7 +107,7 @@ async function createGitHubRule() {
 async function callGraphAPI(endpoint, method = 'GET', data = null) {
   return new Promise((resolve, reject) => {
     // Read token from file again to ensure it's fresh
-    const tokenData = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+    const tokenData = readTokenFileSync(tokenPath);
     const accessToken = tokenData.access_token;
     
     const options = {
@@ -92,7 +92,14 @@ async function handleCreateDraft(args) {
       content: [{ 
         type: "text", 
         text: `Draft created successfully!\n\nSubject: ${subject || '(no subject)'}${recipientInfo}\nDraft ID: ${result.id}\nMessage Length: ${body ? body.length : 0} characters\n\nThe draft has been saved in your Drafts folder and can be edited or sent later.`
-      }]
+      }],
+      structuredContent: {
+        id: result.id,
+        subject: subject || '',
+        toCount: toRecipients.length,
+        ccCount: ccRecipients.length,
+        bccCount: bccRecipients.length
+      }
     };
   } catch (error) {
     if (error.message === 'Authentication required') {
@@ -0,0 +1,87 @@
+/**
+ * Delete emails functionality
+ */
+const { callGraphBatch } = require('../utils/graph-batch');
+const { ensureAuthenticated } = require('../auth');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('email');
+
+/**
+ * Delete emails handler. Graph moves deleted messages to the Deleted Items folder.
+ * @param {object} args - Tool arguments
+ * @returns {object} - MCP response
+ */
+async function handleDeleteEmails(args) {
+  const emailIds = (args.emailIds || '').split(',').map(id => id.trim()).filter(id => id);
+
+  if (emailIds.length === 0) {
+    return {
+      content: [{
+        type: "text",
+        text: "Email IDs are required. Please provide a comma-separated list of email IDs to delete."
+      }]
+    };
+  }
+
+  try {
+    // Get access token
+    const accessToken = await ensureAuthenticated();
+
+    // Delete the emails in $batch calls; each email succeeds or fails independently
+    const results = await callGraphBatch(accessToken, emailIds.map((emailId, index) => ({
+      id: String(index + 1),
+      method: 'DELETE',
+      url: `/me/messages/${encodeURIComponent(emailId)}`
+    })));
+
+    const deleted = emailIds.filter((emailId, index) => results[index].ok);
+    const failed = results
+      .map((result, index) => ({ id: emailIds[index], error: result.error }))
+      .filter((failure, index) => !results[index].ok);
+
+    failed.forEach(failure => {
+      logger.warn(`Error deleting email ${failure.id}: ${failure.error}`);
+    });
+
+    if (deleted.length === 0) {
+      return {
+        content: [{
+          type: "text",
+          text: `Failed to delete ${emailIds.length} email(s). First error: ${failed[0].error}`
+        }]
+      };
+    }
+
+    let text = `Successfully deleted ${deleted.length} email(s).`;
+    if (failed.length > 0) {
+      text += `\n\nFailed to delete ${failed.length} email(s):\n${failed.map(f => `- ${f.id}: ${f.error}`).join('\n')}`;
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text
+      }],
+      structuredContent: { deleted, failed }
+    };
+  } catch (error) {
+    if (error.message === 'Authentication required') {
+      return {
+        content: [{
+          type: "text",
+          text: "Authentication required. Please use the 'authenticate' tool first."
+        }]
+      };
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: `Error deleting emails: ${error.message}`
+      }]
+    };
+  }
+}
+
+module.exports = handleDeleteEmails;
@@ -2,6 +2,9 @@
  * Email folder utilities
  */
 const { callGraphAPI } = require('../utils/graph-api');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('email');
 
 /**
  * Cache of folder information to reduce API calls
@@ -37,7 +40,7 @@ async function resolveFolderPath(accessToken, folderName) {
   // Check if it's a well-known folder (case-insensitive)
   const lowerFolderName = folderName.toLowerCase();
   if (WELL_KNOWN_FOLDERS[lowerFolderName]) {
-    console.error(`Using well-known folder path for "${folderName}"`);
+    logger.debug(`Using well-known folder path for "${folderName}"`);
     return WELL_KNOWN_FOLDERS[lowerFolderName];
   }
 
@@ -46,15 +49,15 @@ async function resolveFolderPath(accessToken, folderName) {
     const folderId = await getFolderIdByName(accessToken, folderName);
     if (folderId) {
       const path = `me/mailFolders/${folderId}/messages`;
-      console.error(`Resolved folder "${folderName}" to path: ${path}`);
+      logger.debug(`Resolved folder "${folderName}" to path: ${path}`);
       return path;
     }
 
     // If not found, fall back to inbox
-    console.error(`Couldn't find folder "${folderName}", falling back to inbox`);
+    logger.warn(`Couldn't find folder "${folderName}", falling back to inbox`);
     return WELL_KNOWN_FOLDERS['inbox'];
   } catch (error) {
-    console.error(`Error resolving folder "${folderName}": ${error.message}`);
+    logger.warn(`Error resolving folder "${folderName}": ${error.message}`);
     return WELL_KNOWN_FOLDERS['inbox'];
   }
 }
@@ -68,7 +71,7 @@ async function resolveFolderPath(accessToken, folderName) {
 async function getFolderIdByName(accessToken, folderName) {
   try {
     // First try with exact match filter
-    console.error(`Looking for folder with name "${folderName}"`);
+    logger.debug(`Looking for folder with name "${folderName}"`);
     const response = await callGraphAPI(
       accessToken,
       'GET',
@@ -78,12 +81,12 @@ async function getFolderIdByName(accessToken, folderName) {
     );
     
     if (response.value && response.value.length > 0) {
-      console.error(`Found folder "${folderName}" with ID: ${response.value[0].id}`);
+      logger.debug(`Found folder "${folderName}" with ID: ${response.value[0].id}`);
       return response.value[0].id;
     }
     
     // If exact match fails, try to get all folders and do a case-insensitive comparison
-    console.error(`No exact match found for "${folderName}", trying case-insensitive search`);
+    logger.debug(`No exact match found for "${folderName}", trying case-insensitive search`);
     const allFoldersResponse = await callGraphAPI(
       accessToken,
       'GET',
@@ -99,15 +102,15 @@ async function getFolderIdByName(accessToken, folderName) {
       );
       
       if (matchingFolder) {
-        console.error(`Found case-insensitive match for "${folderName}" with ID: ${matchingFolder.id}`);
+        logger.debug(`Found case-insensitive match for "${folderName}" with ID: ${matchingFolder.id}`);
         return matchingFolder.id;
       }
     }
     
-    console.error(`No folder found matching "${folderName}"`);
+    logger.debug(`No folder found matching "${folderName}"`);
     return null;
   } catch (error) {
-    console.error(`Error finding folder "${folderName}": ${error.message}`);
+    logger.error(`Error finding folder "${folderName}": ${error.message}`);
     return null;
   }
 }
@@ -152,7 +155,7 @@ async function getAllFolders(accessToken) {
         
         return childResponse.value || [];
       } catch (error) {
-        console.error(`Error getting child folders for "${folder.displayName}": ${error.message}`);
+        logger.warn(`Error getting child folders for "${folder.displayName}": ${error.message}`);
         return [];
       }
     });
@@ -162,7 +165,7 @@ async function getAllFolders(accessToken) {
     // Combine top-level folders and all child folders
     return [...response.value, ...childFolders.flat()];
   } catch (error) {
-    console.error(`Error getting all folders: ${error.message}`);
+    logger.error(`Error getting all folders: ${error.message}`);
     return [];
   }
 }
@@ -7,6 +7,8 @@ const handleReadEmail = require('./read');
 const handleSendEmail = require('./send');
 const handleCreateDraft = require('./create-draft');
 const handleMarkAsRead = require('./mark-as-read');
+const handleDeleteEmails = require('./delete');
+const { EMAIL_SUMMARY_SCHEMA, EMAIL_DETAIL_SCHEMA, BULK_FAILURE_SCHEMA } = require('../utils/output-schemas');
 
 // Email tool definitions
 const emailTools = [
@@ -22,11 +24,30 @@ const emailTools = [
         },
         count: {
           type: "number",
-          description: "Number of emails to retrieve (default: 10, max: 50)"
+          description: "Number of emails per page (default: 10, max: 50)"
+        },
+        cursor: {
+          type: "string",
+          description: "Cursor from a previous result's nextCursor to fetch the next page"
         }
       },
       required: []
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        folder: { type: "string" },
+        count: { type: "number" },
+        emails: { type: "array", items: EMAIL_SUMMARY_SCHEMA },
+        nextCursor: { type: ["string", "null"] }
+      },
+      required: ["folder", "count", "emails"]
+    },
+    annotations: {
+      readOnlyHint: true,
+      openWorldHint: true
+    },
+    requiredScopes: ["Mail.Read"],
     handler: handleListEmails
   },
   {
@@ -65,11 +86,30 @@ const emailTools = [
         },
         count: {
           type: "number",
-          description: "Number of results to return (default: 10, max: 50)"
+          description: "Number of results per page (default: 10, max: 50)"
+        },
+        cursor: {
+          type: "string",
+          description: "Cursor from a previous result's nextCursor to fetch the next page"
         }
       },
       required: []
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        count: { type: "number" },
+        strategy: { type: ["string", "null"] },
+        emails: { type: "array", items: EMAIL_SUMMARY_SCHEMA },
+        nextCursor: { type: ["string", "null"] }
+      },
+      required: ["count", "emails"]
+    },
+    annotations: {
+      readOnlyHint: true,
+      openWorldHint: true
+    },
+    requiredScopes: ["Mail.Read"],
     handler: handleSearchEmails
   },
   {
@@ -85,6 +125,18 @@ const emailTools = [
       },
       required: ["id"]
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        email: EMAIL_DETAIL_SCHEMA
+      },
+      required: ["email"]
+    },
+    annotations: {
+      readOnlyHint: true,
+      openWorldHint: true
+    },
+    requiredScopes: ["Mail.Read"],
     handler: handleReadEmail
   },
   {
@@ -121,10 +173,35 @@ const emailTools = [
         saveToSentItems: {
           type: "boolean",
           description: "Whether to save the email to sent items"
+        },
+        sendMode: {
+          type: "string",
+          description: "How to send from the mailbox given in `mailbox`: send_as sends as that mailbox (needs Send As permission), send_on_behalf sends from you on its behalf (needs Send on Behalf permission). Defaults to send_as; ignored without `mailbox`.",
+          enum: ["send_as", "send_on_behalf"]
         }
       },
       required: ["to", "subject", "body"]
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        sent: { type: "boolean" },
+        subject: { type: "string" },
+        toCount: { type: "number" },
+        ccCount: { type: "number" },
+        bccCount: { type: "number" },
+        from: { type: "string" },
+        sendMode: { type: "string" }
+      },
+      required: ["sent", "subject"]
+    },
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: true
+    },
+    requiredScopes: ["Mail.Send"],
     handler: handleSendEmail
   },
   {
@@ -161,17 +238,35 @@ const emailTools = [
       },
       required: []
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string" },
+        subject: { type: "string" },
+        toCount: { type: "number" },
+        ccCount: { type: "number" },
+        bccCount: { type: "number" }
+      },
+      required: ["id"]
+    },
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: true
+    },
+    requiredScopes: ["Mail.ReadWrite"],
     handler: handleCreateDraft
   },
   {
     name: "mark-as-read",
-    description: "Marks an email as read or unread",
+    description: "Marks one or more emails as read or unread",
     inputSchema: {
       type: "object",
       properties: {
         id: {
           type: "string",
-          description: "ID of the email to mark as read/unread"
+          description: "ID of the email to mark as read/unread, or a comma-separated list of IDs"
         },
         isRead: {
           type: "boolean",
@@ -180,7 +275,53 @@ const emailTools = [
       },
       required: ["id"]
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        isRead: { type: "boolean" },
+        updated: { type: "array", items: { type: "string" } },
+        failed: { type: "array", items: BULK_FAILURE_SCHEMA }
+      },
+      required: ["isRead", "updated", "failed"]
+    },
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: true
+    },
+    requiredScopes: ["Mail.ReadWrite"],
     handler: handleMarkAsRead
+  },
+  {
+    name: "delete-emails",
+    description: "Deletes emails (moves them to the Deleted Items folder)",
+    inputSchema: {
+      type: "object",
+      properties: {
+        emailIds: {
+          type: "string",
+          description: "Comma-separated list of email IDs to delete"
+        }
+      },
+      required: ["emailIds"]
+    },
+    outputSchema: {
+      type: "object",
+      properties: {
+        deleted: { type: "array", items: { type: "string" } },
+        failed: { type: "array", items: BULK_FAILURE_SCHEMA }
+      },
+      required: ["deleted", "failed"]
+    },
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: true
+    },
+    requiredScopes: ["Mail.ReadWrite"],
+    handler: handleDeleteEmails
   }
 ];
 
@@ -191,5 +332,6 @@ module.exports = {
   handleReadEmail,
   handleSendEmail,
   handleCreateDraft,
-  handleMarkAsRead
+  handleMarkAsRead,
+  handleDeleteEmails
 };
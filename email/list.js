@@ -2,42 +2,54 @@
  * List emails functionality
  */
 const config = require('../config');
-const { callGraphAPI, callGraphAPIPaginated } = require('../utils/graph-api');
+const { callGraphAPI } = require('../utils/graph-api');
 const { ensureAuthenticated } = require('../auth');
 const { resolveFolderPath } = require('./folder-utils');
+const { toEmailSummary } = require('../utils/output-schemas');
+const { encodeCursor, decodeCursor } = require('../utils/pagination');
 
 /**
- * List emails handler
+ * List emails handler. Returns one page of emails; `nextCursor` fetches the next one.
  * @param {object} args - Tool arguments
  * @returns {object} - MCP response
  */
 async function handleListEmails(args) {
-  const folder = args.folder || "inbox";
+  let folder = args.folder || "inbox";
   const requestedCount = args.count || 10;
   
   try {
     // Get access token
     const accessToken = await ensureAuthenticated();
 
-    // Resolve the folder path
-    const endpoint = await resolveFolderPath(accessToken, folder);
-    
-    // Add query parameters
-    const queryParams = {
-      $top: Math.min(50, requestedCount), // Use 50 per page for efficiency
-      $orderby: 'receivedDateTime desc',
-      $select: config.EMAIL_SELECT_FIELDS
-    };
+    let response;
+    if (args.cursor) {
+      // Continue from the previous page; the link already carries folder and query
+      const cursor = decodeCursor(args.cursor);
+      folder = cursor.folder || folder;
+      response = await callGraphAPI(accessToken, 'GET', cursor.link);
+    } else {
+      // Resolve the folder path
+      const endpoint = await resolveFolderPath(accessToken, folder);
+      
+      // Add query parameters
+      const queryParams = {
+        $top: Math.min(config.MAX_RESULT_COUNT, requestedCount),
+        $orderby: 'receivedDateTime desc',
+        $select: config.EMAIL_SELECT_FIELDS
+      };
+      
+      response = await callGraphAPI(accessToken, 'GET', endpoint, null, queryParams);
+    }
     
-    // Make API call with pagination support
-    const response = await callGraphAPIPaginated(accessToken, 'GET', endpoint, queryParams, requestedCount);
+    const nextCursor = encodeCursor(response['@odata.nextLink'], { folder });
     
     if (!response.value || response.value.length === 0) {
       return {
         content: [{ 
           type: "text", 
           text: `No emails found in ${folder}.`
-        }]
+        }],
+        structuredContent: { folder, count: 0, emails: [], nextCursor }
       };
     }
     
@@ -53,8 +65,14 @@ async function handleListEmails(args) {
     return {
       content: [{ 
         type: "text", 
-        text: `Found ${response.value.length} emails in ${folder}:\n\n${emailList}`
-      }]
+        text: `Found ${response.value.length} emails in ${folder}:\n\n${emailList}${nextCursor ? `\nMore emails available. To get the next page, call list-emails with cursor: ${nextCursor}` : ''}`
+      }],
+      structuredContent: {
+        folder,
+        count: response.value.length,
+        emails: response.value.map(toEmailSummary),
+        nextCursor
+      }
     };
   } catch (error) {
     if (error.message === 'Authentication required') {
@@ -1,9 +1,11 @@
 /**
  * Mark email as read functionality
  */
-const config = require('../config');
-const { callGraphAPI } = require('../utils/graph-api');
+const { callGraphBatch } = require('../utils/graph-batch');
 const { ensureAuthenticated } = require('../auth');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('email');
 
 /**
  * Mark email as read handler
@@ -11,87 +13,92 @@ const { ensureAuthenticated } = require('../auth');
  * @returns {object} - MCP response
  */
 async function handleMarkAsRead(args) {
-  const emailId = args.id;
+  const emailIds = (args.id || '').split(',').map(id => id.trim()).filter(id => id);
   const isRead = args.isRead !== undefined ? args.isRead : true; // Default to true
-  
-  if (!emailId) {
+  const status = isRead ? 'read' : 'unread';
+
+  if (emailIds.length === 0) {
     return {
-      content: [{ 
-        type: "text", 
+      content: [{
+        type: "text",
         text: "Email ID is required."
       }]
     };
   }
-  
+
   try {
     // Get access token
     const accessToken = await ensureAuthenticated();
-    
-    // Make API call to update email read status
-    const endpoint = `me/messages/${encodeURIComponent(emailId)}`;
-    const updateData = {
-      isRead: isRead
-    };
-    
-    try {
-      const result = await callGraphAPI(accessToken, 'PATCH', endpoint, updateData);
-      
-      const status = isRead ? 'read' : 'unread';
-      
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Email successfully marked as ${status}.`
-          }
-        ]
-      };
-    } catch (error) {
-      console.error(`Error marking email as ${isRead ? 'read' : 'unread'}: ${error.message}`);
-      
+
+    // Update the read status of every email in $batch calls
+    const results = await callGraphBatch(accessToken, emailIds.map((emailId, index) => ({
+      id: String(index + 1),
+      method: 'PATCH',
+      url: `/me/messages/${encodeURIComponent(emailId)}`,
+      body: {
+        isRead: isRead
+      }
+    })));
+
+    const updated = emailIds.filter((emailId, index) => results[index].ok);
+    const failed = results
+      .map((result, index) => ({ id: emailIds[index], error: result.error }))
+      .filter((failure, index) => !results[index].ok);
+
+    failed.forEach(failure => {
+      logger.warn(`Error marking email ${failure.id} as ${status}: ${failure.error}`);
+    });
+
+    if (updated.length === 0) {
+      const error = failed[0].error;
+
       // Improved error handling with more specific messages
-      if (error.message.includes("doesn't belong to the targeted mailbox")) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `The email ID seems invalid or doesn't belong to your mailbox. Please try with a different email ID.`
-            }
-          ]
-        };
-      } else if (error.message.includes("UNAUTHORIZED")) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: "Authentication failed. Please re-authenticate and try again."
-            }
-          ]
-        };
-      } else {
+      if (emailIds.length === 1 && error.includes("doesn't belong to the targeted mailbox")) {
         return {
-          content: [
-            {
-              type: "text",
-              text: `Failed to mark email as ${isRead ? 'read' : 'unread'}: ${error.message}`
-            }
-          ]
+          content: [{
+            type: "text",
+            text: `The email ID seems invalid or doesn't belong to your mailbox. Please try with a different email ID.`
+          }]
         };
       }
+
+      return {
+        content: [{
+          type: "text",
+          text: emailIds.length === 1
+            ? `Failed to mark email as ${status}: ${error}`
+            : `Failed to mark ${emailIds.length} emails as ${status}. First error: ${error}`
+        }]
+      };
+    }
+
+    let text = emailIds.length === 1
+      ? `Email successfully marked as ${status}.`
+      : `Successfully marked ${updated.length} email(s) as ${status}.`;
+    if (failed.length > 0) {
+      text += `\n\nFailed to update ${failed.length} email(s):\n${failed.map(f => `- ${f.id}: ${f.error}`).join('\n')}`;
     }
+
+    return {
+      content: [{
+        type: "text",
+        text
+      }],
+      structuredContent: { isRead, updated, failed }
+    };
   } catch (error) {
     if (error.message === 'Authentication required') {
       return {
-        content: [{ 
-          type: "text", 
+        content: [{
+          type: "text",
           text: "Authentication required. Please use the 'authenticate' tool first."
         }]
       };
     }
-    
+
     return {
-      content: [{ 
-        type: "text", 
+      content: [{
+        type: "text",
         text: `Error accessing email: ${error.message}`
       }]
     };
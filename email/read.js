@@ -4,6 +4,10 @@
 const config = require('../config');
 const { callGraphAPI } = require('../utils/graph-api');
 const { ensureAuthenticated } = require('../auth');
+const { toEmailDetail } = require('../utils/output-schemas');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('email');
 
 /**
  * Read email handler
@@ -46,33 +50,7 @@ async function handleReadEmail(args) {
         };
       }
       
-      // Format sender, recipients, etc.
-      const sender = email.from ? `${email.from.emailAddress.name} (${email.from.emailAddress.address})` : 'Unknown';
-      const to = email.toRecipients ? email.toRecipients.map(r => `${r.emailAddress.name} (${r.emailAddress.address})`).join(", ") : 'None';
-      const cc = email.ccRecipients && email.ccRecipients.length > 0 ? email.ccRecipients.map(r => `${r.emailAddress.name} (${r.emailAddress.address})`).join(", ") : 'None';
-      const bcc = email.bccRecipients && email.bccRecipients.length > 0 ? email.bccRecipients.map(r => `${r.emailAddress.name} (${r.emailAddress.address})`).join(", ") : 'None';
-      const date = new Date(email.receivedDateTime).toLocaleString();
-      
-      // Extract body content
-      let body = '';
-      if (email.body) {
-        body = email.body.contentType === 'html' ? 
-          // Simple HTML-to-text conversion for HTML bodies
-          email.body.content.replace(/<[^>]*>/g, '') : 
-          email.body.content;
-      } else {
-        body = email.bodyPreview || 'No content';
-      }
-      
-      // Format the email
-      const formattedEmail = `From: ${sender}
-To: ${to}
-${cc !== 'None' ? `CC: ${cc}\n` : ''}${bcc !== 'None' ? `BCC: ${bcc}\n` : ''}Subject: ${email.subject}
-Date: ${date}
-Importance: ${email.importance || 'normal'}
-Has Attachments: ${email.hasAttachments ? 'Yes' : 'No'}
-
-${body}`;
+      const formattedEmail = formatEmail(email);
       
       return {
         content: [
@@ -80,10 +58,11 @@ ${body}`;
             type: "text",
             text: formattedEmail
           }
-        ]
+        ],
+        structuredContent: { email: toEmailDetail(email) }
       };
     } catch (error) {
-      console.error(`Error reading email: ${error.message}`);
+      logger.error(`Error reading email: ${error.message}`);
       
       // Improved error handling with more specific messages
       if (error.message.includes("doesn't belong to the targeted mailbox")) {
@@ -125,4 +104,40 @@ ${body}`;
   }
 }
 
+/**
+ * Format a Graph message as readable text
+ * @param {object} email - Message object with EMAIL_DETAIL_FIELDS selected
+ * @returns {string} - Formatted email
+ */
+function formatEmail(email) {
+  // Format sender, recipients, etc.
+  const sender = email.from ? `${email.from.emailAddress.name} (${email.from.emailAddress.address})` : 'Unknown';
+  const to = email.toRecipients ? email.toRecipients.map(r => `${r.emailAddress.name} (${r.emailAddress.address})`).join(", ") : 'None';
+  const cc = email.ccRecipients && email.ccRecipients.length > 0 ? email.ccRecipients.map(r => `${r.emailAddress.name} (${r.emailAddress.address})`).join(", ") : 'None';
+  const bcc = email.bccRecipients && email.bccRecipients.length > 0 ? email.bccRecipients.map(r => `${r.emailAddress.name} (${r.emailAddress.address})`).join(", ") : 'None';
+  const date = new Date(email.receivedDateTime).toLocaleString();
+  
+  // Extract body content
+  let body = '';
+  if (email.body) {
+    body = email.body.contentType === 'html' ? 
+      // Simple HTML-to-text conversion for HTML bodies
+      email.body.content.replace(/<[^>]*>/g, '') : 
+      email.body.content;
+  } else {
+    body = email.bodyPreview || 'No content';
+  }
+  
+  // Format the email
+  return `From: ${sender}
+To: ${to}
+${cc !== 'None' ? `CC: ${cc}\n` : ''}${bcc !== 'None' ? `BCC: ${bcc}\n` : ''}Subject: ${email.subject}
+Date: ${date}
+Importance: ${email.importance || 'normal'}
+Has Attachments: ${email.hasAttachments ? 'Yes' : 'No'}
+
+${body}`;
+}
+
 module.exports = handleReadEmail;
+module.exports.formatEmail = formatEmail;
@@ -2,12 +2,17 @@
  * Improved search emails functionality
  */
 const config = require('../config');
-const { callGraphAPI, callGraphAPIPaginated } = require('../utils/graph-api');
+const { callGraphAPI } = require('../utils/graph-api');
 const { ensureAuthenticated } = require('../auth');
 const { resolveFolderPath } = require('./folder-utils');
+const { toEmailSummary } = require('../utils/output-schemas');
+const { encodeCursor, decodeCursor } = require('../utils/pagination');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('email');
 
 /**
- * Search emails handler
+ * Search emails handler. Returns one page of results; `nextCursor` fetches the next one.
  * @param {object} args - Tool arguments
  * @returns {object} - MCP response
  */
@@ -25,11 +30,21 @@ async function handleSearchEmails(args) {
     // Get access token
     const accessToken = await ensureAuthenticated();
     
+    if (args.cursor) {
+      // Continue the strategy that produced the previous page
+      const cursor = decodeCursor(args.cursor);
+      const response = await callGraphAPI(accessToken, 'GET', cursor.link);
+      if (cursor.strategy) {
+        response._searchInfo = { strategies: [cursor.strategy] };
+      }
+      return formatSearchResults(response);
+    }
+    
     // Resolve the folder path
     const endpoint = await resolveFolderPath(accessToken, folder);
-    console.error(`Using endpoint: ${endpoint} for folder: ${folder}`);
+    logger.debug(`Using endpoint: ${endpoint} for folder: ${folder}`);
     
-    // Execute progressive search with pagination
+    // Execute progressive search for the first page
     const response = await progressiveSearch(
       endpoint, 
       accessToken, 
@@ -66,8 +81,8 @@ async function handleSearchEmails(args) {
  * @param {string} accessToken - Access token
  * @param {object} searchTerms - Search terms (query, from, to, subject)
  * @param {object} filterTerms - Filter terms (hasAttachments, unreadOnly)
- * @param {number} maxCount - Maximum number of results to retrieve
- * @returns {Promise<object>} - Search results
+ * @param {number} maxCount - Page size
+ * @returns {Promise<object>} - First page of search results
  */
 async function progressiveSearch(endpoint, accessToken, searchTerms, filterTerms, maxCount) {
   // Track search strategies attempted
@@ -75,17 +90,17 @@ async function progressiveSearch(endpoint, accessToken, searchTerms, filterTerms
   
   // 1. Try combined search (most specific)
   try {
-    const params = buildSearchParams(searchTerms, filterTerms, Math.min(50, maxCount));
-    console.error("Attempting combined search with params:", params);
+    const params = buildSearchParams(searchTerms, filterTerms, Math.min(config.MAX_RESULT_COUNT, maxCount));
+    logger.debug("Attempting combined search", { params });
     searchAttempts.push("combined-search");
     
-    const response = await callGraphAPIPaginated(accessToken, 'GET', endpoint, params, maxCount);
+    const response = await callGraphAPI(accessToken, 'GET', endpoint, null, params);
     if (response.value && response.value.length > 0) {
-      console.error(`Combined search successful: found ${response.value.length} results`);
+      logger.debug(`Combined search successful: found ${response.value.length} results`);
       return response;
     }
   } catch (error) {
-    console.error(`Combined search failed: ${error.message}`);
+    logger.warn(`Combined search failed: ${error.message}`);
   }
   
   // 2. Try each search term individually, starting with most specific
@@ -94,12 +109,12 @@ async function progressiveSearch(endpoint, accessToken, searchTerms, filterTerms
   for (const term of searchPriority) {
     if (searchTerms[term]) {
       try {
-        console.error(`Attempting search with only ${term}: "${searchTerms[term]}"`);
+        logger.debug(`Attempting search with only ${term}: "${searchTerms[term]}"`);
         searchAttempts.push(`single-term-${term}`);
         
         // For single term search, only use $search with that term
         const simplifiedParams = {
-          $top: Math.min(50, maxCount),
+          $top: Math.min(config.MAX_RESULT_COUNT, maxCount),
           $select: config.EMAIL_SELECT_FIELDS,
           $orderby: 'receivedDateTime desc'
         };
@@ -116,13 +131,13 @@ async function progressiveSearch(endpoint, accessToken, searchTerms, filterTerms
         // Add boolean filters if applicable
         addBooleanFilters(simplifiedParams, filterTerms);
         
-        const response = await callGraphAPIPaginated(accessToken, 'GET', endpoint, simplifiedParams, maxCount);
+        const response = await callGraphAPI(accessToken, 'GET', endpoint, null, simplifiedParams);
         if (response.value && response.value.length > 0) {
-          console.error(`Search with ${term} successful: found ${response.value.length} results`);
+          logger.debug(`Search with ${term} successful: found ${response.value.length} results`);
           return response;
         }
       } catch (error) {
-        console.error(`Search with ${term} failed: ${error.message}`);
+        logger.warn(`Search with ${term} failed: ${error.message}`);
       }
     }
   }
@@ -130,11 +145,11 @@ async function progressiveSearch(endpoint, accessToken, searchTerms, filterTerms
   // 3. Try with only boolean filters
   if (filterTerms.hasAttachments === true || filterTerms.unreadOnly === true) {
     try {
-      console.error("Attempting search with only boolean filters");
+      logger.debug("Attempting search with only boolean filters");
       searchAttempts.push("boolean-filters-only");
       
       const filterOnlyParams = {
-        $top: Math.min(50, maxCount),
+        $top: Math.min(config.MAX_RESULT_COUNT, maxCount),
         $select: config.EMAIL_SELECT_FIELDS,
         $orderby: 'receivedDateTime desc'
       };
@@ -142,26 +157,26 @@ async function progressiveSearch(endpoint, accessToken, searchTerms, filterTerms
       // Add the boolean filters
       addBooleanFilters(filterOnlyParams, filterTerms);
       
-      const response = await callGraphAPIPaginated(accessToken, 'GET', endpoint, filterOnlyParams, maxCount);
-      console.error(`Boolean filter search found ${response.value?.length || 0} results`);
+      const response = await callGraphAPI(accessToken, 'GET', endpoint, null, filterOnlyParams);
+      logger.debug(`Boolean filter search found ${response.value?.length || 0} results`);
       return response;
     } catch (error) {
-      console.error(`Boolean filter search failed: ${error.message}`);
+      logger.warn(`Boolean filter search failed: ${error.message}`);
     }
   }
   
   // 4. Final fallback: just get recent emails with pagination
-  console.error("All search strategies failed, falling back to recent emails");
+  logger.warn("All search strategies failed, falling back to recent emails");
   searchAttempts.push("recent-emails");
   
   const basicParams = {
-    $top: Math.min(50, maxCount),
+    $top: Math.min(config.MAX_RESULT_COUNT, maxCount),
     $select: config.EMAIL_SELECT_FIELDS,
     $orderby: 'receivedDateTime desc'
   };
   
-  const response = await callGraphAPIPaginated(accessToken, 'GET', endpoint, basicParams, maxCount);
-  console.error(`Fallback to recent emails found ${response.value?.length || 0} results`);
+  const response = await callGraphAPI(accessToken, 'GET', endpoint, null, basicParams);
+  logger.debug(`Fallback to recent emails found ${response.value?.length || 0} results`);
   
   // Add a note to the response about the search attempts
   response._searchInfo = {
@@ -247,12 +262,18 @@ function addBooleanFilters(params, filterTerms) {
  * @returns {object} - MCP response object
  */
 function formatSearchResults(response) {
+  const strategy = response._searchInfo
+    ? response._searchInfo.strategies[response._searchInfo.strategies.length - 1]
+    : null;
+  const nextCursor = encodeCursor(response['@odata.nextLink'], strategy ? { strategy } : {});
+
   if (!response.value || response.value.length === 0) {
     return {
       content: [{ 
         type: "text", 
         text: `No emails found matching your search criteria.`
-      }]
+      }],
+      structuredContent: { count: 0, strategy, emails: [], nextCursor }
     };
   }
   
@@ -267,15 +288,21 @@ function formatSearchResults(response) {
   
   // Add search strategy info if available
   let additionalInfo = '';
-  if (response._searchInfo) {
-    additionalInfo = `\n(Search used ${response._searchInfo.strategies[response._searchInfo.strategies.length - 1]} strategy)`;
+  if (strategy) {
+    additionalInfo = `\n(Search used ${strategy} strategy)`;
   }
   
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} emails matching your search criteria:${additionalInfo}\n\n${emailList}`
-    }]
+      text: `Found ${response.value.length} emails matching your search criteria:${additionalInfo}\n\n${emailList}${nextCursor ? `\nMore results available. To get the next page, call search-emails with cursor: ${nextCursor}` : ''}`
+    }],
+    structuredContent: {
+      count: response.value.length,
+      strategy,
+      emails: response.value.map(toEmailSummary),
+      nextCursor
+    }
   };
 }
 
@@ -4,14 +4,18 @@
 const config = require('../config');
 const { callGraphAPI } = require('../utils/graph-api');
 const { ensureAuthenticated } = require('../auth');
+const { getCurrentMailbox, runWithMailbox, getMailboxAccessError } = require('../utils/mailbox');
 
 /**
- * Send email handler
+ * Send email handler. With a shared `mailbox`, send_as posts to that mailbox's
+ * sendMail, while send_on_behalf posts to the signed-in user's sendMail with the
+ * mailbox as the From address.
  * @param {object} args - Tool arguments
  * @returns {object} - MCP response
  */
 async function handleSendEmail(args) {
-  const { to, cc, bcc, subject, body, importance = 'normal', saveToSentItems = true } = args;
+  const { to, cc, bcc, subject, body, importance = 'normal', saveToSentItems = true, sendMode = 'send_as' } = args;
+  const mailbox = getCurrentMailbox();
   
   // Validate required parameters
   if (!to) {
@@ -90,13 +94,32 @@ async function handleSendEmail(args) {
     };
     
     // Make API call to send email
-    await callGraphAPI(accessToken, 'POST', 'me/sendMail', emailObject);
+    if (mailbox && sendMode === 'send_on_behalf') {
+      emailObject.message.from = { emailAddress: { address: mailbox } };
+      try {
+        // Sent from the signed-in user's own mailbox, so the path is not rewritten
+        await runWithMailbox(null, () => callGraphAPI(accessToken, 'POST', 'me/sendMail', emailObject));
+      } catch (error) {
+        const accessError = getMailboxAccessError(mailbox, error.statusCode, error.body);
+        throw accessError ? new Error(accessError) : error;
+      }
+    } else {
+      await callGraphAPI(accessToken, 'POST', 'me/sendMail', emailObject);
+    }
     
     return {
       content: [{ 
         type: "text", 
-        text: `Email sent successfully!\n\nSubject: ${subject}\nRecipients: ${toRecipients.length}${ccRecipients.length > 0 ? ` + ${ccRecipients.length} CC` : ''}${bccRecipients.length > 0 ? ` + ${bccRecipients.length} BCC` : ''}\nMessage Length: ${body.length} characters`
-      }]
+        text: `Email sent successfully!\n\n${mailbox ? `From: ${mailbox} (${sendMode === 'send_on_behalf' ? 'on behalf' : 'send as'})\n` : ''}Subject: ${subject}\nRecipients: ${toRecipients.length}${ccRecipients.length > 0 ? ` + ${ccRecipients.length} CC` : ''}${bccRecipients.length > 0 ? ` + ${bccRecipients.length} BCC` : ''}\nMessage Length: ${body.length} characters`
+      }],
+      structuredContent: {
+        sent: true,
+        subject,
+        toCount: toRecipients.length,
+        ccCount: ccRecipients.length,
+        bccCount: bccRecipients.length,
+        ...(mailbox ? { from: mailbox, sendMode } : {})
+      }
     };
   } catch (error) {
     if (error.message === 'Authentication required') {
@@ -4,7 +4,7 @@
  * This helps create rules that target specific folders
  */
 const https = require('https');
-const fs = require('fs');
+const { readTokenFileSync } = require('./auth/token-file');
 const path = require('path');
 
 // Configuration
@@ -16,7 +16,7 @@ async function findFolderIds() {
   try {
     // Read the authentication token from file
     console.log(`Reading token from ${tokenPath}`);
-    const tokenData = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+    const tokenData = readTokenFileSync(tokenPath);
     const accessToken = tokenData.access_token;
     
     if (!accessToken) {
@@ -91,7 +91,7 @@ async function findFolderIds() {
 async function callGraphAPI(endpoint) {
   return new Promise((resolve, reject) => {
     // Read token from file again to ensure it's fresh
-    const tokenData = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+    const tokenData = readTokenFileSync(tokenPath);
     const accessToken = tokenData.access_token;
     
     const options = {
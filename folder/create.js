@@ -4,6 +4,9 @@
 const { callGraphAPI } = require('../utils/graph-api');
 const { ensureAuthenticated } = require('../auth');
 const { getFolderIdByName } = require('../email/folder-utils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('folder');
 
 /**
  * Create folder handler
@@ -30,11 +33,25 @@ async function handleCreateFolder(args) {
     // Create folder with appropriate parent
     const result = await createMailFolder(accessToken, folderName, parentFolder);
     
+    if (!result.success) {
+      return {
+        content: [{ 
+          type: "text", 
+          text: result.message
+        }]
+      };
+    }
+    
     return {
       content: [{ 
         type: "text", 
         text: result.message
-      }]
+      }],
+      structuredContent: {
+        folderId: result.folderId,
+        name: folderName,
+        parentFolder: parentFolder || null
+      }
     };
   } catch (error) {
     if (error.message === 'Authentication required') {
@@ -116,7 +133,7 @@ async function createMailFolder(accessToken, folderName, parentFolderName) {
       };
     }
   } catch (error) {
-    console.error(`Error creating folder "${folderName}": ${error.message}`);
+    logger.error(`Error creating folder "${folderName}": ${error.message}`);
     throw error;
   }
 }
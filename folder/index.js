@@ -4,6 +4,21 @@
 const handleListFolders = require('./list');
 const handleCreateFolder = require('./create');
 const handleMoveEmails = require('./move');
+const { BULK_FAILURE_SCHEMA } = require('../utils/output-schemas');
+
+const FOLDER_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    displayName: { type: "string" },
+    parentFolderId: { type: "string" },
+    parentFolder: { type: "string" },
+    childFolderCount: { type: "number" },
+    totalItemCount: { type: "number" },
+    unreadItemCount: { type: "number" }
+  },
+  required: ["id", "displayName"]
+};
 
 // Folder management tool definitions
 const folderTools = [
@@ -24,6 +39,19 @@ const folderTools = [
       },
       required: []
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        count: { type: "number" },
+        folders: { type: "array", items: FOLDER_SCHEMA }
+      },
+      required: ["count", "folders"]
+    },
+    annotations: {
+      readOnlyHint: true,
+      openWorldHint: true
+    },
+    requiredScopes: ["Mail.Read"],
     handler: handleListFolders
   },
   {
@@ -43,6 +71,22 @@ const folderTools = [
       },
       required: ["name"]
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        folderId: { type: "string" },
+        name: { type: "string" },
+        parentFolder: { type: ["string", "null"] }
+      },
+      required: ["folderId", "name"]
+    },
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: true
+    },
+    requiredScopes: ["Mail.ReadWrite"],
     handler: handleCreateFolder
   },
   {
@@ -66,6 +110,22 @@ const folderTools = [
       },
       required: ["emailIds", "targetFolder"]
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        targetFolder: { type: "string" },
+        moved: { type: "array", items: { type: "string" } },
+        failed: { type: "array", items: BULK_FAILURE_SCHEMA }
+      },
+      required: ["targetFolder", "moved", "failed"]
+    },
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: true,
+      openWorldHint: true
+    },
+    requiredScopes: ["Mail.ReadWrite"],
     handler: handleMoveEmails
   }
 ];
@@ -3,6 +3,9 @@
  */
 const { callGraphAPI } = require('../utils/graph-api');
 const { ensureAuthenticated } = require('../auth');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('folder');
 
 /**
  * List folders handler
@@ -19,6 +22,10 @@ async function handleListFolders(args) {
     
     // Get all mail folders
     const folders = await getAllFoldersHierarchy(accessToken, includeItemCounts);
+    const structuredContent = {
+      count: folders.length,
+      folders: folders.map(toFolder)
+    };
     
     // If including children, format as hierarchy
     if (includeChildren) {
@@ -26,7 +33,8 @@ async function handleListFolders(args) {
         content: [{ 
           type: "text", 
           text: formatFolderHierarchy(folders, includeItemCounts)
-        }]
+        }],
+        structuredContent
       };
     } else {
       // Otherwise, format as flat list
@@ -34,7 +42,8 @@ async function handleListFolders(args) {
         content: [{ 
           type: "text", 
           text: formatFolderList(folders, includeItemCounts)
-        }]
+        }],
+        structuredContent
       };
     }
   } catch (error) {
@@ -106,7 +115,7 @@ async function getAllFoldersHierarchy(accessToken, includeItemCounts) {
         
         return childFolders;
       } catch (error) {
-        console.error(`Error getting child folders for "${folder.displayName}": ${error.message}`);
+        logger.warn(`Error getting child folders for "${folder.displayName}": ${error.message}`);
         return [];
       }
     });
@@ -123,11 +132,28 @@ async function getAllFoldersHierarchy(accessToken, includeItemCounts) {
     // Combine all folders
     return [...topLevelFolders, ...allChildFolders];
   } catch (error) {
-    console.error(`Error getting all folders: ${error.message}`);
+    logger.error(`Error getting all folders: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Convert a folder object into a FOLDER_SCHEMA object
+ * @param {object} folder - Folder object from getAllFoldersHierarchy
+ * @returns {object} - Folder
+ */
+function toFolder(folder) {
+  return {
+    id: folder.id,
+    displayName: folder.displayName,
+    parentFolderId: folder.parentFolderId,
+    parentFolder: folder.parentFolder,
+    childFolderCount: folder.childFolderCount || 0,
+    totalItemCount: folder.totalItemCount,
+    unreadItemCount: folder.unreadItemCount
+  };
+}
+
 /**
  * Format folders as a flat list
  * @param {Array} folders - Array of folder objects
@@ -1,9 +1,12 @@
 /**
  * Move emails functionality
  */
-const { callGraphAPI } = require('../utils/graph-api');
+const { callGraphBatch } = require('../utils/graph-batch');
 const { ensureAuthenticated } = require('../auth');
 const { getFolderIdByName } = require('../email/folder-utils');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('folder');
 
 /**
  * Move emails handler
@@ -52,11 +55,26 @@ async function handleMoveEmails(args) {
     // Move emails
     const result = await moveEmailsToFolder(accessToken, ids, targetFolder, sourceFolder);
     
+    // Without per-email results the target folder could not be resolved
+    if (!result.results) {
+      return {
+        content: [{ 
+          type: "text", 
+          text: result.message
+        }]
+      };
+    }
+    
     return {
       content: [{ 
         type: "text", 
         text: result.message
-      }]
+      }],
+      structuredContent: {
+        targetFolder,
+        moved: result.results.successful,
+        failed: result.results.failed
+      }
     };
   } catch (error) {
     if (error.message === 'Authentication required') {
@@ -96,34 +114,34 @@ async function moveEmailsToFolder(accessToken, emailIds, targetFolderName, sourc
       };
     }
     
+    // Move the emails in $batch calls; each email succeeds or fails independently
+    const batchResults = await callGraphBatch(accessToken, emailIds.map((emailId, index) => ({
+      id: String(index + 1),
+      method: 'POST',
+      url: `/me/messages/${encodeURIComponent(emailId)}/move`,
+      body: {
+        destinationId: targetFolderId
+      }
+    })));
+    
     // Track successful and failed moves
     const results = {
       successful: [],
       failed: []
     };
     
-    // Process each email one by one to handle errors independently
-    for (const emailId of emailIds) {
-      try {
-        // Move the email
-        await callGraphAPI(
-          accessToken,
-          'POST',
-          `me/messages/${emailId}/move`,
-          {
-            destinationId: targetFolderId
-          }
-        );
-        
+    batchResults.forEach((result, index) => {
+      const emailId = emailIds[index];
+      if (result.ok) {
         results.successful.push(emailId);
-      } catch (error) {
-        console.error(`Error moving email ${emailId}: ${error.message}`);
+      } else {
+        logger.warn(`Error moving email ${emailId}: ${result.error}`);
         results.failed.push({
           id: emailId,
-          error: error.message
+          error: result.error
         });
       }
-    }
+    });
     
     // Generate result message
     let message = '';
@@ -155,7 +173,7 @@ async function moveEmailsToFolder(accessToken, emailIds, targetFolderName, sourc
       results
     };
   } catch (error) {
-    console.error(`Error in moveEmailsToFolder: ${error.message}`);
+    logger.error(`Error in moveEmailsToFolder: ${error.message}`);
     throw error;
   }
 }
@@ -4,8 +4,9 @@
  * to the GitHub Notifications subfolder
  */
 const https = require('https');
-const fs = require('fs');
+const { readTokenFileSync } = require('./auth/token-file');
 const path = require('path');
+const { callGraphBatch } = require('./utils/graph-batch');
 
 // Configuration
 const homePath = process.env.HOME || '/Users/ryaker';
@@ -18,7 +19,7 @@ async function moveGitHubEmails() {
   try {
     // Read the authentication token from file
     console.log(`Reading token from ${tokenPath}`);
-    const tokenData = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+    const tokenData = readTokenFileSync(tokenPath);
     const accessToken = tokenData.access_token;
     
     if (!accessToken) {
@@ -67,19 +68,7 @@ async function moveGitHubEmails() {
     if (workflowEmails.length > 0) {
       console.log('\nMoving workflow notifications to Notifications subfolder...');
       
-      let movedCount = 0;
-      for (const email of workflowEmails) {
-        try {
-          await callGraphAPI(`me/messages/${email.id}/move`, 'POST', {
-            destinationId: notificationsFolderId
-          });
-          movedCount++;
-          console.log(`Moved ${movedCount}/${workflowEmails.length}: "${email.subject}"`);
-        } catch (error) {
-          console.error(`Failed to move email: ${error.message}`);
-        }
-      }
-      
+      const movedCount = await moveEmails(accessToken, workflowEmails, notificationsFolderId);
       console.log(`Successfully moved ${movedCount} workflow notifications to Notifications subfolder`);
     }
     
@@ -87,19 +76,7 @@ async function moveGitHubEmails() {
     if (otherEmails.length > 0) {
       console.log('\nMoving other GitHub emails to GitHub folder...');
       
-      let movedCount = 0;
-      for (const email of otherEmails) {
-        try {
-          await callGraphAPI(`me/messages/${email.id}/move`, 'POST', {
-            destinationId: githubFolderId
-          });
-          movedCount++;
-          console.log(`Moved ${movedCount}/${otherEmails.length}: "${email.subject}"`);
-        } catch (error) {
-          console.error(`Failed to move email: ${error.message}`);
-        }
-      }
-      
+      const movedCount = await moveEmails(accessToken, otherEmails, githubFolderId);
       console.log(`Successfully moved ${movedCount} other GitHub emails to GitHub folder`);
     }
     
@@ -109,13 +86,43 @@ async function moveGitHubEmails() {
   }
 }
 
+/**
+ * Moves emails to a folder using Graph $batch requests
+ * @param {string} accessToken - Access token
+ * @param {Array<object>} emails - Emails to move ({ id, subject })
+ * @param {string} folderId - Destination folder ID
+ * @returns {Promise<number>} - Number of emails moved
+ */
+async function moveEmails(accessToken, emails, folderId) {
+  const results = await callGraphBatch(accessToken, emails.map((email, index) => ({
+    id: String(index + 1),
+    method: 'POST',
+    url: `/me/messages/${email.id}/move`,
+    body: {
+      destinationId: folderId
+    }
+  })));
+
+  let movedCount = 0;
+  results.forEach((result, index) => {
+    if (result.ok) {
+      movedCount++;
+      console.log(`Moved ${movedCount}/${emails.length}: "${emails[index].subject}"`);
+    } else {
+      console.error(`Failed to move email: ${result.error}`);
+    }
+  });
+
+  return movedCount;
+}
+
 /**
  * Helper function to call Microsoft Graph API
  */
 async function callGraphAPI(endpoint, method = 'GET', data = null) {
   return new Promise((resolve, reject) => {
     // Read token from file again to ensure it's fresh
-    const tokenData = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+    const tokenData = readTokenFileSync(tokenPath);
     const accessToken = tokenData.access_token;
     
     const options = {
@@ -1,47 +1,46 @@
 #!/usr/bin/env node
+// Load environment variables from .env file before the configuration is read
+require('dotenv').config();
+
 const http = require('http');
 const url = require('url');
 const querystring = require('querystring');
-const https = require('https');
-const fs = require('fs');
-const path = require('path');
+const config = require('./config');
+const { createPkcePair } = require('./auth/pkce');
+const { OAuthStateStore } = require('./auth/state-store');
+const { resolveAccount, DEFAULT_ACCOUNT } = require('./auth/accounts');
+const { tokenService } = require('./auth/token-service');
+const { mergeScopes, parseScopes } = require('./auth/scopes');
+const { createLogger } = require('./utils/logger');
 
-// Load environment variables from .env file
-require('dotenv').config();
+const logger = createLogger('auth-server');
 
-// Log to console
-console.log('Starting Outlook Authentication Server');
+logger.info('Starting Outlook Authentication Server');
 
-// Authentication configuration
-const AUTH_CONFIG = {
-  clientId: process.env.MS_CLIENT_ID || '', // Set your client ID as an environment variable
-  clientSecret: process.env.MS_CLIENT_SECRET || '', // Set your client secret as an environment variable
-  redirectUri: process.env.MS_REDIRECT_URI,
-  scopes: [
-    'offline_access',
-    'User.Read',
-    'Mail.Read',
-    'Mail.ReadWrite',
-    'Calendars.Read',
-    'Calendars.ReadWrite',
-    'Contacts.Read'
-  ],
-  // tokenStorePath: path.join(process.env.HOME || process.env.USERPROFILE, '.outlook-mcp-tokens.json')
-  tokenStorePath: process.env.OUTLOOK_TOKEN_PATH || '/data/outlook-mcp-tokens.json'
-};
+// Same configuration as the MCP server, so tokens land where the server reads them
+const AUTH_CONFIG = config.AUTH_CONFIG;
+
+// prompt values the /auth route passes on to the authorization endpoint
+const SIGN_IN_PROMPTS = ['login', 'select_account', 'consent'];
+
+// Pending sign-ins by state, with the PKCE code verifier each one was started with
+const stateStore = new OAuthStateStore({ filePath: process.env.MS_OAUTH_STATE_PATH || null });
 
 // Create HTTP server
 const server = http.createServer((req, res) => {
   const parsedUrl = url.parse(req.url, true);
   const pathname = parsedUrl.pathname;
   
-  console.log(`Request received: ${pathname}`);
+  logger.debug(`Request received: ${pathname}`);
   
   if (pathname === '/auth/callback') {
     const query = parsedUrl.query;
     
+    // States are single-use: the sign-in ends here whether or not it succeeded
+    const loginAttempt = stateStore.consume(query.state);
+    
     if (query.error) {
-      console.error(`Authentication error: ${query.error} - ${query.error_description}`);
+      logger.error(`Authentication error: ${query.error} - ${query.error_description}`);
       res.writeHead(400, { 'Content-Type': 'text/html' });
       res.end(`
         <html>
@@ -66,13 +65,38 @@ const server = http.createServer((req, res) => {
       return;
     }
     
+    if (query.code && !loginAttempt) {
+      logger.warn('Rejecting callback with an unknown, expired or already used state');
+      res.writeHead(400, { 'Content-Type': 'text/html' });
+      res.end(`
+        <html>
+          <head>
+            <title>Invalid State</title>
+            <style>
+              body { font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; }
+              h1 { color: #d9534f; }
+              .error-box { background-color: #f8d7da; border: 1px solid #f5c6cb; padding: 15px; border-radius: 4px; }
+            </style>
+          </head>
+          <body>
+            <h1>Invalid State</h1>
+            <div class="error-box">
+              <p>This sign-in link is unknown, has expired or was already used.</p>
+            </div>
+            <p>Please close this window and start again from the authenticate tool.</p>
+          </body>
+        </html>
+      `);
+      return;
+    }
+    
     if (query.code) {
-      console.log('Authorization code received, exchanging for tokens...');
+      logger.debug('Authorization code received, exchanging for tokens');
       
       // Exchange code for tokens
-      exchangeCodeForTokens(query.code)
+      tokenService.getStorage(loginAttempt.account).exchangeCodeForTokens(query.code, loginAttempt.codeVerifier, loginAttempt.scopes)
         .then((tokens) => {
-          console.log('Token exchange successful');
+          logger.info(`Token exchange successful for account '${loginAttempt.account}'`);
           res.writeHead(200, { 'Content-Type': 'text/html' });
           res.end(`
             <html>
@@ -96,7 +120,7 @@ const server = http.createServer((req, res) => {
           `);
         })
         .catch((error) => {
-          console.error(`Token exchange error: ${error.message}`);
+          logger.error('Token exchange failed', error);
           res.writeHead(500, { 'Content-Type': 'text/html' });
           res.end(`
             <html>
@@ -119,7 +143,7 @@ const server = http.createServer((req, res) => {
           `);
         });
     } else {
-      console.error('No authorization code provided');
+      logger.warn('No authorization code provided');
       res.writeHead(400, { 'Content-Type': 'text/html' });
       res.end(`
         <html>
@@ -143,10 +167,10 @@ const server = http.createServer((req, res) => {
     }
   } else if (pathname === '/auth') {
     // Handle the /auth route - redirect to Microsoft's OAuth authorization endpoint
-    console.log('Auth request received, redirecting to Microsoft login...');
+    logger.debug('Auth request received, redirecting to Microsoft login');
     
-    // Verify credentials are set
-    if (!AUTH_CONFIG.clientId || !AUTH_CONFIG.clientSecret) {
+    // Verify credentials are set (the client secret is optional; PKCE is always used)
+    if (!AUTH_CONFIG.clientId) {
       res.writeHead(500, { 'Content-Type': 'text/html' });
       res.end(`
         <html>
@@ -162,11 +186,11 @@ const server = http.createServer((req, res) => {
           <body>
             <h1>Configuration Error</h1>
             <div class="error-box">
-              <p>Microsoft Graph API credentials are not set. Please set the following environment variables:</p>
+              <p>Microsoft Graph API credentials are not set. Please set the following environment variable:</p>
               <ul>
                 <li><code>MS_CLIENT_ID</code></li>
-                <li><code>MS_CLIENT_SECRET</code></li>
               </ul>
+              <p><code>MS_CLIENT_SECRET</code> is only needed for confidential (web) app registrations.</p>
             </div>
           </body>
         </html>
@@ -178,18 +202,49 @@ const server = http.createServer((req, res) => {
     const query = parsedUrl.query;
     const clientId = query.client_id || AUTH_CONFIG.clientId;
     
+    // Sign-ins for a named account profile store their tokens in that account's file
+    let account = DEFAULT_ACCOUNT;
+    if (query.account) {
+      try {
+        account = resolveAccount(query.account).name;
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end(error.message);
+        return;
+      }
+    }
+    
+    // Incremental consent: scopes requested on top of the configured ones
+    let scopes;
+    try {
+      scopes = mergeScopes(AUTH_CONFIG.scopes, parseScopes(query.scope));
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end(error.message);
+      return;
+    }
+    
+    const { codeVerifier, codeChallenge, codeChallengeMethod } = createPkcePair();
+    const state = stateStore.create({ codeVerifier, account, scopes });
+    
     // Build the authorization URL
     const authParams = {
       client_id: clientId,
       response_type: 'code',
       redirect_uri: AUTH_CONFIG.redirectUri,
-      scope: AUTH_CONFIG.scopes.join(' '),
+      scope: scopes.join(' '),
       response_mode: 'query',
-      state: Date.now().toString() // Simple state parameter for security
+      state: state,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod
     };
+    // Lets a forced re-authentication show the account picker or sign-in page
+    if (SIGN_IN_PROMPTS.includes(query.prompt)) {
+      authParams.prompt = query.prompt;
+    }
     
-    const authUrl = `https://login.microsoftonline.com/common/oauth2/v2.0/authorize?${querystring.stringify(authParams)}`;
-    console.log(`Redirecting to: ${authUrl}`);
+    const authUrl = `${AUTH_CONFIG.authEndpoint}?${querystring.stringify(authParams)}`;
+    logger.debug(`Redirecting to: ${authUrl}`);
     
     // Redirect to Microsoft's login page
     res.writeHead(302, { 'Location': authUrl });
@@ -213,7 +268,7 @@ const server = http.createServer((req, res) => {
           <div class="info-box">
             <p>This server is running to handle Microsoft Graph API authentication callbacks.</p>
             <p>Don't navigate here directly. Instead, use the <code>authenticate</code> tool in Claude to start the authentication process.</p>
-            <p>Make sure you've set the <code>MS_CLIENT_ID</code> and <code>MS_CLIENT_SECRET</code> environment variables.</p>
+            <p>Make sure you've set the <code>MS_CLIENT_ID</code> environment variable (and <code>MS_CLIENT_SECRET</code> for confidential app registrations).</p>
           </div>
           <p>Server is running at http://localhost:3333</p>
         </body>
@@ -226,88 +281,28 @@ const server = http.createServer((req, res) => {
   }
 });
 
-function exchangeCodeForTokens(code) {
-  return new Promise((resolve, reject) => {
-    const postData = querystring.stringify({
-      client_id: AUTH_CONFIG.clientId,
-      client_secret: AUTH_CONFIG.clientSecret,
-      code: code,
-      redirect_uri: AUTH_CONFIG.redirectUri,
-      grant_type: 'authorization_code',
-      scope: AUTH_CONFIG.scopes.join(' ')
-    });
-    
-    const options = {
-      hostname: 'login.microsoftonline.com',
-      path: '/common/oauth2/v2.0/token',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Content-Length': Buffer.byteLength(postData)
-      }
-    };
-    
-    const req = https.request(options, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          try {
-            const tokenResponse = JSON.parse(data);
-            
-            // Calculate expiration time (current time + expires_in seconds)
-            const expiresAt = Date.now() + (tokenResponse.expires_in * 1000);
-            
-            // Add expires_at for easier expiration checking
-            tokenResponse.expires_at = expiresAt;
-            
-            // Save tokens to file
-            fs.writeFileSync(AUTH_CONFIG.tokenStorePath, JSON.stringify(tokenResponse, null, 2), 'utf8');
-            console.log(`Tokens saved to ${AUTH_CONFIG.tokenStorePath}`);
-            
-            resolve(tokenResponse);
-          } catch (error) {
-            reject(new Error(`Error parsing token response: ${error.message}`));
-          }
-        } else {
-          reject(new Error(`Token exchange failed with status ${res.statusCode}: ${data}`));
-        }
-      });
-    });
-    
-    req.on('error', (error) => {
-      reject(error);
-    });
-    
-    req.write(postData);
-    req.end();
-  });
-}
-
 // Start server
 const PORT = 3333;
 server.listen(PORT, () => {
-  console.log(`Authentication server running at http://localhost:${PORT}`);
-  console.log(`Waiting for authentication callback at ${AUTH_CONFIG.redirectUri}`);
-  console.log(`Token will be stored at: ${AUTH_CONFIG.tokenStorePath}`);
+  logger.info(`Authentication server running at http://localhost:${PORT}`, {
+    redirectUri: AUTH_CONFIG.redirectUri,
+    tokenStorePath: AUTH_CONFIG.tokenStorePath
+  });
   
-  if (!AUTH_CONFIG.clientId || !AUTH_CONFIG.clientSecret) {
-    console.log('\n⚠️  WARNING: Microsoft Graph API credentials are not set.');
-    console.log('   Please set the MS_CLIENT_ID and MS_CLIENT_SECRET environment variables.');
+  if (!AUTH_CONFIG.clientId) {
+    logger.warn('Microsoft Graph API credentials are not set. Please set the MS_CLIENT_ID environment variable.');
+  } else if (!AUTH_CONFIG.clientSecret) {
+    logger.info('No MS_CLIENT_SECRET set: signing in as a public client with PKCE.');
   }
 });
 
 // Handle termination
 process.on('SIGINT', () => {
-  console.log('Authentication server shutting down');
+  logger.info('Authentication server shutting down');
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
-  console.log('Authentication server shutting down');
+  logger.info('Authentication server shutting down');
   process.exit(0);
 });
@@ -0,0 +1,35 @@
+/**
+ * Draft reply prompt
+ */
+const { handleReadEmail } = require('../email');
+const { getResultText } = require('../utils/tool-output');
+
+/**
+ * Build the draft-reply prompt
+ * @param {object} args - Prompt arguments ({ id, tone, instructions })
+ * @returns {Promise<object>} - MCP prompts/get result
+ */
+async function getDraftReplyPrompt(args) {
+  const tone = args.tone || 'professional';
+
+  // A failed call (e.g. not authenticated) becomes a prompts/get error, not the email text
+  const email = getResultText(await handleReadEmail({ id: args.id }));
+
+  let text = `Please draft a ${tone} reply to this email:\n\n${email}\n\n`;
+  if (args.instructions) {
+    text += `What the reply should say: ${args.instructions}\n\n`;
+  }
+  text += `Keep it concise and reply to the sender. Show me the draft first; once I approve it, save it with the create-draft tool.`;
+
+  return {
+    description: `Draft a reply to message ${args.id}`,
+    messages: [
+      {
+        role: "user",
+        content: { type: "text", text }
+      }
+    ]
+  };
+}
+
+module.exports = getDraftReplyPrompt;
@@ -0,0 +1,190 @@
+/**
+ * MCP prompts module for Outlook MCP server
+ */
+const getTriageInboxPrompt = require('./triage-inbox');
+const getDraftReplyPrompt = require('./draft-reply');
+const getPrepareMeetingsPrompt = require('./prepare-meetings');
+const getSummariseThreadPrompt = require('./summarise-thread');
+const { isToolAllowed } = require('../transport/http-auth');
+const { getMissingToolScopes, getConsentMessage } = require('../auth/consent');
+const { resolveAccount } = require('../auth/accounts');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('prompts');
+
+// Prompt definitions. `tools` are the tools whose data a prompt reads: a client must be
+// allowed all of them, and the account must have granted the scopes they need
+const prompts = [
+  {
+    name: "triage-inbox",
+    description: "Triage my inbox: sort recent emails by urgency and suggest what to archive",
+    arguments: [
+      {
+        name: "count",
+        description: "Number of recent emails to triage (default: 25)",
+        required: false
+      },
+      {
+        name: "folder",
+        description: "Folder to triage (default: 'inbox')",
+        required: false
+      }
+    ],
+    tools: ["list-emails"],
+    handler: getTriageInboxPrompt
+  },
+  {
+    name: "draft-reply",
+    description: "Draft a reply to a specific email",
+    arguments: [
+      {
+        name: "id",
+        description: "ID of the email to reply to",
+        required: true
+      },
+      {
+        name: "tone",
+        description: "Tone of the reply, e.g. 'friendly' or 'formal' (default: 'professional')",
+        required: false
+      },
+      {
+        name: "instructions",
+        description: "What the reply should say",
+        required: false
+      }
+    ],
+    tools: ["read-email"],
+    handler: getDraftReplyPrompt
+  },
+  {
+    name: "prepare-meetings",
+    description: "Prepare me for tomorrow's meetings (or another day's)",
+    arguments: [
+      {
+        name: "date",
+        description: "Day to prepare for in YYYY-MM-DD format (default: tomorrow)",
+        required: false
+      }
+    ],
+    tools: ["list-events"],
+    handler: getPrepareMeetingsPrompt
+  },
+  {
+    name: "summarise-thread",
+    description: "Summarise an email conversation with its decisions and action items",
+    arguments: [
+      {
+        name: "conversationId",
+        description: "Conversation ID of the thread to summarise",
+        required: true
+      }
+    ],
+    tools: ["read-email"],
+    handler: getSummariseThreadPrompt
+  }
+];
+
+/**
+ * Error raised for invalid prompts/get requests (JSON-RPC "Invalid params")
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a JSON-RPC code
+ */
+function invalidParams(message) {
+  const error = new Error(message);
+  error.code = -32602;
+  return error;
+}
+
+/**
+ * Error raised for prompts/get requests the client or account may not make
+ * (JSON-RPC "Invalid request")
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a JSON-RPC code
+ */
+function notAllowed(message) {
+  const error = new Error(message);
+  error.code = -32600;
+  return error;
+}
+
+/**
+ * Checks whether a client may use a prompt: it must be allowed every tool the prompt uses
+ * @param {object} prompt - Prompt definition
+ * @param {object} authInfo - Client identity (undefined when HTTP auth is disabled)
+ * @returns {boolean} - Whether the prompt is allowed
+ */
+function isPromptAllowed(prompt, authInfo) {
+  return prompt.tools.every(tool => isToolAllowed(authInfo, tool));
+}
+
+/**
+ * prompts/list handler
+ * @param {object} authInfo - Client identity (undefined when HTTP auth is disabled)
+ * @returns {object} - MCP response
+ */
+function handleListPrompts(authInfo) {
+  return {
+    prompts: prompts.filter(prompt => isPromptAllowed(prompt, authInfo)).map(({ name, description, arguments: promptArguments }) => ({
+      name,
+      description,
+      arguments: promptArguments
+    }))
+  };
+}
+
+/**
+ * prompts/get handler. Prompts call the tool handlers directly, so the checks tools/call
+ * makes before running a tool (client allowlist and granted scopes) are made here.
+ * @param {object} params - Request params ({ name, arguments })
+ * @param {object} authInfo - Client identity (undefined when HTTP auth is disabled)
+ * @param {Array<object>} tools - Tool definitions, for the scopes the prompt's tools need
+ * @returns {Promise<object>} - MCP response
+ * @throws {Error} - With a JSON-RPC `code` when the prompt or its arguments are invalid,
+ *   or the client or account may not use it
+ */
+async function handleGetPrompt(params, authInfo, tools = []) {
+  const name = params && params.name;
+  const args = (params && params.arguments) || {};
+
+  const prompt = prompts.find(p => p.name === name);
+  if (!prompt) {
+    throw invalidParams(`Prompt not found: ${name}`);
+  }
+
+  const missing = prompt.arguments
+    .filter(arg => arg.required && !args[arg.name])
+    .map(arg => arg.name);
+  if (missing.length > 0) {
+    throw invalidParams(`Missing required argument(s) for prompt "${name}": ${missing.join(', ')}`);
+  }
+
+  if (!isPromptAllowed(prompt, authInfo)) {
+    logger.warn(`prompts/get denied: ${name} uses tools that are not allowed for client ${authInfo.clientId}`);
+    throw notAllowed(`Prompt not allowed for this client: ${name}`);
+  }
+
+  // Refuse prompts the account has not consented to, like tools/call does; if the
+  // token cannot be read, the tool handler reports it
+  for (const tool of tools.filter(t => prompt.tools.includes(t.name))) {
+    let accountName;
+    let missingScopes = [];
+    try {
+      accountName = resolveAccount().name;
+      missingScopes = await getMissingToolScopes(tool, { account: accountName });
+    } catch (error) {
+      logger.warn(`Could not check the scopes granted for ${tool.name}`, error);
+    }
+    if (missingScopes.length > 0) {
+      logger.warn(`prompts/get refused: ${name} needs ${missingScopes.join(', ')} for account '${accountName}'`);
+      throw notAllowed(await getConsentMessage(tool.name, accountName, missingScopes));
+    }
+  }
+
+  return prompt.handler(args);
+}
+
+module.exports = {
+  prompts,
+  handleListPrompts,
+  handleGetPrompt
+};
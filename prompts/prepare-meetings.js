@@ -0,0 +1,52 @@
+/**
+ * Prepare for meetings prompt
+ */
+const { handleListEvents } = require('../calendar');
+const { getResultText } = require('../utils/tool-output');
+
+/**
+ * Build the prepare-meetings prompt
+ * @param {object} args - Prompt arguments ({ date } in YYYY-MM-DD format, default: tomorrow)
+ * @returns {Promise<object>} - MCP prompts/get result
+ */
+async function getPrepareMeetingsPrompt(args) {
+  let day;
+  if (args.date) {
+    day = new Date(`${args.date}T00:00:00`);
+    if (isNaN(day.getTime())) {
+      throw new Error(`Invalid date "${args.date}". Use the YYYY-MM-DD format.`);
+    }
+  } else {
+    day = new Date();
+    day.setDate(day.getDate() + 1);
+    day.setHours(0, 0, 0, 0);
+  }
+
+  const nextDay = new Date(day);
+  nextDay.setDate(nextDay.getDate() + 1);
+  const label = day.toDateString();
+
+  const events = getResultText(await handleListEvents({
+    count: 50,
+    start: day.toISOString(),
+    end: nextDay.toISOString()
+  }));
+
+  return {
+    description: `Prepare for the meetings on ${label}`,
+    messages: [
+      {
+        role: "user",
+        content: {
+          type: "text",
+          text: `Help me prepare for my meetings on ${label}. Here is my calendar for that day:\n\n${events}\n\n` +
+            `For each meeting, summarise its purpose and who is attending, then use the search-emails tool to find recent emails ` +
+            `with the same subject or attendees and pull out open questions, decisions I owe, and documents I should review beforehand. ` +
+            `Finish with a short checklist ordered by meeting start time, and flag any overlapping meetings.`
+        }
+      }
+    ]
+  };
+}
+
+module.exports = getPrepareMeetingsPrompt;
@@ -0,0 +1,51 @@
+/**
+ * Summarise thread prompt
+ */
+const config = require('../config');
+const { callGraphAPI } = require('../utils/graph-api');
+const { ensureAuthenticated } = require('../auth');
+const { formatEmail } = require('../email/read');
+
+/**
+ * Build the summarise-thread prompt
+ * @param {object} args - Prompt arguments ({ conversationId })
+ * @returns {Promise<object>} - MCP prompts/get result
+ */
+async function getSummariseThreadPrompt(args) {
+  const accessToken = await ensureAuthenticated();
+
+  // conversationId can't be combined with $orderby on messages, so sort locally
+  const response = await callGraphAPI(accessToken, 'GET', 'me/messages', null, {
+    $filter: `conversationId eq '${args.conversationId.replace(/'/g, "''")}'`,
+    $select: config.EMAIL_DETAIL_FIELDS,
+    $top: config.MAX_RESULT_COUNT
+  });
+
+  const messages = (response.value || [])
+    .sort((a, b) => new Date(a.receivedDateTime) - new Date(b.receivedDateTime));
+
+  if (messages.length === 0) {
+    throw new Error(`No messages found for conversation ${args.conversationId}`);
+  }
+
+  const thread = messages
+    .map((email, index) => `--- Message ${index + 1} of ${messages.length} ---\n${formatEmail(email)}`)
+    .join('\n\n');
+
+  return {
+    description: `Summarise the ${messages.length}-message thread "${messages[0].subject}"`,
+    messages: [
+      {
+        role: "user",
+        content: {
+          type: "text",
+          text: `Please summarise this email thread, oldest message first:\n\n${thread}\n\n` +
+            `Give a short summary of what the thread is about, the decisions that were made, the open questions, ` +
+            `and any action items with their owners and deadlines.`
+        }
+      }
+    ]
+  };
+}
+
+module.exports = getSummariseThreadPrompt;
@@ -0,0 +1,35 @@
+/**
+ * Triage inbox prompt
+ */
+const { handleListEmails } = require('../email');
+const { getResultText } = require('../utils/tool-output');
+
+/**
+ * Build the triage-inbox prompt
+ * @param {object} args - Prompt arguments ({ count, folder })
+ * @returns {Promise<object>} - MCP prompts/get result
+ */
+async function getTriageInboxPrompt(args) {
+  const folder = args.folder || 'inbox';
+  const count = Number(args.count) || 25;
+
+  const listing = getResultText(await handleListEmails({ folder, count }));
+
+  return {
+    description: `Triage the ${count} most recent emails in ${folder}`,
+    messages: [
+      {
+        role: "user",
+        content: {
+          type: "text",
+          text: `Please triage my ${folder}. Here are the ${count} most recent emails:\n\n${listing}\n\n` +
+            `Group them into: (1) needs a reply from me today, (2) needs a reply this week, (3) FYI only, (4) can be archived. ` +
+            `For each email give the subject, sender and a one-line reason. Use the read-email tool with an email's ID if the preview is not enough to decide, ` +
+            `and suggest move-emails or mark-as-read calls for the last two groups without running them.`
+        }
+      }
+    ]
+  };
+}
+
+module.exports = getTriageInboxPrompt;
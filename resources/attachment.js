@@ -0,0 +1,51 @@
+/**
+ * Email attachment resource
+ */
+const { callGraphAPI } = require('../utils/graph-api');
+const { ensureAuthenticated } = require('../auth');
+
+/**
+ * Read an email attachment resource
+ * @param {string} uri - Resource URI
+ * @param {object} params - URI parameters ({ msgId, attId })
+ * @returns {Promise<object>} - MCP resources/read result
+ */
+async function readAttachmentResource(uri, { msgId, attId }) {
+  const accessToken = await ensureAuthenticated();
+  const messageId = decodeURIComponent(msgId);
+  const attachmentId = decodeURIComponent(attId);
+
+  const attachment = await callGraphAPI(
+    accessToken,
+    'GET',
+    `me/messages/${encodeURIComponent(messageId)}/attachments/${encodeURIComponent(attachmentId)}`
+  );
+
+  // Only file attachments carry their content; item and reference attachments are described instead
+  if (attachment['@odata.type'] !== '#microsoft.graph.fileAttachment' || !attachment.contentBytes) {
+    return {
+      contents: [{
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify({
+          name: attachment.name,
+          type: attachment['@odata.type'],
+          size: attachment.size,
+          contentType: attachment.contentType
+        }, null, 2)
+      }]
+    };
+  }
+
+  return {
+    contents: [{
+      uri,
+      mimeType: attachment.contentType || 'application/octet-stream',
+      blob: attachment.contentBytes
+    }]
+  };
+}
+
+module.exports = {
+  readAttachmentResource
+};
@@ -0,0 +1,60 @@
+/**
+ * Calendar event resource
+ */
+const config = require('../config');
+const { callGraphAPI } = require('../utils/graph-api');
+const { ensureAuthenticated } = require('../auth');
+
+/**
+ * Format a Graph event as readable text
+ * @param {object} event - Event object with CALENDAR_SELECT_FIELDS selected
+ * @returns {string} - Formatted event
+ */
+function formatEvent(event) {
+  const location = event.location && event.location.displayName ? event.location.displayName : 'No location';
+  const organizer = event.organizer ? `${event.organizer.emailAddress.name} (${event.organizer.emailAddress.address})` : 'Unknown';
+  const attendees = event.attendees && event.attendees.length > 0
+    ? event.attendees.map(a => `${a.emailAddress.name || a.emailAddress.address} (${a.status ? a.status.response : 'none'})`).join(', ')
+    : 'None';
+
+  return `Subject: ${event.subject}
+Start: ${event.start.dateTime} (${event.start.timeZone})
+End: ${event.end.dateTime} (${event.end.timeZone})
+Location: ${location}
+Organizer: ${organizer}
+Attendees: ${attendees}
+${event.isAllDay ? 'All-day event\n' : ''}${event.isCancelled ? 'Cancelled\n' : ''}
+${event.bodyPreview || ''}`;
+}
+
+/**
+ * Read a calendar event resource
+ * @param {string} uri - Resource URI
+ * @param {object} params - URI parameters ({ id })
+ * @returns {Promise<object>} - MCP resources/read result
+ */
+async function readEventResource(uri, { id }) {
+  const accessToken = await ensureAuthenticated();
+  const eventId = decodeURIComponent(id);
+
+  const event = await callGraphAPI(
+    accessToken,
+    'GET',
+    `me/events/${encodeURIComponent(eventId)}`,
+    null,
+    { $select: config.CALENDAR_SELECT_FIELDS }
+  );
+
+  return {
+    contents: [{
+      uri,
+      mimeType: 'text/plain',
+      text: formatEvent(event)
+    }]
+  };
+}
+
+module.exports = {
+  readEventResource,
+  formatEvent
+};
@@ -0,0 +1,65 @@
+/**
+ * Mail folder resource
+ */
+const config = require('../config');
+const { callGraphAPI } = require('../utils/graph-api');
+const { ensureAuthenticated } = require('../auth');
+const { resolveFolderPath, getAllFolders } = require('../email/folder-utils');
+
+/**
+ * Read a mail folder resource: the most recent messages in the folder
+ * @param {string} uri - Resource URI
+ * @param {object} params - URI parameters ({ path })
+ * @returns {Promise<object>} - MCP resources/read result
+ */
+async function readFolderResource(uri, { path }) {
+  const accessToken = await ensureAuthenticated();
+  const folderName = decodeURIComponent(path);
+  const endpoint = await resolveFolderPath(accessToken, folderName);
+
+  const response = await callGraphAPI(accessToken, 'GET', endpoint, null, {
+    $top: config.DEFAULT_PAGE_SIZE,
+    $orderby: 'receivedDateTime desc',
+    $select: config.EMAIL_SELECT_FIELDS
+  });
+
+  const messages = (response.value || []).map(email => ({
+    id: email.id,
+    uri: `outlook://messages/${encodeURIComponent(email.id)}`,
+    subject: email.subject,
+    from: email.from ? email.from.emailAddress : null,
+    receivedDateTime: email.receivedDateTime,
+    isRead: email.isRead,
+    hasAttachments: email.hasAttachments,
+    bodyPreview: email.bodyPreview
+  }));
+
+  return {
+    contents: [{
+      uri,
+      mimeType: 'application/json',
+      text: JSON.stringify({ folder: folderName, messages }, null, 2)
+    }]
+  };
+}
+
+/**
+ * List mail folders as resources
+ * @param {string} accessToken - Access token
+ * @returns {Promise<Array>} - MCP resource descriptors
+ */
+async function listFolderResources(accessToken) {
+  const folders = await getAllFolders(accessToken);
+
+  return folders.map(folder => ({
+    uri: `outlook://folders/${encodeURIComponent(folder.displayName)}`,
+    name: folder.displayName,
+    description: `Recent messages in the "${folder.displayName}" folder`,
+    mimeType: 'application/json'
+  }));
+}
+
+module.exports = {
+  readFolderResource,
+  listFolderResources
+};
@@ -0,0 +1,159 @@
+/**
+ * MCP resources module for Outlook MCP server
+ */
+const { ensureAuthenticated } = require('../auth');
+const { isToolAllowed } = require('../transport/http-auth');
+const { readFolderResource, listFolderResources } = require('./folder');
+const { readMessageResource, listMessageResources } = require('./message');
+const { readEventResource } = require('./event');
+const { readAttachmentResource } = require('./attachment');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('resources');
+
+// Resource template definitions. `tool` is the read tool that exposes the same data:
+// a client whose tool allowlist excludes it can neither list nor read the resource
+const resourceTemplates = [
+  {
+    uriTemplate: "outlook://folders/{path}",
+    name: "Mail folder",
+    description: "Most recent messages in a mail folder (well-known name such as 'inbox' or a folder display name)",
+    mimeType: "application/json",
+    pattern: /^outlook:\/\/folders\/([^/]+)$/,
+    params: ["path"],
+    tool: "list-emails",
+    reader: readFolderResource
+  },
+  {
+    uriTemplate: "outlook://messages/{id}",
+    name: "Email message",
+    description: "Full content of an email message",
+    mimeType: "text/plain",
+    pattern: /^outlook:\/\/messages\/([^/]+)$/,
+    params: ["id"],
+    tool: "read-email",
+    reader: readMessageResource
+  },
+  {
+    uriTemplate: "outlook://events/{id}",
+    name: "Calendar event",
+    description: "Details of a calendar event",
+    mimeType: "text/plain",
+    pattern: /^outlook:\/\/events\/([^/]+)$/,
+    params: ["id"],
+    tool: "list-events",
+    reader: readEventResource
+  },
+  {
+    uriTemplate: "outlook://attachments/{msgId}/{attId}",
+    name: "Email attachment",
+    description: "Content of a file attachment on an email message",
+    mimeType: "application/octet-stream",
+    pattern: /^outlook:\/\/attachments\/([^/]+)\/([^/]+)$/,
+    params: ["msgId", "attId"],
+    tool: "read-email",
+    reader: readAttachmentResource
+  }
+];
+
+/**
+ * Match a resource URI against the resource templates
+ * @param {string} uri - Resource URI
+ * @returns {{template: object, params: object}|null} - Matching template and URI parameters
+ */
+function matchResourceUri(uri) {
+  for (const template of resourceTemplates) {
+    const match = template.pattern.exec(uri || '');
+    if (match) {
+      const params = {};
+      template.params.forEach((name, index) => {
+        params[name] = match[index + 1];
+      });
+      return { template, params };
+    }
+  }
+  return null;
+}
+
+/**
+ * resources/templates/list handler
+ * @param {object} authInfo - Client identity (undefined when HTTP auth is disabled)
+ * @returns {object} - MCP response
+ */
+function handleListResourceTemplates(authInfo) {
+  return {
+    resourceTemplates: resourceTemplates
+      .filter(template => isToolAllowed(authInfo, template.tool))
+      .map(({ uriTemplate, name, description, mimeType }) => ({
+        uriTemplate,
+        name,
+        description,
+        mimeType
+      }))
+  };
+}
+
+/**
+ * resources/list handler: mail folders plus the most recent inbox messages
+ * @param {object} authInfo - Client identity (undefined when HTTP auth is disabled)
+ * @returns {Promise<object>} - MCP response
+ */
+async function handleListResources(authInfo) {
+  const listFolders = isToolAllowed(authInfo, 'list-emails');
+  const listMessages = isToolAllowed(authInfo, 'read-email');
+  if (!listFolders && !listMessages) {
+    return { resources: [] };
+  }
+
+  let accessToken;
+  try {
+    accessToken = await ensureAuthenticated();
+  } catch (error) {
+    // Nothing can be listed before the user has authenticated
+    logger.debug(`resources/list: ${error.message}`);
+    return { resources: [] };
+  }
+
+  const [folders, messages] = await Promise.all([
+    listFolders ? listFolderResources(accessToken) : [],
+    listMessages ? listMessageResources(accessToken) : []
+  ]);
+
+  return { resources: [...folders, ...messages] };
+}
+
+/**
+ * resources/read handler
+ * @param {object} params - Request params ({ uri })
+ * @param {object} authInfo - Client identity (undefined when HTTP auth is disabled)
+ * @returns {Promise<object>} - MCP response
+ * @throws {Error} - With a JSON-RPC `code` when the URI is unknown, not allowed for the
+ *   client or reading fails
+ */
+async function handleReadResource(params, authInfo) {
+  const uri = params && params.uri;
+  const matched = matchResourceUri(uri);
+
+  if (!matched) {
+    const error = new Error(`Resource not found: ${uri}`);
+    error.code = -32002;
+    throw error;
+  }
+
+  if (!isToolAllowed(authInfo, matched.template.tool)) {
+    logger.warn(`resources/read denied: ${matched.template.tool} is not allowed for client ${authInfo.clientId}`);
+    const error = new Error(`Resource not allowed for this client: ${uri}`);
+    error.code = -32600;
+    throw error;
+  }
+
+  return matched.template.reader(uri, matched.params);
+}
+
+module.exports = {
+  resourceTemplates,
+  matchResourceUri,
+  handleListResources,
+  handleListResourceTemplates,
+  handleReadResource
+};
@@ -0,0 +1,59 @@
+/**
+ * Email message resource
+ */
+const config = require('../config');
+const { callGraphAPI } = require('../utils/graph-api');
+const { ensureAuthenticated } = require('../auth');
+const { formatEmail } = require('../email/read');
+
+/**
+ * Read an email message resource
+ * @param {string} uri - Resource URI
+ * @param {object} params - URI parameters ({ id })
+ * @returns {Promise<object>} - MCP resources/read result
+ */
+async function readMessageResource(uri, { id }) {
+  const accessToken = await ensureAuthenticated();
+  const messageId = decodeURIComponent(id);
+
+  const email = await callGraphAPI(
+    accessToken,
+    'GET',
+    `me/messages/${encodeURIComponent(messageId)}`,
+    null,
+    { $select: config.EMAIL_DETAIL_FIELDS }
+  );
+
+  return {
+    contents: [{
+      uri,
+      mimeType: 'text/plain',
+      text: formatEmail(email)
+    }]
+  };
+}
+
+/**
+ * List the most recent inbox messages as resources
+ * @param {string} accessToken - Access token
+ * @returns {Promise<Array>} - MCP resource descriptors
+ */
+async function listMessageResources(accessToken) {
+  const response = await callGraphAPI(accessToken, 'GET', 'me/mailFolders/inbox/messages', null, {
+    $top: config.DEFAULT_PAGE_SIZE,
+    $orderby: 'receivedDateTime desc',
+    $select: 'id,subject,from,receivedDateTime'
+  });
+
+  return (response.value || []).map(email => ({
+    uri: `outlook://messages/${encodeURIComponent(email.id)}`,
+    name: email.subject || '(no subject)',
+    description: `From ${email.from ? email.from.emailAddress.address : 'unknown'} on ${email.receivedDateTime}`,
+    mimeType: 'text/plain'
+  }));
+}
+
+module.exports = {
+  readMessageResource,
+  listMessageResources
+};
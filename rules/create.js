@@ -5,6 +5,9 @@ const { callGraphAPI } = require('../utils/graph-api');
 const { ensureAuthenticated } = require('../auth');
 const { getFolderIdByName } = require('../email/folder-utils');
 const { getInboxRules } = require('./list');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('rules');
 
 /**
  * Create rule handler
@@ -87,11 +90,25 @@ async function handleCreateRule(args) {
       responseText += "\n\nTip: You can specify a 'sequence' parameter when creating rules to control their execution order. Lower sequence numbers run first.";
     }
     
+    if (!result.success) {
+      return {
+        content: [{ 
+          type: "text", 
+          text: responseText
+        }]
+      };
+    }
+    
     return {
       content: [{ 
         type: "text", 
         text: responseText
-      }]
+      }],
+      structuredContent: {
+        ruleId: result.ruleId,
+        name,
+        sequence: result.sequence
+      }
     };
   } catch (error) {
     if (error.message === 'Authentication required') {
@@ -145,16 +162,16 @@ async function createInboxRule(accessToken, ruleOptions) {
           const highestSequence = Math.max(...existingRules.map(r => r.sequence || 0));
           // Set new rule sequence to be higher
           ruleSequence = Math.max(highestSequence + 1, 100);
-          console.error(`Auto-generated sequence: ${ruleSequence} (based on highest existing: ${highestSequence})`);
+          logger.debug(`Auto-generated sequence: ${ruleSequence} (based on highest existing: ${highestSequence})`);
         }
       } catch (sequenceError) {
-        console.error(`Error determining rule sequence: ${sequenceError.message}`);
+        logger.warn(`Error determining rule sequence: ${sequenceError.message}`);
         // Fall back to default value
         ruleSequence = 100;
       }
     }
     
-    console.error(`Using rule sequence: ${ruleSequence}`);
+    logger.debug(`Using rule sequence: ${ruleSequence}`);
     
     // Make sure sequence is a positive integer
     ruleSequence = Math.max(1, Math.floor(ruleSequence));
@@ -207,7 +224,7 @@ async function createInboxRule(accessToken, ruleOptions) {
         
         rule.actions.moveToFolder = folderId;
       } catch (folderError) {
-        console.error(`Error resolving folder "${moveToFolder}": ${folderError.message}`);
+        logger.warn(`Error resolving folder "${moveToFolder}": ${folderError.message}`);
         return {
           success: false,
           message: `Error resolving folder "${moveToFolder}": ${folderError.message}`
@@ -231,7 +248,8 @@ async function createInboxRule(accessToken, ruleOptions) {
       return {
         success: true,
         message: `Successfully created rule "${name}" with sequence ${ruleSequence}.`,
-        ruleId: response.id
+        ruleId: response.id,
+        sequence: ruleSequence
       };
     } else {
       return {
@@ -240,7 +258,7 @@ async function createInboxRule(accessToken, ruleOptions) {
       };
     }
   } catch (error) {
-    console.error(`Error creating rule: ${error.message}`);
+    logger.error(`Error creating rule: ${error.message}`);
     throw error;
   }
 }
@@ -1,11 +1,23 @@
 /**
  * Email rules management module for Outlook MCP server
  */
-const handleListRules = require('./list');
+const { callGraphAPI } = require('../utils/graph-api');
+const { ensureAuthenticated } = require('../auth');
+const { handleListRules, getInboxRules } = require('./list');
 const handleCreateRule = require('./create');
 
-// Import getInboxRules for the edit sequence tool
-const { getInboxRules } = require('./list');
+const RULE_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    displayName: { type: "string" },
+    sequence: { type: "number" },
+    isEnabled: { type: "boolean" },
+    conditions: { type: "object" },
+    actions: { type: "object" }
+  },
+  required: ["id", "displayName"]
+};
 
 /**
  * Edit rule sequence handler
@@ -65,7 +77,12 @@ async function handleEditRuleSequence(args) {
       content: [{ 
         type: "text", 
         text: `Successfully updated the sequence of rule "${ruleName}" to ${sequence}.`
-      }]
+      }],
+      structuredContent: {
+        ruleId: rule.id,
+        ruleName,
+        sequence
+      }
     };
   } catch (error) {
     if (error.message === 'Authentication required') {
@@ -101,6 +118,19 @@ const rulesTools = [
       },
       required: []
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        count: { type: "number" },
+        rules: { type: "array", items: RULE_SCHEMA }
+      },
+      required: ["count", "rules"]
+    },
+    annotations: {
+      readOnlyHint: true,
+      openWorldHint: true
+    },
+    requiredScopes: ["MailboxSettings.Read"],
     handler: handleListRules
   },
   {
@@ -144,6 +174,22 @@ const rulesTools = [
       },
       required: ["name"]
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        ruleId: { type: "string" },
+        name: { type: "string" },
+        sequence: { type: "number" }
+      },
+      required: ["ruleId", "name", "sequence"]
+    },
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: false,
+      idempotentHint: false,
+      openWorldHint: true
+    },
+    requiredScopes: ["MailboxSettings.ReadWrite", "Mail.Read"],
     handler: handleCreateRule
   },
   {
@@ -163,6 +209,22 @@ const rulesTools = [
       },
       required: ["ruleName", "sequence"]
     },
+    outputSchema: {
+      type: "object",
+      properties: {
+        ruleId: { type: "string" },
+        ruleName: { type: "string" },
+        sequence: { type: "number" }
+      },
+      required: ["ruleId", "ruleName", "sequence"]
+    },
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true,
+      openWorldHint: true
+    },
+    requiredScopes: ["MailboxSettings.ReadWrite"],
     handler: handleEditRuleSequence
   }
 ];
@@ -3,6 +3,9 @@
  */
 const { callGraphAPI } = require('../utils/graph-api');
 const { ensureAuthenticated } = require('../auth');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('rules');
 
 /**
  * List rules handler
@@ -26,7 +29,13 @@ async function handleListRules(args) {
       content: [{ 
         type: "text", 
         text: formattedRules
-      }]
+      }],
+      structuredContent: {
+        count: rules.length,
+        rules: [...rules]
+          .sort((a, b) => (a.sequence || 9999) - (b.sequence || 9999))
+          .map(rule => toRule(rule, includeDetails))
+      }
     };
   } catch (error) {
     if (error.message === 'Authentication required') {
@@ -63,11 +72,33 @@ async function getInboxRules(accessToken) {
     
     return response.value || [];
   } catch (error) {
-    console.error(`Error getting inbox rules: ${error.message}`);
+    logger.error(`Error getting inbox rules: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Convert a Graph message rule into a RULE_SCHEMA object
+ * @param {object} rule - Rule object
+ * @param {boolean} includeDetails - Whether to include conditions and actions
+ * @returns {object} - Rule
+ */
+function toRule(rule, includeDetails) {
+  const result = {
+    id: rule.id,
+    displayName: rule.displayName,
+    sequence: rule.sequence,
+    isEnabled: rule.isEnabled === true
+  };
+  
+  if (includeDetails) {
+    result.conditions = rule.conditions || {};
+    result.actions = rule.actions || {};
+  }
+  
+  return result;
+}
+
 /**
  * Format rules list for display
  * @param {Array} rules - Array of rule objects
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../config');
+const {
+  listAccounts,
+  addAccount,
+  resolveAccount,
+  setDefaultAccount,
+  runWithAccount,
+  getCurrentAccount,
+  ACCOUNT_PROPERTY
+} = require('../../auth/accounts');
+const { withInputProperty } = require('../../utils/tool-output');
+const { tokenService } = require('../../auth/token-service');
+const { handleListAccounts, handleAddAccount, handleSwitchAccount } = require('../../auth/tools');
+
+describe('account profiles', () => {
+  const originalAuthConfig = { ...config.AUTH_CONFIG };
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-'));
+    config.AUTH_CONFIG.tokenStorePath = path.join(dir, '.outlook-mcp-tokens.json');
+    config.AUTH_CONFIG.accountsPath = path.join(dir, '.outlook-mcp-accounts.json');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    Object.assign(config.AUTH_CONFIG, originalAuthConfig);
+    tokenService.reset();
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('always has a default account using the configured token file', () => {
+    expect(listAccounts()).toEqual([
+      { name: 'default', tokenStorePath: config.AUTH_CONFIG.tokenStorePath, isDefault: true }
+    ]);
+    expect(resolveAccount().name).toBe('default');
+  });
+
+  test('adds accounts with their own token file', () => {
+    const work = addAccount('work');
+
+    expect(work.tokenStorePath).toBe(path.join(dir, '.outlook-mcp-tokens.work.json'));
+    expect(listAccounts().map(account => account.name)).toEqual(['default', 'work']);
+    expect(tokenService.getStorage('work').config.tokenStorePath).toBe(work.tokenStorePath);
+  });
+
+  test('rejects invalid and duplicate account names', () => {
+    addAccount('work');
+
+    expect(() => addAccount('work')).toThrow('Account "work" already exists.');
+    expect(() => addAccount('default')).toThrow('already exists');
+    expect(() => addAccount('../evil')).toThrow('Account names must be');
+  });
+
+  test('switches the default account', () => {
+    addAccount('personal');
+    setDefaultAccount('personal');
+
+    expect(resolveAccount().name).toBe('personal');
+    expect(listAccounts().find(account => account.isDefault).name).toBe('personal');
+    expect(() => setDefaultAccount('missing')).toThrow('Unknown account "missing"');
+  });
+
+  test('makes the account current for everything the function awaits', async () => {
+    addAccount('work');
+
+    const seen = await runWithAccount('work', async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      return [getCurrentAccount(), tokenService.getStorage().config.tokenStorePath];
+    });
+
+    expect(seen).toEqual(['work', path.join(dir, '.outlook-mcp-tokens.work.json')]);
+    expect(getCurrentAccount()).toBeUndefined();
+  });
+
+  test('adds the account argument to a tool schema', () => {
+    const tool = withInputProperty({ name: 'list-emails', inputSchema: { type: 'object', properties: { count: { type: 'number' } } } }, 'account', ACCOUNT_PROPERTY);
+
+    expect(Object.keys(tool.inputSchema.properties)).toEqual(['count', 'account']);
+  });
+
+  describe('tools', () => {
+    test('add-account, switch-account and list-accounts', async () => {
+      const added = await handleAddAccount({ name: 'work' });
+      expect(added.structuredContent).toEqual({ name: 'work', isDefault: false, authenticated: false });
+
+      const switched = await handleSwitchAccount({ name: 'work' });
+      expect(switched.structuredContent).toEqual({ name: 'work', isDefault: true, authenticated: false });
+      expect(switched.content[0].text).toContain("use 'authenticate' with account 'work'");
+
+      const listed = await handleListAccounts();
+      expect(listed.structuredContent.accounts).toEqual([
+        { name: 'default', isDefault: false, authenticated: false },
+        { name: 'work', isDefault: true, authenticated: false }
+      ]);
+    });
+
+    test('report errors without structured content', async () => {
+      const duplicate = await handleAddAccount({ name: 'default' });
+      expect(duplicate.structuredContent).toBeUndefined();
+      expect(duplicate.content[0].text).toContain('already exists');
+
+      const unknown = await handleSwitchAccount({ name: 'missing' });
+      expect(unknown.structuredContent).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,96 @@
+jest.mock('../../utils/graph-api', () => ({
+  callGraphAPI: jest.fn()
+}));
+
+const { callGraphAPI } = require('../../utils/graph-api');
+const {
+  decodeTokenClaims,
+  getGrantedScopes,
+  getScopeHints,
+  getRefreshTokenAge,
+  probeGraph
+} = require('../../auth/auth-status');
+const { getMissingScopes } = require('../../auth/scopes');
+const { toBase64Url } = require('../../utils/base64url');
+
+/**
+ * Builds an unsigned JWT carrying the given claims
+ * @param {object} claims - Token claims
+ * @returns {string} - Token
+ */
+function jwt(claims) {
+  return `${toBase64Url('{"alg":"none"}')}.${toBase64Url(JSON.stringify(claims))}.signature`;
+}
+
+describe('auth status', () => {
+  test('reads claims from JWT access tokens only', () => {
+    expect(decodeTokenClaims(jwt({ tid: 'tenant', scp: 'Mail.Read' }))).toEqual({ tid: 'tenant', scp: 'Mail.Read' });
+    expect(decodeTokenClaims('EwBwA8l6BAAUopaque')).toBeNull();
+    expect(decodeTokenClaims('a.not-json.c')).toBeNull();
+    expect(decodeTokenClaims(undefined)).toBeNull();
+  });
+
+  test('takes granted scopes from the token, then from the token response', () => {
+    expect(getGrantedScopes({ scope: 'Mail.Read' }, { scp: 'User.Read Mail.Send' })).toEqual(['User.Read', 'Mail.Send']);
+    expect(getGrantedScopes(null, { roles: ['Mail.ReadWrite'] })).toEqual(['Mail.ReadWrite']);
+    expect(getGrantedScopes({ scope: 'User.Read  Mail.Read' }, null)).toEqual(['User.Read', 'Mail.Read']);
+    expect(getGrantedScopes({}, null)).toBeNull();
+  });
+
+  test('compares scopes ignoring case, the Graph prefix and OpenID scopes', () => {
+    const requested = ['offline_access', 'openid', 'User.Read', 'mail.read', 'Mail.Send'];
+    expect(getMissingScopes(requested, ['https://graph.microsoft.com/User.Read', 'Mail.Read'])).toEqual(['Mail.Send']);
+    expect(getMissingScopes(requested, null)).toEqual([]);
+  });
+
+  test('explains what each missing scope breaks and how to grant it', () => {
+    const hints = getScopeHints(['Mail.Send', 'Mail.Read.Shared', 'Tasks.Read']);
+
+    expect(hints[0]).toBe('Mail.Send was not granted: sending email will fail with an access error.');
+    expect(hints[1]).toContain('shared and delegated mailboxes will not work');
+    expect(hints[2]).toBe('Tasks.Read was not granted.');
+    expect(hints[3]).toContain(`run 'authenticate' with scopes: ["Mail.Send","Mail.Read.Shared","Tasks.Read"]`);
+    expect(getScopeHints([])).toEqual([]);
+  });
+
+  test('reports the refresh token age when its issue time is known', () => {
+    const issued = Date.UTC(2024, 0, 1);
+    expect(getRefreshTokenAge({ refresh_token: 'r', refresh_token_issued_at: issued }, issued + 3.5 * 86400000))
+      .toEqual({ issuedAt: '2024-01-01T00:00:00.000Z', ageDays: 3 });
+    expect(getRefreshTokenAge({ refresh_token: 'r' })).toBeNull();
+    expect(getRefreshTokenAge({ refresh_token_issued_at: issued })).toBeNull();
+  });
+
+  describe('probeGraph', () => {
+    beforeEach(() => {
+      callGraphAPI.mockReset();
+    });
+
+    test('reads the signed-in user', async () => {
+      callGraphAPI.mockResolvedValue({ id: 'u1', displayName: 'Ada', userPrincipalName: 'ada@contoso.com', mail: null });
+
+      await expect(probeGraph('token')).resolves.toEqual({
+        ok: true,
+        user: { id: 'u1', displayName: 'Ada', userPrincipalName: 'ada@contoso.com', mail: undefined }
+      });
+      expect(callGraphAPI).toHaveBeenCalledWith('token', 'GET', 'me', null, { $select: 'id,displayName,userPrincipalName,mail' });
+    });
+
+    test('reads the mailbox instead of /me for app tokens', async () => {
+      callGraphAPI.mockResolvedValue({ id: 'inbox' });
+
+      await expect(probeGraph('token', true)).resolves.toEqual({ ok: true });
+      expect(callGraphAPI).toHaveBeenCalledWith('token', 'GET', 'me/mailFolders/inbox', null, { $select: 'id' });
+    });
+
+    test('turns failures into hints', async () => {
+      const rejected = Object.assign(new Error('UNAUTHORIZED: refresh failed'), { statusCode: 401 });
+      const denied = Object.assign(new Error('API call failed with status 403'), { statusCode: 403 });
+      callGraphAPI.mockRejectedValueOnce(rejected).mockRejectedValueOnce(denied).mockRejectedValueOnce(new Error('getaddrinfo ENOTFOUND'));
+
+      expect(await probeGraph('token')).toMatchObject({ ok: false, statusCode: 401, hint: expect.stringContaining('sign in again') });
+      expect(await probeGraph('token')).toMatchObject({ ok: false, statusCode: 403, hint: expect.stringContaining('User.Read') });
+      expect(await probeGraph('token')).toMatchObject({ ok: false, error: 'getaddrinfo ENOTFOUND', hint: expect.stringContaining('network') });
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const https = require('https');
+const { EventEmitter } = require('events');
+
+jest.mock('https');
+
+const {
+  getAppOnlyConfigError,
+  loadClientCertificate,
+  createClientAssertion,
+  getClientCredentialsParams
+} = require('../../auth/client-credentials');
+const TokenStorage = require('../../auth/token-storage');
+const { toBase64Url, fromBase64Url } = require('../../utils/base64url');
+
+const tokenEndpoint = 'https://login.microsoftonline.com/contoso-tenant/oauth2/v2.0/token';
+const thumbprint = 'AB12CD34EF56AB12CD34EF56AB12CD34EF56AB12';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+let requests;
+
+/**
+ * Queues fake identity platform responses for https.request
+ * @param {Array<object>} responses - { statusCode, body } in call order
+ */
+function mockResponses(responses) {
+  const queue = [...responses];
+  https.request.mockImplementation((url, options, callback) => {
+    const req = new EventEmitter();
+    let written = '';
+    req.write = (data) => { written += data; };
+    req.end = () => {
+      requests.push({ url, body: new URLSearchParams(written) });
+      const { statusCode, body } = queue.shift();
+      const res = new EventEmitter();
+      res.statusCode = statusCode;
+      callback(res);
+      res.emit('data', JSON.stringify(body));
+      res.emit('end');
+    };
+    return req;
+  });
+}
+
+describe('app-only configuration', () => {
+  const complete = {
+    mode: 'app_only',
+    clientId: 'client-id',
+    clientSecret: 'secret',
+    tenantId: 'contoso-tenant',
+    appMailbox: 'intake@contoso.com'
+  };
+
+  test('accepts a complete configuration', () => {
+    expect(getAppOnlyConfigError(complete)).toBeNull();
+    expect(getAppOnlyConfigError({ ...complete, clientSecret: null, clientCertificatePath: '/certs/app.pem' })).toBeNull();
+  });
+
+  test('names what is missing', () => {
+    expect(getAppOnlyConfigError({ ...complete, appMailbox: null })).toContain('MS_APP_MAILBOX');
+    expect(getAppOnlyConfigError({ ...complete, tenantId: 'common' })).toContain('MS_TENANT_ID');
+    expect(getAppOnlyConfigError({ ...complete, clientSecret: null })).toContain('MS_CLIENT_SECRET or MS_CLIENT_CERTIFICATE_PATH');
+    expect(getAppOnlyConfigError({ ...complete, clientId: undefined })).toContain('MS_CLIENT_ID');
+  });
+});
+
+describe('certificate credentials', () => {
+  let dir;
+  let keyPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-credentials-'));
+    keyPath = path.join(dir, 'app.pem');
+    fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('signs a client assertion for the token endpoint', () => {
+    const certificate = loadClientCertificate(keyPath, thumbprint);
+    const assertion = createClientAssertion({ clientId: 'client-id', tokenEndpoint, certificate, now: 1700000000000 });
+
+    const [header, payload, signature] = assertion.split('.');
+    expect(JSON.parse(fromBase64Url(header))).toEqual({
+      alg: 'RS256',
+      typ: 'JWT',
+      x5t: toBase64Url(Buffer.from(thumbprint, 'hex'))
+    });
+    expect(JSON.parse(fromBase64Url(payload))).toMatchObject({
+      aud: tokenEndpoint,
+      iss: 'client-id',
+      sub: 'client-id',
+      nbf: 1700000000,
+      exp: 1700000600
+    });
+    expect(crypto.verify('RSA-SHA256', Buffer.from(`${header}.${payload}`), publicKey, fromBase64Url(signature))).toBe(true);
+  });
+
+  test('requires a certificate or a thumbprint to identify the key', () => {
+    expect(() => loadClientCertificate(keyPath)).toThrow('No certificate found');
+
+    const der = Buffer.from('not really a certificate');
+    fs.appendFileSync(keyPath, `-----BEGIN CERTIFICATE-----\n${der.toString('base64')}\n-----END CERTIFICATE-----\n`);
+    expect(loadClientCertificate(keyPath).thumbprint).toEqual(crypto.createHash('sha1').update(der).digest());
+  });
+
+  test('prefers the certificate over the client secret', () => {
+    const params = getClientCredentialsParams({
+      clientId: 'client-id',
+      clientSecret: 'secret',
+      clientCertificatePath: keyPath,
+      clientCertificateThumbprint: thumbprint,
+      tokenEndpoint
+    });
+
+    expect(params).toMatchObject({
+      grant_type: 'client_credentials',
+      scope: 'https://graph.microsoft.com/.default',
+      client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer'
+    });
+    expect(params.client_secret).toBeUndefined();
+  });
+});
+
+describe('TokenStorage in app-only mode', () => {
+  let dir;
+  let tokenStorage;
+
+  beforeEach(() => {
+    requests = [];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-tokens-'));
+    tokenStorage = new TokenStorage({
+      appOnly: true,
+      tokenStorePath: path.join(dir, 'app-tokens.json'),
+      clientId: 'client-id',
+      clientSecret: 'secret',
+      tokenEndpoint,
+      scopes: ['https://graph.microsoft.com/.default']
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('requests a token once and caches it', async () => {
+    mockResponses([{ statusCode: 200, body: { access_token: 'app-token', expires_in: 3599, token_type: 'Bearer' } }]);
+
+    await expect(tokenStorage.getValidAccessToken()).resolves.toBe('app-token');
+    await expect(tokenStorage.getValidAccessToken()).resolves.toBe('app-token');
+
+    expect(requests).toHaveLength(1);
+    expect(Object.fromEntries(requests[0].body)).toEqual({
+      grant_type: 'client_credentials',
+      client_id: 'client-id',
+      scope: 'https://graph.microsoft.com/.default',
+      client_secret: 'secret'
+    });
+
+    // A new instance picks up the cached token from the file
+    const reloaded = new TokenStorage({ ...tokenStorage.config });
+    await expect(reloaded.getValidAccessToken()).resolves.toBe('app-token');
+    expect(requests).toHaveLength(1);
+  });
+
+  test('renews an expired token', async () => {
+    mockResponses([
+      { statusCode: 200, body: { access_token: 'first', expires_in: 60 } },
+      { statusCode: 200, body: { access_token: 'second', expires_in: 3599 } }
+    ]);
+
+    await expect(tokenStorage.getValidAccessToken()).resolves.toBe('first');
+    // 60 seconds is inside the refresh buffer, so the next call renews it
+    await expect(tokenStorage.getValidAccessToken()).resolves.toBe('second');
+    expect(requests).toHaveLength(2);
+  });
+
+  test('reports a rejected client credential', async () => {
+    mockResponses([{ statusCode: 401, body: { error: 'invalid_client', error_description: 'AADSTS7000215: Invalid client secret provided.' } }]);
+
+    await expect(tokenStorage.getValidAccessToken()).rejects.toThrow('App-only token request failed: AADSTS7000215');
+  });
+});
@@ -0,0 +1,33 @@
+const config = require('../../config');
+const { getSignInUrl, getIncrementalScopes } = require('../../auth/consent');
+
+describe('consent', () => {
+  const originalAuthConfig = { ...config.AUTH_CONFIG };
+
+  beforeEach(() => {
+    config.AUTH_CONFIG.authServerUrl = 'http://localhost:3333';
+    config.AUTH_CONFIG.clientId = 'client-id';
+  });
+
+  afterEach(() => {
+    Object.assign(config.AUTH_CONFIG, originalAuthConfig);
+  });
+
+  test('builds the sign-in URL for the default account', () => {
+    expect(getSignInUrl('default')).toBe('http://localhost:3333/auth?client_id=client-id');
+  });
+
+  test('encodes the account, scopes and prompt', () => {
+    const url = new URL(getSignInUrl('work & home', { scopes: ['Mail.Read', 'Mail.Send'], prompt: 'select_account&scope=x' }));
+
+    expect(url.searchParams.get('account')).toBe('work & home');
+    expect(url.searchParams.get('scope')).toBe('Mail.Read Mail.Send');
+    expect(url.searchParams.get('prompt')).toBe('select_account&scope=x');
+    expect(url.searchParams.getAll('scope')).toHaveLength(1);
+  });
+
+  test('keeps granted scopes when adding new ones, without the OpenID Connect scopes', () => {
+    expect(getIncrementalScopes(['openid', 'User.Read', 'Mail.Read'], ['mail.read', 'Mail.Send']))
+      .toEqual(['User.Read', 'Mail.Read', 'Mail.Send']);
+  });
+});
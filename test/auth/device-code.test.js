@@ -0,0 +1,168 @@
+const https = require('https');
+const { EventEmitter } = require('events');
+
+jest.mock('https');
+jest.mock('../../utils/graph-retry', () => ({
+  ...jest.requireActual('../../utils/graph-retry'),
+  sleep: jest.fn().mockResolvedValue()
+}));
+
+const { startDeviceCodeFlow, getDeviceCodeFlow, cancelDeviceCodeFlow } = require('../../auth/device-code');
+const { sleep } = require('../../utils/graph-retry');
+
+const authConfig = {
+  clientId: 'test-client-id',
+  scopes: ['offline_access', 'Mail.Read'],
+  tokenEndpoint: 'https://login.microsoftonline.com/common/oauth2/v2.0/token',
+  deviceCodeEndpoint: 'https://login.microsoftonline.com/common/oauth2/v2.0/devicecode'
+};
+
+const deviceAuthorization = {
+  statusCode: 200,
+  body: {
+    device_code: 'device-123',
+    user_code: 'ABCD-EFGH',
+    verification_uri: 'https://microsoft.com/devicelogin',
+    expires_in: 900,
+    interval: 5,
+    message: 'To sign in, use a web browser to open the page https://microsoft.com/devicelogin and enter the code ABCD-EFGH to authenticate.'
+  }
+};
+
+let requests;
+
+/**
+ * Queues fake identity platform responses for https.request
+ * @param {Array<object>} responses - { statusCode, body } in call order
+ */
+function mockResponses(responses) {
+  const queue = [...responses];
+  https.request.mockImplementation((url, options, callback) => {
+    const req = new EventEmitter();
+    let written = '';
+    req.write = (data) => { written += data; };
+    req.end = () => {
+      requests.push({ url, body: new URLSearchParams(written) });
+      const { statusCode, body } = queue.shift();
+      const res = new EventEmitter();
+      res.statusCode = statusCode;
+      callback(res);
+      res.emit('data', JSON.stringify(body));
+      res.emit('end');
+    };
+    return req;
+  });
+}
+
+describe('startDeviceCodeFlow', () => {
+  let tokenStorage;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    requests = [];
+    tokenStorage = { saveTokenResponse: jest.fn().mockResolvedValue({}) };
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('polls until the user signs in, then saves the tokens', async () => {
+    const tokenResponse = { access_token: 'access', refresh_token: 'refresh', expires_in: 3600 };
+    mockResponses([
+      deviceAuthorization,
+      { statusCode: 400, body: { error: 'authorization_pending' } },
+      { statusCode: 200, body: tokenResponse }
+    ]);
+
+    const flow = await startDeviceCodeFlow({ tokenStorage, authConfig, force: true });
+
+    expect(flow.userCode).toBe('ABCD-EFGH');
+    expect(flow.verificationUri).toBe('https://microsoft.com/devicelogin');
+    expect(requests[0].url).toBe(authConfig.deviceCodeEndpoint);
+    expect(requests[0].body.get('scope')).toBe('offline_access Mail.Read');
+
+    await flow.done;
+
+    expect(flow.status).toBe('authenticated');
+    expect(tokenStorage.saveTokenResponse).toHaveBeenCalledWith(tokenResponse);
+    expect(requests[1].url).toBe(authConfig.tokenEndpoint);
+    expect(requests[1].body.get('grant_type')).toBe('urn:ietf:params:oauth:grant-type:device_code');
+    expect(requests[1].body.get('device_code')).toBe('device-123');
+    expect(sleep).toHaveBeenCalledWith(5000);
+  });
+
+  test('backs off when asked to slow down', async () => {
+    mockResponses([
+      deviceAuthorization,
+      { statusCode: 400, body: { error: 'slow_down' } },
+      { statusCode: 200, body: { access_token: 'access' } }
+    ]);
+
+    const flow = await startDeviceCodeFlow({ tokenStorage, authConfig, force: true });
+    await flow.done;
+
+    expect(sleep.mock.calls).toEqual([[5000], [10000]]);
+    expect(flow.status).toBe('authenticated');
+  });
+
+  test('records a declined sign-in as failed', async () => {
+    mockResponses([
+      deviceAuthorization,
+      { statusCode: 400, body: { error: 'authorization_declined', error_description: 'The user declined the sign-in.' } }
+    ]);
+
+    const flow = await startDeviceCodeFlow({ tokenStorage, authConfig, force: true });
+    await flow.done;
+
+    expect(flow.status).toBe('failed');
+    expect(flow.error).toBe('The user declined the sign-in.');
+    expect(tokenStorage.saveTokenResponse).not.toHaveBeenCalled();
+  });
+
+  test('returns the pending sign-in instead of requesting a new code', async () => {
+    let release;
+    sleep.mockImplementationOnce(() => new Promise(resolve => { release = resolve; }));
+    mockResponses([
+      deviceAuthorization,
+      { statusCode: 200, body: { access_token: 'access' } }
+    ]);
+
+    const first = await startDeviceCodeFlow({ tokenStorage, authConfig, force: true });
+    const second = await startDeviceCodeFlow({ tokenStorage, authConfig });
+
+    expect(second).toBe(first);
+    expect(getDeviceCodeFlow()).toBe(first);
+    expect(requests).toHaveLength(1);
+
+    release();
+    await first.done;
+    expect(first.status).toBe('authenticated');
+  });
+
+  test('stops polling once the sign-in is cancelled', async () => {
+    let release;
+    sleep.mockImplementationOnce(() => new Promise(resolve => { release = resolve; }));
+    mockResponses([deviceAuthorization]);
+
+    const flow = await startDeviceCodeFlow({ tokenStorage, authConfig, force: true });
+    expect(cancelDeviceCodeFlow()).toBe(true);
+    expect(getDeviceCodeFlow()).toBeNull();
+
+    release();
+    await flow.done;
+    expect(requests).toHaveLength(1);
+    expect(tokenStorage.saveTokenResponse).not.toHaveBeenCalled();
+    expect(cancelDeviceCodeFlow()).toBe(false);
+  });
+
+  test('throws the identity platform error when the code cannot be issued', async () => {
+    mockResponses([
+      { statusCode: 400, body: { error: 'invalid_client', error_description: 'The client is not allowed to use the device code flow.' } }
+    ]);
+
+    await expect(startDeviceCodeFlow({ tokenStorage, authConfig, force: true }))
+      .rejects.toThrow('The client is not allowed to use the device code flow.');
+  });
+});
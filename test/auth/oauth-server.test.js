@@ -1,5 +1,6 @@
 const express = require('express');
 const request = require('supertest');
+const crypto = require('crypto');
 const { setupOAuthRoutes, createAuthConfig } = require('../../auth/oauth-server');
 const TokenStorage = require('../../auth/token-storage');
 
@@ -51,6 +52,25 @@ describe('OAuth Server Routes', () => {
       expect(redirectUrl.searchParams.get('state').length).toBe(32); // crypto.randomBytes(16).toString('hex')
     });
 
+    it('should request additional scopes for incremental consent', async () => {
+      mockTokenStorageInstance.exchangeCodeForTokens.mockResolvedValue({ access_token: 'mock_access_token' });
+
+      const response = await request(app).get('/auth?scope=Mail.Send%20mail.read');
+      const redirectUrl = new URL(response.headers.location);
+      const expectedScopes = [...mockAuthConfig.scopes, 'Mail.Send'];
+      expect(redirectUrl.searchParams.get('scope').split(' ')).toEqual(expect.arrayContaining(expectedScopes));
+
+      // The code is exchanged for the same scopes the sign-in asked for
+      await request(app).get(`/auth/callback?code=code&state=${redirectUrl.searchParams.get('state')}`);
+      expect(mockTokenStorageInstance.exchangeCodeForTokens.mock.calls[0][2]).toEqual(redirectUrl.searchParams.get('scope').split(' '));
+    });
+
+    it('should reject a malformed scope', async () => {
+      const response = await request(app).get('/auth?scope=Mail.Send%26prompt%3Dnone');
+      expect(response.status).toBe(400);
+      expect(response.text).toContain('Invalid Scope');
+    });
+
     it('should return 500 if clientId is not configured', async () => {
       const tempApp = express();
       // Create a new authConfig without clientId for this specific test
@@ -69,19 +89,78 @@ describe('OAuth Server Routes', () => {
     const mockAuthCode = 'mock_auth_code';
     const mockState = 'mock_state_value'; // Example state
 
+    /**
+     * Starts a sign-in through /auth and returns the state it issued
+     * @returns {Promise<string>} - State value
+     */
+    async function startSignIn() {
+      const authResponse = await request(app).get('/auth');
+      return new URL(authResponse.headers.location).searchParams.get('state');
+    }
+
     it('should exchange code for tokens and return success HTML', async () => {
       mockTokenStorageInstance.exchangeCodeForTokens.mockResolvedValue({ access_token: 'mock_access_token' });
 
-      // Note: State validation is mocked/skipped here as session management is outside this module.
-      // In a real app, the 'state' would be generated in /auth, stored (e.g. session),
-      // and verified here. The test passes 'state' to simulate it coming from provider.
-      const response = await request(app).get(`/auth/callback?code=${mockAuthCode}&state=${mockState}`);
+      const state = await startSignIn();
+      const response = await request(app).get(`/auth/callback?code=${mockAuthCode}&state=${state}`);
 
-      expect(mockTokenStorageInstance.exchangeCodeForTokens).toHaveBeenCalledWith(mockAuthCode);
+      expect(mockTokenStorageInstance.exchangeCodeForTokens).toHaveBeenCalledWith(mockAuthCode, expect.any(String), mockAuthConfig.scopes);
       expect(response.status).toBe(200);
       expect(response.text).toContain('Authentication Successful');
     });
 
+    it('should reject a state that /auth did not issue', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+      const response = await request(app).get(`/auth/callback?code=${mockAuthCode}&state=${mockState}`);
+
+      expect(response.status).toBe(400);
+      expect(response.text).toContain('Error:</strong> Invalid State Parameter');
+      expect(mockTokenStorageInstance.exchangeCodeForTokens).not.toHaveBeenCalled();
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should reject a replayed state', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+      mockTokenStorageInstance.exchangeCodeForTokens.mockResolvedValue({ access_token: 'mock_access_token' });
+
+      const state = await startSignIn();
+      await request(app).get(`/auth/callback?code=${mockAuthCode}&state=${state}`);
+      const replay = await request(app).get(`/auth/callback?code=${mockAuthCode}&state=${state}`);
+
+      expect(replay.status).toBe(400);
+      expect(replay.text).toContain('Error:</strong> Invalid State Parameter');
+      expect(mockTokenStorageInstance.exchangeCodeForTokens).toHaveBeenCalledTimes(1);
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should reject a state after the provider reported an error for it', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+      const state = await startSignIn();
+      await request(app).get(`/auth/callback?error=access_denied&state=${state}`);
+      const response = await request(app).get(`/auth/callback?code=${mockAuthCode}&state=${state}`);
+
+      expect(response.status).toBe(400);
+      expect(mockTokenStorageInstance.exchangeCodeForTokens).not.toHaveBeenCalled();
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should exchange the code with the PKCE verifier issued for its state', async () => {
+      mockTokenStorageInstance.exchangeCodeForTokens.mockResolvedValue({ access_token: 'mock_access_token' });
+
+      const authResponse = await request(app).get('/auth');
+      const redirectUrl = new URL(authResponse.headers.location);
+      const state = redirectUrl.searchParams.get('state');
+
+      await request(app).get(`/auth/callback?code=${mockAuthCode}&state=${state}`);
+
+      const codeVerifier = mockTokenStorageInstance.exchangeCodeForTokens.mock.calls[0][1];
+      const expectedChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+      expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43,128}$/);
+      expect(redirectUrl.searchParams.get('code_challenge')).toBe(expectedChallenge);
+      expect(redirectUrl.searchParams.get('code_challenge_method')).toBe('S256');
+    });
+
     it('should return 400 and error HTML if OAuth provider returns an error', async () => {
       const oauthError = 'access_denied';
       const oauthErrorDesc = 'User denied access';
@@ -124,7 +203,7 @@ describe('OAuth Server Routes', () => {
       expect(response.text).toContain('Error:</strong> Missing State Parameter');
       expect(response.text).toContain('The state parameter was missing from the OAuth callback.');
       expect(mockTokenStorageInstance.exchangeCodeForTokens).not.toHaveBeenCalled();
-      expect(consoleErrorSpy).toHaveBeenCalledWith("OAuth callback received without a 'state' parameter. Rejecting request to prevent potential CSRF attack.");
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining("OAuth callback received without a 'state' parameter. Rejecting request to prevent potential CSRF attack."));
       consoleErrorSpy.mockRestore();
     });
 
@@ -133,7 +212,8 @@ describe('OAuth Server Routes', () => {
       const exchangeError = new Error('Token exchange process failed');
       mockTokenStorageInstance.exchangeCodeForTokens.mockRejectedValue(exchangeError);
 
-      const response = await request(app).get(`/auth/callback?code=${mockAuthCode}&state=${mockState}`);
+      const state = await startSignIn();
+      const response = await request(app).get(`/auth/callback?code=${mockAuthCode}&state=${state}`);
 
       expect(response.status).toBe(500);
       expect(response.text).toContain('Token Exchange Failed');
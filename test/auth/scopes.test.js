@@ -0,0 +1,32 @@
+const {
+  getMissingScopes,
+  toSharedScopes,
+  mergeScopes,
+  parseScopes
+} = require('../../auth/scopes');
+
+describe('scopes', () => {
+  test('counts a ReadWrite scope as granting its Read counterpart', () => {
+    expect(getMissingScopes(['Mail.Read', 'Calendars.Read'], ['Mail.ReadWrite'])).toEqual(['Calendars.Read']);
+    expect(getMissingScopes(['Mail.ReadWrite'], ['Mail.Read'])).toEqual(['Mail.ReadWrite']);
+    expect(getMissingScopes(['Mail.Read.Shared'], ['Mail.ReadWrite.Shared', 'Mail.Read'])).toEqual([]);
+    expect(getMissingScopes(['MailboxSettings.Read'], ['https://graph.microsoft.com/MailboxSettings.ReadWrite'])).toEqual([]);
+  });
+
+  test('needs the .Shared variants for another mailbox', () => {
+    expect(toSharedScopes(['Mail.Send', 'Calendars.Read', 'MailboxSettings.ReadWrite']))
+      .toEqual(['Mail.Send.Shared', 'Calendars.Read.Shared', 'MailboxSettings.ReadWrite']);
+  });
+
+  test('merges scope lists without duplicates', () => {
+    expect(mergeScopes(['offline_access', 'Mail.Read'], ['mail.read', 'Mail.Send'], ['https://graph.microsoft.com/Mail.Send']))
+      .toEqual(['offline_access', 'Mail.Read', 'Mail.Send']);
+  });
+
+  test('parses scopes from arguments and query strings', () => {
+    expect(parseScopes('Mail.Send  Calendars.Read,Mail.Send')).toEqual(['Mail.Send', 'Calendars.Read']);
+    expect(parseScopes(['Mail.Send'])).toEqual(['Mail.Send']);
+    expect(parseScopes(undefined)).toEqual([]);
+    expect(() => parseScopes('Mail.Send&prompt=none')).toThrow('Invalid scope "Mail.Send&prompt=none"');
+  });
+});
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OAuthStateStore } = require('../../auth/state-store');
+
+describe('OAuthStateStore', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the data stored with a state once', () => {
+    const store = new OAuthStateStore();
+    const state = store.create({ codeVerifier: 'verifier' });
+
+    expect(state).toMatch(/^[0-9a-f]{32}$/);
+    expect(store.consume(state)).toEqual({ codeVerifier: 'verifier' });
+    expect(store.consume(state)).toBeNull();
+  });
+
+  test('rejects unknown and missing states', () => {
+    const store = new OAuthStateStore();
+    store.create({});
+
+    expect(store.consume('not-issued')).toBeNull();
+    expect(store.consume(undefined)).toBeNull();
+    expect(store.consume(['array'])).toBeNull();
+  });
+
+  test('rejects expired states', () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const store = new OAuthStateStore({ ttlMs: 1000 });
+    const state = store.create({});
+
+    Date.now.mockReturnValue(now + 1000);
+    expect(store.consume(state)).toBeNull();
+  });
+
+  describe('file-backed', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oauth-state-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('shares states between store instances through the file', () => {
+      const filePath = path.join(dir, 'nested', 'states.json');
+      const state = new OAuthStateStore({ filePath }).create({ codeVerifier: 'verifier' });
+
+      if (process.platform !== 'win32') {
+        expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+      }
+
+      const restarted = new OAuthStateStore({ filePath });
+      expect(restarted.consume(state)).toEqual({ codeVerifier: 'verifier' });
+      expect(new OAuthStateStore({ filePath }).consume(state)).toBeNull();
+    });
+
+    test('starts empty when the file is unreadable', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const filePath = path.join(dir, 'states.json');
+      fs.writeFileSync(filePath, 'not json');
+
+      const store = new OAuthStateStore({ filePath });
+      const state = store.create({});
+
+      expect(store.consume(state)).toEqual({});
+      expect(console.error).toHaveBeenCalled();
+    });
+  });
+});
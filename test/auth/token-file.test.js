@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  getTokenEncryptionKey,
+  readTokenFile,
+  readTokenFileSync,
+  writeTokenFile,
+  writeTokenFileSync
+} = require('../../auth/token-file');
+
+const tokens = { access_token: 'access-secret', refresh_token: 'refresh-secret', expires_at: 1234567890 };
+
+describe('token file', () => {
+  const originalEnv = process.env;
+  let dir;
+  let tokenPath;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.OUTLOOK_TOKEN_KEY;
+    delete process.env.OUTLOOK_TOKEN_KEY_FILE;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-file-'));
+    tokenPath = path.join(dir, 'tokens.json');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.error.mockRestore();
+  });
+
+  test('stores plain JSON when no key is configured', async () => {
+    await writeTokenFile(tokenPath, tokens);
+
+    expect(JSON.parse(fs.readFileSync(tokenPath, 'utf8'))).toEqual(tokens);
+    expect(await readTokenFile(tokenPath)).toEqual(tokens);
+  });
+
+  test('encrypts with AES-GCM when a key is configured', async () => {
+    process.env.OUTLOOK_TOKEN_KEY = crypto.randomBytes(32).toString('base64');
+
+    await writeTokenFile(tokenPath, tokens);
+
+    const text = fs.readFileSync(tokenPath, 'utf8');
+    expect(text).not.toContain('access-secret');
+    expect(JSON.parse(text)).toMatchObject({ format: 'outlook-mcp-tokens', version: 1, algorithm: 'aes-256-gcm' });
+    expect(await readTokenFile(tokenPath)).toEqual(tokens);
+    expect(readTokenFileSync(tokenPath)).toEqual(tokens);
+  });
+
+  test('writes the file with owner-only permissions and leaves no temporary file', () => {
+    process.env.OUTLOOK_TOKEN_KEY = crypto.randomBytes(32).toString('hex');
+
+    writeTokenFileSync(tokenPath, tokens);
+
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(tokenPath).mode & 0o777).toBe(0o600);
+    }
+    expect(fs.readdirSync(dir)).toEqual(['tokens.json']);
+  });
+
+  test('keeps concurrent writes apart and owner-only despite a stale temporary file', async () => {
+    fs.writeFileSync(`${tokenPath}.${process.pid}.tmp`, 'stale', { mode: 0o644 });
+
+    await Promise.all([1, 2, 3].map(n => writeTokenFile(tokenPath, { ...tokens, expires_at: n })));
+
+    expect([1, 2, 3]).toContain(JSON.parse(fs.readFileSync(tokenPath, 'utf8')).expires_at);
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(tokenPath).mode & 0o777).toBe(0o600);
+    }
+    expect(fs.readdirSync(dir).sort()).toEqual([`tokens.json.${process.pid}.tmp`, 'tokens.json'].sort());
+  });
+
+  test('removes the temporary file when a write fails', async () => {
+    // Renaming onto a directory fails after the temporary file was written
+    fs.mkdirSync(tokenPath);
+
+    await expect(writeTokenFile(tokenPath, tokens)).rejects.toThrow();
+    expect(() => writeTokenFileSync(tokenPath, tokens)).toThrow();
+    expect(fs.readdirSync(dir)).toEqual(['tokens.json']);
+  });
+
+  test('reads the key from OUTLOOK_TOKEN_KEY_FILE', () => {
+    const key = crypto.randomBytes(32);
+    const keyFile = path.join(dir, 'token.key');
+    fs.writeFileSync(keyFile, `${key.toString('base64')}\n`);
+    process.env.OUTLOOK_TOKEN_KEY_FILE = keyFile;
+
+    expect(getTokenEncryptionKey()).toEqual(key);
+  });
+
+  test('rejects keys that are not 32 bytes', () => {
+    process.env.OUTLOOK_TOKEN_KEY = 'too-short';
+
+    expect(() => getTokenEncryptionKey()).toThrow('The token encryption key must be 32 bytes');
+  });
+
+  test('encrypts an existing plaintext file on first read', async () => {
+    fs.writeFileSync(tokenPath, JSON.stringify(tokens));
+    process.env.OUTLOOK_TOKEN_KEY = crypto.randomBytes(32).toString('base64');
+
+    expect(await readTokenFile(tokenPath)).toEqual(tokens);
+
+    const text = fs.readFileSync(tokenPath, 'utf8');
+    expect(text).not.toContain('refresh-secret');
+    expect(readTokenFileSync(tokenPath)).toEqual(tokens);
+  });
+
+  test('fails clearly when an encrypted file is read without its key', () => {
+    process.env.OUTLOOK_TOKEN_KEY = crypto.randomBytes(32).toString('base64');
+    writeTokenFileSync(tokenPath, tokens);
+
+    process.env.OUTLOOK_TOKEN_KEY = crypto.randomBytes(32).toString('base64');
+    expect(() => readTokenFileSync(tokenPath)).toThrow('could not be decrypted');
+
+    delete process.env.OUTLOOK_TOKEN_KEY;
+    expect(() => readTokenFileSync(tokenPath)).toThrow('Set OUTLOOK_TOKEN_KEY or OUTLOOK_TOKEN_KEY_FILE');
+  });
+
+  test('passes ENOENT through for a missing file', async () => {
+    await expect(readTokenFile(path.join(dir, 'missing.json'))).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const { EventEmitter } = require('events');
+
+jest.mock('https');
+
+const config = require('../../config');
+const { tokenService } = require('../../auth/token-service');
+const { addAccount, runWithAccount } = require('../../auth/accounts');
+const { writeTokenFileSync, readTokenFileSync } = require('../../auth/token-file');
+
+let requests;
+
+/**
+ * Queues fake identity platform responses for https.request
+ * @param {Array<object>} responses - { statusCode, body } in call order
+ */
+function mockResponses(responses) {
+  const queue = [...responses];
+  https.request.mockImplementation((url, options, callback) => {
+    const req = new EventEmitter();
+    let written = '';
+    req.write = (data) => { written += data; };
+    req.end = () => {
+      requests.push({ url, body: new URLSearchParams(written) });
+      const { statusCode, body } = queue.shift();
+      const res = new EventEmitter();
+      res.statusCode = statusCode;
+      res.headers = {};
+      // Answer asynchronously, like a real request, so concurrent callers overlap
+      setImmediate(() => {
+        callback(res);
+        res.emit('data', JSON.stringify(body));
+        res.emit('end');
+      });
+    };
+    return req;
+  });
+}
+
+describe('tokenService', () => {
+  const originalAuthConfig = { ...config.AUTH_CONFIG };
+  let dir;
+
+  beforeEach(() => {
+    requests = [];
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-service-'));
+    config.AUTH_CONFIG.tokenStorePath = path.join(dir, '.outlook-mcp-tokens.json');
+    config.AUTH_CONFIG.accountsPath = path.join(dir, '.outlook-mcp-accounts.json');
+    config.AUTH_CONFIG.clientId = 'client-id';
+    config.AUTH_CONFIG.clientSecret = 'secret';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    Object.assign(config.AUTH_CONFIG, originalAuthConfig);
+    tokenService.reset();
+    tokenService.removeAllListeners();
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('shares one token storage per account', () => {
+    addAccount('work');
+
+    expect(tokenService.getStorage()).toBe(tokenService.getStorage('default'));
+    expect(runWithAccount('work', () => tokenService.getStorage())).toBe(tokenService.getStorage('work'));
+    expect(tokenService.getStorage('work')).not.toBe(tokenService.getStorage('default'));
+  });
+
+  test('reports status from the shared cache and emits change events', async () => {
+    const changes = [];
+    tokenService.on('change', change => changes.push(change));
+
+    expect(await tokenService.getStatus()).toMatchObject({ account: 'default', authenticated: false });
+
+    await tokenService.saveTokenResponse('default', { access_token: 'access', refresh_token: 'refresh', expires_in: 3600 });
+
+    const status = await tokenService.getStatus();
+    expect(status).toMatchObject({ authenticated: true, expired: false, refreshable: true });
+    expect(Date.parse(status.expiresAt)).toBeGreaterThan(Date.now());
+    expect(await tokenService.getAccessToken()).toBe('access');
+    expect(changes).toEqual([expect.objectContaining({ account: 'default', reason: 'saved' })]);
+
+    await tokenService.clearTokens();
+    expect(await tokenService.getStatus()).toMatchObject({ authenticated: false });
+    expect(changes.map(change => change.reason)).toEqual(['saved', 'cleared']);
+  });
+
+  test('counts an expired token as signed in only while it can be refreshed', async () => {
+    await tokenService.saveTokenResponse('default', { access_token: 'old', refresh_token: 'refresh', expires_in: -60 });
+    expect(await tokenService.getStatus()).toMatchObject({ authenticated: true, expired: true, refreshable: true });
+
+    await tokenService.saveTokenResponse('default', { access_token: 'old', expires_in: -60 });
+    expect(await tokenService.getStatus()).toMatchObject({ authenticated: false, expired: true, refreshable: false });
+  });
+
+  test('picks up tokens written by another process', async () => {
+    await tokenService.saveTokenResponse('default', { access_token: 'mine', refresh_token: 'refresh', expires_in: 3600 });
+
+    writeTokenFileSync(config.AUTH_CONFIG.tokenStorePath, { access_token: 'theirs', expires_at: Date.now() + 3600000 });
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(config.AUTH_CONFIG.tokenStorePath, later, later);
+
+    expect(await tokenService.getAccessToken()).toBe('theirs');
+  });
+
+  test('refreshes once for concurrent callers', async () => {
+    await tokenService.saveTokenResponse('default', { access_token: 'old', refresh_token: 'refresh', expires_in: -60 });
+    mockResponses([{ statusCode: 200, body: { access_token: 'new', refresh_token: 'refresh-2', expires_in: 3600 } }]);
+    const changes = [];
+    tokenService.on('change', change => changes.push(change.reason));
+
+    const tokens = await Promise.all([tokenService.getAccessToken(), tokenService.getAccessToken()]);
+
+    expect(tokens).toEqual(['new', 'new']);
+    expect(requests).toHaveLength(1);
+    expect(requests[0].body.get('grant_type')).toBe('refresh_token');
+    expect(changes).toEqual(['refreshed']);
+    expect(readTokenFileSync(config.AUTH_CONFIG.tokenStorePath).refresh_token).toBe('refresh-2');
+  });
+
+  test('keeps scopes added by incremental consent when refreshing', async () => {
+    config.AUTH_CONFIG.scopes = ['offline_access', 'Mail.Read'];
+    await tokenService.saveTokenResponse('default', { access_token: 'old', refresh_token: 'refresh', expires_in: -60, scope: 'Mail.Read Mail.Send' });
+    mockResponses([{ statusCode: 200, body: { access_token: 'new', expires_in: 3600, scope: 'Mail.Read Mail.Send' } }]);
+
+    expect(await tokenService.getAccessToken()).toBe('new');
+    expect(requests[0].body.get('scope')).toBe('offline_access Mail.Read Mail.Send');
+  });
+});
@@ -1,12 +1,14 @@
 const fs = require('fs').promises;
 const https = require('https');
 const path = require('path');
+const querystring = require('querystring');
 const TokenStorage = require('../../auth/token-storage');
 
 jest.mock('fs', () => ({
   promises: {
     readFile: jest.fn(),
     writeFile: jest.fn(),
+    rename: jest.fn(),
     unlink: jest.fn(),
   }
 }));
@@ -43,11 +45,18 @@ describe('TokenStorage', () => {
       expect(tokenStorage.config.refreshTokenBuffer).toBe(5 * 60 * 1000);
     });
 
-    it('should warn if client ID or secret is missing', () => {
-      const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    it('should warn if client ID is missing', () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
       new TokenStorage({ ...baseConfig, clientId: null });
-      expect(consoleWarnSpy).toHaveBeenCalledWith("TokenStorage: MS_CLIENT_ID or MS_CLIENT_SECRET is not configured. Token operations might fail.");
-      consoleWarnSpy.mockRestore();
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining("MS_CLIENT_ID is not configured. Token operations might fail."));
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should not warn if only the client secret is missing (public client)', () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+      new TokenStorage({ ...baseConfig, clientSecret: '' });
+      expect(consoleErrorSpy).not.toHaveBeenCalled();
+      consoleErrorSpy.mockRestore();
     });
   });
 
@@ -62,13 +71,15 @@ describe('TokenStorage', () => {
     });
 
     it('should return null and log if file does not exist (ENOENT)', async () => {
-      const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+      process.env.LOG_LEVEL_TOKEN_STORAGE = 'debug';
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
       fs.readFile.mockRejectedValue({ code: 'ENOENT' });
       const loaded = await tokenStorage._loadTokensFromFile();
       expect(loaded).toBeNull();
       expect(tokenStorage.tokens).toBeNull();
-      expect(consoleLogSpy).toHaveBeenCalledWith('Token file not found. No tokens loaded.');
-      consoleLogSpy.mockRestore();
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Token file not found. No tokens loaded.'));
+      consoleErrorSpy.mockRestore();
+      delete process.env.LOG_LEVEL_TOKEN_STORAGE;
     });
 
     it('should return null and log error for other read errors', async () => {
@@ -77,34 +88,42 @@ describe('TokenStorage', () => {
       const loaded = await tokenStorage._loadTokensFromFile();
       expect(loaded).toBeNull();
       expect(tokenStorage.tokens).toBeNull();
-      expect(consoleErrorSpy).toHaveBeenCalledWith('Error loading token cache:', expect.any(Error));
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringMatching(/Error loading token cache.*Read error/));
       consoleErrorSpy.mockRestore();
     });
   });
 
   describe('_saveTokensToFile', () => {
-    it('should write tokens to file', async () => {
+    it('should write tokens to file atomically with owner-only permissions', async () => {
+      fs.writeFile.mockResolvedValue();
+      fs.rename.mockResolvedValue();
       tokenStorage.tokens = { access_token: 'save_token' };
       await tokenStorage._saveTokensToFile();
-      expect(fs.writeFile).toHaveBeenCalledWith(tokenStorePath, JSON.stringify(tokenStorage.tokens, null, 2));
+      const tempPath = fs.writeFile.mock.calls[0][0];
+      expect(tempPath.startsWith(`${tokenStorePath}.${process.pid}.`)).toBe(true);
+      expect(tempPath).toMatch(/\.[0-9a-f]{12}\.tmp$/);
+      expect(fs.writeFile).toHaveBeenCalledWith(tempPath, JSON.stringify(tokenStorage.tokens, null, 2), { mode: 0o600, flag: 'wx' });
+      expect(fs.rename).toHaveBeenCalledWith(tempPath, tokenStorePath);
     });
 
     it('should log warning if no tokens to save', async () => {
-      const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
       tokenStorage.tokens = null;
       // Since it now returns false (or throws if we change it more), we expect it to return false
       const result = await tokenStorage._saveTokensToFile();
       expect(result).toBe(false); // As per current _saveTokensToFile when tokens are null
       expect(fs.writeFile).not.toHaveBeenCalled();
-      expect(consoleWarnSpy).toHaveBeenCalledWith('No tokens to save.');
-      consoleWarnSpy.mockRestore();
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('No tokens to save.'));
+      consoleErrorSpy.mockRestore();
     });
 
     it('should throw error if fs.writeFile fails', async () => {
       tokenStorage.tokens = { access_token: 'test_token' };
       const writeError = new Error('Disk full');
       fs.writeFile.mockRejectedValue(writeError);
+      fs.unlink.mockRejectedValue(Object.assign(new Error('ENOENT'), { code: 'ENOENT' }));
       await expect(tokenStorage._saveTokensToFile()).rejects.toThrow(writeError);
+      expect(fs.unlink).toHaveBeenCalledWith(fs.writeFile.mock.calls[0][0]);
     });
   });
 
@@ -284,10 +303,36 @@ describe('TokenStorage', () => {
         await expect(exchangePromise).rejects.toThrow('Network fail');
     });
 
-    it('should reject if client ID or secret is missing', async () => {
+    it('should reject if client ID is missing', async () => {
         tokenStorage.config.clientId = null;
         await expect(tokenStorage.exchangeCodeForTokens(mockAuthCode))
-            .rejects.toThrow("Client ID or Client Secret is not configured. Cannot exchange code for tokens.");
+            .rejects.toThrow("Client ID is not configured. Cannot exchange code for tokens.");
+    });
+
+    it('should send the PKCE verifier and no secret for a public client', async () => {
+      tokenStorage.config.clientSecret = '';
+      jest.spyOn(tokenStorage, '_saveTokensToFile').mockResolvedValue();
+      const exchangePromise = tokenStorage.exchangeCodeForTokens(mockAuthCode, 'code_verifier_123');
+
+      mockHttpsRequest.callback({
+        statusCode: 200,
+        on: (event, cb) => {
+          if (event === 'data') cb(Buffer.from(JSON.stringify(mockSuccessfulTokenResponse)));
+          if (event === 'end') cb();
+        }
+      });
+      await exchangePromise;
+
+      const requestBody = querystring.parse(mockHttpsRequest.write.mock.calls[0][0]);
+      expect(requestBody.code_verifier).toBe('code_verifier_123');
+      expect(requestBody).not.toHaveProperty('client_secret');
+    });
+
+    it('should reject a public client exchange without a code verifier', async () => {
+        tokenStorage.config.clientSecret = '';
+        await expect(tokenStorage.exchangeCodeForTokens(mockAuthCode))
+            .rejects.toThrow("A PKCE code verifier is required to exchange a code without a client secret.");
+        expect(https.request).not.toHaveBeenCalled();
     });
   });
 
@@ -344,6 +389,25 @@ describe('TokenStorage', () => {
         expect(requestBody.refresh_token).toBe('valid_refresh_token');
     });
 
+    it('should refresh without a client secret for a public client', async () => {
+        tokenStorage.config.clientSecret = '';
+        jest.spyOn(tokenStorage, '_saveTokensToFile').mockResolvedValue();
+        const refreshPromise = tokenStorage.refreshAccessToken();
+
+        mockHttpsRequest.callback({
+            statusCode: 200,
+            on: (event, cb) => {
+                if (event === 'data') cb(Buffer.from(JSON.stringify(mockSuccessfulRefreshResponse)));
+                if (event === 'end') cb();
+            }
+        });
+
+        expect(await refreshPromise).toBe('refreshed_access_token');
+        const requestBody = querystring.parse(mockHttpsRequest.write.mock.calls[0][0]);
+        expect(requestBody.client_id).toBe(baseConfig.clientId);
+        expect(requestBody).not.toHaveProperty('client_secret');
+    });
+
     it('should reject if saving refreshed token fails', async () => {
         const saveError = new Error('Failed to save disk');
         // Mock _saveTokensToFile to throw an error *after* a successful API response
@@ -497,14 +561,14 @@ describe('TokenStorage', () => {
             // No refresh_token
         };
         const saveSpy = jest.spyOn(tokenStorage, '_saveTokensToFile').mockResolvedValue(true); // Assume save works for this path
-        const consoleWarnSpy = jest.spyOn(console, 'warn').mockImplementation();
+        const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
 
         const token = await tokenStorage.getValidAccessToken();
         expect(token).toBeNull();
-        expect(consoleWarnSpy).toHaveBeenCalledWith('No refresh token available. Cannot refresh access token.');
+        expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('No refresh token available. Cannot refresh access token.'));
         expect(tokenStorage.tokens).toBeNull();
         expect(saveSpy).toHaveBeenCalled();
-        consoleWarnSpy.mockRestore();
+        consoleErrorSpy.mockRestore();
     });
 
     it('should propagate error if saving nulled token fails (no refresh token path)', async () => {
@@ -538,13 +602,15 @@ describe('TokenStorage', () => {
     });
 
     it('should log if token file does not exist during unlink', async () => {
+      process.env.LOG_LEVEL_TOKEN_STORAGE = 'debug';
       fs.unlink.mockRejectedValue({ code: 'ENOENT' });
-      const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
 
       await tokenStorage.clearTokens();
 
-      expect(consoleLogSpy).toHaveBeenCalledWith('Token file not found, nothing to delete.');
-      consoleLogSpy.mockRestore();
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringContaining('Token file not found, nothing to delete.'));
+      consoleErrorSpy.mockRestore();
+      delete process.env.LOG_LEVEL_TOKEN_STORAGE;
     });
 
     it('should log error for other unlink errors', async () => {
@@ -553,7 +619,7 @@ describe('TokenStorage', () => {
 
       await tokenStorage.clearTokens();
 
-      expect(consoleErrorSpy).toHaveBeenCalledWith('Error deleting token file:', expect.any(Error));
+      expect(consoleErrorSpy).toHaveBeenCalledWith(expect.stringMatching(/Error deleting token file.*Deletion failed/));
       consoleErrorSpy.mockRestore();
     });
   });
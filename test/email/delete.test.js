@@ -0,0 +1,76 @@
+const handleDeleteEmails = require('../../email/delete');
+const { callGraphBatch } = require('../../utils/graph-batch');
+const { ensureAuthenticated } = require('../../auth');
+
+jest.mock('../../utils/graph-batch');
+jest.mock('../../auth');
+
+const success = id => ({ id, status: 204, ok: true, body: null, headers: {}, error: null });
+const failure = (id, error) => ({ id, status: 404, ok: false, body: null, headers: {}, error });
+
+describe('handleDeleteEmails', () => {
+  beforeEach(() => {
+    callGraphBatch.mockReset();
+    ensureAuthenticated.mockReset();
+    ensureAuthenticated.mockResolvedValue('dummy_access_token');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('deletes every ID of a comma-separated list in one batch', async () => {
+    callGraphBatch.mockResolvedValue([success('1'), success('2'), success('3')]);
+
+    const result = await handleDeleteEmails({ emailIds: ' id-1, id/2 ,,id-3 ' });
+
+    expect(callGraphBatch).toHaveBeenCalledWith('dummy_access_token', [
+      { id: '1', method: 'DELETE', url: '/me/messages/id-1' },
+      { id: '2', method: 'DELETE', url: '/me/messages/id%2F2' },
+      { id: '3', method: 'DELETE', url: '/me/messages/id-3' }
+    ]);
+    expect(result.content[0].text).toBe('Successfully deleted 3 email(s).');
+    expect(result.structuredContent).toEqual({ deleted: ['id-1', 'id/2', 'id-3'], failed: [] });
+  });
+
+  test('reports the emails that failed alongside the ones deleted', async () => {
+    callGraphBatch.mockResolvedValue([success('1'), failure('2', 'Item not found'), success('3')]);
+
+    const result = await handleDeleteEmails({ emailIds: 'id-1,id-2,id-3' });
+
+    expect(result.structuredContent).toEqual({
+      deleted: ['id-1', 'id-3'],
+      failed: [{ id: 'id-2', error: 'Item not found' }]
+    });
+    expect(result.content[0].text).toBe(
+      'Successfully deleted 2 email(s).\n\nFailed to delete 1 email(s):\n- id-2: Item not found'
+    );
+  });
+
+  test('returns an error result when every deletion fails', async () => {
+    callGraphBatch.mockResolvedValue([failure('1', 'Item not found'), failure('2', 'Access denied')]);
+
+    const result = await handleDeleteEmails({ emailIds: 'id-1,id-2' });
+
+    expect(result.structuredContent).toBeUndefined();
+    expect(result.content[0].text).toBe('Failed to delete 2 email(s). First error: Item not found');
+  });
+
+  test('requires at least one ID', async () => {
+    const result = await handleDeleteEmails({ emailIds: ' , ' });
+
+    expect(result.structuredContent).toBeUndefined();
+    expect(result.content[0].text).toContain('Email IDs are required');
+    expect(callGraphBatch).not.toHaveBeenCalled();
+  });
+
+  test('asks for authentication when there is no token', async () => {
+    ensureAuthenticated.mockRejectedValue(new Error('Authentication required'));
+
+    const result = await handleDeleteEmails({ emailIds: 'id-1' });
+
+    expect(result.content[0].text).toBe("Authentication required. Please use the 'authenticate' tool first.");
+    expect(callGraphBatch).not.toHaveBeenCalled();
+  });
+});
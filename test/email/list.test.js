@@ -1,5 +1,5 @@
 const handleListEmails = require('../../email/list');
-const { callGraphAPI } = require('../../utils/graph-api');
+const { callGraphAPI, getGraphBaseUrl } = require('../../utils/graph-api');
 const { ensureAuthenticated } = require('../../auth');
 const { resolveFolderPath, WELL_KNOWN_FOLDERS } = require('../../email/folder-utils');
 
@@ -194,6 +194,49 @@ describe('handleListEmails', () => {
     });
   });
 
+  describe('pagination', () => {
+    beforeEach(() => {
+      getGraphBaseUrl.mockReturnValue('https://graph.microsoft.com/v1.0/');
+    });
+
+    test('should return a cursor when more emails are available', async () => {
+      const nextLink = 'https://graph.microsoft.com/v1.0/me/mailFolders/inbox/messages?$skip=10';
+      ensureAuthenticated.mockResolvedValue(mockAccessToken);
+      resolveFolderPath.mockResolvedValue(WELL_KNOWN_FOLDERS['inbox']);
+      callGraphAPI.mockResolvedValue({ value: mockEmails, '@odata.nextLink': nextLink });
+
+      const result = await handleListEmails({});
+
+      expect(result.structuredContent.nextCursor).toEqual(expect.any(String));
+      expect(result.content[0].text).toContain(`cursor: ${result.structuredContent.nextCursor}`);
+    });
+
+    test('should fetch the next page from the cursor', async () => {
+      const nextLink = 'https://graph.microsoft.com/v1.0/me/mailFolders/sent/messages?$skip=10';
+      ensureAuthenticated.mockResolvedValue(mockAccessToken);
+      resolveFolderPath.mockResolvedValue(WELL_KNOWN_FOLDERS['sent']);
+      callGraphAPI.mockResolvedValueOnce({ value: mockEmails, '@odata.nextLink': nextLink });
+      const firstPage = await handleListEmails({ folder: 'sent' });
+
+      callGraphAPI.mockResolvedValueOnce({ value: mockEmails });
+      const secondPage = await handleListEmails({ cursor: firstPage.structuredContent.nextCursor });
+
+      expect(callGraphAPI).toHaveBeenLastCalledWith(mockAccessToken, 'GET', nextLink);
+      expect(resolveFolderPath).toHaveBeenCalledTimes(1);
+      expect(secondPage.structuredContent.folder).toBe('sent');
+      expect(secondPage.structuredContent.nextCursor).toBeNull();
+    });
+
+    test('should reject an invalid cursor', async () => {
+      ensureAuthenticated.mockResolvedValue(mockAccessToken);
+
+      const result = await handleListEmails({ cursor: 'bogus' });
+
+      expect(result.content[0].text).toContain('Invalid cursor');
+      expect(callGraphAPI).not.toHaveBeenCalled();
+    });
+  });
+
   describe('inbox endpoint verification', () => {
     test('should use me/mailFolders/inbox/messages for inbox folder', async () => {
       ensureAuthenticated.mockResolvedValue(mockAccessToken);
@@ -0,0 +1,84 @@
+const handleMarkAsRead = require('../../email/mark-as-read');
+const { callGraphBatch } = require('../../utils/graph-batch');
+const { ensureAuthenticated } = require('../../auth');
+
+jest.mock('../../utils/graph-batch');
+jest.mock('../../auth');
+
+const success = id => ({ id, status: 200, ok: true, body: {}, headers: {}, error: null });
+const failure = (id, error) => ({ id, status: 404, ok: false, body: null, headers: {}, error });
+
+describe('handleMarkAsRead', () => {
+  beforeEach(() => {
+    callGraphBatch.mockReset();
+    ensureAuthenticated.mockReset();
+    ensureAuthenticated.mockResolvedValue('dummy_access_token');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('marks every ID of a comma-separated list as read in one batch', async () => {
+    callGraphBatch.mockResolvedValue([success('1'), success('2')]);
+
+    const result = await handleMarkAsRead({ id: ' id-1 ,, id/2 ' });
+
+    expect(callGraphBatch).toHaveBeenCalledWith('dummy_access_token', [
+      { id: '1', method: 'PATCH', url: '/me/messages/id-1', body: { isRead: true } },
+      { id: '2', method: 'PATCH', url: '/me/messages/id%2F2', body: { isRead: true } }
+    ]);
+    expect(result.content[0].text).toBe('Successfully marked 2 email(s) as read.');
+    expect(result.structuredContent).toEqual({ isRead: true, updated: ['id-1', 'id/2'], failed: [] });
+  });
+
+  test('marks a single email as unread', async () => {
+    callGraphBatch.mockResolvedValue([success('1')]);
+
+    const result = await handleMarkAsRead({ id: 'id-1', isRead: false });
+
+    expect(callGraphBatch.mock.calls[0][1][0].body).toEqual({ isRead: false });
+    expect(result.content[0].text).toBe('Email successfully marked as unread.');
+  });
+
+  test('reports the emails that failed alongside the ones updated', async () => {
+    callGraphBatch.mockResolvedValue([failure('1', 'Item not found'), success('2'), success('3')]);
+
+    const result = await handleMarkAsRead({ id: 'id-1,id-2,id-3' });
+
+    expect(result.structuredContent).toEqual({
+      isRead: true,
+      updated: ['id-2', 'id-3'],
+      failed: [{ id: 'id-1', error: 'Item not found' }]
+    });
+    expect(result.content[0].text).toBe(
+      'Successfully marked 2 email(s) as read.\n\nFailed to update 1 email(s):\n- id-1: Item not found'
+    );
+  });
+
+  test('returns an error result when every update fails', async () => {
+    callGraphBatch.mockResolvedValue([failure('1', 'Item not found'), failure('2', 'Access denied')]);
+
+    const result = await handleMarkAsRead({ id: 'id-1,id-2' });
+
+    expect(result.structuredContent).toBeUndefined();
+    expect(result.content[0].text).toBe('Failed to mark 2 emails as read. First error: Item not found');
+  });
+
+  test('explains a single ID that belongs to another mailbox', async () => {
+    callGraphBatch.mockResolvedValue([failure('1', "The item doesn't belong to the targeted mailbox")]);
+
+    const result = await handleMarkAsRead({ id: 'id-1' });
+
+    expect(result.structuredContent).toBeUndefined();
+    expect(result.content[0].text).toContain("doesn't belong to your mailbox");
+  });
+
+  test('requires at least one ID', async () => {
+    const result = await handleMarkAsRead({ id: '' });
+
+    expect(result.content[0].text).toBe('Email ID is required.');
+    expect(callGraphBatch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,49 @@
+const path = require('path');
+const handleSearchEmails = require('../../email/search');
+const { useGraphFixtures } = require('../../utils/graph-api');
+
+jest.mock('../../auth', () => ({
+  ensureAuthenticated: jest.fn().mockResolvedValue('dummy_access_token')
+}));
+
+// Recorded from the Graph emulator's default mailbox (see README, "Recording Graph Fixtures")
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'graph', 'search-emails.json');
+
+describe('handleSearchEmails (replayed Graph traffic)', () => {
+  let fixtures;
+
+  beforeEach(() => {
+    fixtures = useGraphFixtures({ mode: 'replay', file: FIXTURE });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    useGraphFixtures(null);
+    console.error.mockRestore();
+  });
+
+  test('falls back to single-term searches when the combined search finds nothing', async () => {
+    const result = await handleSearchEmails({ subject: 'budget', from: 'jane@example.com' });
+
+    expect(result.structuredContent.emails.map(email => email.id)).toEqual(['message-2']);
+    expect(result.content[0].text).toContain('Found 1 emails matching your search criteria');
+    // Combined search, then subject only, then from only
+    expect(fixtures.interactions.filter(interaction => interaction.used)).toHaveLength(3);
+  });
+
+  test('falls back to the boolean filters when no search term matches', async () => {
+    const result = await handleSearchEmails({ query: 'holiday', unreadOnly: true });
+
+    expect(result.structuredContent.count).toBe(2);
+    expect(result.structuredContent.emails.every(email => !email.isRead)).toBe(true);
+  });
+
+  test('pages through results with the cursor', async () => {
+    const first = await handleSearchEmails({ query: 'meeting', count: 1 });
+    expect(first.structuredContent.emails.map(email => email.id)).toEqual(['message-1']);
+
+    const second = await handleSearchEmails({ cursor: first.structuredContent.nextCursor });
+    expect(second.structuredContent.emails.map(email => email.id)).toEqual(['message-3']);
+    expect(second.structuredContent.nextCursor).toBeNull();
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * End-to-end tool tests against the local Graph emulator: every call goes
+ * through callGraphAPI and HTTP, only authentication is stubbed.
+ */
+jest.mock('../../auth', () => ({
+  ...jest.requireActual('../../auth'),
+  ensureAuthenticated: jest.fn().mockResolvedValue('emulator-token')
+}));
+jest.mock('../../utils/graph-retry', () => ({
+  ...jest.requireActual('../../utils/graph-retry'),
+  sleep: jest.fn().mockResolvedValue()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../config');
+const { tokenService } = require('../../auth/token-service');
+const { toBase64Url } = require('../../utils/base64url');
+const { GraphEmulator } = require('../../utils/graph-emulator');
+const { setGraphBaseUrl } = require('../../utils/graph-api');
+const { callTool } = require('../../utils/tool-dispatch');
+const { FORMAT_PROPERTY, withInputProperty } = require('../../utils/tool-output');
+const { MAILBOX_PROPERTY } = require('../../utils/mailbox');
+const { authTools } = require('../../auth');
+const { calendarTools } = require('../../calendar');
+const { emailTools } = require('../../email');
+const { folderTools } = require('../../folder');
+const { rulesTools } = require('../../rules');
+
+const TOOLS = [
+  ...authTools,
+  ...[...calendarTools, ...emailTools, ...folderTools, ...rulesTools].map(tool => withInputProperty(tool, 'mailbox', MAILBOX_PROPERTY))
+].map(tool => withInputProperty(tool, 'format', FORMAT_PROPERTY));
+
+/**
+ * Calls a tool and fails the test if it returns an error
+ * @param {string} name - Tool name
+ * @param {object} args - Tool arguments
+ * @returns {Promise<object>} - Structured result
+ */
+async function call(name, args = {}) {
+  const result = await callTool(TOOLS, { name, arguments: args });
+  if (result.isError) {
+    throw new Error(`${name} failed: ${result.content[0].text}`);
+  }
+  return result.structuredContent;
+}
+
+describe('tools against the Graph emulator', () => {
+  const emulator = new GraphEmulator();
+
+  beforeAll(async () => {
+    setGraphBaseUrl(await emulator.start());
+  });
+
+  afterAll(async () => {
+    setGraphBaseUrl(null);
+    await emulator.stop();
+  });
+
+  beforeEach(() => {
+    emulator.reset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    console.log.mockRestore();
+  });
+
+  test('lists the inbox newest first and pages with the cursor', async () => {
+    const first = await call('list-emails', { count: 2 });
+    expect(first.emails.map(email => email.subject)).toEqual(['Important Meeting Tomorrow', 'Weekly Report']);
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    const second = await call('list-emails', { cursor: first.nextCursor });
+    expect(second.emails.map(email => email.subject)).toEqual(['Re: Important Meeting Tomorrow']);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test('searches, reads and marks emails as read', async () => {
+    const search = await call('search-emails', { subject: 'weekly' });
+    expect(search.emails).toHaveLength(1);
+
+    const unread = await call('search-emails', { unreadOnly: true });
+    const { email } = await call('read-email', { id: unread.emails[0].id });
+    expect(email.isRead).toBe(false);
+
+    await call('mark-as-read', { id: unread.emails.map(item => item.id).join(',') });
+    expect((await call('search-emails', { unreadOnly: true })).count).toBe(0);
+  });
+
+  test('sends email and creates drafts', async () => {
+    await call('send-email', { to: 'you@example.com', subject: 'Reminder', body: 'Water the plants' });
+    const sent = await call('list-emails', { folder: 'sent' });
+    expect(sent.emails.map(email => email.subject)).toEqual(['Reminder']);
+    expect((await call('list-emails')).emails[0].subject).toBe('Reminder');
+
+    const draft = await call('create-draft', { to: 'someone@example.com', subject: 'Draft' });
+    expect(emulator.messages.get(draft.id)).toMatchObject({ parentFolderId: 'drafts', isDraft: true });
+  });
+
+  test('creates folders and moves and deletes emails', async () => {
+    await call('create-folder', { name: 'Receipts' });
+    await call('create-folder', { name: 'Invoices', parentFolder: 'Receipts' });
+    const folders = await call('list-folders');
+    expect(folders.folders.map(folder => folder.displayName)).toEqual(expect.arrayContaining(['Projects', 'Receipts', 'Invoices']));
+
+    const inbox = await call('list-emails');
+    const ids = inbox.emails.map(email => email.id);
+    const moved = await call('move-emails', { emailIds: ids.slice(0, 2).join(','), targetFolder: 'Receipts' });
+    expect(moved.moved).toHaveLength(2);
+    expect((await call('list-emails', { folder: 'Receipts' })).count).toBe(2);
+
+    const deleted = await call('delete-emails', { emailIds: `${ids[2]},missing-id` });
+    expect(deleted.deleted).toEqual([ids[2]]);
+    expect(deleted.failed).toEqual([expect.objectContaining({ id: 'missing-id' })]);
+    expect(emulator.messages.get(ids[2]).parentFolderId).toBe('deleteditems');
+  });
+
+  test('manages inbox rules', async () => {
+    await call('create-rule', { name: 'Receipts', containsSubject: 'receipt', moveToFolder: 'Archive' });
+    const rules = await call('list-rules');
+    expect(rules.rules.map(rule => rule.displayName)).toEqual(['Move newsletters', 'Receipts']);
+
+    const updated = await call('edit-rule-sequence', { ruleName: 'Receipts', sequence: 5 });
+    expect(updated.sequence).toBe(5);
+  });
+
+  test('lists, creates, declines and deletes events', async () => {
+    const upcoming = await call('list-events');
+    expect(upcoming.events.map(event => event.subject)).toEqual(['Project review', 'Team lunch']);
+
+    const created = await call('create-event', {
+      subject: 'Planning',
+      start: '2030-01-01T09:00:00',
+      end: '2030-01-01T10:00:00'
+    });
+    expect(emulator.events.get(created.id).subject).toBe('Planning');
+
+    const invitation = upcoming.events.find(event => event.subject === 'Project review');
+    await call('decline-event', { eventId: invitation.id });
+    expect(emulator.events.get(invitation.id).responseStatus.response).toBe('declined');
+
+    await call('delete-event', { eventId: created.id });
+    expect(emulator.events.has(created.id)).toBe(false);
+  });
+
+  test('addresses a shared mailbox through users/{mailbox}', async () => {
+    const before = emulator.requests.length;
+    const inbox = await call('list-emails', { mailbox: 'shared@contoso.com' });
+    await call('delete-emails', { emailIds: inbox.emails[0].id, mailbox: 'shared@contoso.com' });
+
+    const paths = emulator.requests.slice(before).map(request => request.path);
+    expect(paths).toContain('users/shared@contoso.com/mailFolders/inbox/messages');
+    expect(paths).toContain(`users/shared@contoso.com/messages/${inbox.emails[0].id}`);
+    expect(paths.filter(path => path.startsWith('me/'))).toEqual([]);
+  });
+
+  test('sends as, or on behalf of, a shared mailbox', async () => {
+    const before = emulator.requests.length;
+    const email = { to: 'someone@example.com', subject: 'Hello', body: 'Hi', mailbox: 'shared@contoso.com' };
+
+    expect(await call('send-email', email)).toMatchObject({ from: 'shared@contoso.com', sendMode: 'send_as' });
+    await call('send-email', { ...email, sendMode: 'send_on_behalf' });
+
+    const sends = emulator.requests.slice(before).filter(request => /sendMail$/i.test(request.path));
+    expect(sends.map(request => request.path)).toEqual(['users/shared@contoso.com/sendMail', 'me/sendMail']);
+    expect(sends[0].body.message.from).toBeUndefined();
+    expect(sends[1].body.message.from).toEqual({ emailAddress: { address: 'shared@contoso.com' } });
+  });
+
+  test('rejects a malformed mailbox before calling Graph', async () => {
+    const before = emulator.requests.length;
+    const result = await callTool(TOOLS, { name: 'list-emails', arguments: { mailbox: '../me' } });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Invalid mailbox "../me"');
+    expect(emulator.requests).toHaveLength(before);
+  });
+
+  describe('authentication', () => {
+    const originalAuthConfig = { ...config.AUTH_CONFIG };
+    let dir;
+
+    /**
+     * Builds an unsigned JWT access token carrying the given claims
+     * @param {object} claims - Token claims
+     * @returns {string} - Token
+     */
+    function accessToken(claims) {
+      return `${toBase64Url('{"alg":"none"}')}.${toBase64Url(JSON.stringify(claims))}.signature`;
+    }
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-tools-'));
+      config.AUTH_CONFIG.tokenStorePath = path.join(dir, '.outlook-mcp-tokens.json');
+      config.AUTH_CONFIG.accountsPath = path.join(dir, '.outlook-mcp-accounts.json');
+      config.AUTH_CONFIG.clientId = 'client-id';
+    });
+
+    afterEach(() => {
+      Object.assign(config.AUTH_CONFIG, originalAuthConfig);
+      tokenService.reset();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('reports the signed-in user, granted scopes and a live Graph check', async () => {
+      config.AUTH_CONFIG.scopes = ['offline_access', 'User.Read', 'Mail.Read', 'Mail.Send'];
+      const token = accessToken({ tid: 'contoso-tenant', scp: 'User.Read Mail.Read' });
+      await tokenService.saveTokenResponse('default', { access_token: token, refresh_token: 'refresh', expires_in: 3600 });
+
+      const status = await call('check-auth-status');
+
+      expect(status).toMatchObject({
+        authenticated: true,
+        user: { displayName: 'You', userPrincipalName: 'you@example.com' },
+        tenantId: 'contoso-tenant',
+        refreshToken: { ageDays: 0 },
+        scopes: { granted: ['User.Read', 'Mail.Read'], missing: ['Mail.Send'] },
+        probe: { ok: true }
+      });
+      expect(status.hints[0]).toContain('Mail.Send was not granted: sending email');
+      expect(emulator.requests[emulator.requests.length - 1].path).toBe('me');
+    });
+
+    test('keeps an existing sign-in unless authentication is forced', async () => {
+      await tokenService.saveTokenResponse('default', { access_token: 'token', refresh_token: 'refresh', expires_in: 3600 });
+
+      expect(await call('authenticate')).toMatchObject({ status: 'authenticated', account: 'default' });
+      expect((await tokenService.getStatus()).authenticated).toBe(true);
+
+      const forced = await call('authenticate', { force: true });
+      expect(forced).toMatchObject({ status: 'authentication_required' });
+      expect(forced.authUrl).toContain('prompt=select_account');
+      expect((await tokenService.getStatus()).authenticated).toBe(false);
+    });
+
+    test('refuses to discard tokens with force in read-only mode', async () => {
+      await tokenService.saveTokenResponse('default', { access_token: 'token', refresh_token: 'refresh', expires_in: 3600 });
+      const readOnly = config.READ_ONLY;
+      config.READ_ONLY = true;
+      try {
+        const result = await callTool(TOOLS, { name: 'authenticate', arguments: { force: true } });
+
+        expect(result.content[0].text).toContain('force is not available: this server is running in read-only mode');
+        expect((await tokenService.getStatus()).authenticated).toBe(true);
+      } finally {
+        config.READ_ONLY = readOnly;
+      }
+    });
+
+    test('asks for consent to the scopes a tool needs before calling Graph', async () => {
+      const token = accessToken({ scp: 'User.Read Mail.Read' });
+      await tokenService.saveTokenResponse('default', { access_token: token, refresh_token: 'refresh', expires_in: 3600 });
+      const before = emulator.requests.length;
+
+      const send = await callTool(TOOLS, { name: 'send-email', arguments: { to: 'someone@example.com', subject: 'Hi', body: 'Hi' } });
+      expect(send.isError).toBe(true);
+      expect(send.content[0].text).toContain("send-email needs permissions that account 'default' has not granted: Mail.Send.");
+      expect(send.content[0].text).toContain('/auth?client_id=client-id&scope=User.Read%20Mail.Read%20Mail.Send');
+
+      const shared = await callTool(TOOLS, { name: 'list-emails', arguments: { mailbox: 'shared@contoso.com' } });
+      expect(shared.content[0].text).toContain('has not granted: Mail.Read.Shared.');
+      expect(emulator.requests).toHaveLength(before);
+
+      // Read-only tools work with the read scopes alone
+      expect((await call('list-emails')).emails.length).toBeGreaterThan(0);
+
+      const consent = await call('authenticate', { scopes: ['Mail.Send'] });
+      expect(consent).toMatchObject({ status: 'authentication_required', scopes: ['User.Read', 'Mail.Read', 'Mail.Send'] });
+      expect((await tokenService.getStatus()).authenticated).toBe(true);
+    });
+
+    test('logs out, revoking sign-in sessions when asked', async () => {
+      await tokenService.saveTokenResponse('default', { access_token: 'token', refresh_token: 'refresh', expires_in: 3600 });
+      const before = emulator.requests.length;
+
+      expect(await call('logout', { revokeSessions: true })).toMatchObject({ account: 'default', loggedOut: true, revoked: true });
+      expect(emulator.requests.slice(before).map(request => `${request.method} ${request.path}`)).toEqual(['POST me/revokeSignInSessions']);
+      expect(fs.existsSync(config.AUTH_CONFIG.tokenStorePath)).toBe(false);
+
+      // Without tokens there is nothing to revoke with, but the logout still succeeds
+      const again = await call('logout', { revokeSessions: true });
+      expect(again).toMatchObject({ loggedOut: true, revoked: false, revokeError: 'the account is not signed in' });
+    });
+  });
+});
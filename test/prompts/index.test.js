@@ -0,0 +1,133 @@
+const { handleListPrompts, handleGetPrompt } = require('../../prompts');
+const { handleListEmails, handleReadEmail } = require('../../email');
+const { handleListEvents } = require('../../calendar');
+const { callGraphAPI } = require('../../utils/graph-api');
+const { ensureAuthenticated } = require('../../auth');
+const { getMissingToolScopes, getConsentMessage } = require('../../auth/consent');
+
+jest.mock('../../email', () => ({
+  handleListEmails: jest.fn(),
+  handleReadEmail: jest.fn()
+}));
+jest.mock('../../calendar', () => ({
+  handleListEvents: jest.fn()
+}));
+jest.mock('../../utils/graph-api');
+jest.mock('../../auth');
+jest.mock('../../auth/consent');
+
+const textResult = (text) => ({ content: [{ type: 'text', text }], structuredContent: {} });
+const errorResult = (text) => ({ content: [{ type: 'text', text }] });
+
+describe('MCP prompts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ensureAuthenticated.mockResolvedValue('dummy_access_token');
+    getMissingToolScopes.mockResolvedValue([]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('should list prompts with their arguments', () => {
+    const { prompts } = handleListPrompts();
+
+    expect(prompts.map(p => p.name)).toEqual(['triage-inbox', 'draft-reply', 'prepare-meetings', 'summarise-thread']);
+    expect(prompts.find(p => p.name === 'draft-reply').arguments[0]).toEqual({
+      name: 'id',
+      description: 'ID of the email to reply to',
+      required: true
+    });
+  });
+
+  test('should only list the prompts whose tools the client is allowed', () => {
+    const { prompts } = handleListPrompts({ clientId: 'n8n', extra: { tools: ['read-email'] } });
+
+    expect(prompts.map(p => p.name)).toEqual(['draft-reply', 'summarise-thread']);
+  });
+
+  test('should refuse a prompt that uses a tool the client is not allowed', async () => {
+    const authInfo = { clientId: 'n8n', extra: { tools: ['about'] } };
+
+    await expect(handleGetPrompt({ name: 'draft-reply', arguments: { id: 'm1' } }, authInfo)).rejects.toMatchObject({
+      code: -32600,
+      message: 'Prompt not allowed for this client: draft-reply'
+    });
+    expect(handleReadEmail).not.toHaveBeenCalled();
+  });
+
+  test('should refuse a prompt whose tools need scopes the account has not granted', async () => {
+    const tools = [{ name: 'read-email', requiredScopes: ['Mail.Read'] }, { name: 'send-email', requiredScopes: ['Mail.Send'] }];
+    getMissingToolScopes.mockResolvedValue(['Mail.Read']);
+    getConsentMessage.mockResolvedValue('read-email needs permissions that account \'default\' has not granted: Mail.Read.');
+
+    await expect(handleGetPrompt({ name: 'draft-reply', arguments: { id: 'm1' } }, undefined, tools)).rejects.toMatchObject({
+      code: -32600,
+      message: expect.stringContaining('has not granted: Mail.Read')
+    });
+    expect(getMissingToolScopes).toHaveBeenCalledTimes(1);
+    expect(getMissingToolScopes).toHaveBeenCalledWith(tools[0], { account: 'default' });
+    expect(getConsentMessage).toHaveBeenCalledWith('read-email', 'default', ['Mail.Read']);
+    expect(handleReadEmail).not.toHaveBeenCalled();
+  });
+
+  test('should pre-fill triage-inbox with the inbox listing', async () => {
+    handleListEmails.mockResolvedValue(textResult('Found 2 emails in inbox'));
+
+    const result = await handleGetPrompt({ name: 'triage-inbox', arguments: { count: '10' } });
+
+    expect(handleListEmails).toHaveBeenCalledWith({ folder: 'inbox', count: 10 });
+    expect(result.messages[0].content.text).toContain('Found 2 emails in inbox');
+  });
+
+  test('should pre-fill draft-reply with the email content', async () => {
+    handleReadEmail.mockResolvedValue(textResult('Subject: Budget'));
+
+    const result = await handleGetPrompt({ name: 'draft-reply', arguments: { id: 'm1', tone: 'friendly' } });
+
+    expect(handleReadEmail).toHaveBeenCalledWith({ id: 'm1' });
+    expect(result.messages[0].content.text).toContain('friendly reply');
+    expect(result.messages[0].content.text).toContain('Subject: Budget');
+  });
+
+  test('should request a one-day calendar view for prepare-meetings', async () => {
+    handleListEvents.mockResolvedValue(textResult('Found 1 events'));
+
+    await handleGetPrompt({ name: 'prepare-meetings', arguments: { date: '2024-03-10' } });
+
+    const { start, end } = handleListEvents.mock.calls[0][0];
+    expect(new Date(end) - new Date(start)).toBe(24 * 60 * 60 * 1000);
+  });
+
+  test('should include every message of the thread in order for summarise-thread', async () => {
+    callGraphAPI.mockResolvedValue({
+      value: [
+        { subject: 'Re: Plan', receivedDateTime: '2024-01-02T00:00:00Z', body: { contentType: 'text', content: 'second' } },
+        { subject: 'Plan', receivedDateTime: '2024-01-01T00:00:00Z', body: { contentType: 'text', content: 'first' } }
+      ]
+    });
+
+    const result = await handleGetPrompt({ name: 'summarise-thread', arguments: { conversationId: "conv'1" } });
+
+    expect(callGraphAPI.mock.calls[0][4].$filter).toBe("conversationId eq 'conv''1'");
+    const text = result.messages[0].content.text;
+    expect(text.indexOf('first')).toBeLessThan(text.indexOf('second'));
+  });
+
+  test.each([
+    ['triage-inbox', {}, handleListEmails],
+    ['draft-reply', { id: 'm1' }, handleReadEmail],
+    ['prepare-meetings', {}, handleListEvents]
+  ])('should fail %s instead of pasting a failed tool call into the prompt', async (name, args, handler) => {
+    handler.mockResolvedValue(errorResult("Authentication required. Please use the 'authenticate' tool first."));
+
+    await expect(handleGetPrompt({ name, arguments: args })).rejects.toThrow('Authentication required');
+  });
+
+  test('should reject unknown prompts and missing required arguments', async () => {
+    await expect(handleGetPrompt({ name: 'nope' })).rejects.toMatchObject({ code: -32602 });
+    await expect(handleGetPrompt({ name: 'draft-reply', arguments: {} })).rejects.toThrow('id');
+  });
+});
@@ -0,0 +1,156 @@
+const {
+  matchResourceUri,
+  handleListResourceTemplates,
+  handleListResources,
+  handleReadResource
+} = require('../../resources');
+const { callGraphAPI } = require('../../utils/graph-api');
+const { ensureAuthenticated } = require('../../auth');
+const { resolveFolderPath, getAllFolders } = require('../../email/folder-utils');
+
+jest.mock('../../utils/graph-api');
+jest.mock('../../auth');
+jest.mock('../../email/folder-utils');
+
+describe('MCP resources', () => {
+  const mockAccessToken = 'dummy_access_token';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ensureAuthenticated.mockResolvedValue(mockAccessToken);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('matchResourceUri', () => {
+    test('should extract parameters from attachment URIs', () => {
+      const matched = matchResourceUri('outlook://attachments/msg%2F1/att-2');
+      expect(matched.template.uriTemplate).toBe('outlook://attachments/{msgId}/{attId}');
+      expect(matched.params).toEqual({ msgId: 'msg%2F1', attId: 'att-2' });
+    });
+
+    test('should return null for unknown URIs', () => {
+      expect(matchResourceUri('outlook://contacts/1')).toBeNull();
+    });
+  });
+
+  test('should list all resource templates', () => {
+    const { resourceTemplates } = handleListResourceTemplates();
+    expect(resourceTemplates.map(t => t.uriTemplate)).toEqual([
+      'outlook://folders/{path}',
+      'outlook://messages/{id}',
+      'outlook://events/{id}',
+      'outlook://attachments/{msgId}/{attId}'
+    ]);
+  });
+
+  test('should only list the templates whose read tool the client is allowed', () => {
+    const authInfo = { clientId: 'n8n', extra: { tools: ['list-events'] } };
+
+    const { resourceTemplates } = handleListResourceTemplates(authInfo);
+
+    expect(resourceTemplates.map(t => t.uriTemplate)).toEqual(['outlook://events/{id}']);
+  });
+
+  describe('resources/list', () => {
+    test('should list folders and recent messages', async () => {
+      getAllFolders.mockResolvedValue([{ id: 'f1', displayName: 'Projects' }]);
+      callGraphAPI.mockResolvedValue({
+        value: [{ id: 'm1', subject: 'Hello', from: { emailAddress: { address: 'a@example.com' } }, receivedDateTime: '2024-01-15T10:30:00Z' }]
+      });
+
+      const { resources } = await handleListResources();
+
+      expect(resources.map(r => r.uri)).toEqual(['outlook://folders/Projects', 'outlook://messages/m1']);
+    });
+
+    test('should return an empty list when not authenticated', async () => {
+      ensureAuthenticated.mockRejectedValue(new Error('Authentication required'));
+
+      const { resources } = await handleListResources();
+
+      expect(resources).toEqual([]);
+    });
+
+    test('should only list the resources whose read tool the client is allowed', async () => {
+      getAllFolders.mockResolvedValue([{ id: 'f1', displayName: 'Projects' }]);
+
+      const foldersOnly = await handleListResources({ clientId: 'n8n', extra: { tools: ['list-emails'] } });
+      const none = await handleListResources({ clientId: 'n8n', extra: { tools: ['about'] } });
+
+      expect(foldersOnly.resources.map(r => r.uri)).toEqual(['outlook://folders/Projects']);
+      expect(none.resources).toEqual([]);
+      expect(callGraphAPI).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resources/read', () => {
+    test('should read a folder through resolveFolderPath', async () => {
+      resolveFolderPath.mockResolvedValue('me/mailFolders/abc/messages');
+      callGraphAPI.mockResolvedValue({ value: [{ id: 'm1', subject: 'Hi' }] });
+
+      const result = await handleReadResource({ uri: 'outlook://folders/My%20Folder' });
+
+      expect(resolveFolderPath).toHaveBeenCalledWith(mockAccessToken, 'My Folder');
+      expect(result.contents[0].mimeType).toBe('application/json');
+      expect(JSON.parse(result.contents[0].text).messages[0].uri).toBe('outlook://messages/m1');
+    });
+
+    test('should read a message as formatted text', async () => {
+      callGraphAPI.mockResolvedValue({
+        id: 'm1',
+        subject: 'Quarterly numbers',
+        from: { emailAddress: { name: 'John Doe', address: 'john@example.com' } },
+        toRecipients: [],
+        receivedDateTime: '2024-01-15T10:30:00Z',
+        body: { contentType: 'text', content: 'See attached.' }
+      });
+
+      const result = await handleReadResource({ uri: 'outlook://messages/m1' });
+
+      expect(callGraphAPI).toHaveBeenCalledWith(mockAccessToken, 'GET', 'me/messages/m1', null, expect.any(Object));
+      expect(result.contents[0].text).toContain('Subject: Quarterly numbers');
+      expect(result.contents[0].text).toContain('See attached.');
+    });
+
+    test('should return file attachments as blobs', async () => {
+      callGraphAPI.mockResolvedValue({
+        '@odata.type': '#microsoft.graph.fileAttachment',
+        name: 'report.pdf',
+        contentType: 'application/pdf',
+        contentBytes: 'JVBERi0='
+      });
+
+      const result = await handleReadResource({ uri: 'outlook://attachments/m1/a1' });
+
+      expect(callGraphAPI).toHaveBeenCalledWith(mockAccessToken, 'GET', 'me/messages/m1/attachments/a1');
+      expect(result.contents[0]).toEqual({
+        uri: 'outlook://attachments/m1/a1',
+        mimeType: 'application/pdf',
+        blob: 'JVBERi0='
+      });
+    });
+
+    test.each([
+      'outlook://folders/inbox',
+      'outlook://messages/m1',
+      'outlook://events/e1',
+      'outlook://attachments/m1/a1'
+    ])('should refuse %s to a client not allowed its read tool', async (uri) => {
+      const authInfo = { clientId: 'n8n', extra: { tools: ['about'] } };
+
+      await expect(handleReadResource({ uri }, authInfo)).rejects.toMatchObject({
+        code: -32600,
+        message: `Resource not allowed for this client: ${uri}`
+      });
+      expect(callGraphAPI).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown URIs with a resource-not-found code', async () => {
+      await expect(handleReadResource({ uri: 'outlook://unknown/1' })).rejects.toMatchObject({ code: -32002 });
+    });
+  });
+});
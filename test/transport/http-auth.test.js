@@ -0,0 +1,130 @@
+const request = require('supertest');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { createHttpServer } = require('../../transport/http');
+const {
+  parseApiKeysEnv,
+  signBearerToken,
+  verifyBearerToken,
+  authenticateRequest,
+  isToolAllowed
+} = require('../../transport/http-auth');
+
+const SECRET = 'test-hmac-secret';
+
+describe('HTTP auth', () => {
+  describe('parseApiKeysEnv', () => {
+    test('should parse named keys with optional tool allowlists', () => {
+      expect(parseApiKeysEnv('n8n=abc, readonly=def:list-emails|read-email')).toEqual([
+        { name: 'n8n', key: 'abc', tools: null },
+        { name: 'readonly', key: 'def', tools: ['list-emails', 'read-email'] }
+      ]);
+    });
+
+    test('should name unnamed keys by position', () => {
+      expect(parseApiKeysEnv('abc')).toEqual([{ name: 'key-1', key: 'abc', tools: null }]);
+    });
+  });
+
+  describe('bearer tokens', () => {
+    test('should verify a token it signed', () => {
+      const token = signBearerToken({ sub: 'agent', tools: ['about'] }, SECRET);
+      expect(verifyBearerToken(token, SECRET)).toEqual({ sub: 'agent', tools: ['about'] });
+    });
+
+    test('should reject a token signed with another secret', () => {
+      const token = signBearerToken({ sub: 'agent' }, 'other-secret');
+      expect(verifyBearerToken(token, SECRET)).toBeNull();
+    });
+
+    test('should reject an expired token', () => {
+      const token = signBearerToken({ sub: 'agent', exp: 1000 }, SECRET);
+      expect(verifyBearerToken(token, SECRET, 2000 * 1000)).toBeNull();
+    });
+  });
+
+  describe('authenticateRequest', () => {
+    const authConfig = {
+      enabled: true,
+      apiKeys: [{ name: 'n8n', key: 'key-123', tools: ['list-emails'] }],
+      hmacSecret: SECRET
+    };
+
+    test('should accept an API key in the x-api-key header', () => {
+      const authInfo = authenticateRequest({ headers: { 'x-api-key': 'key-123' } }, authConfig);
+      expect(authInfo.clientId).toBe('n8n');
+      expect(isToolAllowed(authInfo, 'list-emails')).toBe(true);
+      expect(isToolAllowed(authInfo, 'send-email')).toBe(false);
+    });
+
+    test('should accept a signed bearer token', () => {
+      const token = signBearerToken({ sub: 'agent' }, SECRET);
+      const authInfo = authenticateRequest({ headers: { authorization: `Bearer ${token}` } }, authConfig);
+      expect(authInfo.clientId).toBe('agent');
+      expect(isToolAllowed(authInfo, 'send-email')).toBe(true);
+    });
+
+    test('should reject unknown credentials', () => {
+      expect(authenticateRequest({ headers: { authorization: 'Bearer nope' } }, authConfig)).toBeNull();
+      expect(authenticateRequest({ headers: {} }, authConfig)).toBeNull();
+    });
+  });
+
+  describe('HTTP endpoint', () => {
+    let httpServer;
+
+    beforeEach((done) => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const createServer = () => new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } });
+      ({ httpServer } = createHttpServer(createServer, {
+        path: '/mcp',
+        maxSessions: 5,
+        idleTimeoutMs: 0,
+        auth: { enabled: true, apiKeys: [{ name: 'n8n', key: 'key-123', tools: null }], hmacSecret: null }
+      }));
+      httpServer.listen(0, done);
+    });
+
+    afterEach((done) => {
+      httpServer.close(() => {
+        console.error.mockRestore();
+        done();
+      });
+    });
+
+    test('should return 401 with a JSON-RPC error when no credential is sent', async () => {
+      const response = await request(httpServer)
+        .post('/mcp')
+        .set('accept', 'application/json, text/event-stream')
+        .send({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+
+      expect(response.status).toBe(401);
+      expect(response.headers['www-authenticate']).toContain('Bearer');
+      expect(response.body).toEqual({
+        jsonrpc: '2.0',
+        error: { code: -32001, message: expect.stringContaining('Unauthorized') },
+        id: null
+      });
+    });
+
+    test('should keep /health public', async () => {
+      const response = await request(httpServer).get('/health');
+      expect(response.status).toBe(200);
+    });
+
+    test('should accept requests with a valid API key', async () => {
+      const response = await request(httpServer)
+        .post('/mcp')
+        .set('accept', 'application/json, text/event-stream')
+        .set('x-api-key', 'key-123')
+        .send({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'initialize',
+          params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 't', version: '1' } }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['mcp-session-id']).toBeDefined();
+    });
+  });
+});
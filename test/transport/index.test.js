@@ -0,0 +1,29 @@
+const { resolveTransportMode, TRANSPORT_MODES } = require('../../transport');
+
+describe('resolveTransportMode', () => {
+  test('should default to http', () => {
+    expect(resolveTransportMode([], {})).toBe('http');
+  });
+
+  test('should read --transport=<mode>', () => {
+    expect(resolveTransportMode(['--transport=stdio'], {})).toBe('stdio');
+  });
+
+  test('should read --transport <mode>', () => {
+    expect(resolveTransportMode(['--transport', 'both'], {})).toBe('both');
+  });
+
+  test('should fall back to MCP_TRANSPORT', () => {
+    expect(resolveTransportMode([], { MCP_TRANSPORT: 'STDIO' })).toBe('stdio');
+  });
+
+  test('should prefer the command-line flag over MCP_TRANSPORT', () => {
+    expect(resolveTransportMode(['--transport=http'], { MCP_TRANSPORT: 'stdio' })).toBe('http');
+  });
+
+  test('should reject unsupported modes', () => {
+    expect(() => resolveTransportMode(['--transport=sse'], {})).toThrow(
+      `Unsupported transport "sse". Use one of: ${TRANSPORT_MODES.join(', ')}`
+    );
+  });
+});
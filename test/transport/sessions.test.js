@@ -0,0 +1,117 @@
+const request = require('supertest');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { createHttpServer } = require('../../transport/http');
+
+const createServer = () => new Server(
+  { name: 'test-server', version: '1.0.0' },
+  { capabilities: { tools: {} } }
+);
+
+const initializeRequest = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'test-client', version: '1.0.0' }
+  }
+};
+
+const ACCEPT = 'application/json, text/event-stream';
+
+describe('HTTP session management', () => {
+  let httpServer;
+  let sessions;
+
+  const initialize = () => request(httpServer)
+    .post('/mcp')
+    .set('accept', ACCEPT)
+    .send(initializeRequest);
+
+  beforeEach((done) => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    ({ httpServer, sessions } = createHttpServer(createServer, {
+      path: '/mcp',
+      maxSessions: 2,
+      idleTimeoutMs: 1000
+    }));
+    httpServer.listen(0, done);
+  });
+
+  afterEach((done) => {
+    httpServer.close(() => {
+      console.error.mockRestore();
+      done();
+    });
+  });
+
+  test('should create a separate session for each initialize request', async () => {
+    const first = await initialize();
+    const second = await initialize();
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(first.headers['mcp-session-id']).toBeDefined();
+    expect(first.headers['mcp-session-id']).not.toBe(second.headers['mcp-session-id']);
+    expect(sessions.getStatus().active).toBe(2);
+  });
+
+  test('should reject requests for unknown sessions with 404', async () => {
+    const response = await request(httpServer)
+      .post('/mcp')
+      .set('accept', ACCEPT)
+      .set('mcp-session-id', 'does-not-exist')
+      .send({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.message).toBe('Session not found');
+  });
+
+  test('should reject non-POST requests without a session id', async () => {
+    const response = await request(httpServer).get('/mcp').set('accept', 'text/event-stream');
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should enforce the session cap', async () => {
+    await initialize();
+    await initialize();
+    const third = await initialize();
+
+    expect(third.status).toBe(503);
+    expect(third.body.error.message).toContain('limit: 2');
+  });
+
+  test('should terminate a session on DELETE', async () => {
+    const init = await initialize();
+    const sessionId = init.headers['mcp-session-id'];
+
+    const response = await request(httpServer)
+      .delete('/mcp')
+      .set('mcp-session-id', sessionId)
+      .set('mcp-protocol-version', '2025-03-26');
+
+    expect(response.status).toBe(200);
+    expect(sessions.getStatus().active).toBe(0);
+  });
+
+  test('should evict idle sessions', async () => {
+    await initialize();
+
+    const evicted = await sessions.evictIdleSessions(Date.now() + 5000);
+
+    expect(evicted).toBe(1);
+    expect(sessions.getStatus().active).toBe(0);
+  });
+
+  test('should report session status on /health', async () => {
+    await initialize();
+
+    const response = await request(httpServer).get('/health');
+
+    expect(response.status).toBe(200);
+    expect(response.body.ok).toBe(true);
+    expect(response.body.sessions).toMatchObject({ active: 1, max: 2, idleTimeoutMs: 1000 });
+  });
+});
@@ -0,0 +1,144 @@
+const https = require('https');
+const { EventEmitter } = require('events');
+
+jest.mock('https');
+jest.mock('../../auth/token-service', () => ({
+  tokenService: {
+    refreshAccessToken: jest.fn().mockResolvedValue('fresh-token')
+  }
+}));
+jest.mock('../../utils/graph-retry', () => ({
+  ...jest.requireActual('../../utils/graph-retry'),
+  sleep: jest.fn().mockResolvedValue()
+}));
+
+const { callGraphAPI } = require('../../utils/graph-api');
+const { sleep } = require('../../utils/graph-retry');
+const { runWithMailbox } = require('../../utils/mailbox');
+
+/**
+ * Queues fake Graph responses for https.request
+ * @param {Array<object>} responses - { statusCode, headers, body } in call order
+ */
+function mockResponses(responses) {
+  const queue = [...responses];
+  https.request.mockImplementation((url, options, callback) => {
+    const req = new EventEmitter();
+    req.write = jest.fn();
+    req.end = () => {
+      const { statusCode, headers = {}, body = '' } = queue.shift();
+      const res = new EventEmitter();
+      res.statusCode = statusCode;
+      res.headers = headers;
+      callback(res);
+      res.emit('data', body);
+      res.emit('end');
+    };
+    return req;
+  });
+}
+
+describe('callGraphAPI retries', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('retries a throttled request, honouring Retry-After', async () => {
+    mockResponses([
+      { statusCode: 429, headers: { 'retry-after': '2' } },
+      { statusCode: 200, body: '{"value":[]}' }
+    ]);
+
+    const result = await callGraphAPI('token', 'POST', 'me/messages/1/move', { destinationId: 'x' });
+
+    expect(result).toEqual({ value: [] });
+    expect(https.request).toHaveBeenCalledTimes(2);
+    expect(sleep).toHaveBeenCalledWith(2000);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('returned 429; retrying in 2000ms'));
+  });
+
+  test('retries 503 for idempotent methods', async () => {
+    mockResponses([
+      { statusCode: 503 },
+      { statusCode: 503 },
+      { statusCode: 200, body: '{"id":"1"}' }
+    ]);
+
+    const result = await callGraphAPI('token', 'GET', 'me/messages/1');
+
+    expect(result).toEqual({ id: '1' });
+    expect(https.request).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry 503 for non-idempotent methods', async () => {
+    mockResponses([{ statusCode: 503, body: 'busy' }]);
+
+    await expect(callGraphAPI('token', 'POST', 'me/sendMail', {})).rejects.toThrow('API call failed with status 503: busy');
+    expect(https.request).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after the maximum number of attempts', async () => {
+    mockResponses(Array(10).fill({ statusCode: 503, headers: { 'retry-after': '0' }, body: 'busy' }));
+
+    const error = await callGraphAPI('token', 'GET', 'me/messages').catch(e => e);
+
+    expect(error.statusCode).toBe(503);
+    expect(https.request).toHaveBeenCalledTimes(5);
+  });
+
+  test('refreshes the token once on 401', async () => {
+    mockResponses([
+      { statusCode: 401, body: 'expired' },
+      { statusCode: 200, body: '{}' }
+    ]);
+
+    await callGraphAPI('stale-token', 'GET', 'me');
+
+    expect(https.request).toHaveBeenCalledTimes(2);
+    expect(https.request.mock.calls[1][1].headers.Authorization).toBe('Bearer fresh-token');
+  });
+
+  test('keeps $filter in the URL and leaves the caller\'s query params untouched', async () => {
+    mockResponses([{ statusCode: 200, body: '{}' }]);
+    const queryParams = { $top: 5, $filter: "isRead eq false" };
+
+    await callGraphAPI('token', 'GET', 'me/messages', null, queryParams);
+
+    expect(https.request.mock.calls[0][0]).toContain('$filter=isRead%20eq%20false');
+    expect(queryParams.$filter).toBe('isRead eq false');
+  });
+});
+
+describe('callGraphAPI shared mailboxes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('rewrites me/ paths to the current mailbox', async () => {
+    mockResponses([{ statusCode: 200, body: '{}' }]);
+
+    await runWithMailbox('shared@contoso.com', () => callGraphAPI('token', 'GET', 'me/messages'));
+
+    expect(https.request.mock.calls[0][0]).toBe('https://graph.microsoft.com/v1.0/users/shared%40contoso.com/messages');
+  });
+
+  test('explains a denied shared mailbox request', async () => {
+    mockResponses([{ statusCode: 403, body: '{"error":{"code":"ErrorAccessDenied","message":"Access is denied."}}' }]);
+
+    const error = await runWithMailbox('shared@contoso.com', () => callGraphAPI('token', 'GET', 'me/messages')).catch(e => e);
+
+    expect(error.statusCode).toBe(403);
+    expect(error.message).toContain('Access to mailbox shared@contoso.com was denied');
+    expect(error.message).toContain('Mail.ReadWrite.Shared');
+  });
+});
@@ -0,0 +1,161 @@
+jest.mock('../../utils/graph-api', () => ({
+  callGraphAPI: jest.fn(),
+  getGraphBaseUrl: () => 'https://graph.microsoft.com/v1.0/'
+}));
+jest.mock('../../utils/graph-retry', () => ({
+  ...jest.requireActual('../../utils/graph-retry'),
+  sleep: jest.fn().mockResolvedValue()
+}));
+
+const { callGraphAPI } = require('../../utils/graph-api');
+const { sleep } = require('../../utils/graph-retry');
+const { chunkRequests, callGraphBatch, MAX_BATCH_SIZE } = require('../../utils/graph-batch');
+
+const policy = { maxAttempts: 3, maxElapsedMs: 60000, baseDelayMs: 100, maxDelayMs: 1000 };
+
+/**
+ * Makes callGraphAPI answer every sub-request with the status chosen by respond()
+ * @param {Function} respond - (request, callIndex) => status or { status, headers, body }
+ */
+function mockBatch(respond) {
+  let call = 0;
+  callGraphAPI.mockImplementation(async (token, method, url, data) => {
+    const index = call++;
+    return {
+      responses: data.requests.map(request => {
+        const answer = respond(request, index);
+        const response = typeof answer === 'number' ? { status: answer } : answer;
+        return { id: request.id, headers: {}, body: {}, ...response };
+      })
+    };
+  });
+}
+
+const moveRequests = count => Array.from({ length: count }, (_, i) => ({
+  method: 'POST',
+  url: `/me/messages/m${i}/move`,
+  body: { destinationId: 'archive' }
+}));
+
+describe('chunkRequests', () => {
+  test('splits requests into batches of at most 20', () => {
+    const requests = Array.from({ length: 45 }, (_, i) => ({ id: String(i + 1) }));
+    const batches = chunkRequests(requests);
+
+    expect(batches.map(b => b.length)).toEqual([20, 20, 5]);
+  });
+
+  test('keeps dependent requests in the same batch', () => {
+    const requests = Array.from({ length: 19 }, (_, i) => ({ id: String(i + 1) }));
+    requests.push({ id: 'a' }, { id: 'b', dependsOn: ['a'] });
+
+    const batches = chunkRequests(requests);
+
+    expect(batches).toHaveLength(2);
+    expect(batches[1].map(r => r.id)).toEqual(['a', 'b']);
+  });
+
+  test('rejects dependency chains larger than a batch', () => {
+    const requests = Array.from({ length: MAX_BATCH_SIZE + 1 }, (_, i) => ({
+      id: String(i),
+      dependsOn: i > 0 ? [String(i - 1)] : undefined
+    }));
+
+    expect(() => chunkRequests(requests)).toThrow('does not fit in one batch');
+  });
+});
+
+describe('callGraphBatch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('sends the requests to $batch and returns results in request order', async () => {
+    mockBatch(() => 200);
+
+    const results = await callGraphBatch('token', moveRequests(25), policy);
+
+    expect(callGraphAPI).toHaveBeenCalledTimes(2);
+    expect(callGraphAPI.mock.calls[0][1]).toBe('POST');
+    expect(callGraphAPI.mock.calls[0][2]).toMatch(/\$batch$/);
+    expect(callGraphAPI.mock.calls[0][3].requests[0]).toEqual({
+      id: '1',
+      method: 'POST',
+      url: '/me/messages/m0/move',
+      body: { destinationId: 'archive' },
+      headers: { 'Content-Type': 'application/json' },
+      dependsOn: undefined
+    });
+    expect(results).toHaveLength(25);
+    expect(results.map(r => r.id)).toEqual(Array.from({ length: 25 }, (_, i) => String(i + 1)));
+    expect(results.every(r => r.ok)).toBe(true);
+  });
+
+  test('retries only the throttled sub-requests', async () => {
+    mockBatch((request, call) => (request.id === '2' && call === 0
+      ? { status: 429, headers: { 'Retry-After': '3' } }
+      : 200));
+
+    const results = await callGraphBatch('token', moveRequests(3), policy);
+
+    expect(callGraphAPI).toHaveBeenCalledTimes(2);
+    expect(callGraphAPI.mock.calls[1][3].requests.map(r => r.id)).toEqual(['2']);
+    expect(sleep).toHaveBeenCalledWith(3000);
+    expect(results.every(r => r.ok)).toBe(true);
+  });
+
+  test('does not retry permanent failures', async () => {
+    mockBatch(request => (request.id === '1'
+      ? { status: 404, body: { error: { message: 'The specified object was not found in the store.' } } }
+      : 200));
+
+    const results = await callGraphBatch('token', moveRequests(2), policy);
+
+    expect(callGraphAPI).toHaveBeenCalledTimes(1);
+    expect(results[0]).toMatchObject({
+      ok: false,
+      status: 404,
+      error: 'Request failed with status 404: The specified object was not found in the store.'
+    });
+    expect(results[1].ok).toBe(true);
+  });
+
+  test('reports failures once the retry budget is spent', async () => {
+    mockBatch(() => ({ status: 503, headers: { 'Retry-After': '0' } }));
+
+    const results = await callGraphBatch('token', [{ method: 'GET', url: '/me' }], policy);
+
+    expect(callGraphAPI).toHaveBeenCalledTimes(3);
+    expect(results[0]).toMatchObject({ ok: false, status: 503 });
+  });
+
+  test('retries requests that failed only because their dependency was throttled', async () => {
+    mockBatch((request, call) => {
+      if (call > 0) return 200;
+      if (request.id === 'create') return 429;
+      return 424;
+    });
+
+    const results = await callGraphBatch('token', [
+      { id: 'create', method: 'POST', url: '/me/mailFolders', body: { displayName: 'Archive' } },
+      { id: 'move', method: 'POST', url: '/me/messages/m1/move', body: {}, dependsOn: ['create'] }
+    ], policy);
+
+    expect(callGraphAPI).toHaveBeenCalledTimes(2);
+    expect(callGraphAPI.mock.calls[1][3].requests.map(r => [r.id, r.dependsOn])).toEqual([
+      ['create', undefined],
+      ['move', ['create']]
+    ]);
+    expect(results.every(r => r.ok)).toBe(true);
+  });
+
+  test('rejects dependencies on unknown requests', async () => {
+    await expect(callGraphBatch('token', [{ id: 'a', method: 'GET', url: '/me', dependsOn: ['b'] }], policy))
+      .rejects.toThrow('Batch request a depends on unknown request b');
+  });
+});
@@ -0,0 +1,171 @@
+const { GraphEmulator, compileFilter, compileSearch } = require('../../utils/graph-emulator');
+
+const message = (subject, extra = {}) => ({
+  subject,
+  from: { emailAddress: { name: 'Sender', address: 'sender@example.com' } },
+  body: { contentType: 'text', content: `Body of ${subject}` },
+  ...extra
+});
+
+describe('compileFilter', () => {
+  const item = {
+    isRead: false,
+    displayName: "O'Brien",
+    start: { dateTime: '2030-01-02T09:00:00.0000000' },
+    from: { emailAddress: { address: 'jane@example.com' } }
+  };
+
+  test('evaluates comparisons, boolean operators and parentheses', () => {
+    expect(compileFilter('isRead eq false')(item)).toBe(true);
+    expect(compileFilter('isRead eq false and (displayName eq \'x\' or displayName eq \'o\'\'brien\')')(item)).toBe(true);
+    expect(compileFilter('not (isRead eq false)')(item)).toBe(false);
+  });
+
+  test('compares date-times by time, with or without an offset', () => {
+    expect(compileFilter("start/dateTime ge '2030-01-02T08:00:00Z'")(item)).toBe(true);
+    expect(compileFilter('start/dateTime lt 2030-01-02T08:00:00Z')(item)).toBe(false);
+  });
+
+  test('supports string functions on property paths', () => {
+    expect(compileFilter("contains(from/emailAddress/address, 'EXAMPLE')")(item)).toBe(true);
+    expect(compileFilter("startswith(displayName, 'x')")(item)).toBe(false);
+  });
+
+  test('rejects unsupported expressions with a 400 error', () => {
+    expect(() => compileFilter('toRecipients/any(r: r eq 1)')).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('compileSearch', () => {
+  const email = message('Quarterly budget', {
+    toRecipients: [{ emailAddress: { name: 'Finance', address: 'finance@example.com' } }]
+  });
+
+  test('matches bare terms against subject, body and sender', () => {
+    expect(compileSearch('"budget"')(email)).toBe(true);
+    expect(compileSearch('sender@example.com')(email)).toBe(true);
+    expect(compileSearch('holiday')(email)).toBe(false);
+  });
+
+  test('restricts property terms to their property and ANDs all terms', () => {
+    expect(compileSearch('subject:"budget" to:"finance"')(email)).toBe(true);
+    expect(compileSearch('subject:"budget" from:"finance"')(email)).toBe(false);
+  });
+});
+
+describe('GraphEmulator', () => {
+  let emulator;
+
+  beforeEach(() => {
+    emulator = new GraphEmulator({ seed: false });
+  });
+
+  test('pages collections with $top and an @odata.nextLink', () => {
+    for (let i = 1; i <= 5; i++) {
+      emulator.addMessage('inbox', message(`Message ${i}`, { receivedDateTime: `2030-01-0${i}T00:00:00Z` }));
+    }
+
+    const first = emulator.handle('GET', 'me/mailFolders/inbox/messages?$top=2&$orderby=receivedDateTime desc&$select=subject', null);
+    expect(first.body.value).toEqual([
+      { id: expect.any(String), subject: 'Message 5' },
+      { id: expect.any(String), subject: 'Message 4' }
+    ]);
+
+    const next = first.body['@odata.nextLink'];
+    const second = emulator.handle('GET', next, null);
+    expect(second.body.value.map(item => item.subject)).toEqual(['Message 3', 'Message 2']);
+
+    const last = emulator.handle('GET', second.body['@odata.nextLink'], null);
+    expect(last.body.value.map(item => item.subject)).toEqual(['Message 1']);
+    expect(last.body['@odata.nextLink']).toBeUndefined();
+  });
+
+  test('filters and searches messages', () => {
+    emulator.addMessage('inbox', message('Invoice', { isRead: true }));
+    emulator.addMessage('inbox', message('Lunch'));
+
+    const unread = emulator.handle('GET', `me/messages?$filter=${encodeURIComponent('isRead eq false')}`, null);
+    expect(unread.body.value.map(item => item.subject)).toEqual(['Lunch']);
+
+    const found = emulator.handle('GET', `me/messages?$search=${encodeURIComponent('"invoice"')}`, null);
+    expect(found.body.value.map(item => item.subject)).toEqual(['Invoice']);
+  });
+
+  test('moves, updates and deletes messages', () => {
+    const { id } = emulator.addMessage('inbox', message('Hello'));
+
+    expect(emulator.handle('POST', `me/messages/${id}/move`, { destinationId: 'archive' }).status).toBe(201);
+    expect(emulator.handle('PATCH', `me/messages/${id}`, { isRead: true }).body).toMatchObject({ parentFolderId: 'archive', isRead: true });
+
+    // The first delete moves to Deleted Items, the second one is permanent
+    expect(emulator.handle('DELETE', `me/messages/${id}`, null).status).toBe(204);
+    expect(emulator.messages.get(id).parentFolderId).toBe('deleteditems');
+    emulator.handle('DELETE', `me/messages/${id}`, null);
+    expect(emulator.handle('GET', `me/messages/${id}`, null)).toMatchObject({
+      status: 404,
+      body: { error: { code: 'ErrorItemNotFound' } }
+    });
+  });
+
+  test('saves sent mail and delivers mail addressed to the owner', () => {
+    const response = emulator.handle('POST', 'me/sendMail', {
+      message: {
+        subject: 'Note to self',
+        body: { contentType: 'Text', content: 'Remember' },
+        toRecipients: [{ emailAddress: { address: 'you@example.com' } }]
+      }
+    });
+
+    expect(response.status).toBe(202);
+    const folders = [...emulator.messages.values()].map(item => item.parentFolderId).sort();
+    expect(folders).toEqual(['inbox', 'sentitems']);
+  });
+
+  test('creates child folders and reports counts', () => {
+    const parent = emulator.handle('POST', 'me/mailFolders', { displayName: 'Clients' }).body;
+    emulator.handle('POST', `me/mailFolders/${parent.id}/childFolders`, { displayName: 'Acme' });
+
+    expect(emulator.handle('POST', 'me/mailFolders', { displayName: 'clients' }).status).toBe(409);
+    expect(emulator.handle('GET', `me/mailFolders/${parent.id}`, null).body.childFolderCount).toBe(1);
+    expect(emulator.handle('GET', `me/mailFolders/${parent.id}/childFolders`, null).body.value).toEqual([
+      expect.objectContaining({ displayName: 'Acme', parentFolderId: parent.id })
+    ]);
+  });
+
+  test('responds to invitations and limits cancel to the organizer', () => {
+    const invitation = emulator.addEvent({
+      subject: 'Review',
+      start: { dateTime: '2030-01-01T09:00:00', timeZone: 'UTC' },
+      end: { dateTime: '2030-01-01T10:00:00', timeZone: 'UTC' },
+      responseStatus: { response: 'notResponded' }
+    });
+
+    expect(emulator.handle('POST', `me/events/${invitation.id}/accept`, {}).status).toBe(202);
+    expect(invitation.responseStatus.response).toBe('accepted');
+    expect(emulator.handle('POST', `me/events/${invitation.id}/cancel`, {}).status).toBe(400);
+  });
+
+  test('lists events overlapping a calendarView window', () => {
+    emulator.addEvent({ subject: 'Inside', start: { dateTime: '2030-01-01T09:00:00' }, end: { dateTime: '2030-01-01T10:00:00' } });
+    emulator.addEvent({ subject: 'Outside', start: { dateTime: '2030-02-01T09:00:00' }, end: { dateTime: '2030-02-01T10:00:00' } });
+
+    const view = emulator.handle('GET', 'me/calendarView?startDateTime=2030-01-01T00:00:00Z&endDateTime=2030-01-02T00:00:00Z', null);
+    expect(view.body.value.map(event => event.subject)).toEqual(['Inside']);
+    expect(emulator.handle('GET', 'me/calendarView', null).status).toBe(400);
+  });
+
+  test('runs $batch sub-requests and fails dependents of failed requests', () => {
+    const { id } = emulator.addMessage('inbox', message('Batched'));
+
+    const response = emulator.handle('POST', '$batch', {
+      requests: [
+        { id: '1', method: 'PATCH', url: `/me/messages/${id}`, body: { isRead: true } },
+        { id: '2', method: 'POST', url: '/me/messages/missing/move', body: { destinationId: 'archive' } },
+        { id: '3', method: 'DELETE', url: `/me/messages/${id}`, dependsOn: ['2'] }
+      ]
+    });
+
+    expect(response.body.responses.map(item => item.status)).toEqual([200, 404, 424]);
+    expect(emulator.messages.get(id)).toMatchObject({ isRead: true, parentFolderId: 'inbox' });
+  });
+});
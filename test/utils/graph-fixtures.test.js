@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { scrubValue, scrubString, scrubUrl } = require('../../utils/graph-fixtures');
+const { callGraphAPI, setGraphBaseUrl, useGraphFixtures } = require('../../utils/graph-api');
+const { GraphEmulator } = require('../../utils/graph-emulator');
+
+describe('scrubbing', () => {
+  test('redacts tokens and secrets', () => {
+    expect(scrubValue({ access_token: 'abc', client_secret: 'def', note: 'Bearer abc.def' })).toEqual({
+      access_token: '[REDACTED]',
+      client_secret: '[REDACTED]',
+      note: 'Bearer [REDACTED]'
+    });
+    expect(scrubString('token eyJhbGciOi.eyJzdWIiOi.c2lnbmF0dXJl here')).toBe('token [REDACTED] here');
+  });
+
+  test('replaces addresses, names and subjects with stable pseudonyms', () => {
+    const scrubbed = scrubValue({
+      from: { emailAddress: { name: 'Alice Real', address: 'alice@realcorp.io' } },
+      subject: 'Forwarded from alice@realcorp.io'
+    });
+
+    expect(scrubbed.from.emailAddress.name).toMatch(/^Person [0-9a-f]{8}$/);
+    expect(scrubbed.from.emailAddress.address).toMatch(/^user-[0-9a-f]{8}@example\.com$/);
+    expect(scrubbed.subject).toMatch(/^Subject [0-9a-f]{8}$/);
+    expect(scrubValue({ subject: 'Forwarded from alice@realcorp.io' })).toEqual({ subject: scrubbed.subject });
+    expect(scrubValue({ subject: '' })).toEqual({ subject: '' });
+    expect(scrubValue({ address: 'alice@realcorp.io' })).toEqual({ address: scrubbed.from.emailAddress.address });
+  });
+
+  test('replaces the names of user profiles such as GET /me', () => {
+    const scrubbed = scrubValue({ displayName: 'Alice Real', surname: 'Real', userPrincipalName: 'alice@realcorp.io' });
+
+    expect(scrubbed.displayName).toMatch(/^Person [0-9a-f]{8}$/);
+    expect(scrubbed.surname).toMatch(/^Person [0-9a-f]{8}$/);
+    expect(scrubbed.userPrincipalName).toMatch(/^user-[0-9a-f]{8}@example\.com$/);
+    expect(scrubValue({ displayName: 'Inbox', id: 'inbox' })).toEqual({ displayName: 'Inbox', id: 'inbox' });
+  });
+
+  test('replaces $search and $filter terms in URLs with stable pseudonyms', () => {
+    const scrubbed = scrubUrl('me/messages?$top=5&$search=subject:"Budget 2025" from:"alice@realcorp.io" OR layoffs');
+
+    expect(scrubbed).toMatch(/^me\/messages\?\$top=5&\$search=subject:"term-[0-9a-f]{8}" from:"user-[0-9a-f]{8}@example\.com" OR term-[0-9a-f]{8}$/);
+    expect(scrubUrl(scrubbed)).toBe(scrubbed);
+    expect(scrubUrl("me/messages?$filter=conversationId eq 'conv''1' and isRead eq false"))
+      .toMatch(/^me\/messages\?\$filter=conversationId eq 'term-[0-9a-f]{8}' and isRead eq false$/);
+  });
+
+  test('replaces $search terms in encoded nextLinks, keeping them usable', () => {
+    const { '@odata.nextLink': link } = scrubValue({
+      '@odata.nextLink': '{{GRAPH_BASE_URL}}me/messages?%24top=1&%24search=%22Budget%202025%22&%24skip=1'
+    });
+
+    expect(link).toMatch(/^\{\{GRAPH_BASE_URL\}\}me\/messages\?%24top=1&%24search=%22term-[0-9a-f]{8}%22&%24skip=1$/);
+    expect(scrubUrl(decodeURIComponent(link))).toBe(decodeURIComponent(link));
+  });
+
+  test('removes message content and headers', () => {
+    expect(scrubValue({
+      body: { contentType: 'text', content: 'Private' },
+      bodyPreview: 'Private',
+      internetMessageHeaders: [{ name: 'Received', value: 'mail.realcorp.io' }],
+      contentBytes: 'UHJpdmF0ZQ=='
+    })).toEqual({
+      body: { contentType: 'text', content: '[REDACTED]' },
+      bodyPreview: '[REDACTED]',
+      internetMessageHeaders: [],
+      contentBytes: '[REDACTED]'
+    });
+  });
+});
+
+describe('recording and replaying Graph traffic', () => {
+  const file = path.join(os.tmpdir(), `graph-fixtures-${process.pid}.json`);
+  const emulator = new GraphEmulator();
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.error.mockRestore();
+    useGraphFixtures(null);
+    setGraphBaseUrl(null);
+    await emulator.stop();
+  });
+
+  afterAll(() => {
+    fs.rmSync(file, { force: true });
+  });
+
+  test('replays recorded responses without the network', async () => {
+    setGraphBaseUrl(await emulator.start());
+    useGraphFixtures({ mode: 'record', file });
+    const recorded = await callGraphAPI('secret-token', 'GET', 'me/mailFolders/inbox/messages', null, { $top: 2 });
+    await callGraphAPI('secret-token', 'POST', 'me/sendMail', {
+      message: { subject: 'Hi', toRecipients: [{ emailAddress: { address: 'bob@realcorp.io' } }] }
+    });
+    await emulator.stop();
+
+    const fixture = fs.readFileSync(file, 'utf8');
+    expect(fixture).not.toContain('secret-token');
+    expect(fixture).not.toContain('bob@realcorp.io');
+    expect(fixture).not.toContain('"subject":"Hi"');
+    expect(fixture).not.toContain(emulator.baseUrl);
+
+    setGraphBaseUrl(null);
+    useGraphFixtures({ mode: 'replay', file });
+    const replayed = await callGraphAPI('other-token', 'GET', 'me/mailFolders/inbox/messages', null, { $top: 2 });
+
+    expect(replayed.value.map(email => email.id)).toEqual(recorded.value.map(email => email.id));
+    expect(replayed['@odata.nextLink']).toMatch(/^https:\/\/graph\.microsoft\.com\/v1\.0\/me\/mailFolders/);
+  });
+
+  test('fails without retrying when a request was not recorded', async () => {
+    fs.writeFileSync(file, JSON.stringify({ interactions: [] }));
+    useGraphFixtures({ mode: 'replay', file });
+
+    await expect(callGraphAPI('token', 'GET', 'me/messages')).rejects.toThrow('No recorded Graph response for GET me/messages');
+  });
+});
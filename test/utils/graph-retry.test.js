@@ -0,0 +1,68 @@
+const { isRetryable, parseRetryAfter, getRetryDelay } = require('../../utils/graph-retry');
+
+const policy = { maxAttempts: 4, maxElapsedMs: 10000, baseDelayMs: 1000, maxDelayMs: 5000 };
+
+describe('isRetryable', () => {
+  test('retries transient failures of idempotent methods', () => {
+    expect(isRetryable('GET', 503)).toBe(true);
+    expect(isRetryable('DELETE', 502)).toBe(true);
+    expect(isRetryable('get', null)).toBe(true);
+  });
+
+  test('does not retry client errors', () => {
+    expect(isRetryable('GET', 400)).toBe(false);
+    expect(isRetryable('GET', 404)).toBe(false);
+  });
+
+  test('does not retry non-idempotent methods on server errors', () => {
+    expect(isRetryable('POST', 503)).toBe(false);
+    expect(isRetryable('PATCH', null)).toBe(false);
+  });
+
+  test('retries throttled requests for any method', () => {
+    expect(isRetryable('POST', 429)).toBe(true);
+    expect(isRetryable('PATCH', 429)).toBe(true);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('parses delays in seconds', () => {
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter('0')).toBe(0);
+  });
+
+  test('parses HTTP dates', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT', now)).toBe(5000);
+  });
+
+  test('returns null for missing or invalid values', () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('getRetryDelay', () => {
+  test('backs off exponentially with jitter', () => {
+    expect(getRetryDelay({ attempt: 1, elapsedMs: 0 }, policy, () => 0)).toBe(500);
+    expect(getRetryDelay({ attempt: 1, elapsedMs: 0 }, policy, () => 1)).toBe(1000);
+    expect(getRetryDelay({ attempt: 3, elapsedMs: 0 }, policy, () => 1)).toBe(4000);
+  });
+
+  test('caps the backoff at maxDelayMs', () => {
+    const wide = { ...policy, maxAttempts: 10, maxElapsedMs: 60000 };
+    expect(getRetryDelay({ attempt: 8, elapsedMs: 0 }, wide, () => 1)).toBe(5000);
+  });
+
+  test('honours Retry-After', () => {
+    expect(getRetryDelay({ attempt: 1, elapsedMs: 0, retryAfter: '7' }, policy, () => 0)).toBe(7000);
+  });
+
+  test('gives up after maxAttempts', () => {
+    expect(getRetryDelay({ attempt: 4, elapsedMs: 0 }, policy)).toBeNull();
+  });
+
+  test('gives up when the delay would exceed maxElapsedMs', () => {
+    expect(getRetryDelay({ attempt: 1, elapsedMs: 9000, retryAfter: '2' }, policy)).toBeNull();
+  });
+});
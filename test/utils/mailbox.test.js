@@ -0,0 +1,98 @@
+const config = require('../../config');
+const {
+  validateMailbox,
+  resolveMailbox,
+  runWithMailbox,
+  getCurrentMailbox,
+  toMailboxPath,
+  getMailboxAccessError,
+  MAILBOX_PROPERTY
+} = require('../../utils/mailbox');
+const { withInputProperty } = require('../../utils/tool-output');
+
+describe('shared mailboxes', () => {
+  test('accepts user principal names and user ids', () => {
+    expect(validateMailbox(' shared@contoso.com ')).toBe('shared@contoso.com');
+    expect(validateMailbox("o'brien+team@contoso.com")).toBe("o'brien+team@contoso.com");
+    expect(validateMailbox('0f4a9c1e-2b3d-4e5f-8a9b-0c1d2e3f4a5b')).toBe('0f4a9c1e-2b3d-4e5f-8a9b-0c1d2e3f4a5b');
+  });
+
+  test('rejects values that could change the request path', () => {
+    expect(() => validateMailbox('../me')).toThrow('Invalid mailbox "../me"');
+    expect(() => validateMailbox('shared@contoso.com/messages')).toThrow('Invalid mailbox');
+    expect(() => validateMailbox('shared')).toThrow('Invalid mailbox');
+  });
+
+  test('rewrites me/ paths only', () => {
+    expect(toMailboxPath('me/messages', 'shared@contoso.com')).toBe('users/shared@contoso.com/messages');
+    expect(toMailboxPath('/me/messages/1', 'shared%40contoso.com')).toBe('/users/shared%40contoso.com/messages/1');
+    expect(toMailboxPath('me', 'shared@contoso.com')).toBe('users/shared@contoso.com');
+    expect(toMailboxPath('messages/me/x', 'shared@contoso.com')).toBe('messages/me/x');
+    expect(toMailboxPath('mailFolders', 'shared@contoso.com')).toBe('mailFolders');
+    expect(toMailboxPath('https://graph.microsoft.com/v1.0/me/messages?$skip=10', 'shared@contoso.com'))
+      .toBe('https://graph.microsoft.com/v1.0/me/messages?$skip=10');
+    expect(toMailboxPath('me/messages', undefined)).toBe('me/messages');
+  });
+
+  test('keeps the mailbox for everything a call awaits', async () => {
+    expect(getCurrentMailbox()).toBeUndefined();
+
+    const seen = await runWithMailbox('shared@contoso.com', async () => {
+      await Promise.resolve();
+      return [getCurrentMailbox(), toMailboxPath('me/events'), runWithMailbox(null, () => toMailboxPath('me/sendMail'))];
+    });
+
+    expect(seen).toEqual(['shared@contoso.com', 'users/shared@contoso.com/events', 'me/sendMail']);
+    expect(getCurrentMailbox()).toBeUndefined();
+  });
+
+  test('explains permission failures for shared mailboxes only', () => {
+    const denied = getMailboxAccessError('shared@contoso.com', 403, '{"error":{"code":"ErrorAccessDenied"}}');
+    expect(denied).toContain('Access to mailbox shared@contoso.com was denied (status 403, ErrorAccessDenied)');
+    expect(denied).toContain('Send As or Send on Behalf');
+    expect(denied).toContain('Calendars.ReadWrite.Shared');
+
+    expect(getMailboxAccessError('shared@contoso.com', 404, { error: { code: 'ErrorInvalidUser' } }))
+      .toContain('Mailbox shared@contoso.com was not found');
+    expect(getMailboxAccessError('shared@contoso.com', 404, { error: { code: 'ErrorItemNotFound' } })).toBeNull();
+    expect(getMailboxAccessError('shared@contoso.com', 500, 'not json')).toBeNull();
+    expect(getMailboxAccessError(undefined, 403, '')).toBeNull();
+  });
+
+  describe('in app-only mode', () => {
+    const originalAuthConfig = { ...config.AUTH_CONFIG };
+
+    beforeEach(() => {
+      config.AUTH_CONFIG.mode = 'app_only';
+      config.AUTH_CONFIG.appMailbox = 'intake@contoso.com';
+    });
+
+    afterEach(() => {
+      Object.assign(config.AUTH_CONFIG, originalAuthConfig);
+    });
+
+    test('always uses the configured mailbox', () => {
+      expect(getCurrentMailbox()).toBe('intake@contoso.com');
+      expect(runWithMailbox(null, () => toMailboxPath('me/sendMail'))).toBe('users/intake@contoso.com/sendMail');
+    });
+
+    test('refuses any other mailbox', () => {
+      expect(resolveMailbox(undefined)).toBeUndefined();
+      expect(resolveMailbox('Intake@Contoso.com')).toBe('intake@contoso.com');
+      expect(() => resolveMailbox('ceo@contoso.com')).toThrow('can only access intake@contoso.com');
+    });
+
+    test('points permission errors at the application permissions', () => {
+      expect(getMailboxAccessError('intake@contoso.com', 403, '')).toContain('application permissions with admin consent');
+    });
+  });
+
+  test('adds the mailbox argument to a tool schema', () => {
+    const tool = withInputProperty({
+      name: 'list-emails',
+      inputSchema: { type: 'object', properties: { count: { type: 'number' } }, required: [] }
+    }, 'mailbox', MAILBOX_PROPERTY);
+
+    expect(Object.keys(tool.inputSchema.properties)).toEqual(['count', 'mailbox']);
+  });
+});
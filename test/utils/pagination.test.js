@@ -0,0 +1,27 @@
+const config = require('../../config');
+const { encodeCursor, decodeCursor } = require('../../utils/pagination');
+
+describe('pagination cursors', () => {
+  const nextLink = `${config.GRAPH_API_ENDPOINT}me/mailFolders/inbox/messages?$top=10&$skip=10`;
+
+  test('returns null when there is no next page', () => {
+    expect(encodeCursor(undefined, { folder: 'inbox' })).toBeNull();
+  });
+
+  test('round-trips the next link and context', () => {
+    const cursor = encodeCursor(nextLink, { folder: 'inbox' });
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual({ folder: 'inbox', link: nextLink });
+  });
+
+  test('rejects malformed cursors', () => {
+    expect(() => decodeCursor('not a cursor')).toThrow('Invalid cursor');
+  });
+
+  test('rejects cursors that point outside Graph', () => {
+    const cursor = encodeCursor('https://attacker.example/collect', {});
+
+    expect(() => decodeCursor(cursor)).toThrow('Invalid cursor');
+  });
+});
@@ -0,0 +1,164 @@
+const { listTools, callTool } = require('../../utils/tool-dispatch');
+const { getCurrentAccount } = require('../../auth/accounts');
+const { authTools } = require('../../auth/tools');
+
+describe('tool dispatch', () => {
+  let handler;
+  let tools;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    handler = jest.fn().mockResolvedValue({
+      content: [{ type: 'text', text: 'Found 3 emails' }],
+      structuredContent: { count: 3 }
+    });
+    tools = [
+      {
+        name: 'list-emails',
+        description: 'Lists emails',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            count: { type: 'number' },
+            format: { type: 'string', enum: ['text', 'json', 'both'] }
+          },
+          required: []
+        },
+        outputSchema: { type: 'object', properties: { count: { type: 'number' } } },
+        annotations: { readOnlyHint: true },
+        handler
+      },
+      {
+        name: 'send-email',
+        description: 'Sends an email',
+        inputSchema: { type: 'object', properties: { to: { type: 'string' } }, required: ['to'] },
+        annotations: { readOnlyHint: false, destructiveHint: false },
+        handler: jest.fn()
+      }
+    ];
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('listTools', () => {
+    test('lists definitions without handlers', () => {
+      const { tools: listed } = listTools(tools);
+
+      expect(listed.map(t => t.name)).toEqual(['list-emails', 'send-email']);
+      expect(listed[0].handler).toBeUndefined();
+      expect(listed[0].outputSchema).toEqual(tools[0].outputSchema);
+    });
+
+    test('filters by the client allowlist', () => {
+      const { tools: listed } = listTools(tools, { clientId: 'n8n', extra: { tools: ['list-emails'] } });
+
+      expect(listed.map(t => t.name)).toEqual(['list-emails']);
+    });
+
+    test('includes annotations', () => {
+      const { tools: listed } = listTools(tools);
+
+      expect(listed[1].annotations).toEqual({ readOnlyHint: false, destructiveHint: false });
+    });
+
+    test('hides mutating tools in read-only mode', () => {
+      const { tools: listed } = listTools(tools, undefined, { readOnly: true });
+
+      expect(listed.map(t => t.name)).toEqual(['list-emails']);
+    });
+  });
+
+  describe('callTool', () => {
+    test('runs the handler with coerced arguments', async () => {
+      const result = await callTool(tools, { name: 'list-emails', arguments: { count: '3' } });
+
+      expect(handler).toHaveBeenCalledWith({ count: 3 });
+      expect(result.structuredContent).toEqual({ count: 3 });
+      expect(result.isError).toBeUndefined();
+    });
+
+    test('applies the requested output format', async () => {
+      const result = await callTool(tools, { name: 'list-emails', arguments: { format: 'json' } });
+
+      expect(JSON.parse(result.content[0].text)).toEqual({ count: 3 });
+    });
+
+    test('returns an isError result for invalid arguments without calling the handler', async () => {
+      const result = await callTool(tools, { name: 'send-email', arguments: {} });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toBe('Invalid arguments for send-email:\n- "to" is required');
+      expect(tools[1].handler).not.toHaveBeenCalled();
+    });
+
+    test('runs the handler as the requested account', async () => {
+      const seen = [];
+      tools[0].inputSchema.properties.account = { type: 'string' };
+      handler.mockImplementation(async () => {
+        seen.push(getCurrentAccount());
+        return { content: [{ type: 'text', text: 'ok' }], structuredContent: { count: 0 } };
+      });
+
+      await callTool(tools, { name: 'list-emails', arguments: { account: 'default' } });
+      const unknown = await callTool(tools, { name: 'list-emails', arguments: { account: 'nope' } });
+
+      expect(seen).toEqual(['default']);
+      expect(unknown.isError).toBe(true);
+      expect(unknown.content[0].text).toContain('Unknown account "nope"');
+    });
+
+    test('returns an isError result for unknown tools', async () => {
+      const result = await callTool(tools, { name: 'nope', arguments: {} });
+
+      expect(result).toEqual({ content: [{ type: 'text', text: 'Unknown tool: nope' }], isError: true });
+    });
+
+    test('returns an isError result for tools outside the allowlist', async () => {
+      const authInfo = { clientId: 'n8n', extra: { tools: ['list-emails'] } };
+      const result = await callTool(tools, { name: 'send-email', arguments: { to: 'a@example.com' } }, authInfo);
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toBe('Tool not allowed for this client: send-email');
+    });
+
+    test('returns an isError result when the handler throws', async () => {
+      handler.mockRejectedValue(new Error('boom'));
+
+      const result = await callTool(tools, { name: 'list-emails', arguments: {} });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toBe('Error running list-emails: boom');
+    });
+
+    test('refuses mutating tools in read-only mode', async () => {
+      const result = await callTool(tools, { name: 'send-email', arguments: { to: 'a@example.com' } }, undefined, { readOnly: true });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toBe('Tool send-email is disabled: this server is running in read-only mode');
+      expect(tools[1].handler).not.toHaveBeenCalled();
+    });
+
+    test.each(['add-account', 'switch-account'])('refuses %s in read-only mode, since it writes the account registry', async (name) => {
+      const result = await callTool(authTools, { name, arguments: { name: 'work' } }, undefined, { readOnly: true });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toBe(`Tool ${name} is disabled: this server is running in read-only mode`);
+    });
+
+    test('runs read-only tools in read-only mode', async () => {
+      const result = await callTool(tools, { name: 'list-emails', arguments: {} }, undefined, { readOnly: true });
+
+      expect(result.isError).toBeUndefined();
+      expect(handler).toHaveBeenCalled();
+    });
+
+    test('honours validation option overrides', async () => {
+      const result = await callTool(tools, { name: 'list-emails', arguments: { count: '3' } }, undefined, { coerceTypes: false });
+
+      expect(result.isError).toBe(true);
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { FORMAT_PROPERTY, withInputProperty, applyOutputFormat, getResultText, OUTPUT_FORMATS } = require('../../utils/tool-output');
+const { calendarTools } = require('../../calendar');
+const { emailTools } = require('../../email');
+const { folderTools } = require('../../folder');
+const { rulesTools } = require('../../rules');
+const { authTools } = require('../../auth');
+
+describe('withInputProperty', () => {
+  test('adds a property without touching the original definition', () => {
+    const tool = {
+      name: 'example',
+      inputSchema: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] }
+    };
+
+    const result = withInputProperty(tool, 'format', FORMAT_PROPERTY);
+
+    expect(result.inputSchema.properties.format.enum).toEqual(OUTPUT_FORMATS);
+    expect(result.inputSchema.properties.id).toEqual({ type: 'string' });
+    expect(result.inputSchema.required).toEqual(['id']);
+    expect(tool.inputSchema.properties.format).toBeUndefined();
+  });
+
+  test('creates an input schema for tools without one', () => {
+    expect(withInputProperty({ name: 'x' }, 'format', FORMAT_PROPERTY).inputSchema)
+      .toEqual({ type: 'object', properties: { format: FORMAT_PROPERTY }, required: [] });
+  });
+});
+
+describe('applyOutputFormat', () => {
+  const result = {
+    content: [{ type: 'text', text: 'Found 1 emails' }],
+    structuredContent: { count: 1 }
+  };
+
+  test('keeps the text content by default', () => {
+    expect(applyOutputFormat(result)).toEqual(result);
+    expect(applyOutputFormat(result, 'text')).toEqual(result);
+  });
+
+  test('replaces the content with JSON for format=json', () => {
+    const formatted = applyOutputFormat(result, 'json');
+    expect(formatted.content).toHaveLength(1);
+    expect(JSON.parse(formatted.content[0].text)).toEqual({ count: 1 });
+    expect(formatted.structuredContent).toEqual({ count: 1 });
+  });
+
+  test('appends the JSON to the text for format=both', () => {
+    const formatted = applyOutputFormat(result, 'both');
+    expect(formatted.content).toHaveLength(2);
+    expect(formatted.content[0].text).toBe('Found 1 emails');
+    expect(JSON.parse(formatted.content[1].text)).toEqual({ count: 1 });
+  });
+
+  test('flags results without structured content as errors', () => {
+    const formatted = applyOutputFormat({ content: [{ type: 'text', text: 'Email ID is required.' }] }, 'json');
+    expect(formatted.isError).toBe(true);
+    expect(formatted.content[0].text).toBe('Email ID is required.');
+  });
+});
+
+describe('getResultText', () => {
+  test('returns the text of a successful result', () => {
+    expect(getResultText({ content: [{ type: 'text', text: 'Found 2 emails' }], structuredContent: { count: 2 } })).toBe('Found 2 emails');
+  });
+
+  test('throws the message of a result without structuredContent', () => {
+    expect(() => getResultText({ content: [{ type: 'text', text: 'Error listing emails: boom' }] })).toThrow('Error listing emails: boom');
+    expect(() => getResultText(undefined)).toThrow('The tool call failed');
+  });
+});
+
+describe('tool definitions', () => {
+  const tools = [...authTools, ...calendarTools, ...emailTools, ...folderTools, ...rulesTools];
+
+  test.each(tools.map(tool => [tool.name, tool]))('%s declares an object output schema, annotations and a handler', (name, tool) => {
+    expect(tool.outputSchema).toBeDefined();
+    expect(tool.outputSchema.type).toBe('object');
+    expect(typeof tool.annotations.readOnlyHint).toBe('boolean');
+    expect(typeof tool.handler).toBe('function');
+  });
+
+  test.each(tools.filter(tool => !tool.annotations.readOnlyHint).map(tool => [tool.name, tool]))('%s declares whether it is destructive', (name, tool) => {
+    expect(typeof tool.annotations.destructiveHint).toBe('boolean');
+  });
+});
@@ -0,0 +1,125 @@
+const { validateToolArguments } = require('../../utils/validate-args');
+
+const schema = {
+  type: "object",
+  properties: {
+    to: { type: "string" },
+    count: { type: "number" },
+    page: { type: "integer" },
+    unreadOnly: { type: "boolean" },
+    importance: { type: "string", enum: ["normal", "high", "low"] },
+    attendees: { type: "array", items: { type: "string" } },
+    start: {
+      type: "object",
+      properties: { dateTime: { type: "string" } },
+      required: ["dateTime"]
+    }
+  },
+  required: ["to"]
+};
+
+const defaults = { coerceTypes: true, enforceEnums: true, rejectUnknown: false };
+
+describe('validateToolArguments', () => {
+  test('accepts valid arguments unchanged', () => {
+    const args = { to: 'a@example.com', count: 5, importance: 'high', attendees: ['b@example.com'] };
+    const result = validateToolArguments(schema, args, defaults);
+
+    expect(result.valid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.value).toEqual(args);
+  });
+
+  test('names missing required fields', () => {
+    const result = validateToolArguments(schema, {}, defaults);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(['"to" is required']);
+  });
+
+  test('names the field with the wrong type, including nested paths', () => {
+    const result = validateToolArguments(schema, {
+      to: 42,
+      attendees: ['ok@example.com', 7],
+      start: {}
+    }, defaults);
+
+    expect(result.errors).toEqual([
+      '"to" must be a string (got integer)',
+      '"attendees[1]" must be a string (got integer)',
+      '"start.dateTime" is required'
+    ]);
+  });
+
+  describe('type coercion', () => {
+    test('converts numeric and boolean strings when enabled', () => {
+      const result = validateToolArguments(schema, {
+        to: 'a@example.com',
+        count: '10',
+        page: '2',
+        unreadOnly: 'true'
+      }, defaults);
+
+      expect(result.valid).toBe(true);
+      expect(result.value).toEqual({ to: 'a@example.com', count: 10, page: 2, unreadOnly: true });
+    });
+
+    test('does not coerce strings that are not numbers', () => {
+      const result = validateToolArguments(schema, { to: 'a@example.com', count: 'ten', page: '2.5' }, defaults);
+
+      expect(result.errors).toEqual([
+        '"count" must be a number (got string)',
+        '"page" must be an integer (got string)'
+      ]);
+    });
+
+    test('rejects numeric strings when disabled', () => {
+      const result = validateToolArguments(schema, { to: 'a@example.com', count: '10' }, { ...defaults, coerceTypes: false });
+
+      expect(result.errors).toEqual(['"count" must be a number (got string)']);
+    });
+
+    test('does not mutate the original arguments', () => {
+      const args = { to: 'a@example.com', count: '10' };
+      validateToolArguments(schema, args, defaults);
+
+      expect(args.count).toBe('10');
+    });
+  });
+
+  describe('enum checks', () => {
+    test('reject values outside the enum', () => {
+      const result = validateToolArguments(schema, { to: 'a@example.com', importance: 'urgent' }, defaults);
+
+      expect(result.errors).toEqual(['"importance" must be one of: normal, high, low (got "urgent")']);
+    });
+
+    test('can be disabled', () => {
+      const result = validateToolArguments(schema, { to: 'a@example.com', importance: 'urgent' }, { ...defaults, enforceEnums: false });
+
+      expect(result.valid).toBe(true);
+    });
+  });
+
+  describe('unknown properties', () => {
+    test('are passed through by default', () => {
+      const result = validateToolArguments(schema, { to: 'a@example.com', extra: 1 }, defaults);
+
+      expect(result.valid).toBe(true);
+      expect(result.value.extra).toBe(1);
+    });
+
+    test('are rejected when enabled', () => {
+      const result = validateToolArguments(schema, { to: 'a@example.com', extra: 1 }, { ...defaults, rejectUnknown: true });
+
+      expect(result.errors).toEqual(['"extra" is not a recognised argument']);
+    });
+
+    test('are rejected when the schema sets additionalProperties to false', () => {
+      const strict = { ...schema, additionalProperties: false };
+      const result = validateToolArguments(strict, { to: 'a@example.com', extra: 1 }, defaults);
+
+      expect(result.errors).toEqual(['"extra" is not a recognised argument']);
+    });
+  });
+});
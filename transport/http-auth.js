@@ -0,0 +1,197 @@
+/**
+ * Inbound authentication for the MCP HTTP endpoint
+ *
+ * Two credential kinds are accepted, either as `Authorization: Bearer <credential>`
+ * or as an `x-api-key` header:
+ * - Static API keys, configured in MCP_API_KEYS or the MCP_AUTH_FILE JSON file
+ * - HMAC-signed bearer tokens (`<base64url payload>.<base64url signature>`),
+ *   signed with MCP_AUTH_HMAC_SECRET
+ *
+ * Every credential may carry a tool allowlist. The resolved identity is attached
+ * to the request as `req.auth`, which the MCP SDK hands to request handlers as
+ * `extra.authInfo`.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const { toBase64Url, fromBase64Url } = require('../utils/base64url');
+
+/**
+ * Constant-time string comparison
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - Whether the strings are equal
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Parses the MCP_API_KEYS variable: comma-separated `name=key` entries, where the
+ * key may be followed by `:tool1|tool2` to restrict the tools it can use
+ * @param {string} value - Raw variable value
+ * @returns {Array<object>} - API key entries ({ name, key, tools })
+ */
+function parseApiKeysEnv(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry)
+    .map((entry, index) => {
+      const separator = entry.indexOf('=');
+      const name = separator > 0 ? entry.slice(0, separator) : `key-${index + 1}`;
+      const rest = separator > 0 ? entry.slice(separator + 1) : entry;
+      const [key, toolList] = rest.split(':');
+      return {
+        name,
+        key,
+        tools: toolList ? toolList.split('|').map(t => t.trim()).filter(t => t) : null
+      };
+    });
+}
+
+/**
+ * Loads the inbound auth configuration from environment variables and the optional auth file
+ * @param {object} env - Environment variables
+ * @returns {object} - Auth configuration ({ enabled, apiKeys, hmacSecret })
+ */
+function loadHttpAuthConfig(env = process.env) {
+  const apiKeys = parseApiKeysEnv(env.MCP_API_KEYS);
+  let hmacSecret = env.MCP_AUTH_HMAC_SECRET || null;
+
+  if (env.MCP_AUTH_FILE) {
+    const fileConfig = JSON.parse(fs.readFileSync(env.MCP_AUTH_FILE, 'utf8'));
+    for (const entry of fileConfig.apiKeys || []) {
+      apiKeys.push({ name: entry.name, key: entry.key, tools: entry.tools || null });
+    }
+    hmacSecret = hmacSecret || fileConfig.hmacSecret || null;
+  }
+
+  const invalid = apiKeys.find(entry => !entry.key);
+  if (invalid) {
+    throw new Error(`API key "${invalid.name}" has no key value`);
+  }
+
+  return {
+    enabled: apiKeys.length > 0 || !!hmacSecret,
+    apiKeys,
+    hmacSecret
+  };
+}
+
+/**
+ * Creates an HMAC-signed bearer token
+ * @param {object} payload - Token claims ({ sub, tools, exp } where exp is in seconds since epoch)
+ * @param {string} secret - HMAC secret
+ * @returns {string} - Signed token
+ */
+function signBearerToken(payload, secret) {
+  const body = toBase64Url(Buffer.from(JSON.stringify(payload)));
+  const signature = toBase64Url(crypto.createHmac('sha256', secret).update(body).digest());
+  return `${body}.${signature}`;
+}
+
+/**
+ * Verifies an HMAC-signed bearer token
+ * @param {string} token - Token to verify
+ * @param {string} secret - HMAC secret
+ * @param {number} now - Current time in milliseconds
+ * @returns {object|null} - Token claims, or null if the token is invalid or expired
+ */
+function verifyBearerToken(token, secret, now = Date.now()) {
+  const parts = token.split('.');
+  if (parts.length !== 2) {
+    return null;
+  }
+
+  const [body, signature] = parts;
+  const expected = toBase64Url(crypto.createHmac('sha256', secret).update(body).digest());
+  if (!safeEqual(signature, expected)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(fromBase64Url(body).toString('utf8'));
+    if (claims.exp && claims.exp * 1000 <= now) {
+      return null;
+    }
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Extracts the presented credential from the request headers
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {string|null} - Credential or null
+ */
+function getCredential(req) {
+  const authorization = req.headers['authorization'];
+  if (authorization && authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Resolves a request to an authenticated identity
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {object} authConfig - Auth configuration from loadHttpAuthConfig
+ * @returns {object|null} - MCP AuthInfo ({ token, clientId, scopes, expiresAt, extra: { tools } }) or null
+ */
+function authenticateRequest(req, authConfig) {
+  const credential = getCredential(req);
+  if (!credential) {
+    return null;
+  }
+
+  const apiKey = authConfig.apiKeys.find(entry => safeEqual(entry.key, credential));
+  if (apiKey) {
+    return {
+      token: credential,
+      clientId: apiKey.name,
+      scopes: [],
+      extra: { tools: apiKey.tools }
+    };
+  }
+
+  if (authConfig.hmacSecret) {
+    const claims = verifyBearerToken(credential, authConfig.hmacSecret);
+    if (claims) {
+      return {
+        token: credential,
+        clientId: claims.sub || 'bearer',
+        scopes: [],
+        expiresAt: claims.exp,
+        extra: { tools: Array.isArray(claims.tools) ? claims.tools : null }
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether an authenticated identity may use a tool
+ * @param {object} authInfo - AuthInfo from authenticateRequest (undefined when auth is disabled)
+ * @param {string} toolName - Tool name
+ * @returns {boolean} - Whether the tool is allowed
+ */
+function isToolAllowed(authInfo, toolName) {
+  const tools = authInfo?.extra?.tools;
+  return !tools || tools.includes(toolName);
+}
+
+module.exports = {
+  loadHttpAuthConfig,
+  parseApiKeysEnv,
+  signBearerToken,
+  verifyBearerToken,
+  authenticateRequest,
+  isToolAllowed
+};
@@ -0,0 +1,112 @@
+/**
+ * Streamable HTTP transport (used by n8n and other remote MCP clients)
+ */
+const http = require("http");
+const url = require("url");
+const config = require('../config');
+const { SessionManager, sendJsonRpcError } = require('./sessions');
+const { loadHttpAuthConfig, authenticateRequest } = require('./http-auth');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('http');
+
+/**
+ * Creates (but does not start) the HTTP server for the MCP endpoint.
+ * Every client session gets its own MCP Server and transport.
+ * @param {Function} createServer - Factory returning a new MCP Server instance
+ * @param {object} options - HTTP options
+ * @param {string} options.path - Path of the MCP endpoint
+ * @param {number} options.maxSessions - Maximum number of concurrent sessions
+ * @param {number} options.idleTimeoutMs - Idle time after which a session is evicted
+ * @param {object} options.auth - Inbound auth configuration (see loadHttpAuthConfig)
+ * @returns {{httpServer: http.Server, sessions: SessionManager}} - HTTP server and its session manager
+ */
+function createHttpServer(createServer, {
+  path = config.MCP_PATH,
+  maxSessions = config.MCP_MAX_SESSIONS,
+  idleTimeoutMs = config.MCP_SESSION_IDLE_TIMEOUT_MS,
+  auth = loadHttpAuthConfig()
+} = {}) {
+  const sessions = new SessionManager({ createServer, maxSessions, idleTimeoutMs });
+
+  const httpServer = http.createServer(async (req, res) => {
+    const parsed = url.parse(req.url, true);
+    const pathname = parsed.pathname;
+
+    // Basic health endpoint
+    if (req.method === "GET" && (pathname === "/" || pathname === "/health")) {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({
+        ok: true,
+        name: config.SERVER_NAME,
+        version: config.SERVER_VERSION,
+        sessions: sessions.getStatus()
+      }));
+      return;
+    }
+
+    // MCP endpoint for n8n: POST/GET/DELETE to /mcp, routed by mcp-session-id
+    if (pathname === path) {
+      if (auth.enabled) {
+        const authInfo = authenticateRequest(req, auth);
+        if (!authInfo) {
+          res.setHeader("www-authenticate", 'Bearer realm="mcp"');
+          sendJsonRpcError(res, 401, -32001, "Unauthorized: a valid API key or bearer token is required");
+          return;
+        }
+        // Picked up by the SDK transport and passed to handlers as extra.authInfo
+        req.auth = authInfo;
+      }
+
+      try {
+        await sessions.handleRequest(req, res);
+      } catch (e) {
+        logger.error("handleRequest error", e);
+        if (!res.headersSent) {
+          res.writeHead(500, { "content-type": "text/plain" });
+          res.end("MCP transport error");
+        }
+      }
+      return;
+    }
+
+    res.writeHead(404, { "content-type": "text/plain" });
+    res.end("Not Found");
+  });
+
+  httpServer.on("close", () => {
+    sessions.closeAll();
+  });
+
+  return { httpServer, sessions };
+}
+
+/**
+ * Starts the HTTP server for the MCP endpoint
+ * @param {Function} createServer - Factory returning a new MCP Server instance
+ * @param {object} options - HTTP options (see createHttpServer)
+ * @param {number} options.port - Port to listen on
+ * @returns {Promise<http.Server>} - The listening HTTP server
+ */
+async function startHttpTransport(createServer, { port = config.HTTP_PORT, ...options } = {}) {
+  const path = options.path || config.MCP_PATH;
+  const auth = options.auth || loadHttpAuthConfig();
+  const { httpServer, sessions } = createHttpServer(createServer, { ...options, auth });
+
+  await new Promise(resolve => httpServer.listen(port, resolve));
+  logger.info(`${config.SERVER_NAME} connected (HTTP Streamable), listening on :${port}`, {
+    endpoint: `http://0.0.0.0:${port}${path}`,
+    maxSessions: sessions.maxSessions,
+    idleTimeoutMs: sessions.idleTimeoutMs
+  });
+  if (!auth.enabled) {
+    logger.warn('MCP HTTP endpoint has no authentication configured (set MCP_API_KEYS or MCP_AUTH_HMAC_SECRET)');
+  }
+
+  return httpServer;
+}
+
+module.exports = {
+  createHttpServer,
+  startHttpTransport
+};
@@ -0,0 +1,54 @@
+/**
+ * Transport module for Outlook MCP server
+ */
+const { redirectConsoleToStderr, startStdioTransport } = require('./stdio');
+const { createHttpServer, startHttpTransport } = require('./http');
+const { SessionManager } = require('./sessions');
+const { loadHttpAuthConfig, signBearerToken, isToolAllowed } = require('./http-auth');
+
+/**
+ * Supported transport modes
+ */
+const TRANSPORT_MODES = ['stdio', 'http', 'both'];
+
+/**
+ * Resolve the transport mode from command-line arguments and environment
+ * @param {Array<string>} argv - Command-line arguments (without node and script path)
+ * @param {object} env - Environment variables
+ * @returns {string} - One of TRANSPORT_MODES
+ * @throws {Error} - If the requested mode is not supported
+ */
+function resolveTransportMode(argv = [], env = {}) {
+  let mode = env.MCP_TRANSPORT;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--transport=')) {
+      mode = arg.slice('--transport='.length);
+    } else if (arg === '--transport' && argv[i + 1]) {
+      mode = argv[i + 1];
+      i++;
+    }
+  }
+
+  mode = (mode || 'http').toLowerCase();
+
+  if (!TRANSPORT_MODES.includes(mode)) {
+    throw new Error(`Unsupported transport "${mode}". Use one of: ${TRANSPORT_MODES.join(', ')}`);
+  }
+
+  return mode;
+}
+
+module.exports = {
+  TRANSPORT_MODES,
+  resolveTransportMode,
+  redirectConsoleToStderr,
+  startStdioTransport,
+  createHttpServer,
+  startHttpTransport,
+  SessionManager,
+  loadHttpAuthConfig,
+  signBearerToken,
+  isToolAllowed
+};
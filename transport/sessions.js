@@ -0,0 +1,187 @@
+/**
+ * Per-session MCP transports for the Streamable HTTP endpoint
+ */
+const crypto = require("crypto");
+const { StreamableHTTPServerTransport } = require("@modelcontextprotocol/sdk/server/streamableHttp.js");
+const { createLogger } = require("../utils/logger");
+
+const logger = createLogger("sessions");
+
+/**
+ * Writes a JSON-RPC error response
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ */
+function sendJsonRpcError(res, status, code, message) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }));
+}
+
+/**
+ * Keeps one MCP Server and transport per client session, keyed by the
+ * `mcp-session-id` header, so concurrent clients never share protocol state.
+ */
+class SessionManager {
+  /**
+   * @param {object} options - Session options
+   * @param {Function} options.createServer - Factory returning a new MCP Server instance
+   * @param {number} options.maxSessions - Maximum number of concurrent sessions
+   * @param {number} options.idleTimeoutMs - Idle time after which a session is evicted
+   */
+  constructor({ createServer, maxSessions, idleTimeoutMs }) {
+    this.createServer = createServer;
+    this.maxSessions = maxSessions;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.sessions = new Map();
+    this._pendingSessions = 0;
+    this._sweepTimer = null;
+
+    if (this.idleTimeoutMs > 0) {
+      const interval = Math.min(this.idleTimeoutMs, 60 * 1000);
+      this._sweepTimer = setInterval(() => this.evictIdleSessions(), interval);
+      this._sweepTimer.unref();
+    }
+  }
+
+  /**
+   * Routes an HTTP request on the MCP endpoint to its session, creating one on initialize
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   * @param {object} parsedBody - Pre-parsed JSON body, if already read
+   */
+  async handleRequest(req, res, parsedBody) {
+    const sessionId = req.headers["mcp-session-id"];
+
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+      // A session is bound to the client that opened it
+      if (!session || session.clientId !== req.auth?.clientId) {
+        sendJsonRpcError(res, 404, -32001, "Session not found");
+        return;
+      }
+
+      session.lastActivityAt = Date.now();
+      await session.transport.handleRequest(req, res, parsedBody);
+      return;
+    }
+
+    // Only an initialize POST may arrive without a session id
+    if (req.method !== "POST") {
+      sendJsonRpcError(res, 400, -32000, "Bad Request: Mcp-Session-Id header is required");
+      return;
+    }
+
+    if (this.sessions.size + this._pendingSessions >= this.maxSessions) {
+      logger.warn(`Rejecting new session: limit of ${this.maxSessions} reached`);
+      sendJsonRpcError(res, 503, -32000, `Too many active sessions (limit: ${this.maxSessions})`);
+      return;
+    }
+
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (id) => {
+        const now = Date.now();
+        this.sessions.set(id, {
+          id,
+          server,
+          transport,
+          clientId: req.auth?.clientId,
+          createdAt: now,
+          lastActivityAt: now
+        });
+        logger.info(`Session ${id} opened (${this.sessions.size} active)`);
+      },
+      onsessionclosed: (id) => {
+        this.sessions.delete(id);
+        logger.info(`Session ${id} terminated by client (${this.sessions.size} active)`);
+      }
+    });
+
+    this._pendingSessions++;
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, parsedBody);
+    } finally {
+      this._pendingSessions--;
+    }
+
+    // The transport rejects anything that is not an initialize request; drop the orphan
+    if (!transport.sessionId) {
+      await server.close();
+    }
+  }
+
+  /**
+   * Closes and removes a session
+   * @param {string} sessionId - Session to close
+   * @returns {Promise<boolean>} - Whether the session existed
+   */
+  async closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    this.sessions.delete(sessionId);
+    try {
+      await session.server.close();
+    } catch (error) {
+      logger.warn(`Error closing session ${sessionId}: ${error.message}`);
+    }
+    return true;
+  }
+
+  /**
+   * Closes every session that has been idle longer than the idle timeout
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<number>} - Number of evicted sessions
+   */
+  async evictIdleSessions(now = Date.now()) {
+    const idle = [...this.sessions.values()]
+      .filter(session => now - session.lastActivityAt > this.idleTimeoutMs)
+      .map(session => session.id);
+
+    for (const sessionId of idle) {
+      await this.closeSession(sessionId);
+      logger.info(`Session ${sessionId} evicted after idle timeout (${this.sessions.size} active)`);
+    }
+
+    return idle.length;
+  }
+
+  /**
+   * Closes all sessions and stops the idle sweep
+   */
+  async closeAll() {
+    if (this._sweepTimer) {
+      clearInterval(this._sweepTimer);
+      this._sweepTimer = null;
+    }
+
+    await Promise.all([...this.sessions.keys()].map(id => this.closeSession(id)));
+  }
+
+  /**
+   * Session summary for the health endpoint. Session ids are deliberately
+   * omitted: the endpoint is public and an id is enough to join a session.
+   * @param {number} now - Current time in milliseconds
+   * @returns {object} - Session status
+   */
+  getStatus(now = Date.now()) {
+    const sessions = [...this.sessions.values()];
+    return {
+      active: sessions.length,
+      max: this.maxSessions,
+      idleTimeoutMs: this.idleTimeoutMs,
+      oldestAgeMs: sessions.length > 0 ? Math.max(...sessions.map(s => now - s.createdAt)) : 0
+    };
+  }
+}
+
+module.exports = {
+  SessionManager,
+  sendJsonRpcError
+};
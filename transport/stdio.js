@@ -0,0 +1,48 @@
+/**
+ * Stdio transport for desktop MCP clients
+ */
+const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
+const config = require('../config');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('stdio');
+
+/**
+ * Routes console methods that write to stdout onto stderr.
+ * Over stdio, stdout carries the JSON-RPC stream, so any stray
+ * console.log from a handler would corrupt the protocol.
+ */
+function redirectConsoleToStderr() {
+  console.log = console.error;
+  console.info = console.error;
+  console.debug = console.error;
+}
+
+/**
+ * Starts an MCP server on stdin/stdout
+ * @param {Function} createServer - Factory returning a new MCP Server instance
+ * @param {object} options - Transport options
+ * @param {boolean} options.exitOnClose - Exit the process when the client disconnects
+ * @returns {Promise<object>} - The connected MCP server
+ */
+async function startStdioTransport(createServer, { exitOnClose = true } = {}) {
+  const server = createServer();
+  const transport = new StdioServerTransport();
+
+  server.onclose = () => {
+    logger.info(`${config.SERVER_NAME} stdio client disconnected`);
+    if (exitOnClose) {
+      process.exit(0);
+    }
+  };
+
+  await server.connect(transport);
+  logger.info(`${config.SERVER_NAME} connected (stdio)`);
+
+  return server;
+}
+
+module.exports = {
+  redirectConsoleToStderr,
+  startStdioTransport
+};
@@ -0,0 +1,26 @@
+/**
+ * Base64url encoding helpers (Node 14 has no native 'base64url' encoding)
+ */
+
+/**
+ * Base64url-encodes a buffer or string
+ * @param {Buffer|string} data - Data to encode
+ * @returns {string} - Base64url string
+ */
+function toBase64Url(data) {
+  return Buffer.from(data).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a base64url string
+ * @param {string} value - Base64url string
+ * @returns {Buffer} - Decoded data
+ */
+function fromBase64Url(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+module.exports = {
+  toBase64Url,
+  fromBase64Url
+};
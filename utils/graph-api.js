@@ -1,251 +1,255 @@
 /**
  * Microsoft Graph API helper functions
  */
+const http = require('http');
 const https = require('https');
 const config = require('../config');
 const mockData = require('./mock-data');
+const { DEFAULT_RETRY_POLICY, isRetryable, getRetryDelay, sleep } = require('./graph-retry');
+const { createGraphFixtures } = require('./graph-fixtures');
+const { tokenService } = require('../auth/token-service');
+const { getCurrentMailbox, toMailboxPath, getMailboxAccessError } = require('./mailbox');
+const { createLogger } = require('./logger');
 
-const TokenStorage = require('../auth/token-storage'); // adjust path to where TokenStorage is
-const tokenStorage = new TokenStorage({
-  tokenStorePath: process.env.OUTLOOK_TOKEN_PATH || config.AUTH_CONFIG.tokenStorePath,
-  clientId: config.AUTH_CONFIG.clientId,
-  clientSecret: config.AUTH_CONFIG.clientSecret,
-  tokenEndpoint: 'https://login.microsoftonline.com/common/oauth2/v2.0/token',
-  scopes: config.AUTH_CONFIG.scopes,
-  redirectUri: config.AUTH_CONFIG.redirectUri,
-});
+const logger = createLogger('graph-api');
 
+// Graph base URL; overridden to point requests at a local emulator
+let graphBaseUrl = config.GRAPH_API_ENDPOINT;
 
 /**
- * Makes a request to the Microsoft Graph API with automatic token refresh
- * @param {string} accessToken - The access token for authentication
- * @param {string} method - HTTP method (GET, POST, etc.)
- * @param {string} path - API endpoint path
- * @param {object} data - Data to send for POST/PUT requests
+ * Returns the Graph base URL requests are sent to
+ * @returns {string} - Base URL, ending in a slash
+ */
+function getGraphBaseUrl() {
+  return graphBaseUrl;
+}
+
+/**
+ * Points Graph requests at another base URL, such as utils/graph-emulator.js
+ * @param {string|null} url - Base URL including the version segment, or null to restore the default
+ */
+function setGraphBaseUrl(url) {
+  graphBaseUrl = url ? url.replace(/\/?$/, '/') : config.GRAPH_API_ENDPOINT;
+}
+
+// Fixture recorder or replayer (see utils/graph-fixtures.js), when enabled
+let graphFixtures = config.GRAPH_FIXTURES.mode ? createGraphFixtures(config.GRAPH_FIXTURES) : null;
+
+/**
+ * Records Graph traffic to, or replays it from, a fixture file
+ * @param {object|null} options - { mode: 'record'|'replay', file }, or null to use the network again
+ * @returns {object|null} - The fixture recorder or replayer
+ */
+function useGraphFixtures(options) {
+  graphFixtures = options ? createGraphFixtures(options) : null;
+  return graphFixtures;
+}
+
+/**
+ * Builds the request URL for a Graph API path
+ * @param {string} path - API endpoint path, or a full URL (pagination nextLink)
  * @param {object} queryParams - Query parameters
- * @param {boolean} _isRetry - Internal flag to prevent infinite recursion
- * @returns {Promise<object>} - The API response
+ * @returns {string} - Request URL
  */
-async function callGraphAPI(accessToken, method, path, data = null, queryParams = {}, _isRetry = false) {
-  // For test tokens, we'll simulate the API call
-  if (config.USE_TEST_MODE && accessToken.startsWith('test_access_token_')) {
-    console.error(`TEST MODE: Simulating ${method} ${path} API call`);
-    return mockData.simulateGraphAPIResponse(method, path, data, queryParams);
+function buildGraphUrl(path, queryParams = {}) {
+  // Check if path already contains the full URL (from nextLink)
+  if (path.startsWith('http://') || path.startsWith('https://')) {
+    return path;
   }
 
-  try {
-    console.error(`[GRAPH-API] Making real API call: ${method} ${path}`);
-    if (data) {
-      console.error(`[GRAPH-API] Request payload:`, JSON.stringify(data, null, 2));
+  // Encode path segments properly
+  const encodedPath = path.split('/')
+    .map(segment => encodeURIComponent(segment))
+    .join('/');
+  
+  // Build query string from parameters with special handling for OData filters
+  let queryString = '';
+  if (Object.keys(queryParams).length > 0) {
+    // Handle $filter parameter specially to ensure proper URI encoding
+    const { $filter: filter, ...regularParams } = queryParams;
+    
+    // Build query string with proper encoding for regular params
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(regularParams)) {
+      params.append(key, value);
     }
     
-    // Check if path already contains the full URL (from nextLink)
-    let finalUrl;
-    if (path.startsWith('http://') || path.startsWith('https://')) {
-      // Path is already a full URL (from pagination nextLink)
-      finalUrl = path;
-      console.error(`Using full URL from nextLink: ${finalUrl}`);
-    } else {
-      // Build URL from path and queryParams
-      // Encode path segments properly
-      const encodedPath = path.split('/')
-        .map(segment => encodeURIComponent(segment))
-        .join('/');
-      
-      // Build query string from parameters with special handling for OData filters
-      let queryString = '';
-      if (Object.keys(queryParams).length > 0) {
-        // Handle $filter parameter specially to ensure proper URI encoding
-        const filter = queryParams.$filter;
-        if (filter) {
-          delete queryParams.$filter; // Remove from regular params
-        }
-        
-        // Build query string with proper encoding for regular params
-        const params = new URLSearchParams();
-        for (const [key, value] of Object.entries(queryParams)) {
-          params.append(key, value);
-        }
-        
-        queryString = params.toString();
-        
-        // Add filter parameter separately with proper encoding/
-        if (filter) {
-          if (queryString) {
-            queryString += `&$filter=${encodeURIComponent(filter)}`;
-          } else {
-            queryString = `$filter=${encodeURIComponent(filter)}`;
-          }
-        }
-        
-        if (queryString) {
-          queryString = '?' + queryString;
-        }
-        
-        console.error(`Query string: ${queryString}`);
+    queryString = params.toString();
+    
+    // Add filter parameter separately with proper encoding
+    if (filter) {
+      if (queryString) {
+        queryString += `&$filter=${encodeURIComponent(filter)}`;
+      } else {
+        queryString = `$filter=${encodeURIComponent(filter)}`;
       }
-      
-      finalUrl = `${config.GRAPH_API_ENDPOINT}${encodedPath}${queryString}`;
-      console.error(`Full URL: ${finalUrl}`);
     }
     
-    return new Promise((resolve, reject) => {
-      const options = {
-        method: method,
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
-      };
+    if (queryString) {
+      queryString = '?' + queryString;
+    }
+  }
+  
+  const finalUrl = `${graphBaseUrl}${encodedPath}${queryString}`;
+  return finalUrl;
+}
+
+/**
+ * Sends a single HTTPS request to Graph
+ * @param {string} accessToken - The access token for authentication
+ * @param {string} method - HTTP method
+ * @param {string} finalUrl - Request URL
+ * @param {object} data - Data to send for POST/PATCH/PUT requests
+ * @returns {Promise<{statusCode: number, headers: object, body: string}>} - Raw response
+ * @throws {Error} - On network errors
+ */
+function sendGraphRequest(accessToken, method, finalUrl, data) {
+  return new Promise((resolve, reject) => {
+    const options = {
+      method: method,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      }
+    };
+    
+    const transport = finalUrl.startsWith('http://') ? http : https;
+    const req = transport.request(finalUrl, options, (res) => {
+      let responseData = '';
       
-      const req = https.request(finalUrl, options, (res) => {
-        let responseData = '';
-        
-        res.on('data', (chunk) => {
-          responseData += chunk;
-        });
-        
-        res.on('end', async () => {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            try {
-              responseData = responseData ? responseData : '{}';
-              const jsonResponse = JSON.parse(responseData);
-              resolve(jsonResponse);
-            } catch (error) {
-              reject(new Error(`Error parsing API response: ${error.message}`));
-            }
-          } else if (res.statusCode === 401 && !_isRetry) {
-            // Token expired or invalid - attempt refresh and retry once
-            console.error('[AUTH] 401 from Graph, attempting refresh + retry once...');
-            console.error("401 body:", responseData);
-            
-            try {
-              console.error('[AUTH] Calling tokenStorage.getValidAccessToken() to refresh...');
-              const fresh = await tokenStorage.getValidAccessToken(); // this triggers refresh if expired
-              console.error(`[AUTH] getValidAccessToken() result: ${fresh ? 'SUCCESS - got fresh token' : 'FAILED - no token returned'}`);
-              
-              if (!fresh) {
-                console.error('[AUTH] No fresh token available - refresh failed or no refresh_token');
-                reject(new Error('UNAUTHORIZED: refresh failed or no refresh_token'));
-                return;
-              }
-              
-              console.error('[AUTH] Retrying API call with fresh token...');
-              // Retry with fresh token
-              const retryResult = await callGraphAPI(fresh, method, path, data, queryParams, true);
-              console.error('[AUTH] Retry successful!');
-              resolve(retryResult);
-            } catch (refreshError) {
-              console.error('[AUTH] Token refresh failed with error:', refreshError);
-              console.error('[AUTH] Refresh error details:', {
-                message: refreshError.message,
-                stack: refreshError.stack,
-                name: refreshError.name
-              });
-              const err = new Error(`UNAUTHORIZED: ${refreshError.message}`);
-              err.statusCode = 401;
-              err.body = responseData;
-              reject(err);
-            }
-          } else {
-            reject(new Error(`API call failed with status ${res.statusCode}: ${responseData}`));
-          }
-        });
+      res.on('data', (chunk) => {
+        responseData += chunk;
       });
       
-      req.on('error', (error) => {
-        reject(new Error(`Network error during API call: ${error.message}`));
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: responseData });
       });
-      
-      if (data && (method === 'POST' || method === 'PATCH' || method === 'PUT')) {
-        req.write(JSON.stringify(data));
-      }
-      
-      req.end();
     });
-  } catch (error) {
-    console.error('Error calling Graph API:', error);
     
-    // If this is a 401 error from the try block and we haven't retried yet, attempt refresh
-    if (error.statusCode === 401 && !_isRetry) {
-      console.error('[AUTH] 401 error caught, attempting refresh + retry once...');
-      try {
-        const fresh = await tokenStorage.getValidAccessToken();
-        if (!fresh) throw new Error('UNAUTHORIZED: refresh failed or no refresh_token');
-        return await callGraphAPI(fresh, method, path, data, queryParams, true);
-      } catch (refreshError) {
-        console.error('[AUTH] Token refresh failed:', refreshError);
-        throw new Error('UNAUTHORIZED');
-      }
+    req.on('error', (error) => {
+      reject(new Error(`Network error during API call: ${error.message}`));
+    });
+    
+    if (data && (method === 'POST' || method === 'PATCH' || method === 'PUT')) {
+      req.write(JSON.stringify(data));
     }
     
-    throw error;
-  }
+    req.end();
+  });
 }
 
 /**
- * Calls Graph API with pagination support to retrieve all results up to maxCount
+ * Makes a request to the Microsoft Graph API with automatic token refresh and
+ * retries for throttled and transient failures (see utils/graph-retry.js). Inside a
+ * shared mailbox tool call, `me/...` paths address that mailbox (see utils/mailbox.js).
  * @param {string} accessToken - The access token for authentication
- * @param {string} method - HTTP method (GET only for pagination)
+ * @param {string} method - HTTP method (GET, POST, etc.)
  * @param {string} path - API endpoint path
- * @param {object} queryParams - Initial query parameters
- * @param {number} maxCount - Maximum number of items to retrieve (0 = all)
- * @returns {Promise<object>} - Combined API response with all items
+ * @param {object} data - Data to send for POST/PUT requests
+ * @param {object} queryParams - Query parameters
+ * @returns {Promise<object>} - The API response
  */
-async function callGraphAPIPaginated(accessToken, method, path, queryParams = {}, maxCount = 0) {
-  if (method !== 'GET') {
-    throw new Error('Pagination only supports GET requests');
+async function callGraphAPI(accessToken, method, path, data = null, queryParams = {}) {
+  const mailbox = getCurrentMailbox();
+  path = toMailboxPath(path, mailbox);
+
+  // For test tokens, we'll simulate the API call
+  if (config.USE_TEST_MODE && accessToken.startsWith('test_access_token_')) {
+    logger.debug(`TEST MODE: simulating ${method} ${path}`);
+    return mockData.simulateGraphAPIResponse(method, path, data, queryParams);
   }
 
-  const allItems = [];
-  let nextLink = null;
-  let currentUrl = path;
-  let currentParams = queryParams;
+  const finalUrl = buildGraphUrl(path, queryParams);
+  // Payloads are not logged: they carry message content and recipients
+  logger.debug(`${method} ${path}`, { url: finalUrl, hasPayload: Boolean(data) });
 
-  try {
-    do {
-      // Make API call - now uses callGraphAPI with automatic refresh
-      const response = await callGraphAPI(accessToken, method, currentUrl, null, currentParams);
-      
-      // Add items from this page
-      if (response.value && Array.isArray(response.value)) {
-        allItems.push(...response.value);
-        console.error(`Pagination: Retrieved ${response.value.length} items, total so far: ${allItems.length}`);
+  const startedAt = Date.now();
+  let token = accessToken;
+  let refreshed = false;
+  let attempt = 1;
+
+  while (true) {
+    const send = () => sendGraphRequest(token, method, finalUrl, data);
+    let response;
+    try {
+      response = graphFixtures
+        ? await graphFixtures.send({ method, url: finalUrl, data, baseUrl: graphBaseUrl }, send)
+        : await send();
+    } catch (networkError) {
+      // A request missing from a replay fixture will not appear on retry
+      const delay = !networkError.fixtureMiss && isRetryable(method, null)
+        ? getRetryDelay({ attempt, elapsedMs: Date.now() - startedAt })
+        : null;
+      if (delay === null) {
+        throw networkError;
       }
+      logger.warn(`${method} ${path}: ${networkError.message}; retrying in ${delay}ms (attempt ${attempt + 1}/${DEFAULT_RETRY_POLICY.maxAttempts})`);
+      await sleep(delay);
+      attempt++;
+      continue;
+    }
+
+    const { statusCode, headers, body } = response;
 
-      // Check if we've reached the desired count
-      if (maxCount > 0 && allItems.length >= maxCount) {
-        console.error(`Pagination: Reached max count of ${maxCount}, stopping`);
-        break;
+    if (statusCode >= 200 && statusCode < 300) {
+      try {
+        return JSON.parse(body ? body : '{}');
+      } catch (error) {
+        throw new Error(`Error parsing API response: ${error.message}`);
       }
+    }
 
-      // Get next page URL
-      nextLink = response['@odata.nextLink'];
-      
-      if (nextLink) {
-        // Pass the full nextLink URL directly to callGraphAPI
-        currentUrl = nextLink;
-        currentParams = {}; // nextLink already contains all params
-        console.error(`Pagination: Following nextLink, ${allItems.length} items so far`);
+    if (statusCode === 401 && !refreshed) {
+      // Token expired or invalid - attempt refresh and retry once
+      logger.info(`${method} ${path} returned 401; refreshing the access token and retrying once`, { response: body });
+      refreshed = true;
+
+      let fresh;
+      try {
+        // Refresh the tokens of the account this tool call runs as, even if they look unexpired
+        fresh = await tokenService.refreshAccessToken();
+      } catch (refreshError) {
+        logger.error('Token refresh after a 401 failed', refreshError);
+        const err = new Error(`UNAUTHORIZED: ${refreshError.message}`);
+        err.statusCode = 401;
+        err.body = body;
+        throw err;
       }
-    } while (nextLink);
 
-    // Trim to exact count if needed
-    const finalItems = maxCount > 0 ? allItems.slice(0, maxCount) : allItems;
+      if (!fresh) {
+        logger.error('No fresh access token after a 401: the refresh failed or there is no refresh token');
+        throw new Error('UNAUTHORIZED: refresh failed or no refresh_token');
+      }
 
-    console.error(`Pagination complete: Retrieved ${finalItems.length} total items`);
-    
-    return {
-      value: finalItems,
-      '@odata.count': finalItems.length
-    };
-  } catch (error) {
-    console.error('Error during pagination:', error);
+      token = fresh;
+      continue;
+    }
+
+    if (isRetryable(method, statusCode)) {
+      const delay = getRetryDelay({
+        attempt,
+        elapsedMs: Date.now() - startedAt,
+        retryAfter: headers['retry-after']
+      });
+      if (delay !== null) {
+        logger.warn(`${method} ${path} returned ${statusCode}; retrying in ${delay}ms (attempt ${attempt + 1}/${DEFAULT_RETRY_POLICY.maxAttempts})`);
+        await sleep(delay);
+        attempt++;
+        continue;
+      }
+      logger.warn(`${method} ${path} returned ${statusCode}; giving up after ${attempt} attempt(s)`);
+    }
+
+    const error = new Error(getMailboxAccessError(mailbox, statusCode, body) || `API call failed with status ${statusCode}: ${body}`);
+    error.statusCode = statusCode;
+    error.body = body;
     throw error;
   }
 }
 
 module.exports = {
   callGraphAPI,
-  callGraphAPIPaginated
+  getGraphBaseUrl,
+  setGraphBaseUrl,
+  useGraphFixtures
 };
@@ -0,0 +1,256 @@
+/**
+ * Microsoft Graph JSON batching
+ *
+ * Groups sub-requests into `$batch` calls of at most 20 (the Graph limit), keeping
+ * every request in the same batch as the requests it `dependsOn`. Sub-requests that
+ * fail with a retryable status are retried on their own, in later batches, using
+ * the same retry policy as callGraphAPI.
+ */
+const { callGraphAPI, getGraphBaseUrl } = require('./graph-api');
+const { DEFAULT_RETRY_POLICY, isRetryable, getRetryDelay, sleep } = require('./graph-retry');
+const { getCurrentMailbox, toMailboxPath, getMailboxAccessError } = require('./mailbox');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('graph-batch');
+
+/**
+ * Maximum number of sub-requests in one $batch call
+ */
+const MAX_BATCH_SIZE = 20;
+
+/**
+ * Status Graph returns for sub-requests whose dependency failed
+ */
+const FAILED_DEPENDENCY = 424;
+
+/**
+ * Gives every request an id and validates the dependsOn references
+ * @param {Array<object>} requests - Sub-requests ({ id, method, url, body, headers, dependsOn })
+ * @returns {Array<object>} - Normalised copies of the requests
+ */
+function normaliseRequests(requests) {
+  const normalised = requests.map((request, index) => ({
+    ...request,
+    id: request.id !== undefined ? String(request.id) : String(index + 1),
+    method: (request.method || 'GET').toUpperCase(),
+    headers: request.body && !(request.headers && request.headers['Content-Type'])
+      ? { ...request.headers, 'Content-Type': 'application/json' }
+      : request.headers,
+    dependsOn: request.dependsOn ? request.dependsOn.map(String) : undefined
+  }));
+
+  const ids = new Set();
+  for (const request of normalised) {
+    if (ids.has(request.id)) {
+      throw new Error(`Duplicate batch request id: ${request.id}`);
+    }
+    ids.add(request.id);
+  }
+
+  for (const request of normalised) {
+    for (const dependency of request.dependsOn || []) {
+      if (!ids.has(dependency)) {
+        throw new Error(`Batch request ${request.id} depends on unknown request ${dependency}`);
+      }
+    }
+  }
+
+  return normalised;
+}
+
+/**
+ * Splits requests into batches of at most MAX_BATCH_SIZE, keeping requests linked
+ * by dependsOn in the same batch
+ * @param {Array<object>} requests - Normalised sub-requests
+ * @returns {Array<Array<object>>} - Batches
+ */
+function chunkRequests(requests) {
+  // Union-find over dependsOn links to find groups that must travel together
+  const parent = new Map(requests.map(request => [request.id, request.id]));
+  const find = id => (parent.get(id) === id ? id : find(parent.get(id)));
+  for (const request of requests) {
+    for (const dependency of request.dependsOn || []) {
+      parent.set(find(request.id), find(dependency));
+    }
+  }
+
+  const groups = new Map();
+  for (const request of requests) {
+    const root = find(request.id);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(request);
+  }
+
+  const batches = [];
+  let current = [];
+  for (const group of groups.values()) {
+    if (group.length > MAX_BATCH_SIZE) {
+      throw new Error(`A chain of ${group.length} dependent requests does not fit in one batch (max ${MAX_BATCH_SIZE})`);
+    }
+    if (current.length + group.length > MAX_BATCH_SIZE) {
+      batches.push(current);
+      current = [];
+    }
+    current.push(...group);
+  }
+  if (current.length > 0) {
+    batches.push(current);
+  }
+
+  return batches;
+}
+
+/**
+ * Sends one $batch call
+ * @param {string} accessToken - Access token
+ * @param {Array<object>} batch - Sub-requests
+ * @returns {Promise<Array<object>>} - Sub-responses ({ id, status, headers, body })
+ */
+async function sendBatch(accessToken, batch) {
+  // The $batch URL itself is not rewritten, so shared mailbox paths are applied here
+  const mailbox = getCurrentMailbox();
+  const response = await callGraphAPI(accessToken, 'POST', `${getGraphBaseUrl()}$batch`, {
+    requests: batch.map(({ id, method, url, body, headers, dependsOn }) => ({
+      id,
+      method,
+      url: toMailboxPath(url, mailbox && encodeURIComponent(mailbox)),
+      body,
+      headers,
+      dependsOn
+    }))
+  });
+
+  return response.responses || [];
+}
+
+/**
+ * Runs Graph sub-requests through JSON batching
+ * @param {string} accessToken - Access token
+ * @param {Array<object>} requests - Sub-requests ({ id, method, url, body, headers, dependsOn }),
+ *   where url is relative to the Graph version root, e.g. `/me/messages/{id}`
+ * @param {object} policy - Retry policy for failed sub-requests (see DEFAULT_RETRY_POLICY)
+ * @returns {Promise<Array<object>>} - One result per request, in request order:
+ *   { id, status, ok, body, headers, error }
+ */
+async function callGraphBatch(accessToken, requests, policy = DEFAULT_RETRY_POLICY) {
+  const pending = normaliseRequests(requests);
+  const byId = new Map(pending.map(request => [request.id, request]));
+  const results = new Map();
+  const startedAt = Date.now();
+  let queue = pending;
+  let attempt = 1;
+
+  while (queue.length > 0) {
+    for (const batch of chunkRequests(queue)) {
+      logger.debug(`Sending $batch with ${batch.length} request(s)`);
+      const responses = await sendBatch(accessToken, batch);
+      const answered = new Set();
+
+      for (const response of responses) {
+        const id = String(response.id);
+        answered.add(id);
+        results.set(id, response);
+      }
+
+      // A sub-request Graph did not answer is reported as a failed dependency
+      for (const request of batch) {
+        if (!answered.has(request.id)) {
+          results.set(request.id, { id: request.id, status: FAILED_DEPENDENCY, body: null });
+        }
+      }
+    }
+
+    // Retry transient failures, plus the requests that failed only because they depended on one
+    const retry = new Set(queue
+      .filter(request => isRetryable(request.method, results.get(request.id).status))
+      .map(request => request.id));
+    let changed = retry.size > 0;
+    while (changed) {
+      changed = false;
+      for (const request of queue) {
+        if (!retry.has(request.id) &&
+            results.get(request.id).status === FAILED_DEPENDENCY &&
+            (request.dependsOn || []).some(dependency => retry.has(dependency))) {
+          retry.add(request.id);
+          changed = true;
+        }
+      }
+    }
+
+    if (retry.size === 0) {
+      break;
+    }
+
+    const retryAfter = Math.max(...[...retry].map(id => Number(getHeader(results.get(id), 'retry-after')) || 0));
+    const delay = getRetryDelay({
+      attempt,
+      elapsedMs: Date.now() - startedAt,
+      retryAfter: retryAfter > 0 ? String(retryAfter) : undefined
+    }, policy);
+    if (delay === null) {
+      logger.warn(`Giving up on ${retry.size} failed request(s) after ${attempt} attempt(s)`);
+      break;
+    }
+
+    logger.warn(`Retrying ${retry.size} failed request(s) in ${delay}ms (attempt ${attempt + 1}/${policy.maxAttempts})`);
+    await sleep(delay);
+    attempt++;
+
+    // Dependencies that already succeeded are not part of the retry batch
+    queue = [...retry].map(id => {
+      const request = byId.get(id);
+      const dependsOn = (request.dependsOn || []).filter(dependency => retry.has(dependency));
+      return { ...request, dependsOn: dependsOn.length > 0 ? dependsOn : undefined };
+    });
+  }
+
+  return pending.map(request => {
+    const response = results.get(request.id);
+    const ok = response.status >= 200 && response.status < 300;
+    return {
+      id: request.id,
+      status: response.status,
+      ok,
+      body: response.body,
+      headers: response.headers || {},
+      error: ok ? null : getBatchErrorMessage(response)
+    };
+  });
+}
+
+/**
+ * Reads a header from a sub-response, ignoring case
+ * @param {object} response - Sub-response
+ * @param {string} name - Lower-case header name
+ * @returns {string|undefined} - Header value
+ */
+function getHeader(response, name) {
+  const headers = response.headers || {};
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Extracts an error message from a failed sub-response
+ * @param {object} response - Sub-response
+ * @returns {string} - Error message
+ */
+function getBatchErrorMessage(response) {
+  const message = response.body && response.body.error && response.body.error.message;
+  if (response.status === FAILED_DEPENDENCY && !message) {
+    return 'Not run because a request it depends on failed';
+  }
+  const mailboxError = getMailboxAccessError(getCurrentMailbox(), response.status, response.body);
+  if (mailboxError) {
+    return mailboxError;
+  }
+  return `Request failed with status ${response.status}${message ? `: ${message}` : ''}`;
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  chunkRequests,
+  callGraphBatch
+};
@@ -0,0 +1,1258 @@
+/**
+ * Local Microsoft Graph emulator
+ *
+ * A stateful, in-process stand-in for the parts of Graph this server uses: the
+ * signed-in user's profile, messages, mail folders and child folders, inbox message
+ * rules, events and calendarView, with $filter, $search, $top, $skip, $orderby,
+ * $select and @odata.nextLink paging, plus /move, /sendMail, event responses and
+ * $batch. Start it, then point callGraphAPI at it with setGraphBaseUrl(emulator.baseUrl),
+ * or run it standalone (`npm run graph-emulator`) and start the server with
+ * GRAPH_API_ENDPOINT set to the printed URL.
+ *
+ * The emulator is lenient: any bearer token is accepted, `users/{id}/...` paths are
+ * served from the same single mailbox as `me/...`, and query combinations Graph
+ * rejects (such as $search together with $orderby) are served anyway.
+ */
+const http = require('http');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('graph-emulator');
+
+/**
+ * Folder ID of the (hidden) root of the mailbox
+ */
+const ROOT_FOLDER_ID = 'msgfolderroot';
+
+/**
+ * Well-known folders, created in every mailbox. Their IDs double as the
+ * well-known names Graph accepts in place of an ID.
+ */
+const WELL_KNOWN_FOLDERS = {
+  inbox: 'Inbox',
+  drafts: 'Drafts',
+  sentitems: 'Sent Items',
+  deleteditems: 'Deleted Items',
+  archive: 'Archive',
+  junkemail: 'Junk Email'
+};
+
+/**
+ * Page size Graph uses when a request has no $top
+ */
+const DEFAULT_PAGE_SIZE = 10;
+
+/**
+ * Maximum number of sub-requests in a $batch call
+ */
+const MAX_BATCH_SIZE = 20;
+
+/**
+ * Creates an error that is returned as a Graph error response
+ * @param {number} status - HTTP status code
+ * @param {string} code - Graph error code
+ * @param {string} message - Error message
+ * @returns {Error} - Error carrying the status and code
+ */
+function graphError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Error for a missing message, folder, rule or event
+ * @returns {Error} - 404 Graph error
+ */
+function notFound() {
+  return graphError(404, 'ErrorItemNotFound', 'The specified object was not found in the store.');
+}
+
+/**
+ * Reads a slash-separated property path, e.g. `from/emailAddress/address`
+ * @param {object} item - Resource
+ * @param {string} path - Property path
+ * @returns {*} - Property value, or undefined
+ */
+function getProperty(item, path) {
+  return path.split('/').reduce((value, key) => {
+    if (value === undefined || value === null) {
+      return undefined;
+    }
+    // Graph property names are case-insensitive
+    const match = Object.keys(value).find(name => name.toLowerCase() === key.toLowerCase());
+    return match === undefined ? undefined : value[match];
+  }, item);
+}
+
+/**
+ * Parses a Graph date-time, treating values without an offset as UTC
+ * @param {*} value - Candidate date-time
+ * @returns {number|null} - Milliseconds since the epoch, or null if not a date-time
+ */
+function parseDateTime(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return null;
+  }
+  const time = Date.parse(/(Z|[+-]\d{2}:\d{2})$/.test(value) ? value : `${value}Z`);
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Compares two property values the way Graph orders and filters them:
+ * date-times by time, strings case-insensitively
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const dateA = parseDateTime(a);
+  const dateB = parseDateTime(b);
+  if (dateA !== null && dateB !== null) {
+    return dateA - dateB;
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.toLowerCase().localeCompare(b.toLowerCase());
+  }
+  if (a === b) {
+    return 0;
+  }
+  if (a === undefined || a === null) {
+    return -1;
+  }
+  if (b === undefined || b === null) {
+    return 1;
+  }
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Splits an OData $filter expression into tokens
+ * @param {string} expression - $filter value
+ * @returns {Array<object>} - Tokens ({ type, value })
+ */
+function tokenizeFilter(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|(,)|'((?:[^']|'')*)'|(-?\d[\w:.+-]*)|([A-Za-z_][\w/.]*))/y;
+  let index = 0;
+
+  while (index < expression.length) {
+    if (/^\s*$/.test(expression.slice(index))) {
+      break;
+    }
+    pattern.lastIndex = index;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw graphError(400, 'BadRequest', `Invalid filter clause: syntax error at position ${index} in '${expression}'.`);
+    }
+    index = pattern.lastIndex;
+
+    if (match[1]) {
+      tokens.push({ type: '(' });
+    } else if (match[2]) {
+      tokens.push({ type: ')' });
+    } else if (match[3]) {
+      tokens.push({ type: ',' });
+    } else if (match[4] !== undefined) {
+      tokens.push({ type: 'literal', value: match[4].replace(/''/g, "'") });
+    } else if (match[5] !== undefined) {
+      tokens.push({ type: 'literal', value: /^-?\d+(\.\d+)?$/.test(match[5]) ? Number(match[5]) : match[5] });
+    } else {
+      const word = match[6];
+      const lower = word.toLowerCase();
+      if (['true', 'false', 'null'].includes(lower)) {
+        tokens.push({ type: 'literal', value: lower === 'null' ? null : lower === 'true' });
+      } else if (['eq', 'ne', 'gt', 'ge', 'lt', 'le', 'and', 'or', 'not'].includes(lower)) {
+        tokens.push({ type: 'operator', value: lower });
+      } else {
+        tokens.push({ type: 'name', value: word });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Compiles an OData $filter expression into a predicate. Supports comparisons
+ * (eq, ne, gt, ge, lt, le), and/or/not, parentheses and the contains, startswith
+ * and endswith functions.
+ * @param {string} expression - $filter value
+ * @returns {Function} - (item) => boolean
+ */
+function compileFilter(expression) {
+  const tokens = tokenizeFilter(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const fail = () => {
+    throw graphError(400, 'BadRequest', `Invalid filter clause: '${expression}' is not supported by the emulator.`);
+  };
+  const expect = type => {
+    const token = tokens[position++];
+    if (!token || token.type !== type) {
+      fail();
+    }
+    return token;
+  };
+  const isOperator = value => peek() && peek().type === 'operator' && peek().value === value;
+
+  const parseOperand = () => {
+    const token = tokens[position++];
+    if (!token) {
+      fail();
+    }
+    if (token.type === 'literal') {
+      return () => token.value;
+    }
+    if (token.type === 'name') {
+      return item => getProperty(item, token.value);
+    }
+    fail();
+  };
+
+  const parseFunction = name => {
+    expect('(');
+    const target = parseOperand();
+    expect(',');
+    const argument = parseOperand();
+    expect(')');
+    const test = {
+      contains: (value, search) => value.includes(search),
+      startswith: (value, search) => value.startsWith(search),
+      endswith: (value, search) => value.endsWith(search)
+    }[name];
+    return item => {
+      const value = target(item);
+      const search = argument(item);
+      return typeof value === 'string' && typeof search === 'string' &&
+        test(value.toLowerCase(), search.toLowerCase());
+    };
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      fail();
+    }
+    if (token.type === '(') {
+      position++;
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'operator' && token.value === 'not') {
+      position++;
+      const inner = parsePrimary();
+      return item => !inner(item);
+    }
+    if (token.type === 'name' && ['contains', 'startswith', 'endswith'].includes(token.value.toLowerCase()) &&
+        tokens[position + 1] && tokens[position + 1].type === '(') {
+      position++;
+      return parseFunction(token.value.toLowerCase());
+    }
+
+    const left = parseOperand();
+    const operator = tokens[position++];
+    if (!operator || operator.type !== 'operator' || ['and', 'or', 'not'].includes(operator.value)) {
+      fail();
+    }
+    const right = parseOperand();
+    const check = {
+      eq: order => order === 0,
+      ne: order => order !== 0,
+      gt: order => order > 0,
+      ge: order => order >= 0,
+      lt: order => order < 0,
+      le: order => order <= 0
+    }[operator.value];
+    return item => check(compareValues(left(item), right(item)));
+  };
+
+  const parseAnd = () => {
+    let predicate = parsePrimary();
+    while (isOperator('and')) {
+      position++;
+      const left = predicate;
+      const right = parsePrimary();
+      predicate = item => left(item) && right(item);
+    }
+    return predicate;
+  };
+
+  const parseOr = () => {
+    let predicate = parseAnd();
+    while (isOperator('or')) {
+      position++;
+      const left = predicate;
+      const right = parseAnd();
+      predicate = item => left(item) || right(item);
+    }
+    return predicate;
+  };
+
+  const predicate = parseOr();
+  if (position < tokens.length) {
+    fail();
+  }
+  return predicate;
+}
+
+/**
+ * Compiles a message $search (KQL) expression into a predicate. Terms are ANDed;
+ * `subject:`, `from:`, `to:`, `cc:` and `body:` restrict a term to one property,
+ * bare terms match subject, body and sender.
+ * @param {string} expression - $search value, with or without surrounding quotes
+ * @returns {Function} - (message) => boolean
+ */
+function compileSearch(expression) {
+  let text = expression.trim();
+  if (/^"[^"]*"$/.test(text)) {
+    text = text.slice(1, -1);
+  }
+
+  const recipients = list => (list || [])
+    .map(recipient => `${recipient.emailAddress.name || ''} ${recipient.emailAddress.address || ''}`)
+    .join(' ');
+  const fields = {
+    subject: message => message.subject || '',
+    from: message => recipients(message.from ? [message.from] : []),
+    to: message => recipients(message.toRecipients),
+    cc: message => recipients(message.ccRecipients),
+    body: message => (message.body && message.body.content) || ''
+  };
+
+  const terms = [];
+  const pattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const property = (match[1] || match[3] || '').toLowerCase();
+    const value = (match[2] || match[4] || match[5] || match[6] || '').toLowerCase();
+    if (!property && ['and', 'or'].includes(value)) {
+      continue;
+    }
+    terms.push(property && fields[property]
+      ? message => fields[property](message).toLowerCase().includes(value)
+      : message => ['subject', 'from', 'body'].some(field => fields[field](message).toLowerCase().includes(value)));
+  }
+
+  return message => terms.every(term => term(message));
+}
+
+/**
+ * Sorts items by an $orderby expression such as `receivedDateTime desc`
+ * @param {Array<object>} items - Resources
+ * @param {string} expression - $orderby value
+ * @returns {Array<object>} - Sorted copy
+ */
+function orderItems(items, expression) {
+  const keys = expression.split(',').map(part => {
+    const [path, direction] = part.trim().split(/\s+/);
+    return { path, sign: direction && direction.toLowerCase() === 'desc' ? -1 : 1 };
+  });
+  return [...items].sort((a, b) => {
+    for (const { path, sign } of keys) {
+      const order = compareValues(getProperty(a, path), getProperty(b, path));
+      if (order !== 0) {
+        return sign * order;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Keeps the $select-ed properties of a resource (plus its id)
+ * @param {object} item - Resource
+ * @param {string} select - $select value
+ * @returns {object} - Projected resource
+ */
+function selectProperties(item, select) {
+  if (!select) {
+    return item;
+  }
+  const names = ['id', ...select.split(',').map(name => name.trim())];
+  const projected = {};
+  for (const name of names) {
+    const key = Object.keys(item).find(property => property.toLowerCase() === name.toLowerCase());
+    if (key !== undefined) {
+      projected[key] = item[key];
+    }
+  }
+  return projected;
+}
+
+/**
+ * Builds a text preview of a message or event body
+ * @param {object} body - Graph body ({ contentType, content })
+ * @returns {string} - Preview
+ */
+function previewOf(body) {
+  const content = (body && body.content) || '';
+  return content.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 255);
+}
+
+/**
+ * Returns the default mailbox contents: a few messages, a custom folder, a rule and
+ * two upcoming events
+ * @param {Date} now - Reference time
+ * @returns {object} - Seed ({ folders, messages, rules, events })
+ */
+function defaultSeed(now = new Date()) {
+  const daysAgo = days => new Date(now.getTime() - days * 86400000).toISOString();
+  const inDays = (days, hour) => {
+    const date = new Date(now.getTime() + days * 86400000);
+    date.setUTCHours(hour, 0, 0, 0);
+    return date.toISOString().replace('Z', '');
+  };
+  const address = (name, mail) => ({ emailAddress: { name, address: mail } });
+
+  return {
+    folders: [
+      { id: 'projects', displayName: 'Projects', parentFolderId: 'inbox' }
+    ],
+    messages: [
+      {
+        folder: 'inbox',
+        subject: 'Important Meeting Tomorrow',
+        from: address('John Doe', 'john@example.com'),
+        body: { contentType: 'text', content: "Let's discuss the project status before the review." },
+        receivedDateTime: daysAgo(0),
+        importance: 'high',
+        conversationId: 'conversation-meeting'
+      },
+      {
+        folder: 'inbox',
+        subject: 'Weekly Report',
+        from: address('Jane Smith', 'jane@example.com'),
+        body: { contentType: 'text', content: 'Please find attached the weekly report.' },
+        receivedDateTime: daysAgo(1),
+        isRead: true,
+        attachments: [{ name: 'report.txt', contentType: 'text/plain', contentBytes: Buffer.from('Weekly numbers').toString('base64') }]
+      },
+      {
+        folder: 'inbox',
+        subject: 'Re: Important Meeting Tomorrow',
+        from: address('Bob Johnson', 'bob@example.com'),
+        body: { contentType: 'text', content: 'I had a question about the timeline.' },
+        receivedDateTime: daysAgo(2),
+        conversationId: 'conversation-meeting'
+      },
+      {
+        folder: 'projects',
+        subject: 'Project kickoff notes',
+        from: address('Jane Smith', 'jane@example.com'),
+        body: { contentType: 'text', content: 'Notes from the kickoff meeting.' },
+        receivedDateTime: daysAgo(5),
+        isRead: true
+      }
+    ],
+    rules: [
+      {
+        displayName: 'Move newsletters',
+        sequence: 1,
+        conditions: { fromAddresses: [address('News', 'news@example.com')] },
+        actions: { moveToFolder: 'archive', stopProcessingRules: true }
+      }
+    ],
+    events: [
+      {
+        subject: 'Project review',
+        start: { dateTime: inDays(1, 9), timeZone: 'UTC' },
+        end: { dateTime: inDays(1, 10), timeZone: 'UTC' },
+        location: { displayName: 'Room 1' },
+        organizer: address('John Doe', 'john@example.com'),
+        attendees: [{ type: 'required', ...address('You', 'you@example.com'), status: { response: 'none' } }],
+        responseStatus: { response: 'notResponded' }
+      },
+      {
+        subject: 'Team lunch',
+        start: { dateTime: inDays(2, 12), timeZone: 'UTC' },
+        end: { dateTime: inDays(2, 13), timeZone: 'UTC' },
+        location: { displayName: 'Cafeteria' }
+      }
+    ]
+  };
+}
+
+/**
+ * Stateful Microsoft Graph emulator, served over HTTP on localhost
+ */
+class GraphEmulator {
+  /**
+   * @param {object} options - Emulator options
+   * @param {object} options.user - Mailbox owner ({ name, address })
+   * @param {object|false} options.seed - Initial mailbox contents (see defaultSeed), or false for an empty mailbox
+   */
+  constructor({ user = { name: 'You', address: 'you@example.com' }, seed } = {}) {
+    this.user = user;
+    this.baseUrl = null;
+    this.server = null;
+    this.requests = [];
+    this.reset(seed);
+
+    this.routes = [
+      ['GET', /^me$/i, () => this.getProfile()],
+      ['GET', /^me\/mailfolders$/i, request => this.listFolders(ROOT_FOLDER_ID, request)],
+      ['POST', /^me\/mailfolders$/i, ({ body }) => this.createFolder(ROOT_FOLDER_ID, body)],
+      ['GET', /^me\/mailfolders\/([^/]+)$/i, ({ params }) => this.serializeFolder(this.findFolder(params[0]))],
+      ['GET', /^me\/mailfolders\/([^/]+)\/childfolders$/i, request => this.listFolders(this.findFolder(request.params[0]).id, request)],
+      ['POST', /^me\/mailfolders\/([^/]+)\/childfolders$/i, ({ params, body }) => this.createFolder(this.findFolder(params[0]).id, body)],
+      ['GET', /^me\/mailfolders\/([^/]+)\/messages$/i, request => this.listMessages(this.findFolder(request.params[0]).id, request)],
+      ['GET', /^me\/mailfolders\/([^/]+)\/messagerules$/i, request => this.listRules(request.params[0], request)],
+      ['POST', /^me\/mailfolders\/([^/]+)\/messagerules$/i, ({ params, body }) => this.createRule(params[0], body)],
+      ['GET', /^me\/mailfolders\/([^/]+)\/messagerules\/([^/]+)$/i, ({ params }) => this.findRule(params[0], params[1])],
+      ['PATCH', /^me\/mailfolders\/([^/]+)\/messagerules\/([^/]+)$/i, ({ params, body }) => this.updateRule(params[0], params[1], body)],
+      ['DELETE', /^me\/mailfolders\/([^/]+)\/messagerules\/([^/]+)$/i, ({ params }) => this.deleteRule(params[0], params[1])],
+      ['GET', /^me\/messages$/i, request => this.listMessages(null, request)],
+      ['POST', /^me\/messages$/i, ({ body }) => this.createDraft(body)],
+      ['GET', /^me\/messages\/([^/]+)$/i, ({ params }) => this.serializeMessage(this.findMessage(params[0]))],
+      ['PATCH', /^me\/messages\/([^/]+)$/i, ({ params, body }) => this.updateMessage(params[0], body)],
+      ['DELETE', /^me\/messages\/([^/]+)$/i, ({ params }) => this.deleteMessage(params[0])],
+      ['POST', /^me\/messages\/([^/]+)\/move$/i, ({ params, body }) => this.moveMessage(params[0], body)],
+      ['GET', /^me\/messages\/([^/]+)\/attachments$/i, request => this.listAttachments(request.params[0], request)],
+      ['GET', /^me\/messages\/([^/]+)\/attachments\/([^/]+)$/i, ({ params }) => this.findAttachment(params[0], params[1])],
+      ['POST', /^me\/sendmail$/i, ({ body }) => this.sendMail(body)],
+      ['POST', /^me\/revokesigninsessions$/i, () => ({ value: true })],
+      ['GET', /^me\/events$/i, request => this.listEvents(request)],
+      ['POST', /^me\/events$/i, ({ body }) => this.createEvent(body)],
+      ['GET', /^me\/events\/([^/]+)$/i, ({ params }) => this.serializeEvent(this.findEvent(params[0]))],
+      ['PATCH', /^me\/events\/([^/]+)$/i, ({ params, body }) => this.updateEvent(params[0], body)],
+      ['DELETE', /^me\/events\/([^/]+)$/i, ({ params }) => this.deleteEvent(params[0])],
+      ['POST', /^me\/events\/([^/]+)\/(accept|decline|tentativelyaccept|cancel)$/i, ({ params }) => this.respondToEvent(params[0], params[1])],
+      ['GET', /^me\/calendarview$/i, request => this.calendarView(request)],
+      ['POST', /^\$batch$/i, ({ body }) => this.batch(body)]
+    ];
+  }
+
+  /**
+   * Replaces the mailbox contents
+   * @param {object|false} seed - Mailbox contents (see defaultSeed), or false for an empty mailbox
+   */
+  reset(seed = defaultSeed()) {
+    const contents = seed || {};
+    this.sequence = 0;
+    this.folders = new Map();
+    this.messages = new Map();
+    this.rules = new Map();
+    this.events = new Map();
+
+    for (const [id, displayName] of Object.entries(WELL_KNOWN_FOLDERS)) {
+      this.folders.set(id, { id, displayName, parentFolderId: ROOT_FOLDER_ID });
+    }
+    for (const folder of contents.folders || []) {
+      const id = folder.id || this.nextId('folder');
+      this.folders.set(id, { ...folder, id, parentFolderId: folder.parentFolderId || ROOT_FOLDER_ID });
+    }
+    for (const message of contents.messages || []) {
+      this.addMessage(message.folder || 'inbox', message);
+    }
+    for (const rule of contents.rules || []) {
+      this.createRule('inbox', rule);
+    }
+    for (const event of contents.events || []) {
+      this.addEvent(event);
+    }
+  }
+
+  /**
+   * Generates a new resource ID
+   * @param {string} kind - Resource kind, used as prefix
+   * @returns {string} - ID
+   */
+  nextId(kind) {
+    this.sequence++;
+    return `${kind}-${this.sequence}`;
+  }
+
+  /**
+   * Adds a message to a folder
+   * @param {string} folderId - Folder ID or well-known name
+   * @param {object} message - Message properties
+   * @returns {object} - Stored message
+   */
+  addMessage(folderId, message) {
+    const folder = this.findFolder(folderId);
+    const id = message.id || this.nextId('message');
+    const stored = {
+      subject: '',
+      body: { contentType: 'text', content: '' },
+      from: null,
+      toRecipients: [{ emailAddress: { ...this.user } }],
+      ccRecipients: [],
+      bccRecipients: [],
+      receivedDateTime: new Date().toISOString(),
+      importance: 'normal',
+      isRead: false,
+      isDraft: false,
+      conversationId: `conversation-${id}`,
+      internetMessageHeaders: [],
+      ...message,
+      id,
+      parentFolderId: folder.id,
+      attachments: (message.attachments || []).map((attachment, index) => ({
+        '@odata.type': '#microsoft.graph.fileAttachment',
+        id: attachment.id || `attachment-${index + 1}`,
+        size: attachment.contentBytes ? Buffer.from(attachment.contentBytes, 'base64').length : 0,
+        isInline: false,
+        ...attachment
+      }))
+    };
+    delete stored.folder;
+    this.messages.set(id, stored);
+    return stored;
+  }
+
+  /**
+   * Adds an event to the calendar
+   * @param {object} event - Event properties
+   * @returns {object} - Stored event
+   */
+  addEvent(event) {
+    const id = event.id || this.nextId('event');
+    const stored = {
+      subject: '',
+      body: { contentType: 'text', content: '' },
+      location: { displayName: '' },
+      organizer: { emailAddress: { ...this.user } },
+      attendees: [],
+      isAllDay: false,
+      isCancelled: false,
+      responseStatus: { response: 'organizer' },
+      recurrence: null,
+      ...event,
+      id
+    };
+    this.events.set(id, stored);
+    return stored;
+  }
+
+  /**
+   * Starts serving the emulator on localhost
+   * @param {number} port - Port to listen on (0 picks a free one)
+   * @returns {Promise<string>} - Graph base URL to pass to setGraphBaseUrl
+   */
+  async start(port = 0) {
+    this.server = http.createServer((req, res) => this.serve(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', resolve);
+    });
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}/v1.0/`;
+    return this.baseUrl;
+  }
+
+  /**
+   * Stops the HTTP server
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  /**
+   * Handles one HTTP request
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   */
+  serve(req, res) {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      let response;
+      if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+        response = this.errorResponse(graphError(401, 'InvalidAuthenticationToken', 'Access token is empty.'));
+      } else if (!req.url.startsWith('/v1.0/')) {
+        response = this.errorResponse(graphError(400, 'BadRequest', 'Invalid version.'));
+      } else {
+        let body = null;
+        try {
+          body = raw ? JSON.parse(raw) : null;
+        } catch (error) {
+          response = this.errorResponse(graphError(400, 'BadRequest', 'Unable to read JSON request payload.'));
+        }
+        if (!response) {
+          response = this.handle(req.method, req.url.slice('/v1.0/'.length), body);
+        }
+      }
+
+      const payload = response.body === null || response.body === undefined ? '' : JSON.stringify(response.body);
+      res.writeHead(response.status, {
+        ...(payload ? { 'content-type': 'application/json' } : {}),
+        ...response.headers
+      });
+      res.end(payload);
+    });
+  }
+
+  /**
+   * Runs a Graph request against the emulated mailbox
+   * @param {string} method - HTTP method
+   * @param {string} url - Path relative to the version root, with query string
+   * @param {object} body - Parsed request body
+   * @returns {object} - Response ({ status, headers, body })
+   */
+  handle(method, url, body) {
+    const [rawPath, rawQuery = ''] = url.replace(/^\//, '').split('?');
+    const path = rawPath.split('/').map(segment => decodeURIComponent(segment)).join('/');
+    const query = Object.fromEntries(new URLSearchParams(rawQuery));
+    this.requests.push({ method, path, query, body });
+
+    try {
+      // Shared mailbox requests are answered from the one emulated mailbox
+      const routePath = path.replace(/^users\/[^/]+(?=\/|$)/i, 'me');
+      const route = this.routes.find(([routeMethod, pattern]) => routeMethod === method && pattern.test(routePath));
+      if (!route) {
+        throw graphError(400, 'BadRequest', `Resource not found for the segment '${path}'.`);
+      }
+
+      const params = route[1].exec(routePath).slice(1);
+      const result = route[2]({ params, query, path: rawPath, body: body || {} });
+      if (result && result.status) {
+        return { headers: {}, ...result };
+      }
+      return { status: method === 'POST' ? 201 : 200, headers: {}, body: result };
+    } catch (error) {
+      if (!error.status) {
+        logger.error(`${method} ${path} failed`, error);
+        return this.errorResponse(graphError(500, 'InternalServerError', error.message));
+      }
+      return this.errorResponse(error);
+    }
+  }
+
+  /**
+   * Converts a Graph error into a response
+   * @param {Error} error - Error from graphError
+   * @returns {object} - Response ({ status, headers, body })
+   */
+  errorResponse(error) {
+    return {
+      status: error.status,
+      headers: {},
+      body: { error: { code: error.code, message: error.message } }
+    };
+  }
+
+  /**
+   * Applies $filter, $search, $orderby, $skip, $top and $select to a collection
+   * and adds an @odata.nextLink when more items remain
+   * @param {Array<object>} items - Serialized resources
+   * @param {object} request - Request ({ query, path })
+   * @param {object} options - Collection options
+   * @param {Function} options.search - Compiles $search, if the collection supports it
+   * @returns {object} - Collection response ({ value, '@odata.nextLink' })
+   */
+  collection(items, request, { search } = {}) {
+    const query = request.query;
+    let result = items;
+
+    if (query.$filter) {
+      result = result.filter(compileFilter(query.$filter));
+    }
+    if (query.$search) {
+      if (!search) {
+        throw graphError(400, 'BadRequest', 'This request does not support $search.');
+      }
+      result = result.filter(search(query.$search));
+    }
+    if (query.$orderby) {
+      result = orderItems(result, query.$orderby);
+    }
+
+    const skip = Number(query.$skip) || 0;
+    const top = Number(query.$top) || DEFAULT_PAGE_SIZE;
+    const page = result.slice(skip, skip + top).map(item => selectProperties(item, query.$select));
+
+    const response = { value: page };
+    if (skip + top < result.length) {
+      const next = new URLSearchParams({ ...query, $skip: String(skip + top) });
+      response['@odata.nextLink'] = `${this.baseUrl || ''}${request.path}?${next.toString()}`;
+    }
+    return response;
+  }
+
+  /**
+   * Returns the mailbox owner's profile, as GET /me does
+   * @returns {object} - User resource
+   */
+  getProfile() {
+    return {
+      id: 'emulated-user',
+      displayName: this.user.name,
+      userPrincipalName: this.user.address,
+      mail: this.user.address
+    };
+  }
+
+  /**
+   * Finds a folder by ID or well-known name
+   * @param {string} id - Folder ID
+   * @returns {object} - Folder
+   */
+  findFolder(id) {
+    const key = [...this.folders.keys()].find(folderId => folderId.toLowerCase() === String(id).toLowerCase());
+    if (!key) {
+      throw notFound();
+    }
+    return this.folders.get(key);
+  }
+
+  /**
+   * Adds the computed counts to a folder
+   * @param {object} folder - Stored folder
+   * @returns {object} - Graph mailFolder
+   */
+  serializeFolder(folder) {
+    const messages = [...this.messages.values()].filter(message => message.parentFolderId === folder.id);
+    return {
+      ...folder,
+      childFolderCount: [...this.folders.values()].filter(child => child.parentFolderId === folder.id).length,
+      totalItemCount: messages.length,
+      unreadItemCount: messages.filter(message => !message.isRead).length
+    };
+  }
+
+  /**
+   * Lists the folders directly under a folder
+   * @param {string} parentId - Parent folder ID
+   * @param {object} request - Request
+   * @returns {object} - Collection response
+   */
+  listFolders(parentId, request) {
+    return this.collection([...this.folders.values()]
+      .filter(folder => folder.parentFolderId === parentId)
+      .map(folder => this.serializeFolder(folder)), request);
+  }
+
+  /**
+   * Creates a folder; names must be unique among siblings
+   * @param {string} parentId - Parent folder ID
+   * @param {object} body - mailFolder ({ displayName })
+   * @returns {object} - Created folder
+   */
+  createFolder(parentId, body) {
+    if (!body.displayName) {
+      throw graphError(400, 'ErrorInvalidParameter', 'The displayName property is required.');
+    }
+    const exists = [...this.folders.values()].some(folder =>
+      folder.parentFolderId === parentId && folder.displayName.toLowerCase() === body.displayName.toLowerCase());
+    if (exists) {
+      throw graphError(409, 'ErrorFolderExists', 'A folder with the specified name already exists.');
+    }
+    const folder = { id: this.nextId('folder'), displayName: body.displayName, parentFolderId: parentId };
+    this.folders.set(folder.id, folder);
+    return this.serializeFolder(folder);
+  }
+
+  /**
+   * Finds a stored message
+   * @param {string} id - Message ID
+   * @returns {object} - Stored message
+   */
+  findMessage(id) {
+    const message = this.messages.get(id);
+    if (!message) {
+      throw notFound();
+    }
+    return message;
+  }
+
+  /**
+   * Converts a stored message into its Graph representation
+   * @param {object} message - Stored message
+   * @returns {object} - Graph message
+   */
+  serializeMessage(message) {
+    const { attachments, ...properties } = message;
+    return {
+      ...properties,
+      bodyPreview: previewOf(message.body),
+      hasAttachments: attachments.length > 0,
+      sentDateTime: message.sentDateTime || message.receivedDateTime
+    };
+  }
+
+  /**
+   * Lists the messages in a folder, or in the whole mailbox
+   * @param {string|null} folderId - Folder ID, or null for all folders
+   * @param {object} request - Request
+   * @returns {object} - Collection response
+   */
+  listMessages(folderId, request) {
+    const messages = [...this.messages.values()]
+      .filter(message => folderId === null || message.parentFolderId === folderId)
+      .map(message => this.serializeMessage(message));
+    return this.collection(messages, request, { search: compileSearch });
+  }
+
+  /**
+   * Creates a draft in the Drafts folder
+   * @param {object} body - Message properties
+   * @returns {object} - Created draft
+   */
+  createDraft(body) {
+    const draft = this.addMessage('drafts', {
+      subject: body.subject || '',
+      body: body.body || { contentType: 'text', content: '' },
+      toRecipients: body.toRecipients || [],
+      ccRecipients: body.ccRecipients || [],
+      bccRecipients: body.bccRecipients || [],
+      importance: body.importance || 'normal',
+      from: { emailAddress: { ...this.user } },
+      isRead: true,
+      isDraft: true
+    });
+    return this.serializeMessage(draft);
+  }
+
+  /**
+   * Updates message properties such as isRead
+   * @param {string} id - Message ID
+   * @param {object} body - Changed properties
+   * @returns {object} - Updated message
+   */
+  updateMessage(id, body) {
+    const message = this.findMessage(id);
+    const { id: ignoredId, parentFolderId, attachments, ...changes } = body;
+    Object.assign(message, changes);
+    return this.serializeMessage(message);
+  }
+
+  /**
+   * Deletes a message
+   * @param {string} id - Message ID
+   * @returns {object} - 204 response
+   */
+  deleteMessage(id) {
+    const message = this.findMessage(id);
+    // Like Outlook, deleting moves to Deleted Items; deleting from there is permanent
+    if (message.parentFolderId === 'deleteditems') {
+      this.messages.delete(id);
+    } else {
+      message.parentFolderId = 'deleteditems';
+    }
+    return { status: 204, body: null };
+  }
+
+  /**
+   * Moves a message to another folder
+   * @param {string} id - Message ID
+   * @param {object} body - Move payload ({ destinationId })
+   * @returns {object} - Moved message
+   */
+  moveMessage(id, body) {
+    const message = this.findMessage(id);
+    if (!body.destinationId) {
+      throw graphError(400, 'ErrorInvalidParameter', 'The destinationId property is required.');
+    }
+    message.parentFolderId = this.findFolder(body.destinationId).id;
+    return this.serializeMessage(message);
+  }
+
+  /**
+   * Lists the attachments of a message
+   * @param {string} messageId - Message ID
+   * @param {object} request - Request
+   * @returns {object} - Collection response
+   */
+  listAttachments(messageId, request) {
+    return this.collection(this.findMessage(messageId).attachments, request);
+  }
+
+  /**
+   * Finds an attachment of a message
+   * @param {string} messageId - Message ID
+   * @param {string} attachmentId - Attachment ID
+   * @returns {object} - Attachment
+   */
+  findAttachment(messageId, attachmentId) {
+    const attachment = this.findMessage(messageId).attachments.find(item => item.id === attachmentId);
+    if (!attachment) {
+      throw notFound();
+    }
+    return attachment;
+  }
+
+  /**
+   * Sends a message: saves it to Sent Items and delivers copies addressed to the mailbox owner
+   * @param {object} body - sendMail payload ({ message, saveToSentItems })
+   * @returns {object} - 202 response
+   */
+  sendMail(body) {
+    const message = body.message;
+    if (!message || !message.toRecipients || message.toRecipients.length === 0) {
+      throw graphError(400, 'ErrorInvalidRecipients', 'At least one recipient is not valid.');
+    }
+    const sent = {
+      subject: message.subject || '',
+      body: message.body || { contentType: 'text', content: '' },
+      from: { emailAddress: { ...this.user } },
+      toRecipients: message.toRecipients,
+      ccRecipients: message.ccRecipients || [],
+      bccRecipients: message.bccRecipients || [],
+      importance: message.importance || 'normal',
+      receivedDateTime: new Date().toISOString()
+    };
+
+    if (body.saveToSentItems !== false && body.saveToSentItems !== 'false') {
+      this.addMessage('sentitems', { ...sent, isRead: true });
+    }
+
+    // Mail addressed to the mailbox owner is delivered to the inbox
+    const recipients = [...sent.toRecipients, ...sent.ccRecipients, ...sent.bccRecipients];
+    if (recipients.some(recipient => recipient.emailAddress.address.toLowerCase() === this.user.address.toLowerCase())) {
+      this.addMessage('inbox', sent);
+    }
+
+    return { status: 202, body: null };
+  }
+
+  /**
+   * Finds an inbox rule
+   * @param {string} folderId - Folder ID (rules only exist on the Inbox)
+   * @param {string} id - Rule ID
+   * @returns {object} - Rule
+   */
+  findRule(folderId, id) {
+    if (this.findFolder(folderId).id !== 'inbox') {
+      throw graphError(400, 'ErrorInvalidParameter', 'Message rules are only supported on the Inbox.');
+    }
+    const rule = this.rules.get(id);
+    if (!rule) {
+      throw notFound();
+    }
+    return rule;
+  }
+
+  /**
+   * Lists the inbox rules
+   * @param {string} folderId - Folder ID (rules only exist on the Inbox)
+   * @param {object} request - Request
+   * @returns {object} - Collection response
+   */
+  listRules(folderId, request) {
+    if (this.findFolder(folderId).id !== 'inbox') {
+      throw graphError(400, 'ErrorInvalidParameter', 'Message rules are only supported on the Inbox.');
+    }
+    return this.collection([...this.rules.values()], request);
+  }
+
+  /**
+   * Creates an inbox rule
+   * @param {string} folderId - Folder ID (rules only exist on the Inbox)
+   * @param {object} body - messageRule
+   * @returns {object} - Created rule
+   */
+  createRule(folderId, body) {
+    if (this.findFolder(folderId).id !== 'inbox') {
+      throw graphError(400, 'ErrorInvalidParameter', 'Message rules are only supported on the Inbox.');
+    }
+    if (!body.displayName) {
+      throw graphError(400, 'ErrorInvalidParameter', 'The displayName property is required.');
+    }
+    const rule = {
+      sequence: this.rules.size + 1,
+      isEnabled: true,
+      isReadOnly: false,
+      hasError: false,
+      conditions: {},
+      actions: {},
+      exceptions: {},
+      ...body,
+      id: this.nextId('rule')
+    };
+    this.rules.set(rule.id, rule);
+    return rule;
+  }
+
+  /**
+   * Updates an inbox rule
+   * @param {string} folderId - Folder ID
+   * @param {string} id - Rule ID
+   * @param {object} body - Changed properties
+   * @returns {object} - Updated rule
+   */
+  updateRule(folderId, id, body) {
+    const rule = this.findRule(folderId, id);
+    const { id: ignoredId, ...changes } = body;
+    Object.assign(rule, changes);
+    return rule;
+  }
+
+  /**
+   * Deletes an inbox rule
+   * @param {string} folderId - Folder ID
+   * @param {string} id - Rule ID
+   * @returns {object} - 204 response
+   */
+  deleteRule(folderId, id) {
+    this.findRule(folderId, id);
+    this.rules.delete(id);
+    return { status: 204, body: null };
+  }
+
+  /**
+   * Finds a stored event
+   * @param {string} id - Event ID
+   * @returns {object} - Stored event
+   */
+  findEvent(id) {
+    const event = this.events.get(id);
+    if (!event) {
+      throw notFound();
+    }
+    return event;
+  }
+
+  /**
+   * Converts a stored event into its Graph representation
+   * @param {object} event - Stored event
+   * @returns {object} - Graph event
+   */
+  serializeEvent(event) {
+    return { ...event, bodyPreview: previewOf(event.body) };
+  }
+
+  /**
+   * Lists the events in the calendar
+   * @param {object} request - Request
+   * @returns {object} - Collection response
+   */
+  listEvents(request) {
+    return this.collection([...this.events.values()].map(event => this.serializeEvent(event)), request);
+  }
+
+  /**
+   * Creates an event organized by the mailbox owner
+   * @param {object} body - Event properties
+   * @returns {object} - Created event
+   */
+  createEvent(body) {
+    if (!body.start || !body.end) {
+      throw graphError(400, 'ErrorInvalidParameter', 'The start and end properties are required.');
+    }
+    return this.serializeEvent(this.addEvent({ ...body, id: undefined }));
+  }
+
+  /**
+   * Updates event properties
+   * @param {string} id - Event ID
+   * @param {object} body - Changed properties
+   * @returns {object} - Updated event
+   */
+  updateEvent(id, body) {
+    const event = this.findEvent(id);
+    const { id: ignoredId, ...changes } = body;
+    Object.assign(event, changes);
+    return this.serializeEvent(event);
+  }
+
+  /**
+   * Deletes an event
+   * @param {string} id - Event ID
+   * @returns {object} - 204 response
+   */
+  deleteEvent(id) {
+    this.findEvent(id);
+    this.events.delete(id);
+    return { status: 204, body: null };
+  }
+
+  /**
+   * Accepts, declines or tentatively accepts an invitation, or cancels an event the owner organized
+   * @param {string} id - Event ID
+   * @param {string} action - accept, decline, tentativelyaccept or cancel
+   * @returns {object} - 202 response
+   */
+  respondToEvent(id, action) {
+    const event = this.findEvent(id);
+    const isOrganizer = event.responseStatus.response === 'organizer';
+
+    if (action === 'cancel') {
+      if (!isOrganizer) {
+        throw graphError(400, 'ErrorAccessDenied', 'Your request can\'t be completed. You need to be an organizer to cancel a meeting.');
+      }
+      event.isCancelled = true;
+    } else {
+      if (isOrganizer) {
+        throw graphError(400, 'ErrorInvalidRequest', 'Your request can\'t be completed. You can\'t respond to a meeting you organized.');
+      }
+      event.responseStatus = {
+        response: { accept: 'accepted', decline: 'declined', tentativelyaccept: 'tentativelyAccepted' }[action],
+        time: new Date().toISOString()
+      };
+    }
+    return { status: 202, body: null };
+  }
+
+  /**
+   * Lists the events overlapping the startDateTime/endDateTime window
+   * @param {object} request - Request
+   * @returns {object} - Collection response
+   */
+  calendarView(request) {
+    const start = parseDateTime(request.query.startDateTime);
+    const end = parseDateTime(request.query.endDateTime);
+    if (start === null || end === null) {
+      throw graphError(400, 'ErrorInvalidParameter', "This request requires a time window specified by the query string parameters StartDateTime and EndDateTime.");
+    }
+    return this.collection([...this.events.values()]
+      .filter(event => parseDateTime(event.start.dateTime) < end && parseDateTime(event.end.dateTime) > start)
+      .map(event => this.serializeEvent(event)), request);
+  }
+
+  /**
+   * Runs a JSON batch. Sub-requests run in order; a request whose dependency failed
+   * gets 424 without running.
+   * @param {object} body - Batch payload ({ requests })
+   * @returns {object} - Batch response ({ responses })
+   */
+  batch(body) {
+    const requests = body.requests || [];
+    if (requests.length > MAX_BATCH_SIZE) {
+      throw graphError(400, 'BadRequest', `The number of requests in a batch cannot exceed ${MAX_BATCH_SIZE}.`);
+    }
+
+    const outcomes = new Map();
+    const responses = requests.map(request => {
+      const failedDependency = (request.dependsOn || []).some(id => !outcomes.get(String(id)));
+      let response;
+      if (failedDependency) {
+        response = this.errorResponse(graphError(424, 'FailedDependency', 'A request this request depends on failed.'));
+      } else {
+        response = this.handle(request.method, request.url, request.body || null);
+      }
+      outcomes.set(String(request.id), response.status >= 200 && response.status < 300);
+      return { id: request.id, status: response.status, headers: response.headers, body: response.body };
+    });
+
+    return { status: 200, body: { responses } };
+  }
+}
+
+module.exports = {
+  GraphEmulator,
+  defaultSeed,
+  compileFilter,
+  compileSearch
+};
+
+// Standalone mode: `npm run graph-emulator`
+if (require.main === module) {
+  const emulator = new GraphEmulator();
+  emulator.start(Number(process.env.GRAPH_EMULATOR_PORT || 4001)).then(baseUrl => {
+    logger.info(`Graph emulator listening. Start the server with GRAPH_API_ENDPOINT=${baseUrl}`);
+  }).catch(error => {
+    // e.g. EADDRINUSE when the port is taken
+    logger.error('Graph emulator could not start', error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,399 @@
+/**
+ * Record/replay fixtures for Microsoft Graph traffic
+ *
+ * In record mode every request callGraphAPI sends, and the response it gets, is
+ * appended to a JSON fixture file. In replay mode responses come from that file
+ * instead of the network, so handlers can be regression-tested against captured
+ * mailbox behaviour.
+ *
+ * Fixtures are scrubbed before they are written: tokens and secrets are redacted,
+ * email addresses, display names, subjects and the terms of $search and $filter queries
+ * are replaced with stable pseudonyms, and message bodies, previews, headers and
+ * attachment contents are removed. Requests are matched on their scrubbed form, so
+ * replay is deterministic.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Placeholder stored in place of the Graph base URL
+ */
+const BASE_URL_PLACEHOLDER = '{{GRAPH_BASE_URL}}';
+
+/**
+ * Replacement for redacted values
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * Response headers worth keeping; the rest carry request IDs and diagnostics
+ */
+const KEPT_HEADERS = ['content-type', 'retry-after'];
+
+/**
+ * Properties whose values are always redacted
+ */
+const SECRET_KEYS = /token|secret|password|authorization|client_assertion/i;
+
+/**
+ * Free-text properties that are removed from fixtures
+ */
+const CONTENT_KEYS = ['bodyPreview', 'contentBytes', 'internetMessageHeaders', 'uniqueBody'];
+
+/**
+ * Domains used by test data, left as they are
+ */
+const SAFE_DOMAINS = /@(example\.(com|org|net)|contoso\.com)$/i;
+
+/**
+ * Name properties of user resources (such as GET /me), recognised by their userPrincipalName
+ */
+const USER_NAME_KEYS = ['displayName', 'givenName', 'surname'];
+
+/**
+ * Query options whose values carry search terms and literals
+ */
+const QUERY_KEYS = ['$search', '$filter'];
+
+/**
+ * Response properties holding Graph URLs, whose query is scrubbed like request URLs
+ */
+const LINK_KEYS = ['@odata.nextLink', '@odata.deltaLink'];
+
+/**
+ * KQL operators kept in $search values
+ */
+const SEARCH_OPERATORS = ['AND', 'OR', 'NOT'];
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const EXACT_EMAIL_PATTERN = /^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$/;
+const TERM_PSEUDONYM_PATTERN = /^term-[0-9a-f]{8}$/;
+const JWT_PATTERN = /eyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+const BEARER_PATTERN = /Bearer\s+\S+/gi;
+
+/**
+ * Returns a short, stable hash of a value
+ * @param {string} value - Value to hash
+ * @returns {string} - 8 hex characters
+ */
+function shortHash(value) {
+  return crypto.createHash('sha256').update(value.toLowerCase()).digest('hex').slice(0, 8);
+}
+
+/**
+ * Replaces an email address with a stable pseudonym
+ * @param {string} address - Email address
+ * @returns {string} - Pseudonymous address
+ */
+function pseudonymizeAddress(address) {
+  return SAFE_DOMAINS.test(address) ? address : `user-${shortHash(address)}@example.com`;
+}
+
+/**
+ * Scrubs tokens and email addresses from a string
+ * @param {string} text - Text to scrub
+ * @returns {string} - Scrubbed text
+ */
+function scrubString(text) {
+  return text
+    .replace(BEARER_PATTERN, `Bearer ${REDACTED}`)
+    .replace(JWT_PATTERN, REDACTED)
+    .replace(EMAIL_PATTERN, pseudonymizeAddress);
+}
+
+/**
+ * Replaces a search term or filter literal with a stable pseudonym. Pseudonyms are
+ * kept, so a recorded nextLink is matched again when it is replayed.
+ * @param {string} term - Term
+ * @returns {string} - Pseudonymous term (addresses stay addresses)
+ */
+function pseudonymizeTerm(term) {
+  if (!term || TERM_PSEUDONYM_PATTERN.test(term)) {
+    return term;
+  }
+  return EXACT_EMAIL_PATTERN.test(term) ? pseudonymizeAddress(term) : `term-${shortHash(term)}`;
+}
+
+/**
+ * Pseudonymises the terms of a $search value, keeping its shape: property prefixes,
+ * quotes and operators
+ * @param {string} search - $search value, e.g. subject:"budget" from:"a@example.com"
+ * @returns {string} - Scrubbed value
+ */
+function scrubSearch(search) {
+  return search.replace(/(\w+:)?("[^"]*"|[^\s"]+)/g, (token, property = '', term) => {
+    if (!property && SEARCH_OPERATORS.includes(term)) {
+      return token;
+    }
+    return term.startsWith('"')
+      ? `${property}"${pseudonymizeTerm(term.slice(1, -1))}"`
+      : `${property}${pseudonymizeTerm(term)}`;
+  });
+}
+
+/**
+ * Pseudonymises the string literals of a $filter value
+ * @param {string} filter - $filter value, e.g. conversationId eq 'abc'
+ * @returns {string} - Scrubbed value
+ */
+function scrubFilter(filter) {
+  return filter.replace(/'((?:[^']|'')*)'/g, (literal, term) => `'${pseudonymizeTerm(term.replace(/''/g, "'"))}'`);
+}
+
+/**
+ * Scrubs the query of a URL, pseudonymising its $search and $filter terms
+ * @param {string} url - URL
+ * @param {boolean} encoded - Whether the query is percent-encoded, as in a nextLink
+ * @returns {string} - Scrubbed URL
+ */
+function scrubUrl(url, encoded = false) {
+  const [pathPart, query] = url.split(/\?(.*)/s);
+  if (query === undefined) {
+    return scrubString(url);
+  }
+  const decode = text => (encoded ? decodeURIComponent(text.replace(/\+/g, ' ')) : text);
+  const params = query.split('&').map(param => {
+    const [name, value] = param.split(/=(.*)/s);
+    let option;
+    let term;
+    try {
+      option = decode(name);
+      term = value === undefined ? undefined : decode(value);
+    } catch (error) {
+      // Keep malformed escapes as they are
+      return param;
+    }
+    if (term === undefined || !QUERY_KEYS.includes(option)) {
+      return param;
+    }
+    const scrubbed = option === '$search' ? scrubSearch(term) : scrubFilter(term);
+    return `${name}=${encoded ? encodeURIComponent(scrubbed) : scrubbed}`;
+  });
+  return scrubString(`${pathPart}?${params.join('&')}`);
+}
+
+/**
+ * Scrubs tokens and PII from a request or response body
+ * @param {*} value - JSON value
+ * @param {string} key - Property name the value is stored under
+ * @returns {*} - Scrubbed copy
+ */
+function scrubValue(value, key = '') {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (SECRET_KEYS.test(key)) {
+    return REDACTED;
+  }
+  if (CONTENT_KEYS.includes(key)) {
+    return Array.isArray(value) ? [] : REDACTED;
+  }
+  if (typeof value === 'string') {
+    return scrubString(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => scrubValue(item));
+  }
+  if (typeof value === 'object') {
+    const isUser = typeof value.userPrincipalName === 'string';
+    const scrubbed = {};
+    for (const [name, item] of Object.entries(value)) {
+      if (((key === 'emailAddress' && name === 'name') || (isUser && USER_NAME_KEYS.includes(name))) &&
+        typeof item === 'string') {
+        scrubbed[name] = item ? `Person ${shortHash(item)}` : item;
+      } else if (isUser && name === 'userPrincipalName') {
+        scrubbed[name] = pseudonymizeAddress(item);
+      } else if (name === 'subject' && typeof item === 'string') {
+        scrubbed[name] = item ? `Subject ${shortHash(item)}` : item;
+      } else if (LINK_KEYS.includes(name) && typeof item === 'string') {
+        scrubbed[name] = scrubUrl(item, true);
+      } else if (key === 'body' && name === 'content') {
+        scrubbed[name] = REDACTED;
+      } else {
+        scrubbed[name] = scrubValue(item, name);
+      }
+    }
+    return scrubbed;
+  }
+  return value;
+}
+
+/**
+ * Turns a request URL into the form stored in fixtures: relative to the Graph
+ * base URL, percent-decoded and scrubbed (with $search and $filter terms pseudonymised)
+ * @param {string} url - Request URL
+ * @param {string} baseUrl - Graph base URL
+ * @returns {string} - Fixture URL
+ */
+function toFixtureUrl(url, baseUrl) {
+  let relative = url.startsWith(baseUrl) ? url.slice(baseUrl.length) : url;
+  try {
+    relative = decodeURIComponent(relative.replace(/\+/g, ' '));
+  } catch (error) {
+    // Keep malformed escapes as they are
+  }
+  return scrubUrl(relative);
+}
+
+/**
+ * Scrubs a response body, storing JSON bodies parsed and Graph URLs relative
+ * @param {string} body - Raw response body
+ * @param {string} baseUrl - Graph base URL
+ * @returns {*} - Fixture body
+ */
+function toFixtureBody(body, baseUrl) {
+  if (!body) {
+    return null;
+  }
+  const relative = body.split(baseUrl).join(BASE_URL_PLACEHOLDER);
+  try {
+    return scrubValue(JSON.parse(relative));
+  } catch (error) {
+    return scrubString(relative);
+  }
+}
+
+/**
+ * Key used to match a request against recorded interactions
+ * @param {string} method - HTTP method
+ * @param {string} url - Fixture URL
+ * @param {*} body - Scrubbed request body
+ * @returns {string} - Match key
+ */
+function interactionKey(method, url, body) {
+  return `${method.toUpperCase()} ${url} ${body === null || body === undefined ? '' : JSON.stringify(body)}`;
+}
+
+/**
+ * Writes every Graph request and response to a fixture file
+ */
+class GraphFixtureRecorder {
+  /**
+   * @param {string} file - Fixture file; it is overwritten
+   */
+  constructor(file) {
+    this.file = file;
+    this.interactions = [];
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.save();
+  }
+
+  /**
+   * Sends a request and records the exchange
+   * @param {object} request - Request ({ method, url, data, baseUrl })
+   * @param {Function} send - Sends the request, resolving to { statusCode, headers, body }
+   * @returns {Promise<object>} - The real response
+   */
+  async send(request, send) {
+    const response = await send();
+    const headers = {};
+    for (const name of KEPT_HEADERS) {
+      if (response.headers && response.headers[name] !== undefined) {
+        headers[name] = response.headers[name];
+      }
+    }
+
+    this.interactions.push({
+      request: {
+        method: request.method.toUpperCase(),
+        url: toFixtureUrl(request.url, request.baseUrl),
+        body: scrubValue(request.data === undefined ? null : request.data)
+      },
+      response: {
+        status: response.statusCode,
+        headers,
+        body: toFixtureBody(response.body, request.baseUrl)
+      }
+    });
+    this.save();
+    return response;
+  }
+
+  /**
+   * Writes the recorded interactions to the fixture file
+   */
+  save() {
+    fs.writeFileSync(this.file, `${JSON.stringify({ interactions: this.interactions }, null, 2)}\n`);
+  }
+}
+
+/**
+ * Answers Graph requests from a fixture file
+ */
+class GraphFixtureReplayer {
+  /**
+   * @param {string} file - Fixture file written by GraphFixtureRecorder
+   */
+  constructor(file) {
+    this.file = file;
+    const { interactions } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    this.interactions = interactions.map(interaction => ({ ...interaction, used: false }));
+  }
+
+  /**
+   * Returns the first unused recorded response for a request. Repeated identical
+   * requests (such as retries) get the recorded responses in order.
+   * @param {object} request - Request ({ method, url, data, baseUrl })
+   * @returns {Promise<object>} - Recorded response ({ statusCode, headers, body })
+   * @throws {Error} - If the fixture has no matching interaction
+   */
+  async send(request) {
+    const url = toFixtureUrl(request.url, request.baseUrl);
+    const key = interactionKey(request.method, url, scrubValue(request.data === undefined ? null : request.data));
+    const interaction = this.interactions.find(candidate =>
+      !candidate.used &&
+      interactionKey(candidate.request.method, candidate.request.url, candidate.request.body) === key);
+
+    if (!interaction) {
+      const error = new Error(`No recorded Graph response for ${request.method.toUpperCase()} ${url} in ${this.file}`);
+      error.fixtureMiss = true;
+      throw error;
+    }
+
+    interaction.used = true;
+    const { status, headers, body } = interaction.response;
+    let payload = '';
+    if (body !== null && body !== undefined) {
+      payload = (typeof body === 'string' ? body : JSON.stringify(body)).split(BASE_URL_PLACEHOLDER).join(request.baseUrl);
+    }
+    return { statusCode: status, headers: headers || {}, body: payload };
+  }
+
+  /**
+   * Lists the recorded interactions no request has used yet
+   * @returns {Array<object>} - Unused interactions
+   */
+  unused() {
+    return this.interactions.filter(interaction => !interaction.used);
+  }
+}
+
+/**
+ * Creates a recorder or replayer for a fixture file
+ * @param {object} options - Fixture options
+ * @param {string} options.mode - 'record' or 'replay'
+ * @param {string} options.file - Fixture file
+ * @returns {GraphFixtureRecorder|GraphFixtureReplayer} - Fixture transport
+ */
+function createGraphFixtures({ mode, file }) {
+  if (!file) {
+    throw new Error('A fixture file is required to record or replay Graph traffic');
+  }
+  if (mode === 'record') {
+    return new GraphFixtureRecorder(file);
+  }
+  if (mode === 'replay') {
+    return new GraphFixtureReplayer(file);
+  }
+  throw new Error(`Unknown Graph fixture mode: ${mode} (expected record or replay)`);
+}
+
+module.exports = {
+  GraphFixtureRecorder,
+  GraphFixtureReplayer,
+  createGraphFixtures,
+  scrubValue,
+  scrubString,
+  scrubUrl
+};
@@ -0,0 +1,116 @@
+/**
+ * Retry policy for Microsoft Graph calls
+ *
+ * Graph throttles with 429 and sheds load with 503, usually sending a Retry-After
+ * header. Transient failures are retried with exponential backoff and jitter,
+ * honouring Retry-After, within a max-attempts and max-elapsed-time budget.
+ *
+ * Only idempotent methods are retried, with one exception: a throttled (429)
+ * request was rejected before Graph ran it, so it is safe to retry for any method.
+ */
+const config = require('../config');
+
+/**
+ * Status codes that indicate a transient failure
+ */
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+
+/**
+ * Methods that can be repeated without changing the result
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Default retry policy, from config
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: config.GRAPH_RETRY.maxAttempts,
+  maxElapsedMs: config.GRAPH_RETRY.maxElapsedMs,
+  baseDelayMs: config.GRAPH_RETRY.baseDelayMs,
+  maxDelayMs: config.GRAPH_RETRY.maxDelayMs
+};
+
+/**
+ * Checks whether a failed request may be retried
+ * @param {string} method - HTTP method
+ * @param {number|null} statusCode - Response status code, or null for a network error
+ * @returns {boolean} - Whether the request is retryable
+ */
+function isRetryable(method, statusCode) {
+  if (statusCode === 429) {
+    return true;
+  }
+
+  if (!IDEMPOTENT_METHODS.includes(String(method).toUpperCase())) {
+    return false;
+  }
+
+  return statusCode === null || RETRYABLE_STATUS_CODES.includes(statusCode);
+}
+
+/**
+ * Parses a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string} value - Header value
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} - Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (/^\s*\d+\s*$/.test(value)) {
+    return Number(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Computes the delay before the next attempt
+ * @param {object} options - Retry state
+ * @param {number} options.attempt - Number of the attempt that just failed (1-based)
+ * @param {number} options.elapsedMs - Time spent on the call so far
+ * @param {string} options.retryAfter - Retry-After header of the failed response
+ * @param {object} policy - Retry policy (see DEFAULT_RETRY_POLICY)
+ * @param {Function} random - Random number source, for jitter
+ * @returns {number|null} - Delay in milliseconds, or null when the budget is exhausted
+ */
+function getRetryDelay({ attempt, elapsedMs, retryAfter }, policy = DEFAULT_RETRY_POLICY, random = Math.random) {
+  if (attempt >= policy.maxAttempts) {
+    return null;
+  }
+
+  let delay = parseRetryAfter(retryAfter);
+  if (delay === null) {
+    // Exponential backoff with "equal jitter": half fixed, half random
+    const backoff = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+    delay = Math.round(backoff / 2 + random() * backoff / 2);
+  }
+
+  if (elapsedMs + delay > policy.maxElapsedMs) {
+    return null;
+  }
+
+  return delay;
+}
+
+/**
+ * Waits for the given time
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  RETRYABLE_STATUS_CODES,
+  IDEMPOTENT_METHODS,
+  DEFAULT_RETRY_POLICY,
+  isRetryable,
+  parseRetryAfter,
+  getRetryDelay,
+  sleep
+};
@@ -0,0 +1,193 @@
+/**
+ * Structured logging with redaction
+ *
+ * createLogger('graph-api') returns a logger with error/warn/info/debug methods that
+ * take a message and optional fields. Each entry is written as one line to stderr
+ * (stdout carries the JSON-RPC stream over stdio): JSON by default, or readable text
+ * with LOG_FORMAT=text.
+ *
+ * LOG_LEVEL sets the level for every module (error, warn, info, debug or silent;
+ * default info), and LOG_LEVEL_<MODULE> overrides it for one, e.g.
+ * LOG_LEVEL_GRAPH_API=debug or LOG_LEVEL_TOKEN_STORAGE=warn.
+ *
+ * Everything logged goes through redact() first: tokens, secrets, authorization codes
+ * and email bodies are replaced, and email addresses keep only their domain.
+ */
+
+/**
+ * Log levels, most severe first
+ */
+const LEVELS = {
+  silent: -1,
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+/**
+ * Field names whose values are always replaced (compared lowercase, without _ and -)
+ */
+const SECRET_KEYS = new Set([
+  'accesstoken', 'refreshtoken', 'idtoken', 'token', 'clientsecret', 'secret', 'password',
+  'codeverifier', 'devicecode', 'clientassertion', 'assertion', 'authorization',
+  'apikey', 'cookie', 'setcookie'
+]);
+
+/**
+ * Field names that mark an object as an OAuth request or callback, whose `code` field is an
+ * authorization code; elsewhere `code` is kept, as in Graph errors such as ErrorAccessDenied
+ */
+const AUTH_CODE_CONTEXT_KEYS = new Set(['granttype', 'redirecturi', 'codeverifier', 'state', 'sessionstate']);
+
+/**
+ * Field names holding message content, replaced by their length
+ */
+const CONTENT_KEYS = new Set(['body', 'content', 'bodypreview', 'uniquebody', 'contentbytes']);
+
+/**
+ * Secrets embedded in strings: JWTs, bearer headers, form/query fields and JSON properties
+ */
+const SECRET_PARAMS = 'access_token|refresh_token|id_token|client_secret|code|code_verifier|code_challenge|device_code|client_assertion|password|state';
+const STRING_PATTERNS = [
+  [/\b(Bearer)\s+[A-Za-z0-9._~+/=-]+/gi, '$1 [REDACTED]'],
+  [/\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g, '[REDACTED_TOKEN]'],
+  [new RegExp(`\\b(${SECRET_PARAMS})=[^&\\s"']+`, 'gi'), '$1=[REDACTED]'],
+  [new RegExp(`"(${SECRET_PARAMS})"\\s*:\\s*"[^"]*"`, 'gi'), '"$1":"[REDACTED]"'],
+  [/[A-Za-z0-9._%+-][A-Za-z0-9._%+'-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,})/g, '***@$1']
+];
+
+/**
+ * Nesting depth beyond which fields are not logged
+ */
+const MAX_DEPTH = 6;
+
+/**
+ * Redacts secrets and email addresses in a string
+ * @param {string} value - Text
+ * @returns {string} - Redacted text
+ */
+function redactString(value) {
+  return STRING_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+/**
+ * Returns a copy of a value that is safe to log
+ * @param {*} value - Value to log
+ * @param {number} depth - Current nesting depth
+ * @param {WeakSet} seen - Objects already visited, to stop at circular references
+ * @returns {*} - Redacted copy
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.code !== undefined ? { code: value.code } : {}),
+      ...(value.statusCode !== undefined ? { statusCode: value.statusCode } : {}),
+      ...(value.stack ? { stack: redactString(value.stack) } : {})
+    };
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const normalize = key => key.toLowerCase().replace(/[_-]/g, '');
+  const isAuthCodeContext = Object.keys(value).some(key => AUTH_CODE_CONTEXT_KEYS.has(normalize(key)));
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    const normalized = normalize(key);
+    const isSecret = SECRET_KEYS.has(normalized) || (normalized === 'code' && isAuthCodeContext);
+    if (isSecret && item !== undefined && item !== null && item !== '') {
+      copy[key] = '[REDACTED]';
+    } else if (CONTENT_KEYS.has(normalized) && typeof item === 'string') {
+      copy[key] = `[REDACTED ${item.length} chars]`;
+    } else if (CONTENT_KEYS.has(normalized) && item && typeof item === 'object') {
+      copy[key] = '[REDACTED]';
+    } else {
+      copy[key] = redact(item, depth + 1, seen);
+    }
+  }
+  return copy;
+}
+
+/**
+ * Returns the configured level for a module
+ * @param {string} module - Module name
+ * @returns {number} - Level (see LEVELS)
+ */
+function getLevel(module) {
+  const override = process.env[`LOG_LEVEL_${module.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`];
+  const name = (override || process.env.LOG_LEVEL || 'info').toLowerCase();
+  return name in LEVELS ? LEVELS[name] : LEVELS.info;
+}
+
+/**
+ * Formats an entry as a line of text
+ * @param {object} entry - Log entry ({ time, level, module, msg, ...fields })
+ * @returns {string} - Text line
+ */
+function formatText({ time, level, module, msg, ...fields }) {
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} [${module}] ${msg}${details ? ` ${details}` : ''}`;
+}
+
+/**
+ * Writes one entry if the module's level allows it
+ * @param {string} module - Module name
+ * @param {string} level - Entry level
+ * @param {string} message - Message
+ * @param {object} fields - Additional fields
+ */
+function write(module, level, message, fields) {
+  if (LEVELS[level] > getLevel(module)) {
+    return;
+  }
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    module,
+    msg: redactString(String(message)),
+    ...(fields instanceof Error ? { error: redact(fields) } : redact(fields || {}))
+  };
+  const line = process.env.LOG_FORMAT === 'text' ? formatText(entry) : JSON.stringify(entry);
+  // stderr, which stays free of protocol traffic in every transport
+  console.error(line);
+}
+
+/**
+ * Creates the logger for a module
+ * @param {string} module - Module name, used in entries and for LOG_LEVEL_<MODULE>
+ * @returns {object} - Logger ({ error, warn, info, debug, isEnabled })
+ */
+function createLogger(module) {
+  return {
+    error: (message, fields) => write(module, 'error', message, fields),
+    warn: (message, fields) => write(module, 'warn', message, fields),
+    info: (message, fields) => write(module, 'info', message, fields),
+    debug: (message, fields) => write(module, 'debug', message, fields),
+    isEnabled: level => LEVELS[level] <= getLevel(module)
+  };
+}
+
+module.exports = {
+  LEVELS,
+  redact,
+  createLogger
+};
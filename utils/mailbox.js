@@ -0,0 +1,163 @@
+/**
+ * Shared mailbox and delegate access
+ *
+ * Mailbox tools accept an optional `mailbox` argument (a user principal name or
+ * user object id). The tool call then runs inside runWithMailbox(), and
+ * callGraphAPI / callGraphBatch rewrite every `me/...` path to
+ * `users/{mailbox}/...`, so handlers keep addressing the signed-in user's mailbox
+ * and work unchanged against a shared or delegated one.
+ *
+ * Access depends on Exchange permissions (Full Access, folder delegation, Send As or
+ * Send on Behalf) plus the *.Shared delegated scopes; denials are turned into an
+ * error that says which of those is missing.
+ *
+ * In app-only mode there is no `me`: every request goes to the configured
+ * MS_APP_MAILBOX, and tool calls cannot name another mailbox.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+/**
+ * Input schema property added to mailbox tools
+ */
+const MAILBOX_PROPERTY = {
+  type: "string",
+  description: "Shared or delegated mailbox to use, as a user principal name (e.g. shared@contoso.com) or user id. Defaults to the signed-in user's own mailbox."
+};
+
+/**
+ * Delegated scopes needed to work with other users' mailboxes
+ */
+const SHARED_SCOPES = ['Mail.Read.Shared', 'Mail.ReadWrite.Shared', 'Mail.Send.Shared', 'Calendars.ReadWrite.Shared'];
+
+/**
+ * Accepted mailbox identifiers: a user principal name or a user object id
+ */
+const UPN_PATTERN = /^[A-Za-z0-9._%+'-]+@[A-Za-z0-9.-]+$/;
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Graph error codes returned for a mailbox that does not exist or cannot be reached
+ */
+const MAILBOX_NOT_FOUND_CODES = ['ErrorInvalidUser', 'MailboxNotEnabledForRESTAPI', 'ErrorNonExistentMailbox'];
+
+// Mailbox for the tool call being handled
+const mailboxContext = new AsyncLocalStorage();
+
+/**
+ * Checks a mailbox identifier
+ * @param {string} mailbox - User principal name or user id
+ * @returns {string} - The trimmed identifier
+ * @throws {Error} - If the value is neither a user principal name nor a user id
+ */
+function validateMailbox(mailbox) {
+  const value = String(mailbox).trim();
+  if (!UPN_PATTERN.test(value) && !GUID_PATTERN.test(value)) {
+    throw new Error(`Invalid mailbox "${mailbox}". Use a user principal name (e.g. shared@contoso.com) or a user id.`);
+  }
+  return value;
+}
+
+/**
+ * Checks the `mailbox` argument of a tool call and returns the mailbox to run it against
+ * @param {string|undefined} mailbox - Requested mailbox
+ * @returns {string|undefined} - Mailbox, or undefined for the signed-in user's own
+ * @throws {Error} - If the value is invalid, or names another mailbox in app-only mode
+ */
+function resolveMailbox(mailbox) {
+  const requested = mailbox !== undefined ? validateMailbox(mailbox) : undefined;
+  const { mode, appMailbox } = config.AUTH_CONFIG;
+  if (mode !== 'app_only' || requested === undefined || !appMailbox) {
+    return requested;
+  }
+  if (requested.toLowerCase() !== appMailbox.toLowerCase()) {
+    throw new Error(`This server runs in app-only mode and can only access ${appMailbox}.`);
+  }
+  return appMailbox;
+}
+
+/**
+ * Runs a function with a mailbox as the current mailbox
+ * @param {string|null|undefined} mailbox - Mailbox, or empty for the signed-in user's own
+ * @param {Function} fn - Function to run
+ * @returns {*} - What fn returns
+ */
+function runWithMailbox(mailbox, fn) {
+  return mailboxContext.run(mailbox || undefined, fn);
+}
+
+/**
+ * Returns the mailbox of the tool call being handled. In app-only mode that is
+ * always the configured mailbox.
+ * @returns {string|undefined} - Mailbox, or undefined for the signed-in user's own
+ */
+function getCurrentMailbox() {
+  const { mode, appMailbox } = config.AUTH_CONFIG;
+  if (mode === 'app_only' && appMailbox) {
+    return appMailbox;
+  }
+  return mailboxContext.getStore();
+}
+
+/**
+ * Points a `me/...` Graph path at another user's mailbox. Full URLs (pagination
+ * nextLinks) already name the mailbox they came from and are left alone.
+ * @param {string} path - Graph path, with or without a leading slash
+ * @param {string} mailbox - Mailbox path segment, or empty to leave the path unchanged
+ * @returns {string} - Rewritten path
+ */
+function toMailboxPath(path, mailbox = getCurrentMailbox()) {
+  if (!mailbox || /^https?:\/\//.test(path)) {
+    return path;
+  }
+  return path.replace(/^(\/?)me(?=\/|$|\?)/i, `$1users/${mailbox}`);
+}
+
+/**
+ * Builds a readable error for a Graph failure caused by missing mailbox permissions
+ * @param {string} mailbox - Mailbox the request was for
+ * @param {number} statusCode - HTTP status of the failed request
+ * @param {string|object} body - Error response body
+ * @returns {string|null} - Error message, or null if the failure is not a permission problem
+ */
+function getMailboxAccessError(mailbox, statusCode, body) {
+  if (!mailbox) {
+    return null;
+  }
+
+  let code;
+  try {
+    const parsed = typeof body === 'string' ? JSON.parse(body) : body;
+    code = parsed && parsed.error && parsed.error.code;
+  } catch (error) {
+    code = undefined;
+  }
+
+  if ((statusCode === 403 || code === 'ErrorAccessDenied') && config.AUTH_CONFIG.mode === 'app_only') {
+    return `Access to mailbox ${mailbox} was denied (status ${statusCode}${code ? `, ${code}` : ''}). ` +
+      'The app registration needs the Mail.ReadWrite, Mail.Send and Calendars.ReadWrite application ' +
+      'permissions with admin consent, and any application access policy must include this mailbox.';
+  }
+  if (statusCode === 403 || code === 'ErrorAccessDenied' || code === 'ErrorSendAsDenied') {
+    return `Access to mailbox ${mailbox} was denied (status ${statusCode}${code ? `, ${code}` : ''}). ` +
+      'The signed-in user needs Full Access or folder permissions on that mailbox ' +
+      '(Send As or Send on Behalf to send from it), and MS_SCOPES must include ' +
+      `${SHARED_SCOPES.join(', ')}. Sign in again after changing scopes.`;
+  }
+  if (statusCode === 404 && MAILBOX_NOT_FOUND_CODES.includes(code)) {
+    return `Mailbox ${mailbox} was not found or cannot be opened through Microsoft Graph (${code}). ` +
+      'Check the address, or use the mailbox user id.';
+  }
+  return null;
+}
+
+module.exports = {
+  MAILBOX_PROPERTY,
+  SHARED_SCOPES,
+  validateMailbox,
+  resolveMailbox,
+  runWithMailbox,
+  getCurrentMailbox,
+  toMailboxPath,
+  getMailboxAccessError
+};
@@ -1,6 +1,9 @@
 /**
  * Mock data functions for test mode
  */
+const { createLogger } = require('./logger');
+
+const logger = createLogger('mock-data');
 
 /**
  * Simulates Microsoft Graph API responses for testing
@@ -11,10 +14,18 @@
  * @returns {object} - Simulated API response
  */
 function simulateGraphAPIResponse(method, path, data, queryParams) {
-  console.error(`Simulating response for: ${method} ${path}`);
+  logger.debug(`Simulating response for ${method} ${path}`);
   
   if (method === 'GET') {
-    if (path.includes('messages') && !path.includes('sendMail')) {
+    if (/^\/?me$/.test(path)) {
+      // Simulate the signed-in user's profile
+      return {
+        id: "simulated-user-id",
+        displayName: "Test User",
+        userPrincipalName: "test.user@example.com",
+        mail: "test.user@example.com"
+      };
+    } else if (path.includes('messages') && !path.includes('sendMail')) {
       // Simulate a successful email list/search response
       if (path.includes('/messages/')) {
         // Single email response
@@ -133,10 +144,23 @@ function simulateGraphAPIResponse(method, path, data, queryParams) {
   } else if (method === 'POST' && path.includes('sendMail')) {
     // Simulate a successful email send
     return {};
+  } else if (method === 'POST' && path.endsWith('revokeSignInSessions')) {
+    // Simulate revoking the user's sign-in sessions
+    return { value: true };
+  } else if (method === 'POST' && path.endsWith('$batch')) {
+    // Simulate a JSON batch in which every sub-request succeeds
+    return {
+      responses: (data.requests || []).map(request => ({
+        id: request.id,
+        status: request.method === 'DELETE' ? 204 : 200,
+        headers: {},
+        body: request.method === 'DELETE' ? null : { id: `simulated-${request.id}` }
+      }))
+    };
   }
   
   // If we get here, we don't have a simulation for this endpoint
-  console.error(`No simulation available for: ${method} ${path}`);
+  logger.warn(`No simulation available for ${method} ${path}`);
   return {};
 }
 
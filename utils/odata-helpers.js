@@ -1,6 +1,9 @@
 /**
  * OData helper functions for Microsoft Graph API
  */
+const { createLogger } = require('./logger');
+
+const logger = createLogger('odata');
 
 /**
  * Escapes a string for use in OData queries
@@ -17,7 +20,7 @@ function escapeODataString(str) {
   // Escape other potentially problematic characters
   str = str.replace(/[\(\)\{\}\[\]\:\;\,\/\?\&\=\+\*\%\$\#\@\!\^]/g, '');
   
-  console.error(`Escaped OData string: '${str}'`);
+  logger.debug(`Escaped OData string: '${str}'`);
   return str;
 }
 
@@ -0,0 +1,158 @@
+/**
+ * Reusable JSON Schema fragments for tool output schemas
+ */
+
+const EMAIL_ADDRESS_SCHEMA = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    address: { type: "string" }
+  }
+};
+
+const DATE_TIME_TIME_ZONE_SCHEMA = {
+  type: "object",
+  properties: {
+    dateTime: { type: "string" },
+    timeZone: { type: "string" }
+  }
+};
+
+const EMAIL_SUMMARY_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    subject: { type: "string" },
+    from: EMAIL_ADDRESS_SCHEMA,
+    receivedDateTime: { type: "string" },
+    isRead: { type: "boolean" },
+    hasAttachments: { type: "boolean" },
+    importance: { type: "string" },
+    bodyPreview: { type: "string" }
+  },
+  required: ["id"]
+};
+
+const EMAIL_DETAIL_SCHEMA = {
+  type: "object",
+  properties: {
+    ...EMAIL_SUMMARY_SCHEMA.properties,
+    toRecipients: { type: "array", items: EMAIL_ADDRESS_SCHEMA },
+    ccRecipients: { type: "array", items: EMAIL_ADDRESS_SCHEMA },
+    bccRecipients: { type: "array", items: EMAIL_ADDRESS_SCHEMA },
+    body: {
+      type: "object",
+      properties: {
+        contentType: { type: "string" },
+        content: { type: "string" }
+      }
+    }
+  },
+  required: ["id"]
+};
+
+const EVENT_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    subject: { type: "string" },
+    start: DATE_TIME_TIME_ZONE_SCHEMA,
+    end: DATE_TIME_TIME_ZONE_SCHEMA,
+    location: { type: "string" },
+    organizer: EMAIL_ADDRESS_SCHEMA,
+    isAllDay: { type: "boolean" },
+    isCancelled: { type: "boolean" },
+    bodyPreview: { type: "string" }
+  },
+  required: ["id"]
+};
+
+/**
+ * Output schema for tools that act on a single calendar event
+ */
+const EVENT_ACTION_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    eventId: { type: "string" },
+    action: { type: "string" },
+    success: { type: "boolean" }
+  },
+  required: ["eventId", "action", "success"]
+};
+
+/**
+ * An item a bulk operation could not process
+ */
+const BULK_FAILURE_SCHEMA = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    error: { type: "string" }
+  },
+  required: ["id", "error"]
+};
+
+/**
+ * Converts a Graph message into an EMAIL_SUMMARY_SCHEMA object
+ * @param {object} email - Graph message
+ * @returns {object} - Email summary
+ */
+function toEmailSummary(email) {
+  return {
+    id: email.id,
+    subject: email.subject || '',
+    from: email.from ? email.from.emailAddress : { name: 'Unknown', address: 'unknown' },
+    receivedDateTime: email.receivedDateTime,
+    isRead: email.isRead === true,
+    hasAttachments: email.hasAttachments === true,
+    importance: email.importance || 'normal',
+    bodyPreview: email.bodyPreview || ''
+  };
+}
+
+/**
+ * Converts a Graph message into an EMAIL_DETAIL_SCHEMA object
+ * @param {object} email - Graph message with EMAIL_DETAIL_FIELDS selected
+ * @returns {object} - Email detail
+ */
+function toEmailDetail(email) {
+  const addresses = recipients => (recipients || []).map(r => r.emailAddress);
+  return {
+    ...toEmailSummary(email),
+    toRecipients: addresses(email.toRecipients),
+    ccRecipients: addresses(email.ccRecipients),
+    bccRecipients: addresses(email.bccRecipients),
+    body: email.body || { contentType: 'text', content: email.bodyPreview || '' }
+  };
+}
+
+/**
+ * Converts a Graph event into an EVENT_SCHEMA object
+ * @param {object} event - Graph event
+ * @returns {object} - Event
+ */
+function toEvent(event) {
+  return {
+    id: event.id,
+    subject: event.subject || '',
+    start: event.start,
+    end: event.end,
+    location: event.location && event.location.displayName ? event.location.displayName : '',
+    organizer: event.organizer ? event.organizer.emailAddress : undefined,
+    isAllDay: event.isAllDay === true,
+    isCancelled: event.isCancelled === true,
+    bodyPreview: event.bodyPreview || ''
+  };
+}
+
+module.exports = {
+  EMAIL_ADDRESS_SCHEMA,
+  EMAIL_SUMMARY_SCHEMA,
+  EMAIL_DETAIL_SCHEMA,
+  EVENT_SCHEMA,
+  EVENT_ACTION_OUTPUT_SCHEMA,
+  BULK_FAILURE_SCHEMA,
+  toEmailSummary,
+  toEmailDetail,
+  toEvent
+};
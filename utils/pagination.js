@@ -0,0 +1,49 @@
+/**
+ * Opaque pagination cursors for list tools
+ *
+ * A cursor wraps the Graph `@odata.nextLink` of the page just returned, plus any
+ * context the tool needs to format the next page. Clients pass it back unchanged
+ * as the `cursor` argument; the server keeps no pagination state.
+ */
+const { getGraphBaseUrl } = require('./graph-api');
+const { toBase64Url, fromBase64Url } = require('./base64url');
+
+/**
+ * Creates a cursor for the next page
+ * @param {string} nextLink - Graph @odata.nextLink (may be undefined on the last page)
+ * @param {object} context - Extra values to carry to the next call
+ * @returns {string|null} - Cursor, or null when there are no more pages
+ */
+function encodeCursor(nextLink, context = {}) {
+  if (!nextLink) {
+    return null;
+  }
+  return toBase64Url(JSON.stringify({ ...context, link: nextLink }));
+}
+
+/**
+ * Decodes a cursor created by encodeCursor. The link must point at the Graph
+ * endpoint, so a crafted cursor cannot send the access token elsewhere.
+ * @param {string} cursor - Cursor from a previous tool result
+ * @returns {object} - Cursor contents ({ link, ...context })
+ * @throws {Error} - If the cursor is malformed or points outside Graph
+ */
+function decodeCursor(cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(fromBase64Url(String(cursor)).toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor. Pass the nextCursor value from the previous result unchanged.');
+  }
+
+  if (!decoded || typeof decoded.link !== 'string' || !decoded.link.startsWith(getGraphBaseUrl())) {
+    throw new Error('Invalid cursor. Pass the nextCursor value from the previous result unchanged.');
+  }
+
+  return decoded;
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
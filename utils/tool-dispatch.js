@@ -0,0 +1,151 @@
+/**
+ * Tool dispatch for tools/list and tools/call
+ *
+ * tools/call looks the tool up, checks the client's tool allowlist and the server's
+ * read-only mode, validates the arguments against the tool's inputSchema, checks the
+ * account has granted the scopes the tool declares, and only then runs the handler,
+ * as the account profile named by the `account` argument and against the shared
+ * mailbox named by the `mailbox` argument.
+ * Every failure is returned as an `isError` tool result, so the model sees what was
+ * wrong with the call and can correct it.
+ */
+const config = require('../config');
+const { isToolAllowed } = require('../transport/http-auth');
+const { validateToolArguments } = require('./validate-args');
+const { applyOutputFormat } = require('./tool-output');
+const { resolveAccount, runWithAccount } = require('../auth/accounts');
+const { resolveMailbox, runWithMailbox } = require('./mailbox');
+const { getMissingToolScopes, getConsentMessage } = require('../auth/consent');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('tool-dispatch');
+
+/**
+ * Builds an error tool result
+ * @param {string} text - Error message
+ * @returns {object} - MCP tool result with isError set
+ */
+function toolError(text) {
+  return {
+    content: [{
+      type: "text",
+      text
+    }],
+    isError: true
+  };
+}
+
+/**
+ * Checks whether a tool is available in the current server mode. In read-only
+ * mode only tools annotated with readOnlyHint are available.
+ * @param {object} tool - Tool definition
+ * @param {boolean} readOnly - Whether the server runs in read-only mode
+ * @returns {boolean} - Whether the tool is available
+ */
+function isToolEnabled(tool, readOnly = config.READ_ONLY) {
+  return !readOnly || tool.annotations?.readOnlyHint === true;
+}
+
+/**
+ * tools/list handler
+ * @param {Array<object>} tools - Tool definitions
+ * @param {object} authInfo - Client identity (undefined when HTTP auth is disabled)
+ * @param {object} options - Dispatch options
+ * @param {boolean} options.readOnly - Whether the server runs in read-only mode
+ * @returns {object} - MCP response
+ */
+function listTools(tools, authInfo, { readOnly = config.READ_ONLY } = {}) {
+  return {
+    tools: tools
+      .filter(tool => isToolEnabled(tool, readOnly) && isToolAllowed(authInfo, tool.name))
+      .map(({ name, description, inputSchema, outputSchema, annotations }) => ({
+        name,
+        description,
+        inputSchema,
+        outputSchema,
+        annotations
+      }))
+  };
+}
+
+/**
+ * tools/call handler
+ * @param {Array<object>} tools - Tool definitions
+ * @param {object} params - Request params ({ name, arguments })
+ * @param {object} authInfo - Client identity (undefined when HTTP auth is disabled)
+ * @param {object} options - Dispatch options; anything besides readOnly overrides the
+ *   argument validation options (see validateToolArguments)
+ * @param {boolean} options.readOnly - Whether the server runs in read-only mode
+ * @returns {Promise<object>} - MCP tool result
+ */
+async function callTool(tools, params, authInfo, options = {}) {
+  const { readOnly = config.READ_ONLY, ...validationOptions } = options;
+  const { name, arguments: args = {} } = params || {};
+
+  const tool = tools.find(t => t.name === name);
+  if (!tool) {
+    return toolError(`Unknown tool: ${name}`);
+  }
+
+  if (!isToolEnabled(tool, readOnly)) {
+    logger.warn(`tools/call refused: ${name} changes data and the server is read-only`);
+    return toolError(`Tool ${name} is disabled: this server is running in read-only mode`);
+  }
+
+  if (!isToolAllowed(authInfo, name)) {
+    logger.warn(`tools/call denied: ${name} is not allowed for client ${authInfo.clientId}`);
+    return toolError(`Tool not allowed for this client: ${name}`);
+  }
+
+  const validation = validateToolArguments(tool.inputSchema, args, validationOptions);
+  if (!validation.valid) {
+    return toolError(`Invalid arguments for ${name}:\n- ${validation.errors.join('\n- ')}`);
+  }
+
+  // Mailbox tools run as the requested account profile (see auth/accounts.js)
+  const { account } = validation.value;
+  if (account !== undefined) {
+    try {
+      resolveAccount(account);
+    } catch (error) {
+      return toolError(error.message);
+    }
+  }
+
+  // ...and against the requested shared or delegated mailbox (see utils/mailbox.js)
+  let mailbox;
+  try {
+    mailbox = resolveMailbox(validation.value.mailbox);
+  } catch (error) {
+    return toolError(error.message);
+  }
+
+  // Refuse calls the account has not consented to, with a URL to grant the missing
+  // scopes (see auth/consent.js); if the token cannot be read, the handler reports it
+  try {
+    const accountName = resolveAccount(account).name;
+    const missingScopes = await getMissingToolScopes(tool, { account: accountName, mailbox });
+    if (missingScopes.length > 0) {
+      logger.warn(`tools/call refused: ${name} needs ${missingScopes.join(', ')} for account '${accountName}'`);
+      return toolError(await getConsentMessage(name, accountName, missingScopes));
+    }
+  } catch (error) {
+    logger.warn(`Could not check the scopes granted for ${name}`, error);
+  }
+
+  try {
+    const result = await runWithAccount(account, () =>
+      runWithMailbox(mailbox, () => tool.handler(validation.value)));
+    return applyOutputFormat(result, validation.value.format);
+  } catch (error) {
+    logger.error(`Error in tool ${name}`, error);
+    return toolError(`Error running ${name}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  toolError,
+  isToolEnabled,
+  listTools,
+  callTool
+};
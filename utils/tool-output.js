@@ -0,0 +1,100 @@
+/**
+ * Structured tool output helpers
+ *
+ * Every tool declares an `outputSchema` and returns `structuredContent` on success.
+ * MCP requires structuredContent whenever an output schema is declared, so it is
+ * always sent; the per-call `format` argument only controls the `content` blocks:
+ * - "text" (default): the human-readable text
+ * - "json": the structured result serialized as JSON, for clients that only read `content`
+ * - "both": the text followed by the JSON
+ */
+
+/**
+ * Supported values of the `format` argument
+ */
+const OUTPUT_FORMATS = ['text', 'json', 'both'];
+
+/**
+ * Input schema property for the `format` argument, added to every tool with withInputProperty
+ */
+const FORMAT_PROPERTY = {
+  type: "string",
+  enum: OUTPUT_FORMATS,
+  description: "Output format: 'text' for readable text (default), 'json' for the structured result as JSON text, or 'both'"
+};
+
+/**
+ * Returns a copy of a tool definition whose input schema accepts one more argument,
+ * such as `format`, `account` or `mailbox`
+ * @param {object} tool - Tool definition
+ * @param {string} name - Argument name
+ * @param {object} schema - JSON Schema of the argument
+ * @returns {object} - Tool definition with the property
+ */
+function withInputProperty(tool, name, schema) {
+  const inputSchema = tool.inputSchema || { type: "object", properties: {}, required: [] };
+  return {
+    ...tool,
+    inputSchema: {
+      ...inputSchema,
+      properties: {
+        ...(inputSchema.properties || {}),
+        [name]: schema
+      }
+    }
+  };
+}
+
+/**
+ * Shapes a handler result according to the requested output format.
+ * Results without structuredContent are the handlers' error and validation
+ * messages; they are flagged with isError so clients don't validate them
+ * against the output schema.
+ * @param {object} result - Handler result
+ * @param {string} format - Requested format (text, json or both)
+ * @returns {object} - MCP tool result
+ */
+function applyOutputFormat(result, format = 'text') {
+  if (!result || !result.structuredContent) {
+    return { ...result, isError: true };
+  }
+
+  const jsonBlock = {
+    type: "text",
+    text: JSON.stringify(result.structuredContent, null, 2)
+  };
+
+  if (format === 'json') {
+    return { ...result, content: [jsonBlock] };
+  }
+
+  if (format === 'both') {
+    return { ...result, content: [...result.content, jsonBlock] };
+  }
+
+  return result;
+}
+
+/**
+ * Returns the text of a handler result, for callers that reuse a tool handler
+ * (such as prompts). Like applyOutputFormat, a result without structuredContent
+ * is treated as the handler's error message.
+ * @param {object} result - Handler result
+ * @returns {string} - Text of the first content block
+ * @throws {Error} - With the handler's message if the call failed
+ */
+function getResultText(result) {
+  const text = result && result.content && result.content[0] ? result.content[0].text : '';
+  if (!result || result.isError || !result.structuredContent) {
+    throw new Error(text || 'The tool call failed');
+  }
+  return text;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  FORMAT_PROPERTY,
+  withInputProperty,
+  applyOutputFormat,
+  getResultText
+};
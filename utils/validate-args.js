@@ -0,0 +1,187 @@
+/**
+ * Tool argument validation against the tools' JSON Schema `inputSchema`
+ *
+ * Supports the subset of JSON Schema the tool definitions use: `type` (single or
+ * array), `enum`, `required`, `properties`, `additionalProperties: false` and
+ * array `items`.
+ */
+const config = require('../config');
+
+/**
+ * Default validation options, from config
+ */
+const DEFAULT_OPTIONS = {
+  coerceTypes: config.TOOL_ARGS_COERCE_TYPES,
+  enforceEnums: config.TOOL_ARGS_ENFORCE_ENUMS,
+  rejectUnknown: config.TOOL_ARGS_REJECT_UNKNOWN
+};
+
+const NUMERIC_STRING = /^\s*-?\d+(\.\d+)?\s*$/;
+
+/**
+ * Returns the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} - JSON Schema type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Checks whether a value matches a JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} - Whether the value matches
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Converts a string into a value of the given type, when it unambiguously represents one
+ * @param {*} value - Value to coerce
+ * @param {string} type - Target JSON Schema type
+ * @returns {{ok: boolean, value: *}} - Coerced value
+ */
+function coerce(value, type) {
+  if (typeof value !== 'string') {
+    return { ok: false };
+  }
+
+  if ((type === 'number' || type === 'integer') && NUMERIC_STRING.test(value)) {
+    const number = Number(value);
+    if (type === 'number' || Number.isInteger(number)) {
+      return { ok: true, value: number };
+    }
+  }
+
+  if (type === 'boolean' && (value === 'true' || value === 'false')) {
+    return { ok: true, value: value === 'true' };
+  }
+
+  return { ok: false };
+}
+
+/**
+ * Formats a property path for error messages
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string} - Path such as `start.dateTime` or `attendees[0]`
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validates (and, if enabled, coerces) a value against a schema
+ * @param {object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Property path of the value
+ * @param {object} options - Validation options
+ * @param {Array<string>} errors - Collected error messages
+ * @returns {*} - The value, coerced where needed
+ */
+function validateValue(schema, value, path, options, errors) {
+  if (!schema || typeof schema !== 'object') {
+    return value;
+  }
+
+  const types = schema.type ? [].concat(schema.type) : [];
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    const coerced = options.coerceTypes
+      ? types.map(type => coerce(value, type)).find(result => result.ok)
+      : null;
+
+    if (!coerced) {
+      errors.push(`"${path}" must be ${types.map(type => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`).join(' or ')} (got ${typeOf(value)})`);
+      return value;
+    }
+    value = coerced.value;
+  }
+
+  if (options.enforceEnums && Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`"${path}" must be one of: ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+    return value;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item, index) => validateValue(schema.items, item, joinPath(path, index), options, errors));
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.required)) {
+    return validateObject(schema, value, path, options, errors);
+  }
+
+  return value;
+}
+
+/**
+ * Validates the properties of an object against an object schema
+ * @param {object} schema - Object JSON Schema
+ * @param {object} value - Object to validate
+ * @param {string} path - Property path of the object ('' for the arguments themselves)
+ * @param {object} options - Validation options
+ * @param {Array<string>} errors - Collected error messages
+ * @returns {object} - A copy of the object, coerced where needed
+ */
+function validateObject(schema, value, path, options, errors) {
+  const properties = schema.properties || {};
+  const result = {};
+
+  for (const name of schema.required || []) {
+    if (value[name] === undefined) {
+      errors.push(`"${joinPath(path, name)}" is required`);
+    }
+  }
+
+  for (const [name, propertyValue] of Object.entries(value)) {
+    if (propertyValue === undefined) {
+      continue;
+    }
+
+    if (!properties[name]) {
+      if (options.rejectUnknown || schema.additionalProperties === false) {
+        errors.push(`"${joinPath(path, name)}" is not a recognised argument`);
+      }
+      result[name] = propertyValue;
+      continue;
+    }
+
+    result[name] = validateValue(properties[name], propertyValue, joinPath(path, name), options, errors);
+  }
+
+  return result;
+}
+
+/**
+ * Validates tool arguments against a tool's input schema
+ * @param {object} inputSchema - Tool input schema
+ * @param {object} args - Tool arguments
+ * @param {object} options - Overrides for DEFAULT_OPTIONS
+ * @param {boolean} options.coerceTypes - Convert numeric and boolean strings to numbers and booleans
+ * @param {boolean} options.enforceEnums - Reject values outside a property's `enum`
+ * @param {boolean} options.rejectUnknown - Reject properties the schema does not declare
+ * @returns {{valid: boolean, errors: Array<string>, value: object}} - Result with the coerced arguments
+ */
+function validateToolArguments(inputSchema, args = {}, options = {}) {
+  const effectiveOptions = { ...DEFAULT_OPTIONS, ...options };
+  const errors = [];
+  const value = validateObject(inputSchema || {}, args || {}, '', effectiveOptions, errors);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    value
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  validateToolArguments
+};